@@ -0,0 +1,1262 @@
+// api.js - Client for the Alcovia API (Alcovia Intervention Engine API 1.0.0)
+//
+// GENERATED from the OpenAPI document in server/openapi/ by
+// server/scripts/generate-client.js. Do not edit: change the spec and run
+// `npm run generate:client` in server/.
+//
+//   const api = createApiClient({ baseUrl, token, onUnauthorized });
+//   const { student } = await api.getStudentStatus({ studentId: 'S001' });
+//
+// Methods resolve with the response body and throw an ApiError (status,
+// code, field, body) for an error response. Network failures reject with
+// fetch's own error, so callers can tell "offline" from "refused".
+
+/**
+ * Every error response. `code` is machine-readable; `field` names the request field at fault, or is null.
+ *
+ * @typedef {Object} ErrorBody
+ * @property {false} success
+ * @property {string} error Message to show the user
+ * @property {string} code missing_field, invalid_field, invalid_json, invalid_request, unauthorized, forbidden, not_found, conflict, request_in_progress, payload_too_large, unsupported_media_type, unprocessable, internal_error or unavailable
+ * @property {string|null} field Path of the offending field, e.g. answers[0].choice_index
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {string} [id]
+ * @property {string} [email]
+ * @property {string} [name]
+ * @property {"student"|"mentor"|"admin"} [role]
+ * @property {string|null} [student_id]
+ * @property {string|null} [mentor_id]
+ * @property {string} [created_at]
+ */
+
+/**
+ * @typedef {Object} Student
+ * @property {string} [id]
+ * @property {string} [student_id]
+ * @property {string} [name]
+ * @property {string|null} [cohort]
+ * @property {string|null} [mentor_id]
+ * @property {string} [timezone]
+ * @property {"Normal"|"Needs Intervention"|"Remedial"} [status]
+ * @property {string|null} [current_task]
+ * @property {number} [risk_score]
+ * @property {"none"|"warn"|"lock"|"escalate"} [risk_action]
+ * @property {string} [created_at]
+ * @property {string} [updated_at]
+ */
+
+/**
+ * @typedef {Object} Mentor
+ * @property {string} [id]
+ * @property {string} [mentor_id]
+ * @property {string} [name]
+ * @property {string} [email]
+ * @property {string|null} [phone]
+ * @property {boolean} [active]
+ * @property {number} [students] Students mapped to the mentor (roster listing only)
+ * @property {number} [open_interventions] Open interventions (roster listing only)
+ */
+
+/**
+ * @typedef {Object} Intervention
+ * @property {string} [id]
+ * @property {string} [student_id]
+ * @property {string|null} [mentor_id]
+ * @property {"Pending"|"Assigned"|"Submitted for Review"|"Completed"} [status]
+ * @property {"normal"|"urgent"} [priority]
+ * @property {string} [reason]
+ * @property {string|null} [assigned_task]
+ * @property {string|null} [assigned_by]
+ * @property {string|null} [assigned_at]
+ * @property {string|null} [task_template_id]
+ * @property {Array<TaskStep>} [task_steps]
+ * @property {"on_time"|"reminded"|"escalated"|"auto_assigned"|"auto_assign_failed"} [sla_stage]
+ * @property {string} [student_name] Mentor listings only
+ * @property {string} [created_at]
+ */
+
+/**
+ * @typedef {Object} Sla
+ * @property {string} [stage]
+ * @property {string|null} [remind_at]
+ * @property {string|null} [escalate_at]
+ * @property {string|null} [auto_assign_at]
+ * @property {string|null} [next_step]
+ * @property {string|null} [next_step_at]
+ * @property {boolean} [overdue]
+ */
+
+/**
+ * @typedef {Object} TaskStep
+ * @property {string} [title]
+ * @property {boolean} [done]
+ * @property {string|null} [completed_at]
+ */
+
+/**
+ * The task assigned on an intervention
+ *
+ * @typedef {Object} Task
+ * @property {string} [intervention_id]
+ * @property {"Pending"|"Assigned"|"Submitted for Review"|"Completed"} [status]
+ * @property {string|null} [title]
+ * @property {string|null} [template_id]
+ * @property {string|null} [instructions]
+ * @property {string|null} [subject]
+ * @property {number|null} [estimated_minutes]
+ * @property {Array<TaskStep>} [steps]
+ * @property {number} [steps_done]
+ */
+
+/**
+ * A task to assign: a plain `task` title or a `template_id`, optionally customised
+ *
+ * @typedef {Object} TaskInput
+ * @property {string} [task]
+ * @property {string} [template_id]
+ * @property {string} [title]
+ * @property {string|null} [instructions]
+ * @property {string|null} [subject]
+ * @property {number|null} [estimated_minutes]
+ * @property {Array<string>} [steps]
+ */
+
+/**
+ * @typedef {Object} TaskTemplate
+ * @property {string} [id]
+ * @property {string} [template_id]
+ * @property {string} [title]
+ * @property {string|null} [instructions]
+ * @property {string|null} [subject]
+ * @property {number|null} [estimated_minutes]
+ * @property {Array<string>} [steps]
+ * @property {boolean} [active]
+ * @property {string|null} [created_by]
+ */
+
+/**
+ * @typedef {Object} EvidenceFile
+ * @property {string} file_name
+ * @property {"image/jpeg"|"image/png"|"image/heic"|"image/webp"|"application/pdf"|"text/plain"} content_type
+ * @property {string} data File contents, base64-encoded
+ */
+
+/**
+ * An evidence file without its contents (fetch those from the attachment route)
+ *
+ * @typedef {Object} Attachment
+ * @property {string} [id]
+ * @property {string} [submission_id]
+ * @property {string} [file_name]
+ * @property {"image/jpeg"|"image/png"|"image/heic"|"image/webp"|"application/pdf"|"text/plain"} [content_type]
+ * @property {number} [size_bytes]
+ * @property {string} [created_at]
+ */
+
+/**
+ * @typedef {Object} Submission
+ * @property {string} [id]
+ * @property {string} [intervention_id]
+ * @property {string} [student_id]
+ * @property {"Submitted"|"Approved"|"Rejected"} [status]
+ * @property {string|null} [evidence_text]
+ * @property {string|null} [feedback]
+ * @property {string|null} [reviewed_by]
+ * @property {string|null} [reviewed_at]
+ * @property {Array<Attachment>} [attachments]
+ * @property {string} [student_name] Mentor listings only
+ * @property {string} [created_at]
+ */
+
+/**
+ * @typedef {Object} DailyLog
+ * @property {string} [id]
+ * @property {string} [student_id]
+ * @property {string} [checkin_date]
+ * @property {number|null} [quiz_score] null on missed days
+ * @property {number|null} [focus_minutes]
+ * @property {"On Track"|"Needs Intervention"|"Missed"} [status]
+ * @property {string|null} [rule_id]
+ * @property {number|null} [rule_version]
+ * @property {number|null} [risk_score]
+ * @property {string|null} [quiz_id]
+ * @property {boolean} [flagged]
+ * @property {string|null} [corrected_at]
+ * @property {string} [logged_at]
+ */
+
+/**
+ * @typedef {Object} Transition
+ * @property {string} [id]
+ * @property {"student"|"intervention"} [entity_type]
+ * @property {string} [entity_id]
+ * @property {string} [student_id]
+ * @property {string|null} [from_state]
+ * @property {string} [to_state]
+ * @property {string|null} [actor_id]
+ * @property {string} [actor] Name of whoever made the change
+ * @property {string|null} [reason]
+ * @property {string} [created_at]
+ */
+
+/**
+ * @typedef {Object} Correction
+ * @property {string} [id]
+ * @property {string} [student_id]
+ * @property {string} [daily_log_id]
+ * @property {string} [checkin_date]
+ * @property {number|null} [quiz_score]
+ * @property {number|null} [focus_minutes]
+ * @property {string} [reason]
+ * @property {"Pending"|"Approved"|"Rejected"} [status]
+ * @property {string|null} [requested_by]
+ * @property {string|null} [reviewed_by]
+ * @property {string|null} [review_note]
+ * @property {string|null} [reviewed_at]
+ * @property {string} [student_name] Mentor listings only
+ * @property {string} [created_at]
+ */
+
+/**
+ * @typedef {Object} CheckinFlag
+ * @property {string} [id]
+ * @property {string} [student_id]
+ * @property {string} [daily_log_id]
+ * @property {string} [checkin_date]
+ * @property {Array<Object>} [anomalies]
+ * @property {"Pending"|"Confirmed"|"Dismissed"} [status]
+ * @property {string|null} [reviewed_by]
+ * @property {string|null} [review_note]
+ * @property {string|null} [reviewed_at]
+ * @property {string} [student_name] Mentor listings only
+ * @property {number} [quiz_score] Mentor listings only
+ * @property {number} [focus_minutes] Mentor listings only
+ * @property {string} [created_at]
+ */
+
+/**
+ * @typedef {Object} Rule
+ * @property {string} [id]
+ * @property {string} [rule_id]
+ * @property {number} [version]
+ * @property {string} [name]
+ * @property {string|null} [cohort]
+ * @property {string|null} [student_id]
+ * @property {number} [priority]
+ * @property {RuleConditions} [conditions]
+ * @property {"On Track"|"Needs Intervention"} [outcome]
+ * @property {"On Track"|"Needs Intervention"|null} [otherwise_outcome]
+ * @property {boolean} [active]
+ */
+
+/**
+ * A non-empty group { all: [...] } or { any: [...] } (not both) of groups and comparisons { field, op, value }
+ *
+ * @typedef {Object} RuleConditions
+ */
+
+/**
+ * @typedef {Object} Question
+ * @property {string} [id]
+ * @property {string} [subject]
+ * @property {string} [topic]
+ * @property {"easy"|"medium"|"hard"} [difficulty]
+ * @property {string} [prompt]
+ * @property {Array<string>} [choices]
+ * @property {number} [answer_index]
+ * @property {string|null} [explanation]
+ * @property {boolean} [active]
+ * @property {string|null} [created_by]
+ */
+
+/**
+ * A question as the student sees it; answers are only included once the quiz is graded
+ *
+ * @typedef {Object} QuizQuestion
+ * @property {string} [id]
+ * @property {string} [subject]
+ * @property {string} [topic]
+ * @property {"easy"|"medium"|"hard"} [difficulty]
+ * @property {string} [prompt]
+ * @property {Array<string>} [choices]
+ * @property {number} [answer_index]
+ * @property {string|null} [explanation]
+ * @property {number|null} [choice_index]
+ * @property {boolean} [correct]
+ */
+
+/**
+ * @typedef {Object} Quiz
+ * @property {string} [id]
+ * @property {string} [quiz_date]
+ * @property {"issued"|"graded"} [status]
+ * @property {number|null} [score]
+ * @property {number|null} [correct]
+ * @property {number} [total]
+ * @property {Array<QuizQuestion>} [questions]
+ */
+
+/**
+ * @typedef {Object} QuizAnswer
+ * @property {string} question_id
+ * @property {number|null} [choice_index] null leaves the question unanswered
+ */
+
+/**
+ * @typedef {Object} QuizSummary
+ * @property {string} [id]
+ * @property {number} [score]
+ * @property {number} [correct]
+ * @property {number} [total]
+ * @property {Array<string>} [missed_topics]
+ */
+
+/**
+ * @typedef {Object} FocusSession
+ * @property {string} [id]
+ * @property {string} [student_id]
+ * @property {"active"|"paused"|"ended"} [status]
+ * @property {string} [started_at]
+ * @property {string|null} [resumed_at]
+ * @property {string|null} [paused_at]
+ * @property {string|null} [pause_reason]
+ * @property {number} [accumulated_seconds]
+ * @property {number} [elapsed_seconds]
+ * @property {number} [background_pauses]
+ */
+
+/**
+ * A notification delivery in the outbox
+ *
+ * @typedef {Object} Delivery
+ * @property {string} [id]
+ * @property {string} [channel]
+ * @property {string|null} [target]
+ * @property {string} [event]
+ * @property {"pending"|"sending"|"delivered"|"dead"} [status]
+ * @property {number} [attempts]
+ * @property {string|null} [last_error]
+ * @property {string} [next_attempt_at]
+ * @property {string|null} [delivered_at]
+ * @property {string} [created_at]
+ */
+
+/**
+ * @typedef {Object} Preferences
+ * @property {"mentor"|"student"|"user"} [recipient_type]
+ * @property {string} [recipient_id]
+ * @property {Array<"email"|"push"|"chat"|"webhook"|"console">} [channels]
+ * @property {Array<"intervention.created"|"intervention.sla_reminder"|"intervention.sla_escalated"|"intervention.sla_auto_assigned"|"intervention.sla_auto_assign_failed"|"task.assigned"|"task.submitted"|"task.approved"|"task.rejected"|"checkin.flagged"|"notification.test">} [muted_events]
+ * @property {string|null} [email]
+ * @property {string|null} [push_token]
+ * @property {string|null} [chat_url]
+ * @property {string|null} [webhook_url]
+ * @property {string|null} [webhook_secret] Signs deliveries to webhook_url (X-Alcovia-Signature); set while there is a webhook_url
+ */
+
+/**
+ * Any of these; null or an empty string clears a target. Only mentors and admins may set chat_url and webhook_url, which must be http(s) URLs on public hosts.
+ *
+ * @typedef {Object} PreferencesInput
+ * @property {Array<"email"|"push"|"chat"|"webhook"|"console">} [channels]
+ * @property {Array<"intervention.created"|"intervention.sla_reminder"|"intervention.sla_escalated"|"intervention.sla_auto_assigned"|"intervention.sla_auto_assign_failed"|"task.assigned"|"task.submitted"|"task.approved"|"task.rejected"|"checkin.flagged"|"notification.test">} [muted_events]
+ * @property {string|null} [email]
+ * @property {string|null} [push_token]
+ * @property {string|null} [chat_url]
+ * @property {string|null} [webhook_url]
+ * @property {boolean} [rotate_webhook_secret] Replace webhook_secret with a new one
+ */
+
+/**
+ * On-track rate, intervention counts and timings, and repeat offenders per cohort
+ *
+ * @typedef {Object} CohortReport
+ * @property {{ from?: string, to?: string }} [range]
+ * @property {string} [generated_at]
+ * @property {number} [repeat_threshold]
+ * @property {Array<Object>} [cohorts]
+ */
+
+/**
+ * Day by day check-ins, streaks, averages and interventions
+ *
+ * @typedef {Object} History
+ * @property {{ from?: string, to?: string, today?: string, timezone?: string }} [range]
+ * @property {Object} [summary] Streaks, averages and counts over the range
+ * @property {Array<Object>} [days]
+ * @property {Array<DailyLog>} [logs]
+ * @property {Array<Object>} [interventions]
+ */
+
+// An error response, with the status and the ErrorBody it carried
+export class ApiError extends Error {
+  constructor(status, body) {
+    super((body && body.error) || `Request failed with status ${status}`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = (body && body.code) || null;
+    this.field = (body && body.field) || null;
+    this.body = body;
+  }
+}
+
+const OPERATIONS = {
+  getHealth: { method: 'GET', path: '/', query: [], headers: {}, auth: false },
+  getOpenApi: { method: 'GET', path: '/api/openapi.json', query: [], headers: {}, auth: false },
+  login: { method: 'POST', path: '/api/auth/login', query: [], headers: {}, auth: false },
+  getCurrentUser: { method: 'GET', path: '/api/auth/me', query: [], headers: {}, auth: true },
+  assignIntervention: { method: 'POST', path: '/api/assign-intervention', query: [], headers: {}, auth: true },
+  listStudents: { method: 'GET', path: '/api/students', query: [], headers: {}, auth: true },
+  createStudent: { method: 'POST', path: '/api/students', query: [], headers: {}, auth: true },
+  updateStudent: { method: 'PATCH', path: '/api/students/{studentId}', query: [], headers: {}, auth: true },
+  createUser: { method: 'POST', path: '/api/users', query: [], headers: {}, auth: true },
+  getStudentStatus: { method: 'GET', path: '/api/student/{studentId}', query: [], headers: {}, auth: true },
+  streamStudentEvents: { method: 'GET', path: '/api/student/{studentId}/events', query: [], headers: {}, auth: true },
+  getStudentTimeline: { method: 'GET', path: '/api/student/{studentId}/timeline', query: [], headers: {}, auth: true },
+  getStudentHistory: { method: 'GET', path: '/api/student/{studentId}/history', query: ['from', 'to'], headers: {}, auth: true },
+  dailyCheckin: { method: 'POST', path: '/api/daily-checkin', query: [], headers: { idempotencyKey: 'Idempotency-Key' }, auth: true },
+  requestCorrection: { method: 'POST', path: '/api/checkin-corrections', query: [], headers: {}, auth: true },
+  completeTask: { method: 'POST', path: '/api/complete-task', query: [], headers: { idempotencyKey: 'Idempotency-Key' }, auth: true },
+  listRules: { method: 'GET', path: '/api/rules', query: [], headers: {}, auth: true },
+  saveRule: { method: 'POST', path: '/api/rules', query: [], headers: {}, auth: true },
+  listOutbox: { method: 'GET', path: '/api/admin/outbox', query: ['status', 'channel', 'limit'], headers: {}, auth: true },
+  replayDelivery: { method: 'POST', path: '/api/admin/outbox/{id}/replay', query: [], headers: {}, auth: true },
+  listMentors: { method: 'GET', path: '/api/admin/mentors', query: [], headers: {}, auth: true },
+  createMentor: { method: 'POST', path: '/api/admin/mentors', query: [], headers: {}, auth: true },
+  updateMentor: { method: 'PATCH', path: '/api/admin/mentors/{mentorId}', query: [], headers: {}, auth: true },
+  assignMentorStudents: { method: 'POST', path: '/api/admin/mentors/{mentorId}/students', query: [], headers: {}, auth: true },
+  getFocus: { method: 'GET', path: '/api/focus/{studentId}', query: [], headers: {}, auth: true },
+  startFocus: { method: 'POST', path: '/api/focus/start', query: [], headers: {}, auth: true },
+  focusHeartbeat: { method: 'POST', path: '/api/focus/heartbeat', query: [], headers: {}, auth: true },
+  pauseFocus: { method: 'POST', path: '/api/focus/pause', query: [], headers: {}, auth: true },
+  endFocus: { method: 'POST', path: '/api/focus/end', query: [], headers: {}, auth: true },
+  listMentorInterventions: { method: 'GET', path: '/api/mentor/interventions', query: ['status', 'student_id', 'priority'], headers: {}, auth: true },
+  listStudentLogs: { method: 'GET', path: '/api/mentor/students/{studentId}/logs', query: ['limit'], headers: {}, auth: true },
+  assignTask: { method: 'POST', path: '/api/mentor/interventions/{id}/assign', query: [], headers: {}, auth: true },
+  listSubmissions: { method: 'GET', path: '/api/mentor/submissions', query: ['status', 'intervention_id'], headers: {}, auth: true },
+  getAttachment: { method: 'GET', path: '/api/mentor/submissions/{id}/attachments/{attachmentId}', query: [], headers: {}, auth: true },
+  approveSubmission: { method: 'POST', path: '/api/mentor/submissions/{id}/approve', query: [], headers: {}, auth: true },
+  rejectSubmission: { method: 'POST', path: '/api/mentor/submissions/{id}/reject', query: [], headers: {}, auth: true },
+  listCorrections: { method: 'GET', path: '/api/mentor/corrections', query: ['status'], headers: {}, auth: true },
+  approveCorrection: { method: 'POST', path: '/api/mentor/corrections/{id}/approve', query: [], headers: {}, auth: true },
+  rejectCorrection: { method: 'POST', path: '/api/mentor/corrections/{id}/reject', query: [], headers: {}, auth: true },
+  listFlags: { method: 'GET', path: '/api/mentor/flags', query: ['status'], headers: {}, auth: true },
+  confirmFlag: { method: 'POST', path: '/api/mentor/flags/{id}/confirm', query: [], headers: {}, auth: true },
+  dismissFlag: { method: 'POST', path: '/api/mentor/flags/{id}/dismiss', query: [], headers: {}, auth: true },
+  getNotificationPreferences: { method: 'GET', path: '/api/notifications/preferences', query: [], headers: {}, auth: true },
+  updateNotificationPreferences: { method: 'PUT', path: '/api/notifications/preferences', query: [], headers: {}, auth: true },
+  sendTestNotification: { method: 'POST', path: '/api/notifications/test', query: [], headers: {}, auth: true },
+  getRecipientPreferences: { method: 'GET', path: '/api/notifications/preferences/{type}/{id}', query: [], headers: {}, auth: true },
+  updateRecipientPreferences: { method: 'PUT', path: '/api/notifications/preferences/{type}/{id}', query: [], headers: {}, auth: true },
+  listQuestions: { method: 'GET', path: '/api/quiz/questions', query: ['subject', 'topic', 'include_inactive'], headers: {}, auth: true },
+  createQuestion: { method: 'POST', path: '/api/quiz/questions', query: [], headers: {}, auth: true },
+  updateQuestion: { method: 'PATCH', path: '/api/quiz/questions/{id}', query: [], headers: {}, auth: true },
+  getTodaysQuiz: { method: 'GET', path: '/api/quiz/{studentId}/today', query: [], headers: {}, auth: true },
+  getQuizTopics: { method: 'GET', path: '/api/quiz/{studentId}/topics', query: ['days'], headers: {}, auth: true },
+  getCohortReport: { method: 'GET', path: '/api/reports/cohorts', query: ['from', 'to', 'cohort', 'format'], headers: {}, auth: true },
+  sendDigest: { method: 'POST', path: '/api/reports/digest', query: [], headers: {}, auth: true },
+  listTaskTemplates: { method: 'GET', path: '/api/tasks/templates', query: ['include_inactive'], headers: {}, auth: true },
+  createTaskTemplate: { method: 'POST', path: '/api/tasks/templates', query: [], headers: {}, auth: true },
+  updateTaskTemplate: { method: 'PATCH', path: '/api/tasks/templates/{templateId}', query: [], headers: {}, auth: true },
+  updateTaskProgress: { method: 'POST', path: '/api/tasks/progress', query: [], headers: {}, auth: true },
+};
+
+/**
+ * @param {Object} options
+ * @param {string} [options.baseUrl] Server URL, e.g. http://localhost:3000
+ * @param {string|null} [options.token] Session token for authenticated operations
+ * @param {Function} [options.onUnauthorized] Called when the server rejects the token
+ * @param {Function} [options.fetch] fetch implementation (defaults to the global one)
+ */
+export const createApiClient = ({ baseUrl = '', token = null, onUnauthorized = null, fetch: fetchImpl = globalThis.fetch } = {}) => {
+  const root = baseUrl.replace(/\/$/, '');
+
+  // Calls one operation. params holds its path and query parameters by
+  // name, header parameters in camelCase, body, and optionally headers and
+  // token to override the client's.
+  const request = async (operationId, params = {}) => {
+    const operation = OPERATIONS[operationId];
+    const path = operation.path.replace(/\{(\w+)\}/g, (match, name) => {
+      if (params[name] === undefined || params[name] === null) {
+        throw new Error(`${operationId}: ${name} is required`);
+      }
+      return encodeURIComponent(params[name]);
+    });
+    const query = operation.query
+      .filter((name) => params[name] !== undefined && params[name] !== null)
+      .map((name) => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`)
+      .join('&');
+
+    const headers = { Accept: 'application/json' };
+    const authToken = params.token !== undefined ? params.token : token;
+    if (operation.auth && authToken) headers.Authorization = `Bearer ${authToken}`;
+    if (params.body !== undefined) headers['Content-Type'] = 'application/json';
+    for (const [key, name] of Object.entries(operation.headers)) {
+      if (params[key] !== undefined) headers[name] = String(params[key]);
+    }
+    Object.assign(headers, params.headers);
+
+    const response = await fetchImpl(`${root}${path}${query ? `?${query}` : ''}`, {
+      method: operation.method,
+      headers,
+      body: params.body === undefined ? undefined : JSON.stringify(params.body),
+    });
+
+    const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+    if (!response.ok) {
+      const body = isJson ? await response.json().catch(() => null) : null;
+      if (response.status === 401 && operation.auth && onUnauthorized) await onUnauthorized();
+      throw new ApiError(response.status, body);
+    }
+    // Files, CSV downloads and event streams are left to the caller
+    return isJson ? response.json() : response;
+  };
+
+  return {
+    request,
+    /**
+     * Service status
+     *
+     * @param {Object} [params]
+     * @returns {Promise<{ status?: string, storage?: string, timestamp?: string }>}
+     */
+    getHealth: (params) => request('getHealth', params),
+
+    /**
+     * This document
+     *
+     * @param {Object} [params]
+     * @returns {Promise<Object>}
+     */
+    getOpenApi: (params) => request('getOpenApi', params),
+
+    /**
+     * Exchange email and password for a session token
+     *
+     * @param {Object} params
+     * @param {Object} params.body
+     * @param {string} params.body.email
+     * @param {string} params.body.password
+     * @returns {Promise<{ success: true, token?: string, user?: User }>}
+     */
+    login: (params) => request('login', params),
+
+    /**
+     * The signed-in user
+     *
+     * @param {Object} [params]
+     * @returns {Promise<{ success: true, user?: User }>}
+     */
+    getCurrentUser: (params) => request('getCurrentUser', params),
+
+    /**
+     * Assign a task to a pending intervention
+     *
+     * Called by n8n after mentor approval (signed with X-Alcovia-Signature and X-Alcovia-Timestamp), or by a mentor or admin session. Needs a `task` or a `template_id`. Repeats once the intervention has left Pending return the original assignment with duplicate: true.
+     *
+     * @param {Object} params
+     * @param {Object} params.body
+     * @param {string} [params.body.task]
+     * @param {string} [params.body.template_id]
+     * @param {string} [params.body.title]
+     * @param {string|null} [params.body.instructions]
+     * @param {string|null} [params.body.subject]
+     * @param {number|null} [params.body.estimated_minutes]
+     * @param {Array<string>} [params.body.steps]
+     * @param {string} params.body.student_id
+     * @param {string} params.body.intervention_id
+     * @returns {Promise<{ success: true, duplicate?: boolean, message?: string, intervention_id?: string, task?: string|null }>}
+     */
+    assignIntervention: (params) => request('assignIntervention', params),
+
+    /**
+     * Students visible to the caller
+     *
+     * Admins see every student, mentors their own, students themselves.
+     *
+     * @param {Object} [params]
+     * @returns {Promise<{ success: true, students?: Array<Student> }>}
+     */
+    listStudents: (params) => request('listStudents', params),
+
+    /**
+     * Add a student to the roster
+     *
+     * Admins only.
+     *
+     * @param {Object} params
+     * @param {Object} params.body
+     * @param {string} params.body.student_id
+     * @param {string} params.body.name
+     * @param {string|null} [params.body.cohort]
+     * @param {string|null} [params.body.mentor_id]
+     * @param {string} [params.body.timezone]
+     * @returns {Promise<{ success: true, student?: Student }>}
+     */
+    createStudent: (params) => request('createStudent', params),
+
+    /**
+     * Edit roster details
+     *
+     * Admins only.
+     *
+     * @param {Object} params
+     * @param {string} params.studentId
+     * @param {Object} params.body
+     * @param {string} [params.body.name]
+     * @param {string|null} [params.body.cohort]
+     * @param {string|null} [params.body.mentor_id]
+     * @param {string} [params.body.timezone]
+     * @returns {Promise<{ success: true, student?: Student }>}
+     */
+    updateStudent: (params) => request('updateStudent', params),
+
+    /**
+     * Create a login for a student, mentor or admin
+     *
+     * Admins only. Student accounts need a student_id, mentor accounts a mentor_id.
+     *
+     * @param {Object} params
+     * @param {Object} params.body
+     * @param {string} params.body.email
+     * @param {string} params.body.password
+     * @param {string} params.body.name
+     * @param {"student"|"mentor"|"admin"} params.body.role
+     * @param {string|null} [params.body.student_id]
+     * @param {string|null} [params.body.mentor_id]
+     * @returns {Promise<{ success: true, user?: User }>}
+     */
+    createUser: (params) => request('createUser', params),
+
+    /**
+     * Status, open intervention, assigned task and whether a check-in is due
+     *
+     * @param {Object} params
+     * @param {string} params.studentId
+     * @returns {Promise<{ success: true, student?: Student, intervention?: Intervention|null, sla?: Sla|null, task?: Task|null, submission?: Submission|null, checkin_date?: string, checkin_due?: boolean }>}
+     */
+    getStudentStatus: (params) => request('getStudentStatus', params),
+
+    /**
+     * Live status and task changes
+     *
+     * Server-Sent Events: a snapshot event with the student row, then status, task and checkin events as they happen.
+     *
+     * @param {Object} params
+     * @param {string} params.studentId
+     * @returns {Promise<Response>}
+     */
+    streamStudentEvents: (params) => request('streamStudentEvents', params),
+
+    /**
+     * Every status change for the student and their interventions
+     *
+     * @param {Object} params
+     * @param {string} params.studentId
+     * @returns {Promise<{ success: true, student_id?: string, timeline?: Array<Transition> }>}
+     */
+    getStudentTimeline: (params) => request('getStudentTimeline', params),
+
+    /**
+     * Day by day check-ins, streaks, averages and interventions
+     *
+     * Defaults to the last 30 days on the student's clock.
+     *
+     * @param {Object} params
+     * @param {string} params.studentId
+     * @param {string} [params.from]
+     * @param {string} [params.to]
+     * @returns {Promise<{ success: true, student_id?: string, range?: { from?: string, to?: string, today?: string, timezone?: string }, summary?: Object, days?: Array<Object>, logs?: Array<DailyLog>, interventions?: Array<Object> }>}
+     */
+    getStudentHistory: (params) => request('getStudentHistory', params),
+
+    /**
+     * Check in with today's quiz answers
+     *
+     * Students and admins. The quiz is graded here and focus time comes from the student's focus sessions. A failing check-in locks the student and opens an intervention.
+     *
+     * @param {Object} params
+     * @param {string} [params.idempotencyKey] Idempotency-Key header. Client-generated request id; a retry with the same key replays the first final response (429 and 5xx answers are not kept, so the retry runs again; a 409 with code request_in_progress means the first request is still running)
+     * @param {Object} params.body
+     * @param {string} params.body.student_id
+     * @param {string} [params.body.quiz_id]
+     * @param {Array<QuizAnswer>} params.body.answers
+     * @returns {Promise<{ success: true, status?: string, rule_id?: string|null, rule_version?: number|null, risk_score?: number, risk_action?: "none"|"warn"|"lock"|"escalate", trend?: Object, quiz?: QuizSummary, flagged?: boolean, message?: string }>}
+     */
+    dailyCheckin: (params) => request('dailyCheckin', params),
+
+    /**
+     * Ask a mentor to fix a submitted check-in
+     *
+     * Students and admins. Needs a quiz_score or focus_minutes; checkin_date defaults to today.
+     *
+     * @param {Object} params
+     * @param {Object} params.body
+     * @param {string} params.body.student_id
+     * @param {string} [params.body.checkin_date]
+     * @param {number} [params.body.quiz_score]
+     * @param {number} [params.body.focus_minutes]
+     * @param {string} params.body.reason
+     * @returns {Promise<{ success: true, correction?: Correction, message?: string }>}
+     */
+    requestCorrection: (params) => request('requestCorrection', params),
+
+    /**
+     * Hand in the remedial task with evidence
+     *
+     * Students and admins. Needs a note, attachments or both. The student stays in Remedial until a mentor approves.
+     *
+     * @param {Object} params
+     * @param {string} [params.idempotencyKey] Idempotency-Key header. Client-generated request id; a retry with the same key replays the first final response (429 and 5xx answers are not kept, so the retry runs again; a 409 with code request_in_progress means the first request is still running)
+     * @param {Object} params.body
+     * @param {string} params.body.student_id
+     * @param {string|null} [params.body.evidence_text]
+     * @param {Array<EvidenceFile>} [params.body.attachments]
+     * @returns {Promise<{ success: true, submission?: Submission, message?: string }>}
+     */
+    completeTask: (params) => request('completeTask', params),
+
+    /**
+     * Active intervention rules
+     *
+     * Mentors and admins.
+     *
+     * @param {Object} [params]
+     * @returns {Promise<{ success: true, rules?: Array<Rule> }>}
+     */
+    listRules: (params) => request('listRules', params),
+
+    /**
+     * Create a rule, or a new version of an existing one
+     *
+     * Admins only. A rule targets a cohort, a student or everyone.
+     *
+     * @param {Object} params
+     * @param {Object} params.body
+     * @param {string} params.body.rule_id
+     * @param {string} params.body.name
+     * @param {string|null} [params.body.cohort]
+     * @param {string|null} [params.body.student_id]
+     * @param {number} [params.body.priority]
+     * @param {RuleConditions} params.body.conditions
+     * @param {"On Track"|"Needs Intervention"} params.body.outcome
+     * @param {"On Track"|"Needs Intervention"|null} [params.body.otherwise_outcome]
+     * @returns {Promise<{ success: true, rule?: Rule }>}
+     */
+    saveRule: (params) => request('saveRule', params),
+
+    /**
+     * Notification deliveries, newest first
+     *
+     * Admins only. status=failed lists pending deliveries that have failed at least once.
+     *
+     * @param {Object} [params]
+     * @param {"failed"|"pending"|"sending"|"delivered"|"dead"} [params.status]
+     * @param {"n8n"|"webhook"|"chat"|"email"|"push"|"console"} [params.channel]
+     * @param {number} [params.limit] At most 200 (default 50)
+     * @returns {Promise<{ success: true, deliveries?: Array<Delivery> }>}
+     */
+    listOutbox: (params) => request('listOutbox', params),
+
+    /**
+     * Retry a dead delivery now
+     *
+     * Admins only.
+     *
+     * @param {Object} params
+     * @param {string} params.id
+     * @returns {Promise<{ success: true, delivery?: Delivery }>}
+     */
+    replayDelivery: (params) => request('replayDelivery', params),
+
+    /**
+     * The mentor roster with student and open intervention counts
+     *
+     * Admins only.
+     *
+     * @param {Object} [params]
+     * @returns {Promise<{ success: true, mentors?: Array<Mentor> }>}
+     */
+    listMentors: (params) => request('listMentors', params),
+
+    /**
+     * Add a mentor to the roster
+     *
+     * Admins only.
+     *
+     * @param {Object} params
+     * @param {Object} params.body
+     * @param {string} params.body.mentor_id
+     * @param {string} params.body.name
+     * @param {string} params.body.email
+     * @param {string|null} [params.body.phone]
+     * @returns {Promise<{ success: true, mentor?: Mentor }>}
+     */
+    createMentor: (params) => request('createMentor', params),
+
+    /**
+     * Edit a mentor, or stop routing to them with active: false
+     *
+     * Admins only.
+     *
+     * @param {Object} params
+     * @param {string} params.mentorId
+     * @param {Object} params.body
+     * @param {string} [params.body.name]
+     * @param {string} [params.body.email]
+     * @param {string|null} [params.body.phone]
+     * @param {boolean} [params.body.active]
+     * @returns {Promise<{ success: true, mentor?: Mentor }>}
+     */
+    updateMentor: (params) => request('updateMentor', params),
+
+    /**
+     * Map students to a mentor
+     *
+     * Admins only. Ids that match no student come back in `missing`.
+     *
+     * @param {Object} params
+     * @param {string} params.mentorId
+     * @param {Object} params.body
+     * @param {Array<string>} params.body.student_ids
+     * @returns {Promise<{ success: true, mentor?: Mentor, students?: Array<Student>, missing?: Array<string> }>}
+     */
+    assignMentorStudents: (params) => request('assignMentorStudents', params),
+
+    /**
+     * Open focus session (if any) and today's total
+     *
+     * @param {Object} params
+     * @param {string} params.studentId
+     * @returns {Promise<{ success: true, session?: FocusSession|null, today_seconds?: number, today_minutes?: number, heartbeat_interval_seconds?: number }>}
+     */
+    getFocus: (params) => request('getFocus', params),
+
+    /**
+     * Start or resume the focus session
+     *
+     * Students and admins.
+     *
+     * @param {Object} params
+     * @param {Object} params.body
+     * @param {string} params.body.student_id
+     * @returns {Promise<{ success: true, session?: FocusSession|null, today_seconds?: number, today_minutes?: number, heartbeat_interval_seconds?: number }>}
+     */
+    startFocus: (params) => request('startFocus', params),
+
+    /**
+     * Keep the running session counting
+     *
+     * Students and admins.
+     *
+     * @param {Object} params
+     * @param {Object} params.body
+     * @param {string} params.body.student_id
+     * @returns {Promise<{ success: true, session?: FocusSession|null, today_seconds?: number, today_minutes?: number, heartbeat_interval_seconds?: number }>}
+     */
+    focusHeartbeat: (params) => request('focusHeartbeat', params),
+
+    /**
+     * Pause the running session
+     *
+     * Students and admins.
+     *
+     * @param {Object} params
+     * @param {Object} params.body
+     * @param {string} params.body.student_id
+     * @param {"manual"|"background"} [params.body.reason]
+     * @param {string} [params.body.paused_at]
+     * @returns {Promise<{ success: true, session?: FocusSession|null, today_seconds?: number, today_minutes?: number, heartbeat_interval_seconds?: number }>}
+     */
+    pauseFocus: (params) => request('pauseFocus', params),
+
+    /**
+     * End the open session
+     *
+     * Students and admins.
+     *
+     * @param {Object} params
+     * @param {Object} params.body
+     * @param {string} params.body.student_id
+     * @returns {Promise<{ success: true, session?: FocusSession|null, today_seconds?: number, today_minutes?: number, heartbeat_interval_seconds?: number }>}
+     */
+    endFocus: (params) => request('endFocus', params),
+
+    /**
+     * Interventions for the caller's students
+     *
+     * Mentors and admins.
+     *
+     * @param {Object} [params]
+     * @param {string} [params.status] Comma-separated: Pending, Assigned, Submitted for Review, Completed
+     * @param {string} [params.student_id]
+     * @param {"normal"|"urgent"} [params.priority]
+     * @returns {Promise<{ success: true, students?: Array<Student>, interventions?: Array<Intervention> }>}
+     */
+    listMentorInterventions: (params) => request('listMentorInterventions', params),
+
+    /**
+     * Recent check-ins for one student
+     *
+     * Mentors and admins.
+     *
+     * @param {Object} params
+     * @param {string} params.studentId
+     * @param {number} [params.limit] At most 100 (default 14)
+     * @returns {Promise<{ success: true, student?: Student, logs?: Array<DailyLog> }>}
+     */
+    listStudentLogs: (params) => request('listStudentLogs', params),
+
+    /**
+     * Assign a task, or edit an assigned one
+     *
+     * Mentors and admins. Needs a `task` or a `template_id`.
+     *
+     * @param {Object} params
+     * @param {string} params.id
+     * @param {TaskInput} params.body
+     * @returns {Promise<{ success: true, message?: string, intervention?: Intervention }>}
+     */
+    assignTask: (params) => request('assignTask', params),
+
+    /**
+     * Handed-in work for the caller's students
+     *
+     * Mentors and admins.
+     *
+     * @param {Object} [params]
+     * @param {"Submitted"|"Approved"|"Rejected"} [params.status] Default Submitted
+     * @param {string} [params.intervention_id]
+     * @returns {Promise<{ success: true, submissions?: Array<Submission> }>}
+     */
+    listSubmissions: (params) => request('listSubmissions', params),
+
+    /**
+     * An evidence file
+     *
+     * Mentors and admins.
+     *
+     * @param {Object} params
+     * @param {string} params.id
+     * @param {string} params.attachmentId
+     * @returns {Promise<Response>}
+     */
+    getAttachment: (params) => request('getAttachment', params),
+
+    /**
+     * Approve handed-in work and unlock the student
+     *
+     * Mentors and admins.
+     *
+     * @param {Object} params
+     * @param {string} params.id
+     * @param {Object} [params.body]
+     * @param {string|null} [params.body.feedback]
+     * @returns {Promise<{ success: true, submission?: Submission, intervention?: Intervention, student?: Student }>}
+     */
+    approveSubmission: (params) => request('approveSubmission', params),
+
+    /**
+     * Send handed-in work back with feedback
+     *
+     * Mentors and admins. Feedback is required.
+     *
+     * @param {Object} params
+     * @param {string} params.id
+     * @param {Object} params.body
+     * @param {string} params.body.feedback
+     * @returns {Promise<{ success: true, submission?: Submission, intervention?: Intervention, student?: Student }>}
+     */
+    rejectSubmission: (params) => request('rejectSubmission', params),
+
+    /**
+     * Check-in corrections for the caller's students
+     *
+     * Mentors and admins.
+     *
+     * @param {Object} [params]
+     * @param {"Pending"|"Approved"|"Rejected"} [params.status] Default Pending
+     * @returns {Promise<{ success: true, corrections?: Array<Correction> }>}
+     */
+    listCorrections: (params) => request('listCorrections', params),
+
+    /**
+     * Apply a correction to its check-in
+     *
+     * Mentors and admins.
+     *
+     * @param {Object} params
+     * @param {string} params.id
+     * @param {Object} [params.body]
+     * @param {string|null} [params.body.note]
+     * @returns {Promise<{ success: true, correction?: Correction, log?: DailyLog }>}
+     */
+    approveCorrection: (params) => request('approveCorrection', params),
+
+    /**
+     * Turn down a correction
+     *
+     * Mentors and admins.
+     *
+     * @param {Object} params
+     * @param {string} params.id
+     * @param {Object} [params.body]
+     * @param {string|null} [params.body.note]
+     * @returns {Promise<{ success: true, correction?: Correction, log?: null }>}
+     */
+    rejectCorrection: (params) => request('rejectCorrection', params),
+
+    /**
+     * Flagged check-ins for the caller's students
+     *
+     * Mentors and admins.
+     *
+     * @param {Object} [params]
+     * @param {"Pending"|"Confirmed"|"Dismissed"} [params.status] Default Pending
+     * @returns {Promise<{ success: true, flags?: Array<CheckinFlag> }>}
+     */
+    listFlags: (params) => request('listFlags', params),
+
+    /**
+     * Confirm a flagged check-in
+     *
+     * Mentors and admins.
+     *
+     * @param {Object} params
+     * @param {string} params.id
+     * @param {Object} [params.body]
+     * @param {string|null} [params.body.note]
+     * @returns {Promise<{ success: true, flag?: CheckinFlag }>}
+     */
+    confirmFlag: (params) => request('confirmFlag', params),
+
+    /**
+     * Dismiss a flagged check-in
+     *
+     * Mentors and admins.
+     *
+     * @param {Object} params
+     * @param {string} params.id
+     * @param {Object} [params.body]
+     * @param {string|null} [params.body.note]
+     * @returns {Promise<{ success: true, flag?: CheckinFlag }>}
+     */
+    dismissFlag: (params) => request('dismissFlag', params),
+
+    /**
+     * The caller's channels, targets and muted events
+     *
+     * @param {Object} [params]
+     * @returns {Promise<{ success: true, preferences?: Preferences, channels?: Array<{ name?: string, enabled?: boolean }>, events?: Array<"intervention.created"|"intervention.sla_reminder"|"intervention.sla_escalated"|"intervention.sla_auto_assigned"|"intervention.sla_auto_assign_failed"|"task.assigned"|"task.submitted"|"task.approved"|"task.rejected"|"checkin.flagged"|"notification.test"> }>}
+     */
+    getNotificationPreferences: (params) => request('getNotificationPreferences', params),
+
+    /**
+     * Update the caller's preferences
+     *
+     * Students cannot set chat_url or webhook_url.
+     *
+     * @param {Object} params
+     * @param {PreferencesInput} params.body
+     * @returns {Promise<{ success: true, preferences?: Preferences }>}
+     */
+    updateNotificationPreferences: (params) => request('updateNotificationPreferences', params),
+
+    /**
+     * Send the caller a test notification on each of their channels
+     *
+     * @param {Object} [params]
+     * @returns {Promise<{ success: true, deliveries?: Array<{ id?: string, channel?: string, target?: string|null, status?: string }> }>}
+     */
+    sendTestNotification: (params) => request('sendTestNotification', params),
+
+    /**
+     * Any recipient's preferences
+     *
+     * Admins only.
+     *
+     * @param {Object} params
+     * @param {"mentor"|"student"|"user"} params.type
+     * @param {string} params.id
+     * @returns {Promise<{ success: true, preferences?: Preferences, channels?: Array<{ name?: string, enabled?: boolean }>, events?: Array<"intervention.created"|"intervention.sla_reminder"|"intervention.sla_escalated"|"intervention.sla_auto_assigned"|"intervention.sla_auto_assign_failed"|"task.assigned"|"task.submitted"|"task.approved"|"task.rejected"|"checkin.flagged"|"notification.test"> }>}
+     */
+    getRecipientPreferences: (params) => request('getRecipientPreferences', params),
+
+    /**
+     * Edit any recipient's preferences
+     *
+     * Admins only, e.g. for mentors without a login.
+     *
+     * @param {Object} params
+     * @param {"mentor"|"student"|"user"} params.type
+     * @param {string} params.id
+     * @param {PreferencesInput} params.body
+     * @returns {Promise<{ success: true, preferences?: Preferences }>}
+     */
+    updateRecipientPreferences: (params) => request('updateRecipientPreferences', params),
+
+    /**
+     * The question bank, answers included
+     *
+     * Mentors and admins.
+     *
+     * @param {Object} [params]
+     * @param {string} [params.subject]
+     * @param {string} [params.topic]
+     * @param {boolean} [params.include_inactive]
+     * @returns {Promise<{ success: true, questions?: Array<Question> }>}
+     */
+    listQuestions: (params) => request('listQuestions', params),
+
+    /**
+     * Add a question to the bank
+     *
+     * Mentors and admins.
+     *
+     * @param {Object} params
+     * @param {Object} params.body
+     * @param {string} params.body.subject
+     * @param {string} params.body.topic
+     * @param {"easy"|"medium"|"hard"} [params.body.difficulty]
+     * @param {string} params.body.prompt
+     * @param {Array<string>} params.body.choices
+     * @param {number} params.body.answer_index
+     * @param {string|null} [params.body.explanation]
+     * @returns {Promise<{ success: true, question?: Question }>}
+     */
+    createQuestion: (params) => request('createQuestion', params),
+
+    /**
+     * Edit a question, or retire it with active: false
+     *
+     * Mentors and admins. Quizzes already issued keep their own copy.
+     *
+     * @param {Object} params
+     * @param {string} params.id
+     * @param {Object} params.body
+     * @param {string} [params.body.subject]
+     * @param {string} [params.body.topic]
+     * @param {"easy"|"medium"|"hard"} [params.body.difficulty]
+     * @param {string} [params.body.prompt]
+     * @param {Array<string>} [params.body.choices]
+     * @param {number} [params.body.answer_index]
+     * @param {string|null} [params.body.explanation]
+     * @param {boolean} [params.body.active]
+     * @returns {Promise<{ success: true, question?: Question }>}
+     */
+    updateQuestion: (params) => request('updateQuestion', params),
+
+    /**
+     * Today's quiz, issued on the student's first request
+     *
+     * Correct answers are included once the quiz is graded. Mentors can look but never issue it.
+     *
+     * @param {Object} params
+     * @param {string} params.studentId
+     * @returns {Promise<{ success: true, quiz?: Quiz|null }>}
+     */
+    getTodaysQuiz: (params) => request('getTodaysQuiz', params),
+
+    /**
+     * Quiz results by topic, most missed first
+     *
+     * Mentors and admins.
+     *
+     * @param {Object} params
+     * @param {string} params.studentId
+     * @param {number} [params.days] At most 365 (default 30)
+     * @returns {Promise<{ success: true, days?: number, topics?: Array<{ subject?: string, topic?: string, asked?: number, correct?: number, missed?: number }>, quizzes?: Array<QuizSummary & { quiz_date?: string }> }>}
+     */
+    getQuizTopics: (params) => request('getQuizTopics', params),
+
+    /**
+     * On-track rate, interventions and repeat offenders per cohort
+     *
+     * Admins only. Defaults to the last week (UTC).
+     *
+     * @param {Object} [params]
+     * @param {string} [params.from]
+     * @param {string} [params.to]
+     * @param {string} [params.cohort]
+     * @param {"json"|"csv"} [params.format] json (default) or csv to download a spreadsheet
+     * @returns {Promise<{ success: true, report?: CohortReport }>}
+     */
+    getCohortReport: (params) => request('getCohortReport', params),
+
+    /**
+     * Render and deliver the digest now
+     *
+     * Admins only. Goes to the same targets as the weekly schedule.
+     *
+     * @param {Object} [params]
+     * @param {Object} [params.body]
+     * @param {string} [params.body.from]
+     * @param {string} [params.body.to]
+     * @returns {Promise<{ success: true, range?: { from?: string, to?: string }, delivered?: Array<string> }>}
+     */
+    sendDigest: (params) => request('sendDigest', params),
+
+    /**
+     * The task template catalog, by title
+     *
+     * Mentors and admins.
+     *
+     * @param {Object} [params]
+     * @param {boolean} [params.include_inactive]
+     * @returns {Promise<{ success: true, templates?: Array<TaskTemplate> }>}
+     */
+    listTaskTemplates: (params) => request('listTaskTemplates', params),
+
+    /**
+     * Add a template to the catalog
+     *
+     * Mentors and admins. template_id is lowercase letters, digits and dashes.
+     *
+     * @param {Object} params
+     * @param {Object} params.body
+     * @param {string} params.body.template_id
+     * @param {string} params.body.title
+     * @param {string|null} [params.body.instructions]
+     * @param {string|null} [params.body.subject]
+     * @param {number|null} [params.body.estimated_minutes]
+     * @param {Array<string>} [params.body.steps]
+     * @returns {Promise<{ success: true, template?: TaskTemplate }>}
+     */
+    createTaskTemplate: (params) => request('createTaskTemplate', params),
+
+    /**
+     * Edit a template, or retire it with active: false
+     *
+     * Mentors and admins. Tasks already assigned keep their own copy.
+     *
+     * @param {Object} params
+     * @param {string} params.templateId
+     * @param {Object} params.body
+     * @param {string} [params.body.title]
+     * @param {string|null} [params.body.instructions]
+     * @param {string|null} [params.body.subject]
+     * @param {number|null} [params.body.estimated_minutes]
+     * @param {Array<string>} [params.body.steps]
+     * @param {boolean} [params.body.active]
+     * @returns {Promise<{ success: true, template?: TaskTemplate }>}
+     */
+    updateTaskTemplate: (params) => request('updateTaskTemplate', params),
+
+    /**
+     * Tick a step of the assigned task on or off
+     *
+     * Students and admins.
+     *
+     * @param {Object} params
+     * @param {Object} params.body
+     * @param {string} params.body.student_id
+     * @param {number} params.body.step
+     * @param {boolean} [params.body.done]
+     * @returns {Promise<{ success: true, task?: Task }>}
+     */
+    updateTaskProgress: (params) => request('updateTaskProgress', params),
+  };
+};
@@ -9,72 +9,385 @@ import {
   ScrollView,
   ActivityIndicator,
   Alert,
+  AppState,
 } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import EventSource from 'react-native-sse';
+import NetInfo from '@react-native-community/netinfo';
+import * as ImagePicker from 'expo-image-picker';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import * as Notifications from 'expo-notifications';
+import { createApiClient, ApiError } from './api';
 
 // Backend API URL - will be replaced with actual URL during deployment
 const API_URL = process.env.EXPO_PUBLIC_API_URL || 'http://localhost:3000';
 
+// AsyncStorage key for the signed-in session
+const SESSION_KEY = 'alcovia.session';
+
+// AsyncStorage key for check-ins and task completions waiting to sync
+const QUEUE_KEY = 'alcovia.pendingSync';
+
+// Push channel reconnect backoff (doubles after each failed attempt)
+const PUSH_RETRY_MIN_MS = 1000;
+const PUSH_RETRY_MAX_MS = 30000;
+
+// Evidence limits, matching server/lib/evidence.js
+const MAX_ATTACHMENTS = 3;
+const EVIDENCE_FILE_TYPES = ['image/*', 'application/pdf', 'text/plain'];
+
+// Events the server pushes on /api/student/:studentId/events
+const PUSH_EVENTS = ['snapshot', 'status', 'task', 'checkin'];
+
+// API client method for each focus timer action
+const FOCUS_OPERATIONS = {
+  start: 'startFocus',
+  heartbeat: 'focusHeartbeat',
+  pause: 'pauseFocus',
+  end: 'endFocus',
+};
+
+// Sync answers that leave a queued item for the next try: signed out and
+// rate limiting. Server errors (5xx) are retried too, and so is the 409 with
+// IN_PROGRESS_CODE (an earlier send of the item is still being processed).
+// Any other answer, other conflicts included, is final.
+const RETRY_STATUSES = [401, 429];
+const IN_PROGRESS_CODE = 'request_in_progress';
+
+const isRetryable = (error) =>
+  !(error instanceof ApiError) ||
+  RETRY_STATUSES.includes(error.status) ||
+  error.status >= 500 ||
+  error.code === IN_PROGRESS_CODE;
+
+// Why a submission is still queued, from the error that stopped the sync
+const queuedReason = (error) => {
+  if (!error) return 'Another sync is in progress.';
+  if (!(error instanceof ApiError)) return 'Could not reach the server.';
+  if (error.status === 401) return 'You are signed out.';
+  if (error.code === IN_PROGRESS_CODE) return 'The server is still processing an earlier send.';
+  if (error.status === 429) return 'The server is busy.';
+  return 'The server could not process it right now.';
+};
+
+// Calendar colours for each day state in the progress history
+const DAY_COLORS = {
+  'On Track': '#27AE60',
+  'Needs Intervention': '#E74C3C',
+  Intervention: '#F39C12',
+  Missed: '#BDC3C7',
+};
+const WEEKDAYS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+const CHART_HEIGHT = 80;
+
+// Show notifications (task assigned, work reviewed) while the app is open too
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowAlert: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+// Client-generated request ID, sent as the Idempotency-Key when syncing
+const newRequestId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const loadQueue = async () => JSON.parse((await AsyncStorage.getItem(QUEUE_KEY)) || '[]');
+
+// Formats seconds as M:SS, or H:MM:SS from an hour up
+const formatDuration = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = Math.floor(totalSeconds % 60);
+  const pad = (n) => String(n).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+};
+
 export default function App() {
   // State Management
-  const [students, setStudents] = useState([]);
-  const [selectedStudent, setSelectedStudent] = useState(null);
+  const [session, setSession] = useState(null);
+  const [sessionRestored, setSessionRestored] = useState(false);
   const [studentData, setStudentData] = useState(null);
   const [loading, setLoading] = useState(false);
 
-  // Focus Timer State
-  const [focusMinutes, setFocusMinutes] = useState(0);
-  const [isTimerRunning, setIsTimerRunning] = useState(false);
+  // Sign-in Form State
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+
+  // The signed-in student's ID
+  const selectedStudent = session?.user?.student_id || null;
+
+  // Focus Timer State - the session lives on the server; the app only
+  // heartbeats while timing and ticks the display between responses
+  const [focus, setFocus] = useState(null);
+  const [focusTick, setFocusTick] = useState(Date.now());
   const timerRef = useRef(null);
+  const heartbeatRef = useRef(null);
+  // Background pause not yet confirmed by the server: { reason, paused_at }
+  const backgroundPauseRef = useRef(null);
+  const isTimerRunning = focus?.session?.status === 'active';
+
+  // Quiz State: today's quiz and the chosen answer per question id
+  const [quiz, setQuiz] = useState(null);
+  const [quizAnswers, setQuizAnswers] = useState({});
+  const [quizError, setQuizError] = useState(null);
+
+  // Evidence for submitting the remedial task
+  const [evidenceText, setEvidenceText] = useState('');
+  const [attachments, setAttachments] = useState([]);
+
+  // Correction request for today's check-in (approved by a mentor)
+  const [correctionScore, setCorrectionScore] = useState('');
+  const [correctionReason, setCorrectionReason] = useState('');
 
-  // Quiz State
-  const [quizScore, setQuizScore] = useState('');
+  // Progress history screen
+  const [showHistory, setShowHistory] = useState(false);
+  const [history, setHistory] = useState(null);
 
-  // Polling for status updates
+  // Offline queue: submissions are saved first, then synced
+  const [pendingSync, setPendingSync] = useState([]);
+  const syncingRef = useRef(false);
+
+  // Live updates: server push, with polling only as a fallback
+  const [pushConnected, setPushConnected] = useState(false);
   const pollingRef = useRef(null);
 
-  // Load students on mount
+  // Restore saved session on mount
   useEffect(() => {
-    fetchStudents();
+    restoreSession();
   }, []);
 
-  // Poll for updates when student is locked
+  // Load student status once signed in
   useEffect(() => {
     if (selectedStudent) {
       fetchStudentStatus();
-      
-      // Start polling every 5 seconds when student is in "Needs Intervention" state
-      if (studentData?.student?.status === 'Needs Intervention') {
-        pollingRef.current = setInterval(fetchStudentStatus, 5000);
-      } else {
-        if (pollingRef.current) {
-          clearInterval(pollingRef.current);
-        }
+    }
+  }, [selectedStudent]);
+
+  // Subscribe to pushed status and task changes, reconnecting on drop
+  useEffect(() => {
+    if (!selectedStudent || !session?.token) return;
+
+    let source = null;
+    let retryTimer = null;
+    let retryDelay = PUSH_RETRY_MIN_MS;
+    let unmounted = false;
+
+    const applyEvent = (event) => {
+      const payload = JSON.parse(event.data);
+      setStudentData((prev) => ({ ...prev, student: payload.student }));
+
+      // The task's steps are not part of the pushed student row
+      if (event.type !== 'snapshot' && payload.student.status === 'Remedial') {
+        fetchStudentStatus();
+      }
+    };
+
+    const scheduleReconnect = () => {
+      setPushConnected(false);
+      if (source) source.close();
+      if (unmounted || retryTimer) return;
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        connect();
+      }, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, PUSH_RETRY_MAX_MS);
+    };
+
+    const connect = () => {
+      source = new EventSource(`${API_URL}/api/student/${selectedStudent}/events`, {
+        headers: { Authorization: `Bearer ${session.token}` },
+        pollingInterval: 0, // reconnects are handled by scheduleReconnect
+      });
+      source.addEventListener('open', () => {
+        retryDelay = PUSH_RETRY_MIN_MS;
+        setPushConnected(true);
+      });
+      PUSH_EVENTS.forEach((type) => source.addEventListener(type, applyEvent));
+      source.addEventListener('error', scheduleReconnect);
+      source.addEventListener('close', scheduleReconnect);
+    };
+
+    connect();
+    return () => {
+      unmounted = true;
+      clearTimeout(retryTimer);
+      if (source) {
+        source.removeAllEventListeners();
+        source.close();
       }
+      setPushConnected(false);
+    };
+  }, [selectedStudent, session?.token]);
+
+  // Fallback: poll every 5 seconds while locked and the push channel is down
+  useEffect(() => {
+    if (selectedStudent && !pushConnected && studentData?.student?.status === 'Needs Intervention') {
+      pollingRef.current = setInterval(fetchStudentStatus, 5000);
     }
     return () => {
       if (pollingRef.current) clearInterval(pollingRef.current);
     };
-  }, [selectedStudent, studentData?.student?.status]);
+  }, [selectedStudent, pushConnected, studentData?.student?.status]);
+
+  // Sync queued submissions now and whenever the device comes back online
+  useEffect(() => {
+    if (!selectedStudent) return;
+
+    loadQueue().then(setPendingSync);
+    // NetInfo also reports the current state right after subscribing
+    return NetInfo.addEventListener((state) => {
+      if (state.isConnected) syncPending();
+    });
+  }, [selectedStudent]);
+
+  // Register this device for push notifications once signed in
+  useEffect(() => {
+    if (selectedStudent) {
+      registerForNotifications();
+    }
+  }, [selectedStudent]);
+
+  // Load today's focus time once signed in
+  useEffect(() => {
+    if (selectedStudent) {
+      fetchFocus();
+    }
+  }, [selectedStudent]);
+
+  // Load today's quiz while a check-in is due
+  useEffect(() => {
+    if (selectedStudent && studentData?.checkin_due) {
+      fetchQuiz();
+    }
+  }, [selectedStudent, studentData?.checkin_due]);
+
+  // While timing: tick the display every second and heartbeat the server
+  useEffect(() => {
+    if (!isTimerRunning) return;
+
+    timerRef.current = setInterval(() => setFocusTick(Date.now()), 1000);
+    heartbeatRef.current = setInterval(
+      () => focusAction('heartbeat'),
+      (focus.heartbeat_interval_seconds || 30) * 1000
+    );
+    return () => {
+      clearInterval(timerRef.current);
+      clearInterval(heartbeatRef.current);
+    };
+  }, [isTimerRunning]);
+
+  // Pause the timer when the app goes to the background, reporting when it
+  // did. If the request does not get out before the app is suspended, it is
+  // sent on return and the server still stops the clock at that moment.
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', async (state) => {
+      if (state === 'background' && isTimerRunning) {
+        backgroundPauseRef.current = { reason: 'background', paused_at: new Date().toISOString() };
+      } else if (state !== 'active' || !backgroundPauseRef.current) {
+        return;
+      }
+
+      const data = await focusAction('pause', backgroundPauseRef.current);
+      if (data?.success) backgroundPauseRef.current = null;
+    });
+    return () => subscription.remove();
+  }, [isTimerRunning, selectedStudent]);
 
   // Cleanup timers on unmount
   useEffect(() => {
     return () => {
       if (timerRef.current) clearInterval(timerRef.current);
+      if (heartbeatRef.current) clearInterval(heartbeatRef.current);
       if (pollingRef.current) clearInterval(pollingRef.current);
     };
   }, []);
 
-  // Fetch all students for dropdown
-  const fetchStudents = async () => {
+  // API client for the session - signs out when the session is rejected
+  const api = createApiClient({
+    baseUrl: API_URL,
+    token: session?.token,
+    onUnauthorized: () => signOut(),
+  });
+
+  // Session Functions
+  const restoreSession = async () => {
+    try {
+      const saved = await AsyncStorage.getItem(SESSION_KEY);
+      if (!saved) return;
+
+      // Confirm the saved token is still valid before using it
+      const { token } = JSON.parse(saved);
+      const data = await api.getCurrentUser({ token });
+      setSession({ token, user: data.user });
+    } catch (error) {
+      console.error('Error restoring session:', error);
+    } finally {
+      setSessionRestored(true);
+    }
+  };
+
+  const signIn = async () => {
+    if (!email || !password) {
+      Alert.alert('Error', 'Please enter your email and password');
+      return;
+    }
+
+    setLoading(true);
     try {
-      const response = await fetch(`${API_URL}/api/students`);
-      const data = await response.json();
-      if (data.success) {
-        setStudents(data.students);
+      const data = await api.login({ body: { email: email.trim(), password } });
+      if (data.user.role !== 'student') {
+        Alert.alert('Sign In Failed', 'This app is for student accounts only.');
+        return;
       }
+
+      const newSession = { token: data.token, user: data.user };
+      await AsyncStorage.setItem(SESSION_KEY, JSON.stringify(newSession));
+      setSession(newSession);
+      setPassword('');
+    } catch (error) {
+      if (error instanceof ApiError) {
+        Alert.alert('Sign In Failed', error.message);
+        return;
+      }
+      console.error('Error signing in:', error);
+      Alert.alert('Error', 'Failed to sign in. Check backend connection.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const signOut = async () => {
+    // Stop timing on the server before the token is discarded
+    if (isTimerRunning) {
+      await stopFocusTimer();
+    }
+    await AsyncStorage.removeItem(SESSION_KEY);
+    setSession(null);
+    setStudentData(null);
+    setFocus(null);
+    setQuiz(null);
+    setQuizAnswers({});
+    setQuizError(null);
+    setEvidenceText('');
+    setAttachments([]);
+    setShowHistory(false);
+    setHistory(null);
+  };
+
+  // Sends this device's Expo push token to the server as the student's
+  // push target. Nothing happens if the student declines.
+  const registerForNotifications = async () => {
+    try {
+      const { status } = await Notifications.requestPermissionsAsync();
+      if (status !== 'granted') return;
+
+      const { data: pushToken } = await Notifications.getExpoPushTokenAsync();
+      await api.updateNotificationPreferences({ body: { push_token: pushToken } });
     } catch (error) {
-      console.error('Error fetching students:', error);
-      Alert.alert('Error', 'Failed to load students. Check backend connection.');
+      console.error('Error registering for notifications:', error);
     }
   };
 
@@ -82,98 +395,355 @@ export default function App() {
   const fetchStudentStatus = async () => {
     if (!selectedStudent) return;
     try {
-      const response = await fetch(`${API_URL}/api/student/${selectedStudent}`);
-      const data = await response.json();
-      if (data.success) {
-        setStudentData(data);
-      }
+      setStudentData(await api.getStudentStatus({ studentId: selectedStudent }));
     } catch (error) {
       console.error('Error fetching student status:', error);
     }
   };
 
+  // Last 30 days of check-ins, streaks and interventions
+  const fetchHistory = async () => {
+    try {
+      setHistory(await api.getStudentHistory({ studentId: selectedStudent }));
+    } catch (error) {
+      if (error instanceof ApiError) {
+        Alert.alert('Error', error.message);
+        return;
+      }
+      console.error('Error fetching history:', error);
+      Alert.alert('Error', 'Could not load your history. Check your connection.');
+    }
+  };
+
+  const openHistory = () => {
+    setShowHistory(true);
+    fetchHistory();
+  };
+
   // Focus Timer Functions
-  const startFocusTimer = () => {
-    setIsTimerRunning(true);
-    timerRef.current = setInterval(() => {
-      setFocusMinutes((prev) => prev + 1);
-    }, 60000); // Increment every minute (60000ms)
+  const applyFocus = (data) => {
+    if (data.success) {
+      setFocus({ ...data, fetchedAt: Date.now() });
+      setFocusTick(Date.now());
+    }
   };
 
-  const stopFocusTimer = () => {
-    setIsTimerRunning(false);
-    if (timerRef.current) {
-      clearInterval(timerRef.current);
+  const fetchFocus = async () => {
+    try {
+      applyFocus(await api.getFocus({ studentId: selectedStudent }));
+    } catch (error) {
+      console.error('Error fetching focus session:', error);
     }
   };
 
+  const fetchQuiz = async () => {
+    try {
+      const data = await api.getTodaysQuiz({ studentId: selectedStudent });
+      setQuiz(data.quiz);
+      setQuizError(null);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        setQuizError(error.message);
+        return;
+      }
+      console.error('Error fetching quiz:', error);
+      setQuizError('Could not load today\'s quiz. Check your connection.');
+    }
+  };
+
+  const chooseAnswer = (questionId, choiceIndex) =>
+    setQuizAnswers((answers) => ({ ...answers, [questionId]: choiceIndex }));
+
+  // action: start | heartbeat | pause | end. Heartbeats and background
+  // pauses fail quietly. Returns the server's answer, or null when offline.
+  const focusAction = async (action, options = {}) => {
+    const quiet = action === 'heartbeat' || options.reason === 'background';
+    try {
+      const data = await api[FOCUS_OPERATIONS[action]]({
+        body: { student_id: selectedStudent, ...options },
+      });
+      applyFocus(data);
+      return data;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        if (!quiet) {
+          Alert.alert('Error', error.message);
+        }
+        return error.body;
+      }
+      console.error(`Error on focus ${action}:`, error);
+      if (!quiet) {
+        Alert.alert('Error', 'Could not reach the server. Please try again.');
+      }
+      return null;
+    }
+  };
+
+  const startFocusTimer = () => focusAction('start');
+
+  const stopFocusTimer = () => focusAction('pause');
+
+  // Today's focus time as of the last server response, plus time since then
+  const focusSecondsToday = () => {
+    if (!focus) return 0;
+    const sinceFetch = isTimerRunning ? (focusTick - focus.fetchedAt) / 1000 : 0;
+    return focus.today_seconds + Math.max(0, sinceFetch);
+  };
+
+  // Offline Queue Functions
+  const saveQueue = async (queue) => {
+    await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+    setPendingSync(queue);
+  };
+
+  const enqueueSubmission = async (operation, body) => {
+    const item = {
+      id: newRequestId(),
+      operation,
+      body,
+      student_id: selectedStudent,
+      queued_at: new Date().toISOString(),
+    };
+    await saveQueue([...(await loadQueue()), item]);
+    return item;
+  };
+
+  // Sends this student's queued submissions, oldest first. Returns
+  // { results, stoppedBy }: { item, data } for each one the server answered,
+  // and the retryable error the sync stopped at (so the rest keep their
+  // order for the next try), or null.
+  const syncQueue = async () => {
+    if (syncingRef.current) return { results: [], stoppedBy: null };
+    syncingRef.current = true;
+
+    const results = [];
+    let stoppedBy = null;
+    try {
+      let queue = await loadQueue();
+      for (const item of queue.filter((queued) => queued.student_id === selectedStudent)) {
+        let data;
+        try {
+          data = await api[item.operation]({ body: item.body, idempotencyKey: item.id });
+        } catch (error) {
+          // Still offline, signed out, still processing or a server error: try again later
+          if (isRetryable(error)) {
+            stoppedBy = error;
+            break;
+          }
+          data = error.body || { success: false, error: error.message };
+        }
+
+        // Answered (accepted or rejected): retrying would not change the outcome
+        results.push({ item, data });
+        queue = queue.filter((queued) => queued.id !== item.id);
+        await saveQueue(queue);
+      }
+    } finally {
+      syncingRef.current = false;
+    }
+    return { results, stoppedBy };
+  };
+
+  // Background sync: refresh after anything went through and report rejections
+  const syncPending = async () => {
+    const { results } = await syncQueue();
+    if (results.length === 0) return;
+
+    await fetchStudentStatus();
+    await fetchFocus();
+    results
+      .filter(({ data }) => !data.success)
+      .forEach(({ item, data }) =>
+        Alert.alert('Sync failed', `Your saved ${describeSubmission(item)} was rejected: ${data.error}`)
+      );
+  };
+
+  const describeSubmission = (item) =>
+    item.operation === 'dailyCheckin' ? 'check-in' : 'task completion';
+
+  // Queues a submission and tries to send it right away. Returns the server's
+  // answer, or { queued: true, reason } when it stays queued for a later sync.
+  const submitWithQueue = async (operation, body) => {
+    const item = await enqueueSubmission(operation, body);
+    const { results, stoppedBy } = await syncQueue();
+    const own = results.find((result) => result.item.id === item.id);
+    return own ? own.data : { queued: true, reason: queuedReason(stoppedBy) };
+  };
+
   // Submit daily check-in
   const submitDailyCheckin = async () => {
-    if (!quizScore || quizScore === '') {
-      Alert.alert('Error', 'Please enter your quiz score');
+    if (!quiz) {
+      Alert.alert('Error', quizError || 'Today\'s quiz has not loaded yet');
       return;
     }
 
-    const score = parseInt(quizScore);
-    if (isNaN(score) || score < 0 || score > 10) {
-      Alert.alert('Error', 'Quiz score must be between 0 and 10');
+    const unanswered = quiz.questions.filter((question) => quizAnswers[question.id] === undefined);
+    if (unanswered.length > 0) {
+      Alert.alert('Error', `Please answer every question (${unanswered.length} left)`);
       return;
     }
 
     setLoading(true);
     try {
-      const response = await fetch(`${API_URL}/api/daily-checkin`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          student_id: selectedStudent,
-          quiz_score: score,
-          focus_minutes: focusMinutes,
-        }),
+      const data = await submitWithQueue('dailyCheckin', {
+        student_id: selectedStudent,
+        quiz_id: quiz.id,
+        answers: quiz.questions.map((question) => ({
+          question_id: question.id,
+          choice_index: quizAnswers[question.id],
+        })),
       });
 
-      const data = await response.json();
-      
-      if (data.success) {
-        Alert.alert('Submitted', data.message);
-        
-        // Reset form
-        setFocusMinutes(0);
-        setQuizScore('');
-        stopFocusTimer();
-        
-        // Refresh student status
+      if (data.queued) {
+        setQuizAnswers({});
+        Alert.alert('Saved', `${data.reason} Your check-in is saved and will be sent automatically.`);
+      } else if (data.success) {
+        Alert.alert('Submitted', `Quiz: ${data.quiz.correct}/${data.quiz.total} correct (${data.quiz.score}/10). ${data.message}`);
+
+        // Reset form (the server ended today's focus session)
+        setQuiz(null);
+        setQuizAnswers({});
+
+        // Refresh student status and focus time
         await fetchStudentStatus();
+        await fetchFocus();
       } else {
         Alert.alert('Error', data.error || 'Submission failed');
       }
     } catch (error) {
-      Alert.alert('Error', 'Failed to submit check-in. Please try again.');
+      Alert.alert('Error', 'Failed to save check-in. Please try again.');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Ask a mentor to correct today's quiz score
+  const requestCorrection = async () => {
+    const score = parseInt(correctionScore);
+    if (isNaN(score) || score < 0 || score > 10) {
+      Alert.alert('Error', 'Quiz score must be between 0 and 10');
+      return;
+    }
+    if (!correctionReason.trim()) {
+      Alert.alert('Error', 'Please tell your mentor what went wrong');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const data = await api.requestCorrection({
+        body: {
+          student_id: selectedStudent,
+          checkin_date: studentData?.checkin_date,
+          quiz_score: score,
+          reason: correctionReason.trim(),
+        },
+      });
+      Alert.alert('Sent', data.message);
+      setCorrectionScore('');
+      setCorrectionReason('');
+    } catch (error) {
+      if (error instanceof ApiError) {
+        Alert.alert('Error', error.message);
+        return;
+      }
+      Alert.alert('Error', 'Failed to request a correction. Please try again.');
       console.error(error);
     } finally {
       setLoading(false);
     }
   };
 
-  // Complete remedial task
+  // Tick a step of the assigned task on or off
+  const toggleStep = async (index, done) => {
+    try {
+      const data = await api.updateTaskProgress({
+        body: { student_id: selectedStudent, step: index, done },
+      });
+      setStudentData((prev) => ({ ...prev, task: data.task }));
+    } catch (error) {
+      if (error instanceof ApiError) {
+        Alert.alert('Error', error.message);
+        return;
+      }
+      Alert.alert('Error', 'Failed to save progress. Please try again.');
+      console.error(error);
+    }
+  };
+
+  // Evidence Functions
+  const addAttachment = (file) => {
+    if (attachments.length >= MAX_ATTACHMENTS) {
+      Alert.alert('Error', `You can attach up to ${MAX_ATTACHMENTS} files`);
+      return;
+    }
+    setAttachments((prev) => [...prev, file]);
+  };
+
+  const attachPhoto = async () => {
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      base64: true,
+      quality: 0.6,
+    });
+    if (result.canceled) return;
+
+    const photo = result.assets[0];
+    addAttachment({
+      file_name: photo.fileName || `photo-${Date.now()}.jpg`,
+      content_type: photo.mimeType || 'image/jpeg',
+      data: photo.base64,
+    });
+  };
+
+  const attachFile = async () => {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: EVIDENCE_FILE_TYPES,
+      copyToCacheDirectory: true,
+    });
+    if (result.canceled) return;
+
+    const file = result.assets[0];
+    const data = await FileSystem.readAsStringAsync(file.uri, {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+    addAttachment({ file_name: file.name, content_type: file.mimeType, data });
+  };
+
+  const removeAttachment = (index) => {
+    setAttachments((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  // Submit remedial task with evidence for the mentor's review
   const completeTask = async () => {
+    if (!evidenceText.trim() && attachments.length === 0) {
+      Alert.alert('Error', 'Add a note or attach a photo or file to show your work');
+      return;
+    }
+
     setLoading(true);
     try {
-      const response = await fetch(`${API_URL}/api/complete-task`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ student_id: selectedStudent }),
+      const data = await submitWithQueue('completeTask', {
+        student_id: selectedStudent,
+        evidence_text: evidenceText.trim() || null,
+        attachments,
       });
 
-      const data = await response.json();
-      if (data.success) {
-        Alert.alert('Success', data.message);
+      if (data.queued) {
+        setEvidenceText('');
+        setAttachments([]);
+        Alert.alert('Saved', `${data.reason} Your work is saved and will be sent automatically.`);
+      } else if (data.success) {
+        setEvidenceText('');
+        setAttachments([]);
+        Alert.alert('Submitted', data.message);
         await fetchStudentStatus();
       } else {
-        Alert.alert('Error', data.error || 'Failed to complete task');
+        Alert.alert('Error', data.error || 'Failed to submit task');
       }
     } catch (error) {
-      Alert.alert('Error', 'Failed to complete task. Please try again.');
+      Alert.alert('Error', 'Failed to save your work. Please try again.');
       console.error(error);
     } finally {
       setLoading(false);
@@ -182,26 +752,44 @@ export default function App() {
 
   // RENDER FUNCTIONS FOR DIFFERENT VIEWS
 
-  // Student Selector Screen
-  const renderStudentSelector = () => (
+  // Sign-in Screen
+  const renderSignIn = () => (
     <View style={styles.selectorContainer}>
       <Text style={styles.title}>🎓 Alcovia Focus Mode</Text>
-      <Text style={styles.subtitle}>Select Your Student ID</Text>
-      
-      {students.length === 0 ? (
+      <Text style={styles.subtitle}>Sign in to continue</Text>
+
+      {!sessionRestored ? (
         <ActivityIndicator size="large" color="#4A90E2" style={{ marginTop: 20 }} />
       ) : (
-        students.map((student) => (
+        <View style={styles.signInForm}>
+          <TextInput
+            style={[styles.input, styles.signInInput]}
+            placeholder="Email"
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="email-address"
+            value={email}
+            onChangeText={setEmail}
+          />
+          <TextInput
+            style={[styles.input, styles.signInInput]}
+            placeholder="Password"
+            secureTextEntry
+            value={password}
+            onChangeText={setPassword}
+          />
           <TouchableOpacity
-            key={student.student_id}
             style={styles.studentButton}
-            onPress={() => setSelectedStudent(student.student_id)}
+            onPress={signIn}
+            disabled={loading}
           >
-            <Text style={styles.studentButtonText}>
-              {student.student_id} - {student.name}
-            </Text>
+            {loading ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.studentButtonText}>Sign In</Text>
+            )}
           </TouchableOpacity>
-        ))
+        </View>
       )}
     </View>
   );
@@ -214,49 +802,116 @@ export default function App() {
       </Text>
       <Text style={styles.statusBadge}>✅ Status: Normal</Text>
 
+      {/* Risk Warning - shown when the recent trend is slipping */}
+      {studentData?.student?.risk_action === 'warn' && (
+        <View style={styles.warningBox}>
+          <Text style={styles.warningText}>
+            ⚠️ Your recent scores are slipping (risk {studentData.student.risk_score}/100).
+            Keep your focus time up to stay on track.
+          </Text>
+        </View>
+      )}
+
       {/* Focus Timer Section */}
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>⏱️ Focus Timer</Text>
-        <Text style={styles.timerDisplay}>{focusMinutes} minutes</Text>
+        <Text style={styles.timerDisplay}>{formatDuration(focusSecondsToday())}</Text>
+        <Text style={styles.timerCaption}>Focus time today</Text>
+        {focus?.session?.pause_reason === 'background' && (
+          <Text style={styles.correctionNote}>
+            Paused while the app was in the background. Tap Resume to keep going.
+          </Text>
+        )}
         {!isTimerRunning ? (
           <TouchableOpacity style={styles.primaryButton} onPress={startFocusTimer}>
-            <Text style={styles.buttonText}>Start Focus Timer</Text>
+            <Text style={styles.buttonText}>
+              {focus?.session?.status === 'paused' ? 'Resume Timer' : 'Start Focus Timer'}
+            </Text>
           </TouchableOpacity>
         ) : (
           <TouchableOpacity
             style={[styles.primaryButton, styles.stopButton]}
             onPress={stopFocusTimer}
           >
-            <Text style={styles.buttonText}>Stop Timer</Text>
+            <Text style={styles.buttonText}>Pause Timer</Text>
           </TouchableOpacity>
         )}
       </View>
 
-      {/* Daily Quiz Section */}
-      <View style={styles.section}>
-        <Text style={styles.sectionTitle}>📝 Daily Quiz Score</Text>
-        <TextInput
-          style={styles.input}
-          placeholder="Enter score (0-10)"
-          keyboardType="numeric"
-          value={quizScore}
-          onChangeText={setQuizScore}
-          maxLength={2}
-        />
-      </View>
+      {studentData?.checkin_due === false ? (
+        /* Already checked in today - offer a correction instead */
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>✅ Today's check-in is done</Text>
+          <Text style={styles.correctionNote}>
+            Think your quiz score is wrong? Ask your mentor to correct it.
+          </Text>
+          <TextInput
+            style={[styles.input, { marginBottom: 12 }]}
+            placeholder="Correct score (0-10)"
+            keyboardType="numeric"
+            value={correctionScore}
+            onChangeText={setCorrectionScore}
+            maxLength={2}
+          />
+          <TextInput
+            style={[styles.input, { marginBottom: 12 }]}
+            placeholder="What went wrong?"
+            value={correctionReason}
+            onChangeText={setCorrectionReason}
+          />
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={requestCorrection}
+            disabled={loading}
+          >
+            <Text style={styles.buttonText}>Request Correction</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <>
+          {/* Daily Quiz Section */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>📝 Daily Quiz</Text>
+            {!quiz ? (
+              <Text style={styles.correctionNote}>{quizError || 'Loading today\'s quiz...'}</Text>
+            ) : (
+              quiz.questions.map((question, number) => (
+                <View key={question.id} style={styles.quizQuestion}>
+                  <Text style={styles.quizTopic}>
+                    {question.subject} · {question.topic} · {question.difficulty}
+                  </Text>
+                  <Text style={styles.quizPrompt}>{number + 1}. {question.prompt}</Text>
+                  {question.choices.map((choice, index) => (
+                    <TouchableOpacity
+                      key={index}
+                      style={[
+                        styles.quizChoice,
+                        quizAnswers[question.id] === index && styles.quizChoiceSelected,
+                      ]}
+                      onPress={() => chooseAnswer(question.id, index)}
+                    >
+                      <Text>{choice}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              ))
+            )}
+          </View>
 
-      {/* Submit Button */}
-      <TouchableOpacity
-        style={styles.submitButton}
-        onPress={submitDailyCheckin}
-        disabled={loading}
-      >
-        {loading ? (
-          <ActivityIndicator color="#fff" />
-        ) : (
-          <Text style={styles.buttonText}>Submit Daily Check-in</Text>
-        )}
-      </TouchableOpacity>
+          {/* Submit Button */}
+          <TouchableOpacity
+            style={styles.submitButton}
+            onPress={submitDailyCheckin}
+            disabled={loading}
+          >
+            {loading ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>Submit Daily Check-in</Text>
+            )}
+          </TouchableOpacity>
+        </>
+      )}
     </View>
   );
 
@@ -272,45 +927,293 @@ export default function App() {
       <Text style={styles.lockedSubtext}>
         Your performance needs attention. A mentor is reviewing your progress.
       </Text>
-      <Text style={styles.lockedSubtext} style={{ marginTop: 10, fontSize: 12 }}>
-        (Checking for updates every 5 seconds...)
+      {/* SLA - what happens if no mentor responds in time */}
+      {studentData?.sla?.stage === 'escalated' && (
+        <Text style={[styles.lockedSubtext, { marginTop: 10 }]}>
+          Your mentor has not responded yet, so the program team has been asked to step in.
+        </Text>
+      )}
+      {studentData?.sla?.auto_assign_at && (
+        <Text style={[styles.lockedSubtext, { marginTop: 10 }]}>
+          If nobody responds by {new Date(studentData.sla.auto_assign_at).toLocaleString()}, you will
+          get a practice task automatically.
+        </Text>
+      )}
+      <Text style={[styles.lockedSubtext, { marginTop: 10, fontSize: 12 }]}>
+        {pushConnected
+          ? '(Live updates on - this screen unlocks as soon as your mentor responds)'
+          : '(Checking for updates every 5 seconds...)'}
       </Text>
     </View>
   );
 
   // Remedial State - Task Assignment
-  const renderRemedialState = () => (
-    <View style={styles.remedialContainer}>
-      <Text style={styles.remedialTitle}>📚 Remedial Task Assigned</Text>
-      <Text style={styles.statusBadge}>⚠️ Status: Remedial</Text>
-
-      <View style={styles.taskBox}>
-        <Text style={styles.taskLabel}>Your Task:</Text>
-        <Text style={styles.taskText}>{studentData?.student?.current_task}</Text>
-      </View>
+  const renderRemedialState = () => {
+    const task = studentData?.task;
+    const steps = task?.steps || [];
+    const allStepsDone = steps.every((step) => step.done);
+    const inReview = task?.status === 'Submitted for Review';
+    const sentBack = !inReview && studentData?.submission?.status === 'Rejected';
+
+    return (
+      <View style={styles.remedialContainer}>
+        <Text style={styles.remedialTitle}>📚 Remedial Task Assigned</Text>
+        <Text style={styles.statusBadge}>⚠️ Status: Remedial</Text>
+
+        <View style={styles.taskBox}>
+          <Text style={styles.taskLabel}>Your Task:</Text>
+          <Text style={styles.taskText}>{studentData?.student?.current_task}</Text>
+          {task?.estimated_minutes ? (
+            <Text style={styles.taskMeta}>
+              ⏱️ About {task.estimated_minutes} minutes{task.subject ? ` · ${task.subject}` : ''}
+            </Text>
+          ) : null}
+          {task?.instructions ? (
+            <Text style={styles.taskInstructions}>{task.instructions}</Text>
+          ) : null}
+        </View>
+
+        {/* Mentor feedback on work that was sent back */}
+        {sentBack && (
+          <View style={styles.warningBox}>
+            <Text style={styles.warningText}>
+              ↩️ {studentData.submission.reviewed_by} sent your work back:{'\n'}
+              "{studentData.submission.feedback}"
+            </Text>
+          </View>
+        )}
+
+        {/* Checklist - each tick is saved on the server */}
+        {!inReview && steps.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>
+              ✅ Steps ({task.steps_done} of {steps.length} done)
+            </Text>
+            {steps.map((step, index) => (
+              <TouchableOpacity
+                key={`${index}-${step.title}`}
+                style={styles.stepRow}
+                onPress={() => toggleStep(index, !step.done)}
+              >
+                <Text style={styles.stepCheck}>{step.done ? '☑️' : '⬜'}</Text>
+                <Text style={[styles.stepText, step.done && styles.stepDone]}>{step.title}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
 
-      <TouchableOpacity
-        style={styles.completeButton}
-        onPress={completeTask}
-        disabled={loading}
-      >
-        {loading ? (
-          <ActivityIndicator color="#fff" />
+        {inReview ? (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>⏳ Waiting for review</Text>
+            <Text style={styles.correctionNote}>
+              Your mentor is checking your work. You will be unlocked once it is approved.
+            </Text>
+          </View>
         ) : (
-          <Text style={styles.buttonText}>✓ Mark as Complete</Text>
+          <>
+            {/* Evidence - a note, photos or files for the mentor to check */}
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>📎 Show your work</Text>
+              <TextInput
+                style={[styles.input, { marginBottom: 12 }]}
+                placeholder="What did you do? (optional if you attach something)"
+                multiline
+                value={evidenceText}
+                onChangeText={setEvidenceText}
+              />
+              {attachments.map((file, index) => (
+                <TouchableOpacity
+                  key={`${index}-${file.file_name}`}
+                  style={styles.stepRow}
+                  onPress={() => removeAttachment(index)}
+                >
+                  <Text style={styles.stepText}>📄 {file.file_name}</Text>
+                  <Text style={styles.stepCheck}>✕</Text>
+                </TouchableOpacity>
+              ))}
+              <View style={styles.attachRow}>
+                <TouchableOpacity style={styles.attachButton} onPress={attachPhoto}>
+                  <Text style={styles.attachButtonText}>📷 Photo</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.attachButton} onPress={attachFile}>
+                  <Text style={styles.attachButtonText}>📁 File</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            <TouchableOpacity
+              style={[styles.completeButton, !allStepsDone && styles.disabledButton]}
+              onPress={completeTask}
+              disabled={loading || !allStepsDone}
+            >
+              {loading ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.buttonText}>✓ Submit for Review</Text>
+              )}
+            </TouchableOpacity>
+
+            <Text style={styles.remedialNote}>
+              {allStepsDone
+                ? 'Your mentor will review your work before you return to normal mode.'
+                : 'Tick off every step, then submit your work for review.'}
+            </Text>
+          </>
         )}
-      </TouchableOpacity>
+      </View>
+    );
+  };
 
-      <Text style={styles.remedialNote}>
-        Complete this task to return to normal mode.
-      </Text>
+  // Bar chart of one value per check-in day, scaled to `max`
+  const renderTrend = (title, days, field, max, color) => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{title}</Text>
+      {days.length === 0 ? (
+        <Text style={styles.correctionNote}>No check-ins yet.</Text>
+      ) : (
+        <View style={styles.chart}>
+          {days.map((day) => (
+            <View key={day.date} style={styles.chartColumn}>
+              <View
+                style={[
+                  styles.chartBar,
+                  {
+                    height: Math.max(2, (Math.min(day[field], max) / max) * CHART_HEIGHT),
+                    backgroundColor: color,
+                  },
+                ]}
+              />
+            </View>
+          ))}
+        </View>
+      )}
+      {days.length > 0 && (
+        <View style={styles.chartAxis}>
+          <Text style={styles.chartLabel}>{days[0].date.slice(5)}</Text>
+          <Text style={styles.chartLabel}>{days[days.length - 1].date.slice(5)}</Text>
+        </View>
+      )}
     </View>
   );
 
+  // History Screen - calendar, streaks and trends
+  const renderHistory = () => {
+    if (!history) {
+      return (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#4A90E2" />
+          <Text style={{ marginTop: 20, color: '#7F8C8D' }}>Loading your history...</Text>
+        </View>
+      );
+    }
+
+    const { summary, days } = history;
+    const checkedIn = days.filter((day) => day.quiz_score !== null);
+
+    // Blank cells so the first day lands under its weekday
+    const leading = new Date(`${days[0].date}T00:00:00Z`).getUTCDay();
+    const cells = [...Array(leading).fill(null), ...days];
+
+    return (
+      <View style={styles.mainContainer}>
+        <Text style={styles.welcomeText}>📈 Your Progress</Text>
+        <Text style={styles.historyRange}>
+          {history.range.from} to {history.range.to}
+        </Text>
+
+        <View style={styles.statRow}>
+          <View style={styles.statBox}>
+            <Text style={styles.statValue}>🔥 {summary.current_streak}</Text>
+            <Text style={styles.statLabel}>Day streak</Text>
+          </View>
+          <View style={styles.statBox}>
+            <Text style={styles.statValue}>{summary.best_streak}</Text>
+            <Text style={styles.statLabel}>Best streak</Text>
+          </View>
+          <View style={styles.statBox}>
+            <Text style={styles.statValue}>{summary.average_quiz_score ?? '-'}</Text>
+            <Text style={styles.statLabel}>Avg score</Text>
+          </View>
+          <View style={styles.statBox}>
+            <Text style={styles.statValue}>{summary.average_focus_minutes ?? '-'}</Text>
+            <Text style={styles.statLabel}>Avg focus min</Text>
+          </View>
+        </View>
+
+        {/* Calendar - one square per day, coloured by how it went */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>🗓️ Check-in Calendar</Text>
+          <View style={styles.calendar}>
+            {WEEKDAYS.map((label, index) => (
+              <Text key={`weekday-${index}`} style={styles.calendarHeader}>{label}</Text>
+            ))}
+            {cells.map((day, index) => (
+              <View key={day ? day.date : `blank-${index}`} style={styles.calendarCell}>
+                {day && (
+                  <View
+                    style={[
+                      styles.calendarDay,
+                      { backgroundColor: DAY_COLORS[day.state] || '#ECF0F1' },
+                      day.date === history.range.today && styles.calendarToday,
+                    ]}
+                  >
+                    <Text style={styles.calendarDate}>{Number(day.date.slice(8))}</Text>
+                  </View>
+                )}
+              </View>
+            ))}
+          </View>
+          <View style={styles.legend}>
+            {Object.entries(DAY_COLORS).map(([state, color]) => (
+              <View key={state} style={styles.legendItem}>
+                <View style={[styles.legendSwatch, { backgroundColor: color }]} />
+                <Text style={styles.chartLabel}>{state}</Text>
+              </View>
+            ))}
+          </View>
+          <Text style={styles.correctionNote}>
+            {summary.on_track_days} on track · {summary.needs_intervention_days} flagged ·{' '}
+            {summary.missed_days} missed
+          </Text>
+        </View>
+
+        {renderTrend('📝 Quiz Scores', checkedIn, 'quiz_score', 10, '#4A90E2')}
+        {renderTrend(
+          '⏱️ Focus Minutes',
+          checkedIn,
+          'focus_minutes',
+          Math.max(60, ...checkedIn.map((day) => day.focus_minutes)),
+          '#9B59B6'
+        )}
+
+        {/* Past interventions */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>📚 Interventions</Text>
+          {history.interventions.length === 0 ? (
+            <Text style={styles.correctionNote}>None in this period. Keep it up!</Text>
+          ) : (
+            history.interventions.map((intervention) => (
+              <View key={intervention.id} style={styles.stepRow}>
+                <Text style={styles.stepText}>
+                  {intervention.opened_on}: {intervention.task || 'Waiting for a mentor'}
+                </Text>
+                <Text style={styles.historyStatus}>{intervention.status}</Text>
+              </View>
+            ))
+          )}
+        </View>
+
+        <TouchableOpacity style={styles.primaryButton} onPress={() => setShowHistory(false)}>
+          <Text style={styles.buttonText}>Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
   // Main Content Router
   const renderContent = () => {
     if (!selectedStudent) {
-      return renderStudentSelector();
+      return renderSignIn();
     }
 
     if (!studentData) {
@@ -322,6 +1225,10 @@ export default function App() {
       );
     }
 
+    if (showHistory) {
+      return renderHistory();
+    }
+
     const status = studentData.student.status;
 
     // Route to correct state UI
@@ -344,20 +1251,28 @@ export default function App() {
   return (
     <ScrollView contentContainerStyle={styles.container}>
       {renderContent()}
-      
-      {/* Back Button */}
+
+      {/* Offline Queue - submissions saved on this device but not yet sent */}
+      {selectedStudent && pendingSync.some((item) => item.student_id === selectedStudent) && (
+        <View style={styles.warningBox}>
+          <Text style={styles.warningText}>
+            📡 {pendingSync.filter((item) => item.student_id === selectedStudent).length} submission(s)
+            waiting to sync. They will be sent when you are back online.
+          </Text>
+        </View>
+      )}
+
+      {/* Progress History */}
+      {selectedStudent && studentData && !showHistory && (
+        <TouchableOpacity style={styles.backButton} onPress={openHistory}>
+          <Text style={styles.backButtonText}>📈 View My Progress</Text>
+        </TouchableOpacity>
+      )}
+
+      {/* Sign Out Button */}
       {selectedStudent && (
-        <TouchableOpacity
-          style={styles.backButton}
-          onPress={() => {
-            setSelectedStudent(null);
-            setStudentData(null);
-            setFocusMinutes(0);
-            setQuizScore('');
-            stopFocusTimer();
-          }}
-        >
-          <Text style={styles.backButtonText}>← Change Student</Text>
+        <TouchableOpacity style={styles.backButton} onPress={signOut}>
+          <Text style={styles.backButtonText}>← Sign Out</Text>
         </TouchableOpacity>
       )}
     </ScrollView>
@@ -408,6 +1323,14 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  signInForm: {
+    width: 300,
+    alignItems: 'center',
+  },
+  signInInput: {
+    width: '100%',
+    marginBottom: 12,
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -430,6 +1353,19 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     marginBottom: 30,
   },
+  warningBox: {
+    backgroundColor: '#FFF3CD',
+    padding: 15,
+    borderRadius: 12,
+    marginBottom: 20,
+    borderWidth: 1,
+    borderColor: '#FFC107',
+  },
+  warningText: {
+    fontSize: 14,
+    color: '#856404',
+    lineHeight: 20,
+  },
   section: {
     backgroundColor: '#fff',
     padding: 20,
@@ -454,6 +1390,42 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: 15,
   },
+  correctionNote: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    marginBottom: 15,
+  },
+  quizQuestion: {
+    marginBottom: 20,
+  },
+  quizTopic: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginBottom: 4,
+  },
+  quizPrompt: {
+    fontSize: 16,
+    color: '#2C3E50',
+    marginBottom: 10,
+  },
+  quizChoice: {
+    borderWidth: 1,
+    borderColor: '#BDC3C7',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  quizChoiceSelected: {
+    borderColor: '#4A90E2',
+    backgroundColor: '#EAF2FB',
+  },
+  timerCaption: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    textAlign: 'center',
+    marginTop: -10,
+    marginBottom: 15,
+  },
   primaryButton: {
     backgroundColor: '#4A90E2',
     padding: 15,
@@ -548,6 +1520,57 @@ const styles = StyleSheet.create({
     color: '#2C3E50',
     lineHeight: 24,
   },
+  taskMeta: {
+    fontSize: 14,
+    color: '#856404',
+    marginTop: 10,
+  },
+  taskInstructions: {
+    fontSize: 15,
+    color: '#2C3E50',
+    lineHeight: 22,
+    marginTop: 10,
+  },
+  stepRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ECF0F1',
+  },
+  stepCheck: {
+    fontSize: 20,
+    marginRight: 12,
+  },
+  stepText: {
+    flex: 1,
+    fontSize: 16,
+    color: '#2C3E50',
+  },
+  stepDone: {
+    color: '#7F8C8D',
+    textDecorationLine: 'line-through',
+  },
+  attachRow: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  attachButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#4A90E2',
+    borderRadius: 8,
+    padding: 10,
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  attachButtonText: {
+    color: '#4A90E2',
+    fontWeight: '600',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
   completeButton: {
     backgroundColor: '#27AE60',
     padding: 18,
@@ -565,6 +1588,112 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginTop: 15,
   },
+  historyRange: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  historyStatus: {
+    fontSize: 13,
+    color: '#7F8C8D',
+    marginLeft: 8,
+  },
+  statRow: {
+    flexDirection: 'row',
+    marginBottom: 20,
+  },
+  statBox: {
+    flex: 1,
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    paddingVertical: 12,
+    marginHorizontal: 3,
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#2C3E50',
+  },
+  statLabel: {
+    fontSize: 11,
+    color: '#7F8C8D',
+    marginTop: 4,
+  },
+  calendar: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  calendarHeader: {
+    width: `${100 / 7}%`,
+    textAlign: 'center',
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginBottom: 6,
+  },
+  calendarCell: {
+    width: `${100 / 7}%`,
+    aspectRatio: 1,
+    padding: 2,
+  },
+  calendarDay: {
+    flex: 1,
+    borderRadius: 6,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  calendarToday: {
+    borderWidth: 2,
+    borderColor: '#2C3E50',
+  },
+  calendarDate: {
+    fontSize: 12,
+    color: '#fff',
+    fontWeight: '600',
+  },
+  legend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginVertical: 10,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 12,
+    marginBottom: 4,
+  },
+  legendSwatch: {
+    width: 12,
+    height: 12,
+    borderRadius: 3,
+    marginRight: 4,
+  },
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    height: CHART_HEIGHT,
+  },
+  chartColumn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    paddingHorizontal: 1,
+  },
+  chartBar: {
+    width: '80%',
+    borderTopLeftRadius: 3,
+    borderTopRightRadius: 3,
+  },
+  chartAxis: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 4,
+  },
+  chartLabel: {
+    fontSize: 11,
+    color: '#7F8C8D',
+  },
   backButton: {
     marginTop: 20,
     padding: 10,
@@ -0,0 +1,6 @@
+// index.js - Entry point: registers the app with Expo
+import { registerRootComponent } from 'expo';
+
+import App from './app';
+
+registerRootComponent(App);
@@ -0,0 +1,22 @@
+-- 001_initial_schema.down.sql - Drops every table (and all data)
+
+DROP TABLE IF EXISTS checkin_flags CASCADE;
+DROP TABLE IF EXISTS quiz_answers CASCADE;
+DROP TABLE IF EXISTS daily_quizzes CASCADE;
+DROP TABLE IF EXISTS quiz_questions CASCADE;
+DROP TABLE IF EXISTS notification_preferences CASCADE;
+DROP TABLE IF EXISTS report_digests CASCADE;
+DROP TABLE IF EXISTS submission_attachments CASCADE;
+DROP TABLE IF EXISTS task_submissions CASCADE;
+DROP TABLE IF EXISTS task_templates CASCADE;
+DROP TABLE IF EXISTS checkin_corrections CASCADE;
+DROP TABLE IF EXISTS idempotency_keys CASCADE;
+DROP TABLE IF EXISTS focus_sessions CASCADE;
+DROP TABLE IF EXISTS state_transitions CASCADE;
+DROP TABLE IF EXISTS webhook_outbox CASCADE;
+DROP TABLE IF EXISTS users CASCADE;
+DROP TABLE IF EXISTS intervention_rules CASCADE;
+DROP TABLE IF EXISTS interventions CASCADE;
+DROP TABLE IF EXISTS daily_logs CASCADE;
+DROP TABLE IF EXISTS students CASCADE;
+DROP TABLE IF EXISTS mentors CASCADE;
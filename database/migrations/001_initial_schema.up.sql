@@ -0,0 +1,404 @@
+-- 001_initial_schema.up.sql - Tables and indexes as of the first migration
+--
+-- Sample data lives in database/seed.sql (npm run seed).
+
+-- 1. Students Table
+CREATE TABLE students (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id VARCHAR(50) UNIQUE NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  status VARCHAR(50) DEFAULT 'Normal',
+  cohort VARCHAR(50),
+  mentor_id VARCHAR(50),
+  timezone VARCHAR(64) DEFAULT 'UTC',
+  current_task TEXT,
+  risk_score INTEGER DEFAULT 0,
+  risk_action VARCHAR(20) DEFAULT 'none',
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- 2. Daily Logs Table
+-- One authoritative check-in per student per check-in day (the date on the
+-- student's local clock). Approved corrections update the row in place.
+CREATE TABLE daily_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id VARCHAR(50) REFERENCES students(student_id),
+  -- Scores are NULL on 'Missed' days, logged by the missed check-in job
+  quiz_score INTEGER,
+  focus_minutes INTEGER,
+  status VARCHAR(50) NOT NULL,
+  rule_id VARCHAR(50),
+  rule_version INTEGER,
+  risk_score INTEGER,
+  checkin_date DATE NOT NULL,
+  corrected_at TIMESTAMP,
+  -- Set while a check-in has an integrity flag that was not dismissed
+  flagged BOOLEAN DEFAULT FALSE,
+  logged_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (student_id, checkin_date)
+);
+
+-- 3. Interventions Table
+CREATE TABLE interventions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id VARCHAR(50) REFERENCES students(student_id),
+  reason TEXT NOT NULL,
+  assigned_task TEXT,
+  assigned_by VARCHAR(100),
+  assigned_by_mentor_id VARCHAR(50),
+  assigned_at TIMESTAMP,
+  submitted_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  -- Assigned task details, copied from the template (assigned_task is the title)
+  task_template_id VARCHAR(50),
+  task_instructions TEXT,
+  task_subject VARCHAR(50),
+  task_estimated_minutes INTEGER,
+  task_steps JSONB DEFAULT '[]',
+  priority VARCHAR(20) DEFAULT 'normal',
+  status VARCHAR(50) DEFAULT 'Pending',
+  -- SLA deadlines while Pending (see server/lib/sla.js) and the steps taken
+  -- sla_stage: on_time, reminded, escalated or auto_assigned
+  sla_remind_at TIMESTAMP,
+  sla_escalate_at TIMESTAMP,
+  sla_auto_assign_at TIMESTAMP,
+  sla_stage VARCHAR(20) DEFAULT 'on_time',
+  sla_events JSONB DEFAULT '[]',
+  -- Mentor the intervention was routed to (server/services/mentors.js)
+  -- routing: student_mentor, least_loaded or round_robin
+  mentor_id VARCHAR(50),
+  routing VARCHAR(20),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- 4. Intervention Rules Table
+-- Each edit inserts a new version; older versions are kept inactive for auditing.
+-- A rule targets a cohort, a single student, or (with both NULL) everyone.
+CREATE TABLE intervention_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  rule_id VARCHAR(50) NOT NULL,
+  version INTEGER NOT NULL DEFAULT 1,
+  name VARCHAR(100) NOT NULL,
+  cohort VARCHAR(50),
+  student_id VARCHAR(50) REFERENCES students(student_id),
+  priority INTEGER DEFAULT 0,
+  conditions JSONB NOT NULL,
+  outcome VARCHAR(50) NOT NULL,
+  otherwise_outcome VARCHAR(50),
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (rule_id, version)
+);
+
+-- Default rule: the original logic gate (quiz_score > 7 AND focus_minutes > 60)
+INSERT INTO intervention_rules (rule_id, version, name, conditions, outcome, otherwise_outcome) VALUES
+  ('default-gate', 1, 'Default logic gate',
+   '{"all": [{"field": "quiz_score", "op": ">", "value": 7}, {"field": "focus_minutes", "op": ">", "value": 60}]}',
+   'On Track', 'Needs Intervention');
+
+-- 5. Users Table
+-- Login accounts. Students link to their students row; mentors carry their
+-- mentor_id from the mentors roster.
+CREATE TABLE users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) UNIQUE NOT NULL,
+  password_hash TEXT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  role VARCHAR(20) NOT NULL,
+  student_id VARCHAR(50) REFERENCES students(student_id),
+  mentor_id VARCHAR(50),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- 6. Webhook Outbox Table
+-- Outgoing notifications, written with the change that caused them and
+-- delivered by the server's background dispatcher through the channel's
+-- adapter (server/services/channels/). target is the webhook URL, email
+-- address or push token. Webhooks send the row id as X-Alcovia-Delivery so
+-- receivers can dedupe retries.
+-- channel: n8n, webhook, chat, email, push or console
+CREATE TABLE webhook_outbox (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event VARCHAR(100) NOT NULL,
+  channel VARCHAR(20) DEFAULT 'webhook',
+  target TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending',
+  attempts INTEGER DEFAULT 0,
+  next_attempt_at TIMESTAMP DEFAULT NOW(),
+  last_error TEXT,
+  delivered_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- 7. State Transitions Table
+-- Audit trail of every status change, for students (entity_id = student_id)
+-- and interventions (entity_id = intervention id). Legal transitions are
+-- defined in server/lib/states.js.
+CREATE TABLE state_transitions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  entity_type VARCHAR(20) NOT NULL,
+  entity_id VARCHAR(100) NOT NULL,
+  student_id VARCHAR(50) REFERENCES students(student_id),
+  from_state VARCHAR(50),
+  to_state VARCHAR(50) NOT NULL,
+  actor_id UUID REFERENCES users(id),
+  actor VARCHAR(150) NOT NULL,
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- 8. Focus Sessions Table
+-- Server-tracked focus timer. accumulated_seconds holds finished segments;
+-- the running segment (status 'active') counts from resumed_at, up to a grace
+-- period past last_heartbeat_at. Check-ins derive focus minutes from here.
+-- While paused, paused_at and pause_reason (manual, or background when the
+-- app left the foreground) describe the pause; paused_seconds totals
+-- finished pauses.
+CREATE TABLE focus_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id VARCHAR(50) REFERENCES students(student_id),
+  status VARCHAR(20) DEFAULT 'active',
+  started_at TIMESTAMP DEFAULT NOW(),
+  resumed_at TIMESTAMP,
+  last_heartbeat_at TIMESTAMP,
+  accumulated_seconds INTEGER DEFAULT 0,
+  paused_at TIMESTAMP,
+  pause_reason VARCHAR(20),
+  paused_seconds INTEGER DEFAULT 0,
+  background_pauses INTEGER DEFAULT 0,
+  ended_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- 9. Idempotency Keys Table
+-- Client-generated request IDs (Idempotency-Key header) for check-ins and
+-- task completions synced from the app's offline queue. The stored response
+-- is replayed to retries; status is processing, completed or failed.
+CREATE TABLE idempotency_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  scope VARCHAR(50) NOT NULL,
+  student_id VARCHAR(50) REFERENCES students(student_id),
+  key VARCHAR(100) NOT NULL,
+  request_hash VARCHAR(64),
+  status VARCHAR(20) DEFAULT 'processing',
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (scope, student_id, key)
+);
+
+-- 10. Check-in Corrections Table
+-- A student's request to fix a submitted check-in. A mentor approves
+-- (the daily log is updated and re-graded) or rejects it.
+-- status: Pending, Approved or Rejected
+CREATE TABLE checkin_corrections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id VARCHAR(50) REFERENCES students(student_id),
+  daily_log_id UUID REFERENCES daily_logs(id),
+  checkin_date DATE NOT NULL,
+  quiz_score INTEGER,
+  focus_minutes INTEGER,
+  reason TEXT NOT NULL,
+  status VARCHAR(20) DEFAULT 'Pending',
+  requested_by VARCHAR(100),
+  reviewed_by VARCHAR(100),
+  review_note TEXT,
+  reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- 11. Task Templates Table
+-- Catalog of reusable remedial tasks. steps is an ordered list of step
+-- titles; assigning copies the template onto the intervention.
+CREATE TABLE task_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  template_id VARCHAR(50) UNIQUE NOT NULL,
+  title VARCHAR(200) NOT NULL,
+  instructions TEXT,
+  subject VARCHAR(50),
+  estimated_minutes INTEGER,
+  steps JSONB DEFAULT '[]',
+  active BOOLEAN DEFAULT TRUE,
+  created_by VARCHAR(100),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- 12. Task Submissions Table
+-- Work a student hands in for review. Each submission is approved (the
+-- intervention completes and the student is unlocked) or rejected with
+-- feedback (the task goes back to the student).
+-- status: Submitted, Approved or Rejected
+CREATE TABLE task_submissions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  intervention_id UUID REFERENCES interventions(id),
+  student_id VARCHAR(50) REFERENCES students(student_id),
+  evidence_text TEXT,
+  status VARCHAR(20) DEFAULT 'Submitted',
+  feedback TEXT,
+  reviewed_by VARCHAR(100),
+  reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- 13. Submission Attachments Table
+-- Evidence files (photos, PDFs, text), stored base64-encoded as uploaded
+CREATE TABLE submission_attachments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  submission_id UUID REFERENCES task_submissions(id),
+  file_name VARCHAR(200) NOT NULL,
+  content_type VARCHAR(100) NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  data TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- 14. Report Digests Table
+-- One row per weekly cohort report, claimed before it is sent so the
+-- digest goes out once per week. status: sending, sent or failed
+CREATE TABLE report_digests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  period_from DATE UNIQUE NOT NULL,
+  period_to DATE NOT NULL,
+  status VARCHAR(20) DEFAULT 'sending',
+  delivered_to JSONB DEFAULT '[]',
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- 15. Mentors Table
+-- The mentor roster. students.mentor_id maps each student to a mentor, who
+-- gets their interventions; inactive mentors get no new ones.
+-- last_routed_at drives round-robin routing.
+CREATE TABLE mentors (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  mentor_id VARCHAR(50) UNIQUE NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  phone VARCHAR(50),
+  active BOOLEAN DEFAULT TRUE,
+  last_routed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE students ADD FOREIGN KEY (mentor_id) REFERENCES mentors(mentor_id);
+ALTER TABLE users ADD FOREIGN KEY (mentor_id) REFERENCES mentors(mentor_id);
+ALTER TABLE interventions ADD FOREIGN KEY (mentor_id) REFERENCES mentors(mentor_id);
+
+-- 16. Notification Preferences Table
+-- Per-recipient channel choices and contact targets; recipients without a
+-- row get the server's defaults (NOTIFY_*_CHANNELS).
+-- recipient_type: mentor (mentor_id), student (student_id) or user (users.id)
+CREATE TABLE notification_preferences (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  recipient_type VARCHAR(20) NOT NULL,
+  recipient_id VARCHAR(100) NOT NULL,
+  channels JSONB DEFAULT '[]',
+  muted_events JSONB DEFAULT '[]',
+  email VARCHAR(255),
+  push_token TEXT,
+  chat_url TEXT,
+  webhook_url TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (recipient_type, recipient_id)
+);
+
+-- 17. Daily Quiz Tables
+-- quiz_questions is the question bank (answer_index is the position of the
+-- correct choice). Each student gets one quiz per check-in day with its
+-- questions copied in, so bank edits never change an issued quiz; its
+-- graded answers go to quiz_answers, tagged with subject and topic.
+CREATE TABLE quiz_questions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subject VARCHAR(50) NOT NULL,
+  topic VARCHAR(100) NOT NULL,
+  difficulty VARCHAR(20) DEFAULT 'medium',
+  prompt TEXT NOT NULL,
+  choices JSONB NOT NULL,
+  answer_index INTEGER NOT NULL,
+  explanation TEXT,
+  active BOOLEAN DEFAULT TRUE,
+  created_by VARCHAR(100),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- status: issued or graded; score is 0-10, the check-in's quiz_score
+CREATE TABLE daily_quizzes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id VARCHAR(50) REFERENCES students(student_id),
+  quiz_date DATE NOT NULL,
+  questions JSONB NOT NULL,
+  status VARCHAR(20) DEFAULT 'issued',
+  score INTEGER,
+  correct INTEGER,
+  graded_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (student_id, quiz_date)
+);
+
+-- choice_index is NULL for a skipped question
+CREATE TABLE quiz_answers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  quiz_id UUID REFERENCES daily_quizzes(id),
+  student_id VARCHAR(50) REFERENCES students(student_id),
+  question_id UUID NOT NULL,
+  subject VARCHAR(50) NOT NULL,
+  topic VARCHAR(100) NOT NULL,
+  difficulty VARCHAR(20),
+  choice_index INTEGER,
+  correct BOOLEAN NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- The quiz a check-in's quiz_score came from
+ALTER TABLE daily_logs ADD COLUMN quiz_id UUID REFERENCES daily_quizzes(id);
+
+-- 18. Check-in Flags Table
+-- Check-ins that look implausible or gamed (see server/lib/integrity.js),
+-- kept but held for a mentor to confirm or dismiss.
+-- anomalies: [{ type, detail }]; status: Pending, Confirmed or Dismissed
+CREATE TABLE checkin_flags (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id VARCHAR(50) REFERENCES students(student_id),
+  daily_log_id UUID REFERENCES daily_logs(id),
+  checkin_date DATE NOT NULL,
+  anomalies JSONB DEFAULT '[]',
+  status VARCHAR(20) DEFAULT 'Pending',
+  reviewed_by VARCHAR(100),
+  review_note TEXT,
+  reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_students_student_id ON students(student_id);
+CREATE INDEX idx_students_mentor_id ON students(mentor_id);
+CREATE INDEX idx_daily_logs_student_id ON daily_logs(student_id);
+CREATE INDEX idx_daily_logs_student_logged_at ON daily_logs(student_id, logged_at);
+CREATE INDEX idx_interventions_student_id ON interventions(student_id);
+CREATE INDEX idx_interventions_status ON interventions(status);
+CREATE INDEX idx_webhook_outbox_due ON webhook_outbox(status, next_attempt_at);
+CREATE INDEX idx_state_transitions_student ON state_transitions(student_id, created_at);
+CREATE INDEX idx_focus_sessions_student ON focus_sessions(student_id, started_at);
+CREATE INDEX idx_checkin_corrections_status ON checkin_corrections(status, created_at);
+CREATE INDEX idx_task_submissions_status ON task_submissions(status, created_at);
+CREATE INDEX idx_task_submissions_intervention ON task_submissions(intervention_id);
+CREATE INDEX idx_submission_attachments_submission ON submission_attachments(submission_id);
+CREATE INDEX idx_daily_logs_checkin_date ON daily_logs(checkin_date);
+CREATE INDEX idx_interventions_created_at ON interventions(created_at);
+CREATE INDEX idx_interventions_sla ON interventions(status, sla_stage);
+CREATE INDEX idx_interventions_mentor ON interventions(mentor_id, status);
+CREATE INDEX idx_notification_preferences_push_token ON notification_preferences(push_token);
+CREATE INDEX idx_quiz_questions_topic ON quiz_questions(subject, topic);
+CREATE INDEX idx_quiz_answers_student ON quiz_answers(student_id, created_at);
+CREATE INDEX idx_checkin_flags_status ON checkin_flags(status, created_at);
+CREATE INDEX idx_intervention_rules_active ON intervention_rules(active);
@@ -0,0 +1,69 @@
+-- 002_check_constraints.down.sql - Drops the constraints added by 002
+
+ALTER TABLE students
+  DROP CONSTRAINT IF EXISTS students_status_check,
+  DROP CONSTRAINT IF EXISTS students_risk_action_check,
+  DROP CONSTRAINT IF EXISTS students_risk_score_check;
+
+ALTER TABLE daily_logs
+  DROP CONSTRAINT IF EXISTS daily_logs_status_check,
+  DROP CONSTRAINT IF EXISTS daily_logs_quiz_score_check,
+  DROP CONSTRAINT IF EXISTS daily_logs_focus_minutes_check,
+  DROP CONSTRAINT IF EXISTS daily_logs_risk_score_check;
+
+ALTER TABLE interventions
+  DROP CONSTRAINT IF EXISTS interventions_status_check,
+  DROP CONSTRAINT IF EXISTS interventions_priority_check,
+  DROP CONSTRAINT IF EXISTS interventions_sla_stage_check,
+  DROP CONSTRAINT IF EXISTS interventions_routing_check;
+
+ALTER TABLE intervention_rules
+  DROP CONSTRAINT IF EXISTS intervention_rules_outcome_check,
+  DROP CONSTRAINT IF EXISTS intervention_rules_otherwise_outcome_check;
+
+ALTER TABLE users
+  DROP CONSTRAINT IF EXISTS users_role_check;
+
+ALTER TABLE webhook_outbox
+  DROP CONSTRAINT IF EXISTS webhook_outbox_status_check,
+  DROP CONSTRAINT IF EXISTS webhook_outbox_channel_check,
+  DROP CONSTRAINT IF EXISTS webhook_outbox_attempts_check;
+
+ALTER TABLE state_transitions
+  DROP CONSTRAINT IF EXISTS state_transitions_entity_type_check;
+
+ALTER TABLE focus_sessions
+  DROP CONSTRAINT IF EXISTS focus_sessions_status_check,
+  DROP CONSTRAINT IF EXISTS focus_sessions_pause_reason_check,
+  DROP CONSTRAINT IF EXISTS focus_sessions_seconds_check;
+
+ALTER TABLE idempotency_keys
+  DROP CONSTRAINT IF EXISTS idempotency_keys_status_check;
+
+ALTER TABLE checkin_corrections
+  DROP CONSTRAINT IF EXISTS checkin_corrections_status_check,
+  DROP CONSTRAINT IF EXISTS checkin_corrections_quiz_score_check,
+  DROP CONSTRAINT IF EXISTS checkin_corrections_focus_minutes_check;
+
+ALTER TABLE task_submissions
+  DROP CONSTRAINT IF EXISTS task_submissions_status_check;
+
+ALTER TABLE report_digests
+  DROP CONSTRAINT IF EXISTS report_digests_status_check;
+
+ALTER TABLE notification_preferences
+  DROP CONSTRAINT IF EXISTS notification_preferences_recipient_type_check;
+
+ALTER TABLE quiz_questions
+  DROP CONSTRAINT IF EXISTS quiz_questions_difficulty_check,
+  DROP CONSTRAINT IF EXISTS quiz_questions_answer_index_check;
+
+ALTER TABLE daily_quizzes
+  DROP CONSTRAINT IF EXISTS daily_quizzes_status_check,
+  DROP CONSTRAINT IF EXISTS daily_quizzes_score_check;
+
+ALTER TABLE quiz_answers
+  DROP CONSTRAINT IF EXISTS quiz_answers_choice_index_check;
+
+ALTER TABLE checkin_flags
+  DROP CONSTRAINT IF EXISTS checkin_flags_status_check;
@@ -0,0 +1,110 @@
+-- 002_check_constraints.up.sql - Allowed values for status columns and
+-- ranges for scores
+--
+-- CHECK constraints rather than Postgres enums, so a later migration can
+-- add a status by swapping one constraint. The lists match the server:
+-- lib/states.js (student and intervention statuses), lib/rules.js (rule
+-- outcomes) and lib/integrity.js (check-in ranges; focus_minutes is capped
+-- at a full day here, the server's own limit is configurable below that).
+
+ALTER TABLE students
+  ADD CONSTRAINT students_status_check
+    CHECK (status IN ('Normal', 'Needs Intervention', 'Remedial')),
+  ADD CONSTRAINT students_risk_action_check
+    CHECK (risk_action IN ('none', 'warn', 'lock', 'escalate')),
+  ADD CONSTRAINT students_risk_score_check
+    CHECK (risk_score BETWEEN 0 AND 100);
+
+ALTER TABLE daily_logs
+  ADD CONSTRAINT daily_logs_status_check
+    CHECK (status IN ('On Track', 'Needs Intervention', 'Missed')),
+  ADD CONSTRAINT daily_logs_quiz_score_check
+    CHECK (quiz_score BETWEEN 0 AND 10),
+  ADD CONSTRAINT daily_logs_focus_minutes_check
+    CHECK (focus_minutes BETWEEN 0 AND 1440),
+  ADD CONSTRAINT daily_logs_risk_score_check
+    CHECK (risk_score BETWEEN 0 AND 100);
+
+ALTER TABLE interventions
+  ADD CONSTRAINT interventions_status_check
+    CHECK (status IN ('Pending', 'Assigned', 'Submitted for Review', 'Completed')),
+  ADD CONSTRAINT interventions_priority_check
+    CHECK (priority IN ('normal', 'urgent')),
+  ADD CONSTRAINT interventions_sla_stage_check
+    CHECK (sla_stage IN ('on_time', 'reminded', 'escalated', 'auto_assigned')),
+  ADD CONSTRAINT interventions_routing_check
+    CHECK (routing IN ('student_mentor', 'least_loaded', 'round_robin'));
+
+ALTER TABLE intervention_rules
+  ADD CONSTRAINT intervention_rules_outcome_check
+    CHECK (outcome IN ('On Track', 'Needs Intervention')),
+  ADD CONSTRAINT intervention_rules_otherwise_outcome_check
+    CHECK (otherwise_outcome IN ('On Track', 'Needs Intervention'));
+
+ALTER TABLE users
+  ADD CONSTRAINT users_role_check
+    CHECK (role IN ('student', 'mentor', 'admin'));
+
+ALTER TABLE webhook_outbox
+  ADD CONSTRAINT webhook_outbox_status_check
+    CHECK (status IN ('pending', 'delivered', 'dead')),
+  ADD CONSTRAINT webhook_outbox_channel_check
+    CHECK (channel IN ('n8n', 'webhook', 'chat', 'email', 'push', 'console')),
+  ADD CONSTRAINT webhook_outbox_attempts_check
+    CHECK (attempts >= 0);
+
+ALTER TABLE state_transitions
+  ADD CONSTRAINT state_transitions_entity_type_check
+    CHECK (entity_type IN ('student', 'intervention'));
+
+ALTER TABLE focus_sessions
+  ADD CONSTRAINT focus_sessions_status_check
+    CHECK (status IN ('active', 'paused', 'ended')),
+  ADD CONSTRAINT focus_sessions_pause_reason_check
+    CHECK (pause_reason IN ('manual', 'background')),
+  ADD CONSTRAINT focus_sessions_seconds_check
+    CHECK (accumulated_seconds >= 0 AND paused_seconds >= 0);
+
+ALTER TABLE idempotency_keys
+  ADD CONSTRAINT idempotency_keys_status_check
+    CHECK (status IN ('processing', 'completed', 'failed'));
+
+ALTER TABLE checkin_corrections
+  ADD CONSTRAINT checkin_corrections_status_check
+    CHECK (status IN ('Pending', 'Approved', 'Rejected')),
+  ADD CONSTRAINT checkin_corrections_quiz_score_check
+    CHECK (quiz_score BETWEEN 0 AND 10),
+  ADD CONSTRAINT checkin_corrections_focus_minutes_check
+    CHECK (focus_minutes BETWEEN 0 AND 1440);
+
+ALTER TABLE task_submissions
+  ADD CONSTRAINT task_submissions_status_check
+    CHECK (status IN ('Submitted', 'Approved', 'Rejected'));
+
+ALTER TABLE report_digests
+  ADD CONSTRAINT report_digests_status_check
+    CHECK (status IN ('sending', 'sent', 'failed'));
+
+ALTER TABLE notification_preferences
+  ADD CONSTRAINT notification_preferences_recipient_type_check
+    CHECK (recipient_type IN ('mentor', 'student', 'user'));
+
+ALTER TABLE quiz_questions
+  ADD CONSTRAINT quiz_questions_difficulty_check
+    CHECK (difficulty IN ('easy', 'medium', 'hard')),
+  ADD CONSTRAINT quiz_questions_answer_index_check
+    CHECK (answer_index >= 0 AND answer_index < jsonb_array_length(choices));
+
+ALTER TABLE daily_quizzes
+  ADD CONSTRAINT daily_quizzes_status_check
+    CHECK (status IN ('issued', 'graded')),
+  ADD CONSTRAINT daily_quizzes_score_check
+    CHECK (score BETWEEN 0 AND 10);
+
+ALTER TABLE quiz_answers
+  ADD CONSTRAINT quiz_answers_choice_index_check
+    CHECK (choice_index >= 0);
+
+ALTER TABLE checkin_flags
+  ADD CONSTRAINT checkin_flags_status_check
+    CHECK (status IN ('Pending', 'Confirmed', 'Dismissed'));
@@ -0,0 +1,13 @@
+-- 003_updated_at_triggers.down.sql - Drops the updated_at triggers
+
+DROP TRIGGER IF EXISTS students_updated_at ON students;
+DROP TRIGGER IF EXISTS webhook_outbox_updated_at ON webhook_outbox;
+DROP TRIGGER IF EXISTS focus_sessions_updated_at ON focus_sessions;
+DROP TRIGGER IF EXISTS idempotency_keys_updated_at ON idempotency_keys;
+DROP TRIGGER IF EXISTS task_templates_updated_at ON task_templates;
+DROP TRIGGER IF EXISTS report_digests_updated_at ON report_digests;
+DROP TRIGGER IF EXISTS mentors_updated_at ON mentors;
+DROP TRIGGER IF EXISTS notification_preferences_updated_at ON notification_preferences;
+DROP TRIGGER IF EXISTS quiz_questions_updated_at ON quiz_questions;
+
+DROP FUNCTION IF EXISTS set_updated_at();
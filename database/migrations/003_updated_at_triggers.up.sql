@@ -0,0 +1,30 @@
+-- 003_updated_at_triggers.up.sql - Keeps updated_at current on every update
+--
+-- The server still sets updated_at itself (the memory driver has no
+-- triggers); the trigger covers anything else that writes to the database.
+
+CREATE OR REPLACE FUNCTION set_updated_at() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER students_updated_at BEFORE UPDATE ON students
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE TRIGGER webhook_outbox_updated_at BEFORE UPDATE ON webhook_outbox
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE TRIGGER focus_sessions_updated_at BEFORE UPDATE ON focus_sessions
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE TRIGGER idempotency_keys_updated_at BEFORE UPDATE ON idempotency_keys
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE TRIGGER task_templates_updated_at BEFORE UPDATE ON task_templates
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE TRIGGER report_digests_updated_at BEFORE UPDATE ON report_digests
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE TRIGGER mentors_updated_at BEFORE UPDATE ON mentors
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE TRIGGER notification_preferences_updated_at BEFORE UPDATE ON notification_preferences
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+CREATE TRIGGER quiz_questions_updated_at BEFORE UPDATE ON quiz_questions
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
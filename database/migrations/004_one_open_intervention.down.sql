@@ -0,0 +1,3 @@
+-- 004_one_open_intervention.down.sql - Drops the one-open-intervention rule
+
+DROP INDEX IF EXISTS idx_interventions_one_open;
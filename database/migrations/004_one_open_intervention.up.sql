@@ -0,0 +1,8 @@
+-- 004_one_open_intervention.up.sql - At most one open intervention per student
+--
+-- Every intervention that is not Completed counts as open. Fails if a
+-- student already has two; close the extra one first.
+
+CREATE UNIQUE INDEX idx_interventions_one_open
+  ON interventions(student_id)
+  WHERE status <> 'Completed';
@@ -0,0 +1,10 @@
+-- 005_outbox_sending.down.sql - Drops the 'sending' outbox status
+--
+-- Claimed rows go back to 'pending' and are sent on the next tick.
+
+UPDATE webhook_outbox SET status = 'pending' WHERE status = 'sending';
+
+ALTER TABLE webhook_outbox
+  DROP CONSTRAINT webhook_outbox_status_check,
+  ADD CONSTRAINT webhook_outbox_status_check
+    CHECK (status IN ('pending', 'delivered', 'dead'));
@@ -0,0 +1,10 @@
+-- 005_outbox_sending.up.sql - Outbox rows a dispatcher has claimed
+--
+-- A dispatcher moves a due delivery to 'sending' (with a lease in
+-- next_attempt_at) before sending it, so two server instances never send
+-- the same delivery.
+
+ALTER TABLE webhook_outbox
+  DROP CONSTRAINT webhook_outbox_status_check,
+  ADD CONSTRAINT webhook_outbox_status_check
+    CHECK (status IN ('pending', 'sending', 'delivered', 'dead'));
@@ -0,0 +1,7 @@
+-- 006_webhook_secrets.down.sql - Drops the per-recipient webhook secrets
+
+ALTER TABLE webhook_outbox
+  DROP COLUMN recipient_type,
+  DROP COLUMN recipient_id;
+
+ALTER TABLE notification_preferences DROP COLUMN webhook_secret;
@@ -0,0 +1,17 @@
+-- 006_webhook_secrets.up.sql - A signing secret per recipient webhook
+--
+-- Recipient webhooks were signed with WEBHOOK_SIGNING_SECRET, the secret
+-- n8n callbacks are verified with, so any recipient could forge a
+-- callback. Each recipient with a webhook_url now has its own secret, and
+-- outbox rows record whose preferences their target came from so the
+-- dispatcher can look it up.
+
+ALTER TABLE notification_preferences ADD COLUMN webhook_secret TEXT;
+
+UPDATE notification_preferences
+  SET webhook_secret = replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', '')
+  WHERE webhook_url IS NOT NULL;
+
+ALTER TABLE webhook_outbox
+  ADD COLUMN recipient_type VARCHAR(20),
+  ADD COLUMN recipient_id VARCHAR(100);
@@ -0,0 +1,3 @@
+-- 007_job_runs.down.sql - Drops the scheduled job run times
+
+DROP TABLE IF EXISTS job_runs;
@@ -0,0 +1,15 @@
+-- 007_job_runs.up.sql - When each scheduled job last finished a full pass
+--
+-- The missed check-in job backfills from its last run instead of a fixed
+-- number of days, so it needs to remember when that was.
+
+CREATE TABLE job_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job VARCHAR(50) UNIQUE NOT NULL,
+  last_run_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TRIGGER job_runs_updated_at BEFORE UPDATE ON job_runs
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
@@ -0,0 +1,11 @@
+-- 008_sla_auto_assign_failed.down.sql - Drops the 'auto_assign_failed' SLA stage
+--
+-- Those interventions go back to 'escalated', and the scheduler retries
+-- their auto-assign on the next poll.
+
+UPDATE interventions SET sla_stage = 'escalated' WHERE sla_stage = 'auto_assign_failed';
+
+ALTER TABLE interventions
+  DROP CONSTRAINT interventions_sla_stage_check,
+  ADD CONSTRAINT interventions_sla_stage_check
+    CHECK (sla_stage IN ('on_time', 'reminded', 'escalated', 'auto_assigned'));
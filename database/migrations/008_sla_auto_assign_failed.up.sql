@@ -0,0 +1,9 @@
+-- 008_sla_auto_assign_failed.up.sql - A final SLA stage for failed auto-assigns
+--
+-- An auto-assign that fails SLA_AUTO_ASSIGN_MAX_FAILURES times moves the
+-- intervention to 'auto_assign_failed', and the scheduler stops retrying it.
+
+ALTER TABLE interventions
+  DROP CONSTRAINT interventions_sla_stage_check,
+  ADD CONSTRAINT interventions_sla_stage_check
+    CHECK (sla_stage IN ('on_time', 'reminded', 'escalated', 'auto_assigned', 'auto_assign_failed'));
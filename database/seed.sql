@@ -0,0 +1,72 @@
+-- seed.sql - Sample data for local development and demos
+--
+-- Applied by `npm run seed` after the migrations. Safe to run again: rows
+-- that already exist are left alone. Matches SEED in
+-- server/storage/schema.js, which the memory driver loads.
+
+-- Sample mentor
+INSERT INTO mentors (mentor_id, name, email) VALUES
+  ('M001', 'Maya Mentor', 'mentor@alcovia.dev')
+ON CONFLICT (mentor_id) DO NOTHING;
+
+-- Sample students
+INSERT INTO students (student_id, name, status, mentor_id) VALUES
+  ('S001', 'Alice Johnson', 'Normal', 'M001'),
+  ('S002', 'Bob Smith', 'Normal', 'M001'),
+  ('S003', 'Charlie Davis', 'Normal', 'M001')
+ON CONFLICT (student_id) DO NOTHING;
+
+-- Sample accounts (password for all: alcovia123)
+INSERT INTO users (email, password_hash, name, role, student_id, mentor_id) VALUES
+  ('admin@alcovia.dev', 'scrypt$a1c0v1a5eed5a1t0$860e41bda87d75305c6e805cd3c6473fdf233f878f3a19966c350c1df324888e047fce8573bf38cfc55b9af724f8c2106542334acc42c0a70478f3ede824ccab', 'Program Admin', 'admin', NULL, NULL),
+  ('mentor@alcovia.dev', 'scrypt$a1c0v1a5eed5a1t0$860e41bda87d75305c6e805cd3c6473fdf233f878f3a19966c350c1df324888e047fce8573bf38cfc55b9af724f8c2106542334acc42c0a70478f3ede824ccab', 'Maya Mentor', 'mentor', NULL, 'M001'),
+  ('alice@alcovia.dev', 'scrypt$a1c0v1a5eed5a1t0$860e41bda87d75305c6e805cd3c6473fdf233f878f3a19966c350c1df324888e047fce8573bf38cfc55b9af724f8c2106542334acc42c0a70478f3ede824ccab', 'Alice Johnson', 'student', 'S001', NULL),
+  ('bob@alcovia.dev', 'scrypt$a1c0v1a5eed5a1t0$860e41bda87d75305c6e805cd3c6473fdf233f878f3a19966c350c1df324888e047fce8573bf38cfc55b9af724f8c2106542334acc42c0a70478f3ede824ccab', 'Bob Smith', 'student', 'S002', NULL),
+  ('charlie@alcovia.dev', 'scrypt$a1c0v1a5eed5a1t0$860e41bda87d75305c6e805cd3c6473fdf233f878f3a19966c350c1df324888e047fce8573bf38cfc55b9af724f8c2106542334acc42c0a70478f3ede824ccab', 'Charlie Davis', 'student', 'S003', NULL)
+ON CONFLICT (email) DO NOTHING;
+
+-- Task template catalog
+INSERT INTO task_templates (template_id, title, instructions, subject, estimated_minutes, steps) VALUES
+  ('chapter-review', 'Read Chapter 4 and complete exercises',
+   'Re-read the chapter behind this week''s quiz and work through its exercises.',
+   'General', 45,
+   '["Re-read the chapter", "Summarise the key ideas in your own words", "Complete the end-of-chapter exercises", "Check your answers and note anything still unclear"]'),
+  ('quiz-retake', 'Practice quiz retake',
+   'Go over the questions you missed, then take the practice quiz again.',
+   'General', 30,
+   '["Review every question you got wrong", "Retake the practice quiz", "Write down one thing you will do differently"]'),
+  ('focus-reset', 'Focus reset',
+   'Rebuild the study habit with one distraction-free session.',
+   'Study skills', 25,
+   '["Put your phone in another room", "Complete one 25-minute focus session", "Plan tomorrow''s study block"]')
+ON CONFLICT (template_id) DO NOTHING;
+
+-- Sample question bank, added only while the bank is empty
+INSERT INTO quiz_questions (subject, topic, difficulty, prompt, choices, answer_index, explanation)
+SELECT subject, topic, difficulty, prompt, choices::jsonb, answer_index, explanation FROM (VALUES
+  ('Math', 'Fractions', 'easy', 'What is 1/2 + 1/4?',
+   '["2/6", "3/4", "1/8", "2/4"]', 1, '1/2 is 2/4, and 2/4 + 1/4 = 3/4.'),
+  ('Math', 'Fractions', 'medium', 'What is 2/3 of 18?',
+   '["6", "9", "12", "27"]', 2, '18 / 3 = 6, and 6 x 2 = 12.'),
+  ('Math', 'Algebra', 'easy', 'Solve for x: x + 7 = 12',
+   '["5", "7", "12", "19"]', 0, 'Subtract 7 from both sides.'),
+  ('Math', 'Algebra', 'hard', 'Solve for x: 3x - 4 = 2x + 5',
+   '["1", "4.5", "9", "-9"]', 2, 'Subtract 2x from both sides, then add 4.'),
+  ('Math', 'Percentages', 'medium', 'What is 15% of 80?',
+   '["8", "12", "15", "20"]', 1, '10% of 80 is 8 and 5% is 4, so 15% is 12.'),
+  ('Science', 'Cells', 'easy', 'Which part of a cell contains its genetic material?',
+   '["Cell membrane", "Cytoplasm", "Nucleus", "Ribosome"]', 2, 'DNA is kept in the nucleus.'),
+  ('Science', 'Cells', 'medium', 'Where does photosynthesis take place in a plant cell?',
+   '["Mitochondria", "Chloroplasts", "Vacuole", "Cell wall"]', 1, 'Chloroplasts hold the chlorophyll that captures light.'),
+  ('Science', 'Forces', 'medium', 'A 2 kg object accelerates at 3 m/s². What force acts on it?',
+   '["1.5 N", "5 N", "6 N", "9 N"]', 2, 'F = m x a = 2 x 3 = 6 N.'),
+  ('Science', 'Forces', 'hard', 'Which of these does NOT change when an object is taken to the Moon?',
+   '["Its weight", "Its mass", "The force of gravity on it", "How high it can jump"]', 1, 'Mass is the amount of matter; weight depends on gravity.'),
+  ('English', 'Grammar', 'easy', 'Which sentence is correct?',
+   '["Their going to the park.", "They''re going to the park.", "There going to the park.", "Theyre going to the park."]', 1, 'They''re is short for they are.'),
+  ('English', 'Grammar', 'medium', 'Which word is an adverb in "She quickly finished her homework"?',
+   '["She", "quickly", "finished", "homework"]', 1, 'Quickly describes how she finished.'),
+  ('English', 'Vocabulary', 'hard', 'What does "ephemeral" mean?',
+   '["Lasting a very short time", "Extremely large", "Easily angered", "Full of light"]', 0, 'Ephemeral things last only briefly.')
+) AS sample (subject, topic, difficulty, prompt, choices, answer_index, explanation)
+WHERE NOT EXISTS (SELECT 1 FROM quiz_questions);
@@ -0,0 +1,793 @@
+// app.js - Alcovia Intervention Engine routes
+//
+// createApp() wires the HTTP API to a storage adapter (see storage/), so the
+// same routes run against Supabase in production and in memory locally.
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const { evaluateCheckin, validateRule } = require('./lib/rules');
+const { WINDOW_DAYS, scoreHistory } = require('./lib/risk');
+const { ROLES, hashPassword, verifyPassword, signToken, publicUser } = require('./lib/auth');
+const { authenticate, requireRole, authorizeStudent } = require('./middleware/auth');
+const { callbackUserFor, isSignedCallback, verifyCallback } = require('./middleware/callback');
+const { idempotent } = require('./middleware/idempotency');
+const { validateRequest } = require('./middleware/validate');
+const { errorEnvelope, notFound, handleErrors } = require('./middleware/errors');
+const { HttpError, sendError } = require('./lib/errors');
+const { flagStudent, assignIntervention } = require('./services/interventions');
+const { actorFor } = require('./services/transitions');
+const { publishStudentEvent, subscribeToStudent } = require('./lib/events');
+const { DEFAULT_TIMEZONE, checkinDate, dayStart, addDays, daysBetween, isValidDate, isValidTimezone } = require('./lib/days');
+const { DEFAULT_RANGE_DAYS, MAX_RANGE_DAYS, buildHistory } = require('./lib/history');
+const { taskInput, presentTask } = require('./lib/tasks');
+const { presentSla } = require('./lib/sla');
+const { endOpenSession, focusSecondsSince } = require('./services/focus');
+const { findCheckin, requestCorrection, flagCheckin } = require('./services/checkins');
+const { validateCheckinValues, detectAnomalies } = require('./lib/integrity');
+const { findCurrentTask } = require('./services/tasks');
+const { presentSubmission, latestSubmission, submitTask } = require('./services/submissions');
+const { gradeQuiz, quizAnswers } = require('./services/quiz');
+const { EVIDENCE_BODY_LIMIT, validateEvidence } = require('./lib/evidence');
+const { createMentorRouter } = require('./routes/mentor');
+const { createAdminRouter } = require('./routes/admin');
+const { createFocusRouter } = require('./routes/focus');
+const { createTaskRouter } = require('./routes/tasks');
+const { createReportRouter } = require('./routes/reports');
+const { createNotificationRouter } = require('./routes/notifications');
+const { createQuizRouter } = require('./routes/quiz');
+const { spec } = require('./openapi');
+
+// Comment line sent on idle SSE connections so proxies keep them open
+const SSE_HEARTBEAT_MS = 25000;
+
+const createApp = (storage, {
+  n8nWebhookUrl = process.env.N8N_WEBHOOK_URL,
+  authSecret = process.env.AUTH_SECRET,
+  webhookSecret = process.env.WEBHOOK_SIGNING_SECRET
+} = {}) => {
+  if (!authSecret) {
+    throw new Error('AUTH_SECRET must be set to sign session tokens');
+  }
+
+  const app = express();
+  const requireUser = authenticate(storage, authSecret);
+  const canAccess = authorizeStudent(storage);
+  const requireMentor = requireRole('mentor', 'admin');
+  const requireStudent = requireRole('student', 'admin');
+
+  // Signed n8n callbacks skip session auth; anything else needs a mentor or
+  // admin session
+  const callbackOrMentor = (req, res, next) => {
+    if (isSignedCallback(req)) return verifyCallback(webhookSecret)(req, res, next);
+    requireUser(req, res, () => requireMentor(req, res, next));
+  };
+
+  // Error for a mentor_id that is not on the roster (null when it is, or unset)
+  const unknownMentor = async (mentorId) =>
+    mentorId && !(await storage.mentors.findOne({ mentor_id: mentorId }))
+      ? `Unknown mentor: ${mentorId}`
+      : null;
+
+  // Middleware
+  app.use(cors());
+  app.use(errorEnvelope);
+  // Task evidence carries attached photos and files; every other route keeps
+  // the default body limit. Both keep the exact bytes, so signed callbacks
+  // can be verified and Idempotency-Keys matched to their request.
+  const keepRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+  };
+  app.post('/api/complete-task', express.json({ limit: EVIDENCE_BODY_LIMIT, verify: keepRawBody }));
+  app.use(express.json({ verify: keepRawBody }));
+
+  // Every request is checked against the OpenAPI document before its route
+  app.use(validateRequest(spec));
+
+  // Mentor dashboard (static web view; signs in against the API)
+  app.use('/mentor', express.static(path.join(__dirname, 'public', 'mentor')));
+
+  // Health Check
+  app.get('/', (req, res) => {
+    res.json({
+      status: 'Alcovia Intervention Engine Running',
+      storage: storage.driver,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // GET /openapi.json - The API contract (openapi/), public
+  app.get('/api/openapi.json', (req, res) => {
+    res.json(spec);
+  });
+
+  // POST /auth/login - Exchange email + password for a session token
+  app.post('/api/auth/login', async (req, res) => {
+    try {
+      const { email, password } = req.body;
+
+      if (!email || !password) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: email, password'
+        });
+      }
+
+      const user = await storage.users.findOne({ email: String(email).toLowerCase() });
+      if (!user || !verifyPassword(password, user.password_hash)) {
+        return res.status(401).json({ success: false, error: 'Invalid email or password' });
+      }
+
+      const token = signToken({ sub: user.id, role: user.role }, authSecret);
+      res.json({ success: true, token, user: publicUser(user) });
+    } catch (error) {
+      console.error('Error logging in:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /assign-intervention - Called by n8n after mentor approval (signed
+  // callback), or directly by a mentor or admin session.
+  // Idempotent: once the intervention has left Pending, repeats and late
+  // callbacks get the original assignment back and change nothing. The
+  // assignment, the student's Remedial status and the notification commit
+  // together.
+  app.post('/api/assign-intervention', callbackOrMentor, canAccess, async (req, res) => {
+    try {
+      const { student_id, task, template_id, intervention_id } = req.body;
+
+      if (!student_id || (!task && !template_id) || !intervention_id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: student_id, intervention_id, and task or template_id'
+        });
+      }
+
+      const intervention = await storage.interventions.findOne({ id: intervention_id, student_id });
+      if (!intervention) {
+        return res.status(404).json({
+          success: false,
+          error: 'No intervention with that id for this student'
+        });
+      }
+
+      const user = req.callback && intervention.mentor_id
+        ? callbackUserFor(await storage.mentors.findOne({ mentor_id: intervention.mentor_id }))
+        : req.user;
+
+      const result = intervention.status === 'Pending'
+        ? await assignIntervention(storage, {
+          student: req.student,
+          interventionId: intervention_id,
+          task: taskInput(req.body),
+          user
+        })
+        : { intervention, duplicate: true };
+
+      if (result.duplicate) {
+        console.log(`Ignoring repeat assignment for intervention ${intervention_id} (${result.intervention.status})`);
+      }
+
+      res.json({
+        success: true,
+        duplicate: result.duplicate,
+        message: result.duplicate
+          ? `Intervention was already ${result.intervention.status.toLowerCase()}`
+          : 'Intervention assigned successfully',
+        intervention_id,
+        task: result.intervention.assigned_task
+      });
+    } catch (error) {
+      console.error('Error assigning intervention:', error);
+      sendError(res, error);
+    }
+  });
+
+  // Every other API route requires a signed-in user
+  app.use('/api', requireUser);
+
+  // Mentor dashboard API
+  app.use('/api/mentor', requireMentor, createMentorRouter(storage));
+
+  // Task catalog and step progress API
+  app.use('/api/tasks', createTaskRouter(storage));
+
+  // Focus session API
+  app.use('/api/focus', createFocusRouter(storage));
+
+  // Admin operations API
+  app.use('/api/admin', requireRole('admin'), createAdminRouter(storage));
+
+  // Cohort reports and digest for program leads
+  app.use('/api/reports', requireRole('admin'), createReportRouter(storage));
+
+  // Notification preferences
+  app.use('/api/notifications', createNotificationRouter(storage));
+
+  // Daily quiz and question bank
+  app.use('/api/quiz', createQuizRouter(storage));
+
+  // GET /auth/me - Current user (used to restore a saved session)
+  app.get('/api/auth/me', (req, res) => {
+    res.json({ success: true, user: publicUser(req.user) });
+  });
+
+  // Get students visible to the caller (admins: all, mentors: their own, students: self)
+  app.get('/api/students', async (req, res) => {
+    try {
+      const { role, student_id, mentor_id } = req.user;
+      const filter = role === 'admin' ? {} : role === 'mentor' ? { mentor_id } : { student_id };
+
+      const students = await storage.students.find(filter, { orderBy: 'student_id' });
+      res.json({ success: true, students });
+    } catch (error) {
+      console.error('Error fetching students:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /students - Admin adds a student to the roster
+  app.post('/api/students', requireRole('admin'), async (req, res) => {
+    try {
+      const { student_id, name, cohort = null, mentor_id = null, timezone = DEFAULT_TIMEZONE } = req.body;
+
+      if (!student_id || !name) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: student_id, name'
+        });
+      }
+      if (!isValidTimezone(timezone)) {
+        return res.status(400).json({ success: false, error: `Unknown time zone: ${timezone}` });
+      }
+      const mentorError = await unknownMentor(mentor_id);
+      if (mentorError) {
+        return res.status(400).json({ success: false, error: mentorError });
+      }
+
+      const student = await storage.students.insert({ student_id, name, cohort, mentor_id, timezone });
+
+      console.log(`Student ${student_id} added to roster`);
+
+      res.status(201).json({ success: true, student });
+    } catch (error) {
+      console.error('Error adding student:', error);
+      sendError(res, error);
+    }
+  });
+
+  // PATCH /students/:studentId - Admin edits roster details
+  app.patch('/api/students/:studentId', requireRole('admin'), canAccess, async (req, res) => {
+    try {
+      const fields = {};
+      for (const key of ['name', 'cohort', 'mentor_id', 'timezone']) {
+        if (req.body[key] !== undefined) fields[key] = req.body[key];
+      }
+      if (fields.timezone !== undefined && !isValidTimezone(fields.timezone)) {
+        return res.status(400).json({ success: false, error: `Unknown time zone: ${fields.timezone}` });
+      }
+      const mentorError = await unknownMentor(fields.mentor_id);
+      if (mentorError) {
+        return res.status(400).json({ success: false, error: mentorError });
+      }
+
+      const [student] = await storage.students.update(
+        { student_id: req.student.student_id },
+        { ...fields, updated_at: new Date().toISOString() }
+      );
+
+      res.json({ success: true, student });
+    } catch (error) {
+      console.error('Error updating student:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /users - Admin creates a login for a student, mentor or admin
+  app.post('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+      const { email, password, name, role, student_id = null, mentor_id = null } = req.body;
+
+      if (!email || !password || !name || !role) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: email, password, name, role'
+        });
+      }
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `role must be one of: ${ROLES.join(', ')}`
+        });
+      }
+      if (role === 'student' && !student_id) {
+        return res.status(400).json({ success: false, error: 'Student accounts need a student_id' });
+      }
+      if (role === 'mentor' && !mentor_id) {
+        return res.status(400).json({ success: false, error: 'Mentor accounts need a mentor_id' });
+      }
+      const mentorError = role === 'mentor' && await unknownMentor(mentor_id);
+      if (mentorError) {
+        return res.status(400).json({ success: false, error: mentorError });
+      }
+
+      const user = await storage.users.insert({
+        email: String(email).toLowerCase(),
+        password_hash: hashPassword(password),
+        name,
+        role,
+        student_id: role === 'student' ? student_id : null,
+        mentor_id: role === 'mentor' ? mentor_id : null
+      });
+
+      console.log(`Created ${role} account ${user.email}`);
+
+      res.status(201).json({ success: true, user: publicUser(user) });
+    } catch (error) {
+      console.error('Error creating user:', error);
+      sendError(res, error);
+    }
+  });
+
+  // Get student status
+  app.get('/api/student/:studentId', canAccess, async (req, res) => {
+    try {
+      const { studentId } = req.params;
+      const { student } = req;
+
+      // Get pending intervention if exists
+      const intervention = await storage.interventions.findOne(
+        { student_id: studentId, status: 'Pending' },
+        { orderBy: 'created_at', ascending: false }
+      );
+
+      // Today's check-in is due until it is logged (and only while unlocked)
+      const today = checkinDate(student.timezone);
+      const todaysCheckin = await findCheckin(storage, student, today);
+
+      // The assigned task with its steps and latest review, while in Remedial
+      const current = student.status === 'Remedial' ? await findCurrentTask(storage, studentId) : null;
+      const submission = current && await latestSubmission(storage, current.id);
+
+      res.json({
+        success: true,
+        student,
+        intervention,
+        sla: presentSla(intervention),
+        task: presentTask(current),
+        submission: await presentSubmission(storage, submission),
+        checkin_date: today,
+        checkin_due: student.status === 'Normal' && !todaysCheckin
+      });
+    } catch (error) {
+      console.error('Error fetching student:', error);
+      sendError(res, error);
+    }
+  });
+
+  // GET /student/:studentId/events - Server-Sent Events stream of status and
+  // task changes. Starts with a snapshot of the current student row.
+  app.get('/api/student/:studentId/events', canAccess, (req, res) => {
+    const { studentId } = req.params;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    res.write('retry: 5000\n\n');
+    send({ type: 'snapshot', student: req.student, at: new Date().toISOString() });
+
+    const unsubscribe = subscribeToStudent(studentId, send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  // GET /student/:studentId/timeline - Every status change for the student
+  // and their interventions, oldest first
+  app.get('/api/student/:studentId/timeline', canAccess, async (req, res) => {
+    try {
+      const timeline = await storage.transitions.find(
+        { student_id: req.student.student_id },
+        { orderBy: 'created_at' }
+      );
+
+      res.json({ success: true, student_id: req.student.student_id, timeline });
+    } catch (error) {
+      console.error('Error fetching timeline:', error);
+      sendError(res, error);
+    }
+  });
+
+  // GET /student/:studentId/history?from=YYYY-MM-DD&to=YYYY-MM-DD - Day by
+  // day check-ins, streaks, averages and interventions. Defaults to the last
+  // 30 days on the student's clock.
+  app.get('/api/student/:studentId/history', canAccess, async (req, res) => {
+    try {
+      const { student } = req;
+      const today = checkinDate(student.timezone);
+      const to = req.query.to || today;
+      const from = req.query.from || addDays(to, 1 - DEFAULT_RANGE_DAYS);
+
+      if (!isValidDate(from) || !isValidDate(to)) {
+        return res.status(400).json({ success: false, error: 'from and to must be dates (YYYY-MM-DD)' });
+      }
+      if (from > to) {
+        return res.status(400).json({ success: false, error: 'from must not be after to' });
+      }
+      if (daysBetween(from, to) > MAX_RANGE_DAYS) {
+        return res.status(400).json({ success: false, error: `The range can cover at most ${MAX_RANGE_DAYS} days` });
+      }
+
+      const logs = await storage.dailyLogs.find(
+        { student_id: student.student_id, checkin_date: { gte: from, lte: to } },
+        { orderBy: 'checkin_date' }
+      );
+      const interventions = await storage.interventions.find(
+        { student_id: student.student_id },
+        { orderBy: 'created_at' }
+      );
+
+      res.json({
+        success: true,
+        student_id: student.student_id,
+        ...buildHistory({ student, from, to, logs, interventions })
+      });
+    } catch (error) {
+      console.error('Error fetching history:', error);
+      sendError(res, error);
+    }
+  });
+
+  // Grades and records a check-in, then keeps the student unlocked or locks
+  // them with an intervention. Runs inside the check-in's transaction;
+  // returns the response body.
+  const processCheckin = async (tx, { student, today, quizId, answers, user }) => {
+    const { student_id } = student;
+
+    // Grade today's quiz. A retried check-in gets the first grading back.
+    const quiz = await gradeQuiz(tx, { student, date: today, quizId, answers });
+    const quiz_score = quiz.score;
+    const missedTopics = [...new Set((await quizAnswers(tx, quiz.id))
+      .filter((answer) => !answer.correct)
+      .map((answer) => answer.topic))];
+    const quizSummary = {
+      id: quiz.id,
+      score: quiz.score,
+      correct: quiz.correct,
+      total: quiz.questions.length,
+      missed_topics: missedTopics
+    };
+
+    // Today's focus time, derived from the student's focus sessions.
+    // Checking in ends any session still running.
+    await endOpenSession(tx, student_id);
+    const focusSeconds = await focusSecondsSince(tx, student_id, dayStart(student.timezone));
+    const focus_minutes = Math.floor(focusSeconds / 60);
+
+    // THE LOGIC GATE - evaluated from the stored intervention rules
+    const rules = await tx.rules.find({ active: true });
+    const decision = evaluateCheckin(rules, student, { quiz_score, focus_minutes });
+    const status = decision.outcome;
+
+    // Score the trend over the rolling window, including today's check-in
+    const since = new Date(Date.now() - WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const previousLogs = await tx.dailyLogs.find(
+      { student_id, logged_at: { gte: since.toISOString() } },
+      { orderBy: 'logged_at', ascending: false }
+    );
+
+    const now = new Date().toISOString();
+    const risk = scoreHistory([
+      { logged_at: now, quiz_score, focus_minutes, status },
+      ...previousLogs
+    ]);
+    const isLocked = risk.action === 'lock' || risk.action === 'escalate';
+
+    // Implausible values are kept but flagged for the mentor
+    const anomalies = detectAnomalies({ quiz_score, focus_minutes, logged_at: now }, previousLogs);
+
+    // Log the daily check-in along with the rule and score that decided it
+    const log = await tx.dailyLogs.insert({
+      student_id,
+      quiz_score,
+      focus_minutes,
+      status,
+      rule_id: decision.rule_id,
+      rule_version: decision.rule_version,
+      risk_score: risk.score,
+      checkin_date: today,
+      quiz_id: quiz.id,
+      flagged: anomalies.length > 0,
+      logged_at: now
+    });
+    if (anomalies.length) {
+      await flagCheckin(tx, { student, log, anomalies });
+    }
+
+    const riskSummary = {
+      risk_score: risk.score,
+      risk_action: risk.action,
+      trend: risk.trend
+    };
+
+    if (!isLocked) {
+      // SUCCESS PATH (a warning keeps the student unlocked)
+      const [updated] = await tx.students.update({ student_id, status: 'Normal' }, {
+        risk_score: risk.score,
+        risk_action: risk.action,
+        updated_at: now
+      });
+      if (!updated) {
+        throw new HttpError(409, 'Student status changed during check-in, please try again');
+      }
+      tx.afterCommit(() => publishStudentEvent(student_id, { type: 'checkin', student: updated }));
+
+      return {
+        success: true,
+        status,
+        rule_id: decision.rule_id,
+        rule_version: decision.rule_version,
+        ...riskSummary,
+        quiz: quizSummary,
+        flagged: anomalies.length > 0,
+        message: risk.action === 'warn'
+          ? 'Heads up: your recent scores are slipping. Stay focused!'
+          : 'Great job! Keep up the good work.'
+      };
+    }
+
+    // FAILURE PATH - THE LOCK
+    const reason = `Risk score ${risk.score}/100: Quiz ${quiz_score}/10, Focus ${focus_minutes} mins, ${risk.trend.failure_streak} failing check-in(s) in a row (rule ${decision.rule_id} v${decision.rule_version})`;
+
+    // Lock the student, open the intervention and notify the mentor
+    const flagged = await flagStudent(tx, {
+      student,
+      reason,
+      priority: risk.action === 'escalate' ? 'urgent' : 'normal',
+      actor: actorFor(user),
+      studentFields: { risk_score: risk.score, risk_action: risk.action },
+      webhookUrl: n8nWebhookUrl,
+      notification: {
+        trigger: 'checkin',
+        quiz_score,
+        focus_minutes,
+        rule_id: decision.rule_id,
+        rule_version: decision.rule_version,
+        ...riskSummary,
+        missed_topics: missedTopics,
+        reason: `Quiz Score: ${quiz_score}/10, Focus Time: ${focus_minutes} mins, Risk Score: ${risk.score}/100`
+      }
+    });
+    if (!flagged) {
+      throw new HttpError(409, 'Student status changed during check-in, please try again');
+    }
+
+    return {
+      success: true,
+      status: 'Pending Mentor Review',
+      rule_id: decision.rule_id,
+      rule_version: decision.rule_version,
+      ...riskSummary,
+      quiz: quizSummary,
+      flagged: anomalies.length > 0,
+      message: 'Your performance needs attention. A mentor will review shortly.'
+    };
+  };
+
+  // POST /daily-checkin - Main logic endpoint. Offline check-ins are synced
+  // with an Idempotency-Key, so a retry never logs the day twice.
+  app.post('/api/daily-checkin', requireStudent, canAccess, idempotent(storage, 'daily-checkin'), async (req, res) => {
+    try {
+      const { student_id, quiz_id, answers } = req.body;
+
+      // Validation (the quiz score is graded here from the day's quiz and
+      // focus time comes from recorded focus sessions, not the body)
+      if (req.body.focus_minutes !== undefined) {
+        throw new HttpError(400, 'focus_minutes is not accepted: focus time comes from your focus timer sessions', {
+          code: 'invalid_field',
+          field: 'focus_minutes'
+        });
+      }
+      if (!student_id || answers === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: student_id, answers'
+        });
+      }
+
+      // Student info (cohort decides which rules apply)
+      const { student } = req;
+
+      // Check-ins are paused while an intervention is open
+      if (student.status !== 'Normal') {
+        return res.status(409).json({
+          success: false,
+          error: `Check-ins are paused while the student is ${student.status}`
+        });
+      }
+
+      // One check-in per day, by the student's own clock
+      const today = checkinDate(student.timezone);
+      const alreadyCheckedIn = () =>
+        new HttpError(409, `Already checked in for ${today}. Ask your mentor if it needs a correction.`);
+      if (await findCheckin(storage, student, today)) {
+        throw alreadyCheckedIn();
+      }
+
+      // The check-in commits as a whole: the graded quiz, the log, any flag,
+      // and the student's new status with its intervention. A failure
+      // anywhere rolls it all back and the check-in can simply be retried.
+      let outcome;
+      try {
+        outcome = await storage.transaction((tx) => processCheckin(tx, {
+          student,
+          today,
+          quizId: quiz_id,
+          answers,
+          user: req.user
+        }));
+      } catch (error) {
+        // The log is unique per day, so of two racing check-ins only one lands
+        if (!error.status && await findCheckin(storage, student, today)) throw alreadyCheckedIn();
+        throw error;
+      }
+
+      res.json(outcome);
+    } catch (error) {
+      console.error('Error in daily-checkin:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /checkin-corrections - Student asks a mentor to fix a submitted
+  // check-in (checkin_date defaults to today)
+  app.post('/api/checkin-corrections', requireStudent, canAccess, async (req, res) => {
+    try {
+      const { student_id, checkin_date, quiz_score, focus_minutes, reason } = req.body;
+
+      if (!student_id || !reason || (quiz_score === undefined && focus_minutes === undefined)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: student_id, reason, and quiz_score or focus_minutes'
+        });
+      }
+      const valueError = validateCheckinValues({ quiz_score, focus_minutes });
+      if (valueError) {
+        return res.status(400).json({ success: false, error: valueError });
+      }
+
+      const correction = await requestCorrection(storage, {
+        student: req.student,
+        date: checkin_date,
+        quizScore: quiz_score,
+        focusMinutes: focus_minutes,
+        reason,
+        user: req.user
+      });
+
+      res.status(201).json({
+        success: true,
+        correction,
+        message: 'Correction sent to your mentor for approval'
+      });
+    } catch (error) {
+      console.error('Error requesting correction:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /complete-task - Student hands in the remedial task with evidence
+  // ({ evidence_text, attachments }). The student stays in Remedial until a
+  // mentor approves. The submission, its attachments and the status change
+  // commit together. Also accepts an Idempotency-Key for offline sync.
+  app.post('/api/complete-task', requireStudent, canAccess, idempotent(storage, 'complete-task'), async (req, res) => {
+    try {
+      const { student_id, evidence_text, attachments = [] } = req.body;
+
+      if (!student_id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing student_id'
+        });
+      }
+
+      const evidenceError = validateEvidence({ evidence_text, attachments });
+      if (evidenceError) {
+        return res.status(400).json({ success: false, error: evidenceError });
+      }
+
+      // Assigned -> Submitted for Review
+      const { submission } = await submitTask(storage, {
+        student: req.student,
+        user: req.user,
+        evidenceText: evidence_text,
+        attachments
+      });
+
+      res.json({
+        success: true,
+        submission,
+        message: 'Submitted! Your mentor will review your work.'
+      });
+    } catch (error) {
+      console.error('Error completing task:', error);
+      sendError(res, error);
+    }
+  });
+
+  // GET /rules - Active intervention rules
+  app.get('/api/rules', requireRole('mentor', 'admin'), async (req, res) => {
+    try {
+      const rules = await storage.rules.find({ active: true }, { orderBy: 'rule_id' });
+      res.json({ success: true, rules });
+    } catch (error) {
+      console.error('Error fetching rules:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /rules - Create a rule, or a new version of an existing one
+  app.post('/api/rules', requireRole('admin'), async (req, res) => {
+    try {
+      const {
+        rule_id,
+        name,
+        cohort = null,
+        student_id = null,
+        priority = 0,
+        conditions,
+        outcome,
+        otherwise_outcome = null
+      } = req.body;
+
+      const rule = { rule_id, name, cohort, student_id, priority, conditions, outcome, otherwise_outcome };
+      const validationError = validateRule(rule);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      // One transaction, so a failed insert never leaves the rule without
+      // an active version
+      const saved = await storage.transaction(async (tx) => {
+        // Find the latest version so the new row supersedes it
+        const previous = await tx.rules.findOne(
+          { rule_id },
+          { orderBy: 'version', ascending: false }
+        );
+        const version = previous ? previous.version + 1 : 1;
+
+        // Retire older versions; they stay in the table for auditing
+        await tx.rules.update({ rule_id }, { active: false });
+
+        return tx.rules.insert({ ...rule, version, active: true });
+      });
+      const { version } = saved;
+
+      console.log(`Rule ${rule_id} saved as version ${version}`);
+
+      res.json({ success: true, rule: saved });
+    } catch (error) {
+      console.error('Error saving rule:', error);
+      sendError(res, error);
+    }
+  });
+
+  // Anything no route answered
+  app.use('/api', notFound);
+  app.use(handleErrors);
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,72 @@
+// auth.js - Password hashing and signed session tokens
+//
+// Passwords are stored as "scrypt$<salt>$<hash>". Session tokens are
+// HS256 JWTs signed with AUTH_SECRET, so any standard JWT library can
+// inspect them.
+
+const crypto = require('crypto');
+
+const ROLES = ['student', 'mentor', 'admin'];
+
+const TOKEN_TTL_SECONDS = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS, 10) || 7 * 24 * 60 * 60;
+
+const KEY_LENGTH = 64;
+
+const hashPassword = (password, salt = crypto.randomBytes(16).toString('hex')) => {
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+};
+
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const sign = (data, secret) =>
+  crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+const signToken = (payload, secret, ttlSeconds = TOKEN_TTL_SECONDS) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds }));
+  return `${header}.${body}.${sign(`${header}.${body}`, secret)}`;
+};
+
+// Returns the token payload, or null when the token is malformed,
+// tampered with or expired
+const verifyToken = (token, secret) => {
+  const [header, body, signature] = String(token || '').split('.');
+  if (!header || !body || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${body}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Strips credentials before a user row leaves the server
+const publicUser = ({ password_hash, ...user }) => user;
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  publicUser,
+};
@@ -0,0 +1,90 @@
+// days.js - Check-in days in each student's own time zone
+//
+// A check-in day is the calendar date (YYYY-MM-DD) on the student's local
+// clock, using the IANA time zone stored on the student (UTC if unset).
+// Students get one check-in per day.
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock fields of `date` in `timezone`, as numbers
+const zonedParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || DEFAULT_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  return Object.fromEntries(
+    parts.filter((part) => part.type !== 'literal').map((part) => [part.type, Number(part.value)])
+  );
+};
+
+// Milliseconds the zone's wall clock is ahead of UTC at `date`
+const utcOffset = (date, timezone) => {
+  const p = zonedParts(date, timezone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// The student's check-in date at `now`, e.g. '2024-03-09'
+const checkinDate = (timezone, now = new Date()) => {
+  const p = zonedParts(now, timezone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+};
+
+// The instant the student's current check-in day began
+const dayStart = (timezone, now = new Date()) => {
+  const p = zonedParts(now, timezone);
+  const midnight = Date.UTC(p.year, p.month - 1, p.day);
+
+  // Guess with the offset now, then correct once in case midnight falls on
+  // the other side of a daylight-saving change
+  const guess = midnight - utcOffset(now, timezone);
+  return new Date(midnight - utcOffset(new Date(guess), timezone));
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// True for a real calendar date written YYYY-MM-DD
+const isValidDate = (date) => {
+  if (typeof date !== 'string' || !DATE.test(date)) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+};
+
+// Calendar arithmetic on YYYY-MM-DD dates, e.g. addDays('2024-02-28', 2)
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+// Days from `from` to `to` (YYYY-MM-DD), counting both ends
+const daysBetween = (from, to) =>
+  Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000) + 1;
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  isValidDate,
+  checkinDate,
+  dayStart,
+  addDays,
+  daysBetween,
+};
@@ -0,0 +1,51 @@
+// errors.js - Errors that carry an HTTP status for the route handlers, and
+// the envelope every error response uses:
+//   { success: false, error: message, code, field }
+// `code` is machine-readable (see CODES; request validation adds
+// missing_field and invalid_field, and the Idempotency-Key check adds
+// request_in_progress) and `field` names the request field at fault, or is
+// null.
+
+// Default code for each status
+const CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  422: 'unprocessable',
+  500: 'internal_error',
+  503: 'unavailable',
+};
+
+// Unexpected errors (storage, bugs) are logged, not shown to the caller
+const INTERNAL_MESSAGE = 'Something went wrong on our side. Please try again.';
+
+class HttpError extends Error {
+  constructor(status, message, { code, field } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code || CODES[status] || 'error';
+    this.field = field || null;
+  }
+}
+
+const errorBody = (status, message, { code, field } = {}) => ({
+  success: false,
+  error: message,
+  code: code || CODES[status] || 'error',
+  field: field || null
+});
+
+// Sends a caught error: an HttpError as it is, anything else as a 500
+const sendError = (res, error) => {
+  if (!(error instanceof HttpError)) {
+    return res.status(500).json(errorBody(500, INTERNAL_MESSAGE));
+  }
+  res.status(error.status).json(errorBody(error.status, error.message, error));
+};
+
+module.exports = { CODES, HttpError, errorBody, sendError };
@@ -0,0 +1,26 @@
+// events.js - In-process pub/sub for per-student updates
+//
+// Routes and services publish here whenever a student's status or task
+// changes; the SSE endpoint forwards events to connected clients. Events
+// only reach clients connected to the same server process.
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+// One listener per open SSE connection
+emitter.setMaxListeners(0);
+
+const channel = (studentId) => `student:${studentId}`;
+
+// event: { type, student, ... }
+const publishStudentEvent = (studentId, event) => {
+  emitter.emit(channel(studentId), { ...event, at: new Date().toISOString() });
+};
+
+// Returns an unsubscribe function
+const subscribeToStudent = (studentId, listener) => {
+  emitter.on(channel(studentId), listener);
+  return () => emitter.off(channel(studentId), listener);
+};
+
+module.exports = { publishStudentEvent, subscribeToStudent };
@@ -0,0 +1,67 @@
+// evidence.js - Evidence a student attaches when submitting remedial work
+//
+// Evidence is a note, up to MAX_ATTACHMENTS files (photos, PDFs, text), or
+// both. Files arrive base64-encoded in the JSON body as
+// { file_name, content_type, data } and are stored as submitted.
+
+const MAX_ATTACHMENTS = 3;
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.EVIDENCE_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const CONTENT_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/heic',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+];
+
+// JSON body limit that fits the largest submission (base64 adds a third)
+const EVIDENCE_BODY_LIMIT = Math.ceil((MAX_ATTACHMENTS * MAX_ATTACHMENT_BYTES * 4) / 3) + 64 * 1024;
+
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+
+const decodedSize = (data) => Buffer.byteLength(data, 'base64');
+
+// Returns an error message, or null when the evidence can be stored
+const validateEvidence = ({ evidence_text, attachments = [] }) => {
+  if (!Array.isArray(attachments)) return 'attachments must be a list';
+  if (!(evidence_text && String(evidence_text).trim()) && attachments.length === 0) {
+    return 'Add a note or attach a photo or file as evidence';
+  }
+  if (attachments.length > MAX_ATTACHMENTS) {
+    return `At most ${MAX_ATTACHMENTS} attachments per submission`;
+  }
+
+  for (const file of attachments) {
+    if (!file || !file.file_name || !file.data) {
+      return 'Each attachment needs a file_name and base64 data';
+    }
+    if (!CONTENT_TYPES.includes(file.content_type)) {
+      return `${file.file_name}: unsupported type ${file.content_type} (allowed: ${CONTENT_TYPES.join(', ')})`;
+    }
+    if (!BASE64.test(file.data)) {
+      return `${file.file_name}: data must be base64-encoded`;
+    }
+    if (decodedSize(file.data) > MAX_ATTACHMENT_BYTES) {
+      return `${file.file_name}: larger than ${Math.floor(MAX_ATTACHMENT_BYTES / 1024 / 1024)} MB`;
+    }
+  }
+  return null;
+};
+
+// Attachment row for submission_attachments
+const attachmentRow = (submissionId, file) => ({
+  submission_id: submissionId,
+  file_name: String(file.file_name).slice(0, 200),
+  content_type: file.content_type,
+  size_bytes: decodedSize(file.data),
+  data: file.data
+});
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  CONTENT_TYPES,
+  EVIDENCE_BODY_LIMIT,
+  validateEvidence,
+  attachmentRow,
+};
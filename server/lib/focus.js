@@ -0,0 +1,40 @@
+// focus.js - Time accounting for server-tracked focus sessions
+//
+// A session is 'active' (timing), 'paused' or 'ended'. Time is kept as
+// accumulated_seconds for finished segments plus the running segment since
+// resumed_at. The client heartbeats while timing; a running segment is only
+// credited up to HEARTBEAT_GRACE_SECONDS past the last heartbeat, so an app
+// that is killed or backgrounded stops earning focus time.
+
+const HEARTBEAT_INTERVAL_SECONDS = 30;
+const HEARTBEAT_GRACE_SECONDS = parseInt(process.env.FOCUS_HEARTBEAT_GRACE_SECONDS, 10) || 90;
+
+const seconds = (from, to) => Math.max(0, Math.floor((new Date(to) - new Date(from)) / 1000));
+
+// Seconds earned by the running segment, as of `now`
+const runningSeconds = (session, now = new Date()) => {
+  if (session.status !== 'active' || !session.resumed_at) return 0;
+
+  const lastSeen = new Date(session.last_heartbeat_at || session.resumed_at);
+  const cutoff = new Date(Math.min(
+    new Date(now).getTime(),
+    lastSeen.getTime() + HEARTBEAT_GRACE_SECONDS * 1000
+  ));
+  return seconds(session.resumed_at, cutoff);
+};
+
+// Total focus seconds in a session, as of `now`
+const elapsedSeconds = (session, now = new Date()) =>
+  (session.accumulated_seconds || 0) + runningSeconds(session, now);
+
+// Session row as returned by the API, with its live elapsed time
+const presentSession = (session, now = new Date()) =>
+  session && { ...session, elapsed_seconds: elapsedSeconds(session, now) };
+
+module.exports = {
+  HEARTBEAT_INTERVAL_SECONDS,
+  HEARTBEAT_GRACE_SECONDS,
+  runningSeconds,
+  elapsedSeconds,
+  presentSession,
+};
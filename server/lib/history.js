@@ -0,0 +1,141 @@
+// history.js - A student's progress over a range of check-in days
+//
+// Builds one entry per calendar day from daily_logs and the student's
+// interventions, then summarizes the range: check-in counts, streaks of
+// on-track days and quiz/focus averages. Days are YYYY-MM-DD dates on the
+// student's own clock (see days.js).
+
+const { OUTCOMES } = require('./rules');
+const { checkinDate, addDays } = require('./days');
+
+// Longest range one request may cover
+const MAX_RANGE_DAYS = 366;
+
+// Range used when the client does not ask for one
+const DEFAULT_RANGE_DAYS = 30;
+
+const average = (values) =>
+  values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+const round = (value, places = 1) =>
+  value === null ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+const isOnTrack = (log) => Boolean(OUTCOMES[log.status]) && !OUTCOMES[log.status].locks;
+
+// First and last local day each intervention was open. Open ones run to today.
+const interventionSpans = (interventions, timezone, today) =>
+  interventions.map((intervention) => ({
+    intervention,
+    from: checkinDate(timezone, new Date(intervention.created_at)),
+    to: intervention.completed_at
+      ? checkinDate(timezone, new Date(intervention.completed_at))
+      : today
+  }));
+
+// One entry per day from `from` to `to`. A day's state is its check-in
+// outcome ('Missed' when the job logged a missed day), 'Intervention' while
+// check-ins were paused for an open intervention, 'Missed' for a past day
+// without either, or null for today before the check-in and days before
+// the student joined.
+const buildDays = ({ from, to, today, joined, logs, spans }) => {
+  const byDate = new Map(logs.map((log) => [log.checkin_date, log]));
+  const days = [];
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const log = byDate.get(date);
+    const inIntervention = spans.some((span) => span.from <= date && date <= span.to);
+
+    let state = null;
+    if (log) state = log.status;
+    else if (inIntervention) state = 'Intervention';
+    else if (date < today && date >= joined) state = 'Missed';
+
+    days.push({
+      date,
+      state,
+      quiz_score: log ? log.quiz_score : null,
+      focus_minutes: log ? log.focus_minutes : null,
+      in_intervention: inIntervention,
+      corrected: Boolean(log && log.corrected_at)
+    });
+  }
+  return days;
+};
+
+// Streaks count consecutive on-track check-ins. Today (or a later day) does
+// not break the current streak until it is over.
+const streaks = (days, today) => {
+  let best = 0;
+  let run = 0;
+  for (const day of days) {
+    run = day.state === 'On Track' ? run + 1 : 0;
+    best = Math.max(best, run);
+  }
+
+  let current = 0;
+  for (let i = days.length - 1; i >= 0; i--) {
+    const day = days[i];
+    if (day.date >= today && day.state === null) continue;
+    if (day.state !== 'On Track') break;
+    current++;
+  }
+  return { current, best };
+};
+
+const summarize = (days, logs, today) => {
+  const { current, best } = streaks(days, today);
+  const count = (state) => days.filter((day) => day.state === state).length;
+
+  // Missed days have a log (from the missed check-in job) but no scores
+  const checkins = logs.filter((log) => OUTCOMES[log.status]);
+
+  return {
+    days: days.length,
+    checkins: checkins.length,
+    on_track_days: checkins.filter(isOnTrack).length,
+    needs_intervention_days: checkins.filter((log) => !isOnTrack(log)).length,
+    intervention_days: days.filter((day) => day.in_intervention).length,
+    missed_days: count('Missed'),
+    current_streak: current,
+    best_streak: best,
+    average_quiz_score: round(average(checkins.map((log) => log.quiz_score))),
+    average_focus_minutes: round(average(checkins.map((log) => log.focus_minutes)))
+  };
+};
+
+// Full history payload. `logs` and `interventions` are the student's rows
+// for (at least) the range; anything outside it is ignored.
+const buildHistory = ({ student, from, to, logs, interventions, now = new Date() }) => {
+  const today = checkinDate(student.timezone, now);
+  const inRange = logs
+    .filter((log) => log.checkin_date >= from && log.checkin_date <= to)
+    .sort((a, b) => a.checkin_date.localeCompare(b.checkin_date));
+  const spans = interventionSpans(interventions, student.timezone, today)
+    .filter((span) => span.from <= to && span.to >= from);
+  const joined = student.created_at ? checkinDate(student.timezone, new Date(student.created_at)) : from;
+
+  const days = buildDays({ from, to, today, joined, logs: inRange, spans });
+
+  return {
+    range: { from, to, today, timezone: student.timezone },
+    summary: summarize(days, inRange, today),
+    days,
+    logs: inRange,
+    interventions: spans.map(({ intervention, from: opened, to: closed }) => ({
+      id: intervention.id,
+      status: intervention.status,
+      task: intervention.assigned_task,
+      template_id: intervention.task_template_id,
+      created_at: intervention.created_at,
+      completed_at: intervention.completed_at,
+      opened_on: opened,
+      closed_on: intervention.completed_at ? closed : null
+    }))
+  };
+};
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  DEFAULT_RANGE_DAYS,
+  buildHistory,
+};
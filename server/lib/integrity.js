@@ -0,0 +1,109 @@
+// integrity.js - Range checks and anomaly detection for check-in data
+//
+// Values a client sends (correction requests) must be integers within
+// LIMITS or the request is rejected. Values that pass but look implausible
+// or gamed are flagged for mentor review instead:
+//   - out_of_range: a server-derived value outside LIMITS
+//   - focus_exceeds_elapsed: more focus time than has passed since the
+//     previous check-in
+//   - repeated_values: the same quiz score and focus time ANOMALY_REPEAT_DAYS
+//     check-ins in a row
+//   - quiz_jump / focus_jump: a sudden rise above the student's baseline
+//     (the average of their earlier check-ins in the window)
+
+const { MISSED } = require('./rules');
+
+const MAX_FOCUS_MINUTES = parseInt(process.env.CHECKIN_MAX_FOCUS_MINUTES, 10) || 720;
+const REPEAT_DAYS = parseInt(process.env.ANOMALY_REPEAT_DAYS, 10) || 3;
+const QUIZ_JUMP = parseInt(process.env.ANOMALY_QUIZ_JUMP, 10) || 5;
+const FOCUS_JUMP_FACTOR = parseFloat(process.env.ANOMALY_FOCUS_JUMP_FACTOR) || 3;
+
+// Smallest focus rise (minutes) worth flagging, so 5 -> 20 minutes is not a jump
+const MIN_FOCUS_JUMP = 60;
+
+// Earlier check-ins needed before a baseline is trusted
+const MIN_BASELINE_SAMPLES = 3;
+
+const LIMITS = {
+  quiz_score: { min: 0, max: 10 },
+  focus_minutes: { min: 0, max: MAX_FOCUS_MINUTES },
+};
+
+const ANOMALY_TYPES = ['out_of_range', 'focus_exceeds_elapsed', 'repeated_values', 'quiz_jump', 'focus_jump'];
+
+// Checks the fields of `values` that are present. Returns an error message
+// or null.
+const validateCheckinValues = (values) => {
+  for (const [field, { min, max }] of Object.entries(LIMITS)) {
+    const value = values[field];
+    if (value === undefined || value === null) continue;
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return `${field} must be a whole number from ${min} to ${max}`;
+    }
+  }
+  return null;
+};
+
+const isScored = (log) =>
+  log.status !== MISSED && log.quiz_score !== null && log.focus_minutes !== null;
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Anomalies in a check-in ({ quiz_score, focus_minutes, logged_at }) given
+// the student's earlier daily_logs, newest first. Returns [{ type, detail }].
+const detectAnomalies = (checkin, previousLogs) => {
+  const earlier = previousLogs.filter(isScored);
+  const anomalies = [];
+
+  const rangeError = validateCheckinValues(checkin);
+  if (rangeError) {
+    anomalies.push({ type: 'out_of_range', detail: rangeError });
+  }
+
+  if (earlier.length) {
+    const elapsed = Math.floor((new Date(checkin.logged_at) - new Date(earlier[0].logged_at)) / 60000);
+    if (checkin.focus_minutes > elapsed) {
+      anomalies.push({
+        type: 'focus_exceeds_elapsed',
+        detail: `${checkin.focus_minutes} focus minutes, but only ${elapsed} minutes since the last check-in`
+      });
+    }
+  }
+
+  const streak = [checkin, ...earlier.slice(0, REPEAT_DAYS - 1)];
+  if (streak.length === REPEAT_DAYS && streak.every((log) =>
+    log.quiz_score === checkin.quiz_score && log.focus_minutes === checkin.focus_minutes)) {
+    anomalies.push({
+      type: 'repeated_values',
+      detail: `Quiz ${checkin.quiz_score}/10 and ${checkin.focus_minutes} focus minutes ${REPEAT_DAYS} check-ins in a row`
+    });
+  }
+
+  if (earlier.length >= MIN_BASELINE_SAMPLES) {
+    const quizBaseline = average(earlier.map((log) => log.quiz_score));
+    const focusBaseline = average(earlier.map((log) => log.focus_minutes));
+
+    if (checkin.quiz_score - quizBaseline >= QUIZ_JUMP) {
+      anomalies.push({
+        type: 'quiz_jump',
+        detail: `Quiz ${checkin.quiz_score}/10 against a baseline of ${quizBaseline.toFixed(1)}`
+      });
+    }
+    if (checkin.focus_minutes - focusBaseline >= MIN_FOCUS_JUMP &&
+        checkin.focus_minutes >= focusBaseline * FOCUS_JUMP_FACTOR) {
+      anomalies.push({
+        type: 'focus_jump',
+        detail: `${checkin.focus_minutes} focus minutes against a baseline of ${Math.round(focusBaseline)}`
+      });
+    }
+  }
+
+  return anomalies;
+};
+
+module.exports = {
+  LIMITS,
+  ANOMALY_TYPES,
+  validateCheckinValues,
+  detectAnomalies,
+};
@@ -0,0 +1,125 @@
+// notifications.js - Message templates for each notification event
+//
+// A template turns the event's data into { subject, text, short }: subject
+// and text for email, chat and webhooks, short for push notifications.
+// The data itself travels with the message (the n8n adapter sends only
+// that, in the format the workflows expect).
+
+const studentLabel = (data) => `${data.student_name} (${data.student_id})`;
+
+const lines = (...parts) => parts.filter((part) => part !== null && part !== undefined).join('\n');
+
+const SLA_TEXT = {
+  remind: 'This intervention is still waiting for a mentor.',
+  escalate: 'The assigned mentor has not responded, so the intervention was handed to a backup mentor. Please make sure it is picked up.',
+  auto_assign: 'Nobody responded in time, so a task was assigned automatically. Review it on the dashboard if the student needs something else.',
+  auto_assign_failed: 'Nobody responded in time and the automatic task assignment failed too often, so it has stopped and the student is still locked. Please assign a task on the dashboard.',
+};
+
+const mentorLabel = (mentor) => `${mentor.name} <${mentor.email}>`;
+
+const slaTemplate = (title) => (data) => ({
+  subject: `${title}: intervention for ${data.student_name}`,
+  text: lines(
+    SLA_TEXT[data.step],
+    '',
+    `Student: ${studentLabel(data)}`,
+    `Priority: ${data.priority}`,
+    `Waiting: ${data.hours_waiting} hours`,
+    `Reason: ${data.reason}`,
+    data.backup_mentor ? `Backup mentor: ${mentorLabel(data.backup_mentor)}` : null,
+    data.template_id && !data.error ? `Template assigned: ${data.template_id}` : null,
+    data.error ? `Last error: ${data.error}` : null
+  ),
+  short: `${title}: ${data.student_name} has waited ${data.hours_waiting}h`
+});
+
+const TEMPLATES = {
+  'intervention.created': (data) => ({
+    subject: `🚨 Intervention required: ${data.student_name}`,
+    text: lines(
+      `${studentLabel(data)} needs a remedial task.`,
+      '',
+      `Reason: ${data.reason}`,
+      `Priority: ${data.priority}`,
+      data.missed_topics && data.missed_topics.length
+        ? `Missed quiz topics: ${data.missed_topics.join(', ')}`
+        : null,
+      '',
+      'Assign a task on the mentor dashboard.'
+    ),
+    short: `${data.student_name} needs a remedial task`
+  }),
+  'intervention.sla_reminder': slaTemplate('⏰ Still waiting'),
+  'intervention.sla_escalated': slaTemplate('🚨 Escalated'),
+  'intervention.sla_auto_assigned': slaTemplate('ℹ️ Auto-assigned'),
+  'intervention.sla_auto_assign_failed': slaTemplate('🚨 Auto-assign failed'),
+  'task.assigned': (data) => ({
+    subject: `📚 New task: ${data.task}`,
+    text: lines(
+      `Hi ${data.student_name}, ${data.assigned_by} assigned you a task: ${data.task}.`,
+      data.instructions,
+      data.estimated_minutes ? `It should take about ${data.estimated_minutes} minutes.` : null,
+      '',
+      'Open the app to get started.'
+    ),
+    short: `New task: ${data.task}`
+  }),
+  'task.submitted': (data) => ({
+    subject: `📝 Work submitted for review: ${data.student_name}`,
+    text: lines(
+      `${studentLabel(data)} finished "${data.task}" and submitted it for review.`,
+      '',
+      'Approve it or send it back on the mentor dashboard.'
+    ),
+    short: `${data.student_name} submitted work for review`
+  }),
+  'task.approved': (data) => ({
+    subject: '✅ Your work was approved',
+    text: lines(
+      `Hi ${data.student_name}, your mentor approved your work on "${data.task}".`,
+      data.feedback ? `Feedback: ${data.feedback}` : null,
+      '',
+      'You are unlocked and can check in again.'
+    ),
+    short: 'Work approved. You are unlocked!'
+  }),
+  'task.rejected': (data) => ({
+    subject: '↩️ Your mentor asked for changes',
+    text: lines(
+      `Hi ${data.student_name}, your mentor sent "${data.task}" back with feedback:`,
+      data.feedback,
+      '',
+      'Revise your work and submit it again.'
+    ),
+    short: `Changes requested: ${data.feedback}`
+  }),
+  'checkin.flagged': (data) => ({
+    subject: `🔎 Check-in flagged for review: ${data.student_name}`,
+    text: lines(
+      `${studentLabel(data)}'s check-in on ${data.checkin_date} looks unusual:`,
+      ...data.anomalies.map((anomaly) => `- ${anomaly.detail}`),
+      '',
+      'Confirm or dismiss it on the mentor dashboard.'
+    ),
+    short: `${data.student_name}'s check-in was flagged for review`
+  }),
+  'notification.test': (data) => ({
+    subject: '🔔 Test notification',
+    text: `Hi ${data.name}, this is a test notification from Alcovia.`,
+    short: 'Test notification from Alcovia'
+  }),
+};
+
+const EVENTS = Object.keys(TEMPLATES);
+
+// The message for an event, as the channel adapters render it
+const renderMessage = (event, data) => {
+  const template = TEMPLATES[event];
+  if (!template) {
+    throw new Error(`No notification template for ${event}`);
+  }
+  return { event, ...template(data), data };
+};
+
+module.exports = { EVENTS, renderMessage };
@@ -0,0 +1,174 @@
+// quiz.js - The daily quiz: question validation, picking and grading
+//
+// Each check-in day a student gets QUIZ_LENGTH questions from the active
+// bank, preferring ones they have not seen in the last QUIZ_REPEAT_DAYS and
+// covering as many topics as possible, easiest first. The questions are
+// copied onto the quiz when it is issued, so bank edits never change a quiz
+// in progress. The score is the share answered correctly scaled to 0-10,
+// and is the quiz_score the check-in rules see.
+
+const QUIZ_LENGTH = parseInt(process.env.QUIZ_LENGTH, 10) || 5;
+const REPEAT_DAYS = parseInt(process.env.QUIZ_REPEAT_DAYS, 10) || 7;
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MIN_CHOICES = 2;
+const MAX_CHOICES = 6;
+
+const validateQuestion = (question) => {
+  for (const field of ['subject', 'topic', 'prompt']) {
+    if (!question[field] || !String(question[field]).trim()) return `${field} is required`;
+  }
+  if (!DIFFICULTIES.includes(question.difficulty)) {
+    return `difficulty must be one of: ${DIFFICULTIES.join(', ')}`;
+  }
+  const { choices } = question;
+  if (!Array.isArray(choices) || choices.length < MIN_CHOICES || choices.length > MAX_CHOICES ||
+      choices.some((choice) => !String(choice).trim())) {
+    return `choices must be a list of ${MIN_CHOICES} to ${MAX_CHOICES} answers`;
+  }
+  if (!Number.isInteger(question.answer_index) || question.answer_index < 0 || question.answer_index >= choices.length) {
+    return 'answer_index must be the position of the correct choice (from 0)';
+  }
+  return null;
+};
+
+const topicKey = (question) => `${question.subject}/${question.topic}`;
+
+const shuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Up to `count` questions from the bank: unseen before seen, and within
+// each a new topic before a repeated one
+const pickQuestions = (bank, seenIds, count = QUIZ_LENGTH, random = Math.random) => {
+  const unseen = shuffle(bank.filter((question) => !seenIds.has(question.id)), random);
+  const seen = shuffle(bank.filter((question) => seenIds.has(question.id)), random);
+  const picked = [];
+
+  const take = (pool, newTopicsOnly) => {
+    for (const question of pool) {
+      if (picked.length >= count) return;
+      if (picked.includes(question)) continue;
+      if (newTopicsOnly && picked.some((other) => topicKey(other) === topicKey(question))) continue;
+      picked.push(question);
+    }
+  };
+  take(unseen, true);
+  take(unseen, false);
+  take(seen, true);
+  take(seen, false);
+
+  return picked.sort((a, b) => DIFFICULTIES.indexOf(a.difficulty) - DIFFICULTIES.indexOf(b.difficulty));
+};
+
+// The copy of a bank question stored on an issued quiz
+const snapshotQuestion = ({ id, subject, topic, difficulty, prompt, choices, answer_index, explanation }) =>
+  ({ id, subject, topic, difficulty, prompt, choices, answer_index, explanation: explanation || null });
+
+// Checks a submission: [{ question_id, choice_index }], where choice_index
+// may be null for a skipped question. Returns an error message or null.
+const validateAnswers = (questions, answers) => {
+  if (!Array.isArray(answers)) return 'answers must be a list of { question_id, choice_index }';
+
+  const byId = new Map(questions.map((question) => [question.id, question]));
+  const answered = new Set();
+  for (const answer of answers) {
+    const question = answer && byId.get(answer.question_id);
+    if (!question) return `Question ${answer && answer.question_id} is not part of this quiz`;
+    if (answered.has(question.id)) return `Question ${question.id} was answered twice`;
+    answered.add(question.id);
+
+    const choice = answer.choice_index;
+    if (choice !== null && choice !== undefined &&
+        !(Number.isInteger(choice) && choice >= 0 && choice < question.choices.length)) {
+      return `choice_index for question ${question.id} must be between 0 and ${question.choices.length - 1}`;
+    }
+  }
+  return null;
+};
+
+// Grades validated answers. Unanswered questions count as wrong.
+const gradeAnswers = (questions, answers) => {
+  const choices = new Map(answers.map((answer) => [answer.question_id, answer.choice_index ?? null]));
+
+  const results = questions.map((question) => {
+    const choice = choices.has(question.id) ? choices.get(question.id) : null;
+    return {
+      question_id: question.id,
+      subject: question.subject,
+      topic: question.topic,
+      difficulty: question.difficulty,
+      choice_index: choice,
+      correct: choice === question.answer_index
+    };
+  });
+
+  const correct = results.filter((result) => result.correct).length;
+  return {
+    results,
+    correct,
+    total: questions.length,
+    score: questions.length ? Math.round((correct / questions.length) * 10) : 0
+  };
+};
+
+// Quiz as the API returns it. Answers stay hidden until it is graded.
+const presentQuiz = (quiz, answers = []) => {
+  if (!quiz) return null;
+
+  const graded = quiz.status === 'graded';
+  const results = new Map(answers.map((answer) => [answer.question_id, answer]));
+
+  return {
+    id: quiz.id,
+    quiz_date: quiz.quiz_date,
+    status: quiz.status,
+    score: quiz.score,
+    correct: quiz.correct,
+    total: quiz.questions.length,
+    questions: quiz.questions.map(({ answer_index, explanation, ...question }) => (graded ? {
+      ...question,
+      answer_index,
+      explanation,
+      choice_index: results.has(question.id) ? results.get(question.id).choice_index : null,
+      correct: results.has(question.id) ? results.get(question.id).correct : false
+    } : question))
+  };
+};
+
+// Per-topic results from graded answers, most missed first
+const topicBreakdown = (answers) => {
+  const topics = new Map();
+  for (const answer of answers) {
+    const key = topicKey(answer);
+    if (!topics.has(key)) {
+      topics.set(key, { subject: answer.subject, topic: answer.topic, asked: 0, correct: 0, missed: 0 });
+    }
+    const topic = topics.get(key);
+    topic.asked++;
+    if (answer.correct) topic.correct++;
+    else topic.missed++;
+  }
+
+  return [...topics.values()]
+    .map((topic) => ({ ...topic, accuracy: Math.round((topic.correct / topic.asked) * 100) }))
+    .sort((a, b) => b.missed - a.missed || a.accuracy - b.accuracy || topicKey(a).localeCompare(topicKey(b)));
+};
+
+module.exports = {
+  QUIZ_LENGTH,
+  REPEAT_DAYS,
+  DIFFICULTIES,
+  validateQuestion,
+  pickQuestions,
+  snapshotQuestion,
+  validateAnswers,
+  gradeAnswers,
+  presentQuiz,
+  topicBreakdown,
+};
@@ -0,0 +1,158 @@
+// reports.js - Cohort reports for program leads
+//
+// Aggregates daily_logs and interventions per cohort over a date range:
+//   - on-track rate: share of check-ins whose outcome did not lock
+//   - missed days logged by the missed check-in job
+//   - interventions opened in the range
+//   - median hours from Pending to Assigned (created_at -> assigned_at)
+//   - median hours to completion (assigned_at -> completed_at)
+//   - repeat offenders: students with REPEAT_THRESHOLD or more interventions
+// Check-ins are bucketed by their check-in date, interventions by the UTC
+// date they were opened. Students without a cohort report as 'Unassigned'.
+
+const { OUTCOMES, MISSED } = require('./rules');
+
+const REPEAT_THRESHOLD = parseInt(process.env.REPORT_REPEAT_THRESHOLD, 10) || 2;
+const UNASSIGNED = 'Unassigned';
+const ALL_COHORTS = 'All cohorts';
+
+const CSV_COLUMNS = [
+  'cohort',
+  'students',
+  'checkins',
+  'missed',
+  'on_track',
+  'on_track_rate',
+  'interventions',
+  'median_hours_to_assign',
+  'median_hours_to_complete',
+  'repeat_offenders',
+];
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const round = (value, places = 1) =>
+  value === null ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+const hoursBetween = (from, to) =>
+  (new Date(to).getTime() - new Date(from).getTime()) / 3600000;
+
+// Stats for one group of students and their rows
+const summarizeGroup = (cohort, students, logs, interventions) => {
+  const checkins = logs.filter((log) => OUTCOMES[log.status]);
+  const onTrack = checkins.filter((log) => !OUTCOMES[log.status].locks).length;
+  const assigned = interventions.filter((i) => i.assigned_at);
+  const completed = assigned.filter((i) => i.completed_at);
+
+  const perStudent = new Map();
+  for (const intervention of interventions) {
+    perStudent.set(intervention.student_id, (perStudent.get(intervention.student_id) || 0) + 1);
+  }
+  const names = new Map(students.map((s) => [s.student_id, s.name]));
+  const repeatOffenders = [...perStudent.entries()]
+    .filter(([, count]) => count >= REPEAT_THRESHOLD)
+    .map(([studentId, count]) => ({ student_id: studentId, name: names.get(studentId) || null, interventions: count }))
+    .sort((a, b) => b.interventions - a.interventions || a.student_id.localeCompare(b.student_id));
+
+  return {
+    cohort,
+    students: students.length,
+    checkins: checkins.length,
+    missed: logs.filter((log) => log.status === MISSED).length,
+    on_track: onTrack,
+    on_track_rate: checkins.length ? round((onTrack / checkins.length) * 100) : null,
+    interventions: interventions.length,
+    median_hours_to_assign: round(median(assigned.map((i) => hoursBetween(i.created_at, i.assigned_at)))),
+    median_hours_to_complete: round(median(completed.map((i) => hoursBetween(i.assigned_at, i.completed_at)))),
+    repeat_offenders: repeatOffenders
+  };
+};
+
+// `logs` and `interventions` must already be limited to the range
+const buildCohortReport = ({ from, to, students, logs, interventions, now = new Date() }) => {
+  const cohortOf = new Map(students.map((s) => [s.student_id, s.cohort || UNASSIGNED]));
+  const cohorts = [...new Set(cohortOf.values())].sort();
+  const inCohort = (cohort) => (row) => cohortOf.get(row.student_id) === cohort;
+
+  // Rows for students outside the report (e.g. another cohort) are dropped
+  const known = (row) => cohortOf.has(row.student_id);
+  const reportLogs = logs.filter(known);
+  const reportInterventions = interventions.filter(known);
+
+  return {
+    range: { from, to },
+    generated_at: now.toISOString(),
+    repeat_threshold: REPEAT_THRESHOLD,
+    cohorts: cohorts.map((cohort) =>
+      summarizeGroup(
+        cohort,
+        students.filter((s) => (s.cohort || UNASSIGNED) === cohort),
+        reportLogs.filter(inCohort(cohort)),
+        reportInterventions.filter(inCohort(cohort))
+      )
+    ),
+    totals: summarizeGroup(ALL_COHORTS, students, reportLogs, reportInterventions)
+  };
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per cohort plus a totals row. Repeat offenders are listed in a
+// single cell as "S001 (3); S004 (2)".
+const reportToCsv = (report) => {
+  const rows = [...report.cohorts, report.totals].map((group) =>
+    CSV_COLUMNS.map((column) =>
+      csvCell(
+        column === 'repeat_offenders'
+          ? group.repeat_offenders.map((o) => `${o.student_id} (${o.interventions})`).join('; ')
+          : group[column]
+      )
+    ).join(',')
+  );
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+};
+
+const show = (value, suffix = '') => (value === null ? '-' : `${value}${suffix}`);
+
+// Plain-text rendering for the weekly digest email and file
+const reportToText = (report) => {
+  const lines = [
+    `Alcovia cohort report: ${report.range.from} to ${report.range.to}`,
+    `Generated ${report.generated_at}`,
+    '',
+  ];
+
+  for (const group of [...report.cohorts, report.totals]) {
+    lines.push(
+      `${group.cohort} (${group.students} students)`,
+      `  Check-ins: ${group.checkins}, on track: ${show(group.on_track_rate, '%')}, missed days: ${group.missed}`,
+      `  Interventions: ${group.interventions}`,
+      `  Median time to assign: ${show(group.median_hours_to_assign, 'h')}`,
+      `  Median time to complete: ${show(group.median_hours_to_complete, 'h')}`
+    );
+    if (group.repeat_offenders.length) {
+      lines.push(`  Repeat interventions (${report.repeat_threshold}+):`);
+      for (const offender of group.repeat_offenders) {
+        lines.push(`    ${offender.student_id} ${offender.name || ''} - ${offender.interventions}`);
+      }
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+};
+
+module.exports = {
+  REPEAT_THRESHOLD,
+  buildCohortReport,
+  reportToCsv,
+  reportToText,
+};
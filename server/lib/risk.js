@@ -0,0 +1,114 @@
+// risk.js - Trend-aware risk scoring over a student's daily_logs
+//
+// The score (0-100) combines three signals from a rolling window:
+//   - today's rule outcome and the streak of consecutive failing check-ins
+//     (a missed day counts as a failure)
+//   - how far the short moving average has dropped below the student's
+//     own baseline (the older part of the window)
+// and maps to an action: none, warn, lock or escalate.
+
+const { OUTCOMES, MISSED } = require('./rules');
+
+const WINDOW_DAYS = parseInt(process.env.RISK_WINDOW_DAYS, 10) || 14;
+
+// Number of most recent check-ins in the short moving average
+const SHORT_WINDOW = 3;
+
+// Minimum older check-ins before a baseline is trusted
+const MIN_BASELINE_SAMPLES = 3;
+
+const WEIGHTS = {
+  failure: 30,        // today's check-in failed its rule
+  streak: 20,         // each earlier consecutive failure
+  streakCap: 40,
+  quizDrop: 100,      // per 1.0 (100%) drop below baseline
+  quizDropCap: 40,
+  focusDrop: 60,
+  focusDropCap: 30,
+};
+
+// Lowest score for each action, checked from the top
+const THRESHOLDS = [
+  { action: 'escalate', min: 80 },
+  { action: 'lock', min: 50 },
+  { action: 'warn', min: 25 },
+];
+
+const average = (values) =>
+  values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+const round = (value, places = 1) =>
+  value === null ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+// Fractional drop from baseline to current (0 when not below baseline)
+const dropFrom = (baseline, current) => {
+  if (!baseline || current === null) return 0;
+  return Math.max(0, (baseline - current) / baseline);
+};
+
+const isFailure = (log) => log.status === MISSED || Boolean(OUTCOMES[log.status]?.locks);
+
+const actionFor = (score) =>
+  (THRESHOLDS.find((t) => score >= t.min) || { action: 'none' }).action;
+
+// Scores a check-in history. `logs` must be ordered newest first and
+// include the check-in being scored.
+const scoreHistory = (logs) => {
+  const scored = logs.filter(
+    (log) => log.quiz_score !== null && log.focus_minutes !== null
+  );
+  const recent = scored.slice(0, SHORT_WINDOW);
+  const older = scored.slice(SHORT_WINDOW);
+
+  const quizAvg = average(recent.map((log) => log.quiz_score));
+  const focusAvg = average(recent.map((log) => log.focus_minutes));
+  const hasBaseline = older.length >= MIN_BASELINE_SAMPLES;
+  const quizBaseline = hasBaseline ? average(older.map((log) => log.quiz_score)) : null;
+  const focusBaseline = hasBaseline ? average(older.map((log) => log.focus_minutes)) : null;
+
+  let failureStreak = 0;
+  while (failureStreak < logs.length && isFailure(logs[failureStreak])) {
+    failureStreak++;
+  }
+
+  const quizDrop = dropFrom(quizBaseline, quizAvg);
+  const focusDrop = dropFrom(focusBaseline, focusAvg);
+
+  const score = Math.min(
+    100,
+    Math.round(
+      (failureStreak > 0 ? WEIGHTS.failure : 0) +
+      Math.min(WEIGHTS.streakCap, Math.max(0, failureStreak - 1) * WEIGHTS.streak) +
+      Math.min(WEIGHTS.quizDropCap, quizDrop * WEIGHTS.quizDrop) +
+      Math.min(WEIGHTS.focusDropCap, focusDrop * WEIGHTS.focusDrop)
+    )
+  );
+
+  return {
+    score,
+    action: actionFor(score),
+    trend: {
+      window_days: WINDOW_DAYS,
+      samples: logs.length,
+      quiz_moving_avg: round(quizAvg),
+      focus_moving_avg: round(focusAvg),
+      quiz_baseline: round(quizBaseline),
+      focus_baseline: round(focusBaseline),
+      quiz_drop_pct: Math.round(quizDrop * 100),
+      focus_drop_pct: Math.round(focusDrop * 100),
+      failure_streak: failureStreak,
+      history: logs.map(({ logged_at, quiz_score, focus_minutes, status }) => ({
+        logged_at,
+        quiz_score,
+        focus_minutes,
+        status,
+      })),
+    },
+  };
+};
+
+module.exports = {
+  WINDOW_DAYS,
+  THRESHOLDS,
+  scoreHistory,
+};
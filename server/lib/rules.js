@@ -0,0 +1,166 @@
+// rules.js - Data-driven intervention rules
+//
+// A rule is a row in `intervention_rules`:
+//   { rule_id, version, name, cohort, student_id, priority,
+//     conditions, outcome, otherwise_outcome }
+//
+// `conditions` is a tree of AND/OR groups and comparisons:
+//   { "all": [ { "field": "quiz_score", "op": ">", "value": 7 }, ... ] }
+//   { "any": [ ... ] }
+//
+// Rules are tried from most to least specific (student, then cohort, then
+// global) and by descending priority. The first rule that matches produces
+// its `outcome`; a rule with an `otherwise_outcome` also decides when it does
+// not match, otherwise evaluation falls through to the next rule.
+
+// Named outcomes a rule may produce, and whether they lock the student
+const OUTCOMES = {
+  'On Track': { locks: false },
+  'Needs Intervention': { locks: true },
+};
+
+// Status of the daily_logs row the missed check-in job writes for a day
+// with no check-in (not a rule outcome; it has no scores)
+const MISSED = 'Missed';
+
+// Check-in fields a condition may compare against
+const FIELDS = ['quiz_score', 'focus_minutes'];
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+// The original hard-coded gate, kept as the global default rule
+const DEFAULT_RULE = {
+  rule_id: 'default-gate',
+  version: 1,
+  name: 'Default logic gate',
+  cohort: null,
+  student_id: null,
+  priority: 0,
+  conditions: {
+    all: [
+      { field: 'quiz_score', op: '>', value: 7 },
+      { field: 'focus_minutes', op: '>', value: 60 },
+    ],
+  },
+  outcome: 'On Track',
+  otherwise_outcome: 'Needs Intervention',
+};
+
+// Returns an error message for an invalid condition tree, or null
+const validateConditions = (node, path = 'conditions') => {
+  if (!node || typeof node !== 'object') {
+    return `${path} must be an object`;
+  }
+
+  if ('all' in node && 'any' in node) {
+    return `${path} must have either all or any, not both`;
+  }
+  const key = 'all' in node ? 'all' : 'any' in node ? 'any' : null;
+  if (key) {
+    const group = node[key];
+    if (!Array.isArray(group)) {
+      return `${path}.${key} must be an array`;
+    }
+    // An empty all would match every check-in, an empty any none
+    if (group.length === 0) {
+      return `${path}.${key} must not be empty`;
+    }
+    for (let i = 0; i < group.length; i++) {
+      const message = validateConditions(group[i], `${path}[${i}]`);
+      if (message) return message;
+    }
+    return null;
+  }
+
+  if (!FIELDS.includes(node.field)) {
+    return `${path}.field must be one of: ${FIELDS.join(', ')}`;
+  }
+  if (!OPERATORS[node.op]) {
+    return `${path}.op must be one of: ${Object.keys(OPERATORS).join(' ')}`;
+  }
+  if (typeof node.value !== 'number') {
+    return `${path}.value must be a number`;
+  }
+  return null;
+};
+
+// Returns an error message for an invalid rule definition, or null
+const validateRule = (rule) => {
+  if (!rule.rule_id) return 'rule_id is required';
+  if (!rule.name) return 'name is required';
+  if (typeof rule.priority !== 'number' || !Number.isFinite(rule.priority)) {
+    return 'priority must be a number';
+  }
+  if (rule.cohort && rule.student_id) {
+    return 'A rule can target a cohort or a student, not both';
+  }
+  if (!OUTCOMES[rule.outcome]) {
+    return `outcome must be one of: ${Object.keys(OUTCOMES).join(', ')}`;
+  }
+  if (rule.otherwise_outcome && !OUTCOMES[rule.otherwise_outcome]) {
+    return `otherwise_outcome must be one of: ${Object.keys(OUTCOMES).join(', ')}`;
+  }
+  return validateConditions(rule.conditions);
+};
+
+const evaluateConditions = (node, checkin) => {
+  if (node.all) return node.all.every((child) => evaluateConditions(child, checkin));
+  if (node.any) return node.any.some((child) => evaluateConditions(child, checkin));
+  return OPERATORS[node.op](Number(checkin[node.field]), node.value);
+};
+
+// 2 = student-specific, 1 = cohort, 0 = global
+const specificity = (rule) => (rule.student_id ? 2 : rule.cohort ? 1 : 0);
+
+// Picks the rules that apply to a student, most specific first
+const applicableRules = (rules, student) =>
+  rules
+    .filter((rule) => {
+      if (rule.student_id) return rule.student_id === student.student_id;
+      if (rule.cohort) return rule.cohort === student.cohort;
+      return true;
+    })
+    .sort((a, b) =>
+      specificity(b) - specificity(a) || (b.priority || 0) - (a.priority || 0)
+    );
+
+// Evaluates a check-in against the stored rules and returns the decision.
+// Falls back to DEFAULT_RULE when no stored rule decides.
+const evaluateCheckin = (rules, student, checkin) => {
+  const candidates = applicableRules(rules, student).filter((rule) => {
+    const message = validateRule(rule);
+    if (message) {
+      console.warn(`⚠️ Skipping invalid rule ${rule.rule_id}: ${message}`);
+    }
+    return !message;
+  });
+
+  for (const rule of [...candidates, DEFAULT_RULE]) {
+    const matched = evaluateConditions(rule.conditions, checkin);
+    const outcome = matched ? rule.outcome : rule.otherwise_outcome;
+    if (!outcome) continue;
+
+    return {
+      outcome,
+      locks: OUTCOMES[outcome].locks,
+      rule_id: rule.rule_id,
+      rule_version: rule.version,
+    };
+  }
+};
+
+module.exports = {
+  OUTCOMES,
+  MISSED,
+  FIELDS,
+  DEFAULT_RULE,
+  validateRule,
+  evaluateCheckin,
+};
@@ -0,0 +1,32 @@
+// signature.js - HMAC signatures shared by outgoing webhooks and incoming
+// callbacks
+//
+// signature = "sha256=" + hex(HMAC-SHA256(secret, `${timestamp}.${body}`))
+// where timestamp is unix seconds, sent alongside as X-Alcovia-Timestamp.
+
+const crypto = require('crypto');
+
+// Callbacks older (or further in the future) than this are rejected
+const TOLERANCE_SECONDS = 5 * 60;
+
+const signPayload = (body, timestamp, secret) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Returns an error message, or null when the signature is valid and fresh
+const verifySignature = (body, timestamp, signature, secret, now = Date.now()) => {
+  if (!timestamp || !signature) return 'Missing signature headers';
+
+  const age = Math.abs(Math.floor(now / 1000) - parseInt(timestamp, 10));
+  if (!Number.isFinite(age) || age > TOLERANCE_SECONDS) {
+    return 'Signature timestamp is outside the allowed window';
+  }
+
+  const expected = Buffer.from(signPayload(body, timestamp, secret));
+  const actual = Buffer.from(String(signature));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return 'Invalid signature';
+  }
+  return null;
+};
+
+module.exports = { signPayload, verifySignature };
@@ -0,0 +1,94 @@
+// sla.js - Response deadlines for Pending interventions
+//
+// Every intervention gets its own deadlines when it opens, measured from
+// created_at:
+//   remind       SLA_REMIND_HOURS       the student's mentor is reminded
+//   escalate     SLA_ESCALATE_HOURS     handed to a backup mentor, and the
+//                                       program leads are told
+//   auto_assign  SLA_AUTO_ASSIGN_HOURS  SLA_AUTO_ASSIGN_TEMPLATE is assigned so
+//                                       the student is not locked indefinitely
+// Urgent interventions run on half the hours. An unset or 0 auto-assign
+// time turns auto-assignment off. Deadlines only apply while Pending.
+// An auto-assign that failed for good (stage auto_assign_failed) is not
+// due again.
+
+const envHours = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const SLA_HOURS = {
+  remind: envHours('SLA_REMIND_HOURS', 12),
+  escalate: envHours('SLA_ESCALATE_HOURS', 24),
+  auto_assign: envHours('SLA_AUTO_ASSIGN_HOURS', 0),
+};
+
+const AUTO_ASSIGN_TEMPLATE = process.env.SLA_AUTO_ASSIGN_TEMPLATE || 'focus-reset';
+
+// Steps in the order they fire, with the stage each one leaves behind
+const STEPS = [
+  { step: 'remind', column: 'sla_remind_at', stage: 'reminded' },
+  { step: 'escalate', column: 'sla_escalate_at', stage: 'escalated' },
+  { step: 'auto_assign', column: 'sla_auto_assign_at', stage: 'auto_assigned' },
+];
+
+const PRIORITY_FACTOR = { urgent: 0.5 };
+
+// Deadline columns for a new intervention
+const slaDeadlines = (priority, openedAt = new Date()) => {
+  const factor = PRIORITY_FACTOR[priority] || 1;
+  const at = (hours) =>
+    hours > 0 ? new Date(openedAt.getTime() + hours * factor * 3600000).toISOString() : null;
+
+  return {
+    sla_remind_at: at(SLA_HOURS.remind),
+    sla_escalate_at: at(SLA_HOURS.escalate),
+    sla_auto_assign_at: at(SLA_HOURS.auto_assign),
+    sla_stage: 'on_time',
+    sla_events: []
+  };
+};
+
+// Steps already taken, or given up on
+const takenSteps = (intervention) => {
+  const done = new Set((intervention.sla_events || []).map((event) => event.step));
+  if (intervention.sla_stage === 'auto_assign_failed') done.add('auto_assign');
+  return done;
+};
+
+// The steps not yet taken whose deadline has passed, in order
+const dueSteps = (intervention, now = new Date()) => {
+  const done = takenSteps(intervention);
+  return STEPS.filter(({ step, column }) =>
+    !done.has(step) && intervention[column] && Date.parse(intervention[column]) <= now.getTime()
+  );
+};
+
+// SLA state as the API returns it
+const presentSla = (intervention, now = new Date()) => {
+  if (!intervention || !intervention.sla_stage) return null;
+
+  const done = takenSteps(intervention);
+  const next = intervention.status === 'Pending'
+    ? STEPS.find(({ step, column }) => !done.has(step) && intervention[column])
+    : null;
+
+  return {
+    stage: intervention.sla_stage,
+    remind_at: intervention.sla_remind_at,
+    escalate_at: intervention.sla_escalate_at,
+    auto_assign_at: intervention.sla_auto_assign_at,
+    next_step: next ? next.step : null,
+    next_step_at: next ? intervention[next.column] : null,
+    overdue: Boolean(next && Date.parse(intervention[next.column]) <= now.getTime()),
+    events: intervention.sla_events || []
+  };
+};
+
+module.exports = {
+  SLA_HOURS,
+  AUTO_ASSIGN_TEMPLATE,
+  slaDeadlines,
+  dueSteps,
+  presentSla,
+};
@@ -0,0 +1,46 @@
+// states.js - Legal status transitions for students and interventions
+//
+//   student:       Normal -> Needs Intervention -> Remedial -> Normal
+//   intervention:  (created) -> Pending -> Assigned -> Submitted for Review
+//                  -> Completed, or back to Assigned when the mentor rejects
+//
+// Anything not listed here is rejected by assertTransition.
+
+const { HttpError } = require('./errors');
+
+const TRANSITIONS = {
+  student: {
+    Normal: ['Needs Intervention'],
+    'Needs Intervention': ['Remedial'],
+    Remedial: ['Normal'],
+  },
+  intervention: {
+    null: ['Pending'],
+    Pending: ['Assigned'],
+    Assigned: ['Submitted for Review'],
+    'Submitted for Review': ['Completed', 'Assigned'],
+    Completed: [],
+  },
+};
+
+const STATES = {
+  student: Object.keys(TRANSITIONS.student),
+  intervention: Object.keys(TRANSITIONS.intervention).filter((state) => state !== 'null'),
+};
+
+const canTransition = (entity, from, to) =>
+  (TRANSITIONS[entity][String(from)] || []).includes(to);
+
+// Throws a 409 for an illegal transition
+const assertTransition = (entity, from, to) => {
+  if (!canTransition(entity, from, to)) {
+    throw new HttpError(409, `Illegal ${entity} transition: ${from || '(new)'} → ${to}`);
+  }
+};
+
+module.exports = {
+  TRANSITIONS,
+  STATES,
+  canTransition,
+  assertTransition,
+};
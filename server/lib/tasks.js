@@ -0,0 +1,70 @@
+// tasks.js - Remedial task templates and the task copied onto an intervention
+//
+// A template has a title, instructions, subject, estimated duration and
+// optional ordered steps. Assigning copies the (possibly customised) task
+// onto the intervention, so later template edits never change assigned work.
+// Steps are stored as [{ title, done, completed_at }].
+
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Request body fields that describe a task to assign. `task` is the plain
+// title used before templates existed (and still sent by n8n).
+const TASK_FIELDS = ['task', 'template_id', 'title', 'instructions', 'subject', 'estimated_minutes', 'steps'];
+
+const taskInput = (body) =>
+  Object.fromEntries(TASK_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+const normalizeSteps = (steps) =>
+  (steps || []).map((step) => String(step).trim()).filter(Boolean);
+
+const validateTemplate = (template) => {
+  if (!template.template_id || !TEMPLATE_ID_PATTERN.test(template.template_id)) {
+    return 'template_id is required (lowercase letters, digits and dashes)';
+  }
+  if (!template.title) return 'title is required';
+  if (template.steps !== undefined && !Array.isArray(template.steps)) {
+    return 'steps must be a list of step titles';
+  }
+  const minutes = template.estimated_minutes;
+  if (minutes !== undefined && minutes !== null && !(Number.isInteger(minutes) && minutes > 0)) {
+    return 'estimated_minutes must be a positive whole number';
+  }
+  return null;
+};
+
+// Intervention fields for a task built from an optional template plus
+// overrides ({ title, instructions, subject, estimated_minutes, steps }).
+// Steps keep their progress when a re-assigned task still has them.
+const buildTask = (template, overrides = {}, previousSteps = []) => {
+  const pick = (field) => (overrides[field] !== undefined ? overrides[field] : template?.[field] ?? null);
+  const doneBefore = new Map(previousSteps.map((step) => [step.title, step]));
+
+  return {
+    assigned_task: pick('title'),
+    task_template_id: template ? template.template_id : null,
+    task_instructions: pick('instructions'),
+    task_subject: pick('subject'),
+    task_estimated_minutes: pick('estimated_minutes'),
+    task_steps: normalizeSteps(pick('steps')).map((title) => ({
+      title,
+      done: Boolean(doneBefore.get(title)?.done),
+      completed_at: doneBefore.get(title)?.completed_at || null
+    }))
+  };
+};
+
+// The task as the API returns it to students and mentors
+const presentTask = (intervention) =>
+  intervention && {
+    intervention_id: intervention.id,
+    status: intervention.status,
+    title: intervention.assigned_task,
+    template_id: intervention.task_template_id,
+    instructions: intervention.task_instructions,
+    subject: intervention.task_subject,
+    estimated_minutes: intervention.task_estimated_minutes,
+    steps: intervention.task_steps || [],
+    steps_done: (intervention.task_steps || []).filter((step) => step.done).length
+  };
+
+module.exports = { taskInput, normalizeSteps, validateTemplate, buildTask, presentTask };
@@ -0,0 +1,77 @@
+// urls.js - Guards for URLs that users point outgoing requests at
+//
+// Recipients choose their own chat and webhook URLs, so the server must not
+// be usable to reach its own network: loopback, private, link-local (cloud
+// metadata), CGNAT, multicast and reserved addresses are refused. URLs are
+// checked when they are saved (isPublicUrl), and every connection re-checks
+// the addresses the host resolves to at send time (PUBLIC_ONLY), so a name
+// that later points inward is refused too.
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+const LOCAL_NAMES = /(^|\.)(localhost|local|internal)$/i;
+
+// True for an address the server must not connect to on a user's behalf
+const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// An http(s) URL whose host is a public name or address
+const isPublicUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) return false;
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return !isPrivateAddress(host);
+  return host.includes('.') && !LOCAL_NAMES.test(host);
+};
+
+// dns.lookup that fails when the name resolves to a private address
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// axios options for a request to a user's URL. Redirects are not followed,
+// since they could lead anywhere.
+const PUBLIC_ONLY = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+  maxRedirects: 0
+};
+
+// Throws unless `url` may be sent to (IP literals skip the lookup, so they
+// are checked here)
+const assertPublicUrl = (url) => {
+  if (!isPublicUrl(url)) throw new Error(`Refusing to send to a private or invalid URL: ${url}`);
+};
+
+module.exports = { isPrivateAddress, isPublicUrl, assertPublicUrl, PUBLIC_ONLY };
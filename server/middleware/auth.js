@@ -0,0 +1,86 @@
+// auth.js - Authentication and role-based access middleware
+
+const { verifyToken } = require('../lib/auth');
+const { sendError } = require('../lib/errors');
+const { OPEN_STATUSES } = require('../services/mentors');
+
+// Resolves the bearer token to a user and attaches it as req.user
+const authenticate = (storage, secret) => async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const payload = scheme === 'Bearer' ? verifyToken(token, secret) : null;
+    if (!payload) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    // Re-read the account so role changes and removals apply immediately
+    const user = await storage.users.findOne({ id: payload.sub });
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Account no longer exists' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    sendError(res, error);
+  }
+};
+
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ success: false, error: 'Not allowed for your role' });
+  }
+  next();
+};
+
+// Students see themselves, mentors see the students they mentor,
+// admins and verified service callbacks see everyone
+const canAccessStudent = (user, student) => {
+  if (user.role === 'admin' || user.role === 'service') return true;
+  if (user.role === 'student') return user.student_id === student.student_id;
+  if (user.role === 'mentor') return Boolean(user.mentor_id) && user.mentor_id === student.mentor_id;
+  return false;
+};
+
+// A backup mentor also acts on a student whose open intervention an SLA
+// escalation handed to them, until it closes
+const coversStudent = async (storage, user, student) => {
+  if (user.role !== 'mentor' || !user.mentor_id) return false;
+  const intervention = await storage.interventions.findOne({
+    student_id: student.student_id,
+    mentor_id: user.mentor_id,
+    status: { in: OPEN_STATUSES }
+  });
+  return Boolean(intervention);
+};
+
+// Loads the student named by the route (params.studentId or body.student_id),
+// checks the caller may act on them and attaches it as req.student
+const authorizeStudent = (storage) => async (req, res, next) => {
+  try {
+    const studentId = req.params.studentId || req.body.student_id;
+    if (!studentId) return next();
+
+    const student = await storage.students.findOne({ student_id: studentId });
+    if (!student) {
+      return res.status(404).json({ success: false, error: 'Student not found' });
+    }
+    if (!canAccessStudent(req.user, student) && !(await coversStudent(storage, req.user, student))) {
+      return res.status(403).json({ success: false, error: 'You do not have access to this student' });
+    }
+
+    req.student = student;
+    next();
+  } catch (error) {
+    console.error('Error authorizing student access:', error);
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  authenticate,
+  requireRole,
+  canAccessStudent,
+  authorizeStudent,
+};
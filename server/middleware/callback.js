@@ -0,0 +1,39 @@
+// callback.js - Verification for signed server-to-server callbacks (n8n)
+
+const { verifySignature } = require('../lib/signature');
+
+// Identity attached to requests that arrive as verified callbacks
+const CALLBACK_USER = { id: null, role: 'service', name: 'Mentor (via n8n)' };
+
+// Callbacks come from the approval link emailed to the intervention's
+// mentor, so they act in that mentor's name when there is one
+const callbackUserFor = (mentor) => (mentor
+  ? { ...CALLBACK_USER, name: `${mentor.name} (via n8n)`, mentor_id: mentor.mentor_id }
+  : CALLBACK_USER);
+
+const isSignedCallback = (req) => Boolean(req.headers['x-alcovia-signature']);
+
+// Checks X-Alcovia-Signature against the raw request body. On success the
+// request is marked as a callback and acts as CALLBACK_USER.
+const verifyCallback = (secret) => (req, res, next) => {
+  if (!secret) {
+    console.error('❌ Signed callback received but WEBHOOK_SIGNING_SECRET is not set');
+    return res.status(503).json({ success: false, error: 'Callbacks are not configured' });
+  }
+
+  const message = verifySignature(
+    req.rawBody ? req.rawBody.toString('utf8') : '',
+    req.headers['x-alcovia-timestamp'],
+    req.headers['x-alcovia-signature'],
+    secret
+  );
+  if (message) {
+    return res.status(401).json({ success: false, error: message });
+  }
+
+  req.callback = true;
+  req.user = CALLBACK_USER;
+  next();
+};
+
+module.exports = { CALLBACK_USER, callbackUserFor, isSignedCallback, verifyCallback };
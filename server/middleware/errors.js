@@ -0,0 +1,46 @@
+// errors.js - One envelope for every error response
+//
+// Routes answer errors as { success: false, error } or through sendError();
+// errorEnvelope fills in the code for the status and a null field where a
+// route left them out, so clients always get
+//   { success: false, error, code, field }
+// notFound and handleErrors answer what no route did: unknown API paths,
+// unreadable request bodies and errors thrown past the handlers.
+
+const { errorBody, sendError } = require('../lib/errors');
+
+const errorEnvelope = (req, res, next) => {
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && body.success === false) {
+      return send({ ...body, ...errorBody(res.statusCode, body.error, body) });
+    }
+    return send(body);
+  };
+  next();
+};
+
+const notFound = (req, res) => {
+  const [path] = req.originalUrl.split('?');
+  res.status(404).json(errorBody(404, `No route for ${req.method} ${path}`));
+};
+
+// Express error handler (it needs all four arguments)
+const handleErrors = (error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json(errorBody(400, 'The request body is not valid JSON', { code: 'invalid_json' }));
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json(errorBody(413, 'The request body is too large'));
+  }
+  // Other body parser errors (unsupported charset or encoding)
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json(errorBody(error.status, error.message));
+  }
+
+  console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, error);
+  if (res.headersSent) return res.end();
+  sendError(res, error);
+};
+
+module.exports = { errorEnvelope, notFound, handleErrors };
@@ -0,0 +1,121 @@
+// idempotency.js - Replay-safe POSTs keyed by a client-generated ID
+//
+// The student app queues check-ins and task completions while offline and
+// sends each with an Idempotency-Key header when it syncs. The first request
+// with a key claims it and its response is stored; retries with the same key
+// get that response back instead of running the route again.
+
+const crypto = require('crypto');
+const { errorBody, sendError } = require('../lib/errors');
+
+const MAX_KEY_LENGTH = 100;
+
+// A claim whose request never finished (e.g. the server restarted mid-way)
+// can be taken over after this long
+const STALE_CLAIM_MS = 2 * 60 * 1000;
+
+// Answers that are not the request's outcome: rate limiting and server
+// errors. The key is released so the retry runs the route again. Conflicts
+// (already checked in, check-ins paused) are final and replayed.
+const RETRYABLE_STATUSES = [429];
+const isRetryable = (status) => status >= 500 || RETRYABLE_STATUSES.includes(status);
+
+// Code of the 409 sent while the key's first request is still running: the
+// only conflict a client should retry
+const IN_PROGRESS_CODE = 'request_in_progress';
+
+const hashBody = (req) =>
+  crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+
+// Inserts the key, or takes over a failed or stale claim. Returns the claimed
+// row, or the existing row when someone else holds the key.
+const claimKey = async (storage, identity, requestHash) => {
+  try {
+    const row = await storage.idempotencyKeys.insert({
+      ...identity,
+      request_hash: requestHash,
+      status: 'processing'
+    });
+    return { claimed: true, row };
+  } catch (error) {
+    // Most likely the unique key; anything else resurfaces below
+    const existing = await storage.idempotencyKeys.findOne(identity);
+    if (!existing) throw error;
+
+    const stale = existing.status === 'processing' &&
+      Date.parse(existing.updated_at) < Date.now() - STALE_CLAIM_MS;
+    if (existing.request_hash !== requestHash || (existing.status !== 'failed' && !stale)) {
+      return { claimed: false, row: existing };
+    }
+
+    // Guarded on the row as read, so only one retry takes it over
+    const [row] = await storage.idempotencyKeys.update(
+      { id: existing.id, status: existing.status, updated_at: existing.updated_at },
+      { status: 'processing', updated_at: new Date().toISOString() }
+    );
+    return row ? { claimed: true, row } : { claimed: false, row: existing };
+  }
+};
+
+// Runs after authorizeStudent; keys are scoped to the route and the student
+const idempotent = (storage, scope) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key || !req.student) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const requestHash = hashBody(req);
+    const { claimed, row } = await claimKey(
+      storage,
+      { scope, student_id: req.student.student_id, key },
+      requestHash
+    );
+
+    if (!claimed) {
+      if (row.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key was already used for a different request'
+        });
+      }
+      if (row.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(row.response_status).json(row.response_body);
+      }
+      return res.status(409).json(errorBody(
+        409,
+        'A request with this Idempotency-Key is still being processed',
+        { code: IN_PROGRESS_CODE }
+      ));
+    }
+
+    // Store the response before sending it, so a retry that arrives right
+    // after sees the result. Only final outcomes (2xx and other 4xx) are
+    // replayed; retryable answers release the key.
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      storage.idempotencyKeys.update({ id: row.id }, {
+        status: isRetryable(res.statusCode) ? 'failed' : 'completed',
+        response_status: res.statusCode,
+        response_body: body,
+        updated_at: new Date().toISOString()
+      })
+        .catch((error) => console.error(`Error storing response for key ${key}:`, error))
+        .then(() => send(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('Error claiming idempotency key:', error);
+    sendError(res, error);
+  }
+};
+
+module.exports = { IN_PROGRESS_CODE, idempotent };
@@ -0,0 +1,196 @@
+// validate.js - Checks requests against the OpenAPI document
+//
+// Finds the operation for the request's method and path, then checks its
+// path parameters, query, headers and JSON body before any route runs. The
+// first problem is answered with a 400 naming the field:
+//   { success: false, error: 'answers[0].choice_index must be a whole number',
+//     code: 'invalid_field', field: 'answers[0].choice_index' }
+// (code missing_field when it is absent). Paths the document does not
+// describe pass through untouched.
+
+const Ajv = require('ajv/dist/2020');
+const { errorBody } = require('../lib/errors');
+
+const FORMATS = {
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  'date-time': (value) => !isNaN(Date.parse(value)),
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object',
+  null: 'null',
+};
+
+const FORMAT_NAMES = {
+  date: 'a date (YYYY-MM-DD)',
+  'date-time': 'a timestamp',
+  uuid: 'an id (UUID)',
+};
+
+const createAjv = (options = {}) => new Ajv({ formats: FORMATS, allowUnionTypes: true, ...options });
+
+// Copies a schema with its component $refs replaced by the schemas they name
+const resolveRefs = (schema, components) => {
+  if (Array.isArray(schema)) return schema.map((item) => resolveRefs(item, components));
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const { $ref, ...rest } = schema;
+  if ($ref) {
+    const name = $ref.replace('#/components/schemas/', '');
+    return resolveRefs({ ...components[name], ...rest }, components);
+  }
+  return Object.fromEntries(Object.entries(rest).map(([key, value]) => [key, resolveRefs(value, components)]));
+};
+
+// answers/0/choice_index -> answers[0].choice_index
+const fieldPath = (instancePath, property) =>
+  [...instancePath.split('/').filter(Boolean), ...(property ? [property] : [])]
+    .reduce((path, part) => (/^\d+$/.test(part) ? `${path}[${part}]` : path ? `${path}.${part}` : part), '');
+
+const describe = (error, field) => {
+  const { keyword, params } = error;
+  switch (keyword) {
+    case 'required':
+      return `${field} is required`;
+    case 'type':
+      return `${field} must be ${[].concat(params.type).map((type) => TYPE_NAMES[type]).join(' or ')}`;
+    case 'enum':
+      return `${field} must be one of: ${params.allowedValues.filter((value) => value !== null).join(', ')}`;
+    case 'const':
+      return `${field} must be ${JSON.stringify(params.allowedValue)}`;
+    case 'format':
+      return `${field} must be ${FORMAT_NAMES[params.format] || params.format}`;
+    case 'minimum':
+      return `${field} must be at least ${params.limit}`;
+    case 'maximum':
+      return `${field} must be at most ${params.limit}`;
+    case 'minLength':
+      return params.limit === 1 ? `${field} must not be empty` : `${field} must be at least ${params.limit} characters`;
+    case 'maxLength':
+      return `${field} must be at most ${params.limit} characters`;
+    case 'minItems':
+      return params.limit === 1 ? `${field} must not be empty` : `${field} must have at least ${params.limit} items`;
+    case 'maxItems':
+      return `${field} can have at most ${params.limit} items`;
+    default:
+      return `${field} ${error.message}`;
+  }
+};
+
+// The error envelope for the first failed check
+const validationError = (location, error) => {
+  const field = fieldPath(error.instancePath, error.keyword === 'required' && error.params.missingProperty);
+  if (!field) {
+    return errorBody(400, `The request ${location} must be a JSON object`, { code: 'invalid_field' });
+  }
+  return errorBody(400, describe(error, field), {
+    code: error.keyword === 'required' ? 'missing_field' : 'invalid_field',
+    field
+  });
+};
+
+// Checks for one operation: [{ location, read(req, params), validate }].
+// Path, query and header values arrive as strings, so those validators
+// coerce a copy ('5' -> 5); the request itself is never changed.
+const compileOperation = (operation, { ajv, coercing, components }) => {
+  const checks = [];
+  const parameters = operation.parameters || [];
+
+  const readers = {
+    path: (req, params) => params,
+    query: (req) => ({ ...req.query }),
+    header: (req, params, names) =>
+      Object.fromEntries(names.filter((name) => req.get(name) !== undefined).map((name) => [name, req.get(name)])),
+  };
+
+  for (const [location, read] of Object.entries(readers)) {
+    const own = parameters.filter((parameter) => parameter.in === location);
+    if (!own.length) continue;
+
+    const required = own.filter((parameter) => parameter.required).map((parameter) => parameter.name);
+    const schema = {
+      type: 'object',
+      properties: Object.fromEntries(own.map((parameter) => [parameter.name, parameter.schema])),
+      ...(required.length ? { required } : {})
+    };
+    const names = own.map((parameter) => parameter.name);
+    checks.push({
+      location,
+      read: (req, params) => read(req, params, names),
+      validate: coercing.compile(resolveRefs(schema, components))
+    });
+  }
+
+  const body = operation.requestBody && operation.requestBody.content['application/json'];
+  if (body) {
+    checks.push({
+      location: 'body',
+      read: (req) => req.body,
+      validate: ajv.compile(resolveRefs(body.schema, components))
+    });
+  }
+  return checks;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Routes as [{ method, pattern, names, checks }], literal paths first so
+// /api/focus/start is never read as /api/focus/{studentId}
+const compileRoutes = (spec) => {
+  const options = { ajv: createAjv(), coercing: createAjv({ coerceTypes: true }), components: spec.components.schemas };
+  const routes = [];
+
+  for (const [template, item] of Object.entries(spec.paths)) {
+    const names = [];
+    const source = template.split('/').map((segment) => {
+      const param = /^\{(\w+)\}$/.exec(segment);
+      if (!param) return escapeRegExp(segment);
+      names.push(param[1]);
+      return '([^/]+)';
+    }).join('/');
+    const pattern = new RegExp(`^${source}/?$`, 'i');
+
+    for (const [method, operation] of Object.entries(item)) {
+      routes.push({ method: method.toUpperCase(), pattern, names, checks: compileOperation(operation, options) });
+    }
+  }
+  return routes.sort((a, b) => a.names.length - b.names.length);
+};
+
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const validateRequest = (spec) => {
+  const routes = compileRoutes(spec);
+
+  return (req, res, next) => {
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    let match = null;
+    const route = routes.find((candidate) => {
+      match = candidate.method === method && candidate.pattern.exec(req.path);
+      return match;
+    });
+    if (!route) return next();
+
+    const params = Object.fromEntries(route.names.map((name, i) => [name, decode(match[i + 1])]));
+    for (const { location, read, validate } of route.checks) {
+      if (!validate(read(req, params))) {
+        return res.status(400).json(validationError(location, validate.errors[0]));
+      }
+    }
+    next();
+  };
+};
+
+module.exports = { validateRequest };
@@ -0,0 +1,65 @@
+// index.js - The OpenAPI 3.1 document for the Alcovia API
+//
+// Served at GET /api/openapi.json, checked against every request by
+// middleware/validate.js and used to generate the app's API client
+// (npm run generate:client).
+
+const { version } = require('../package.json');
+const { CODES } = require('../lib/errors');
+const { schemas } = require('./schemas');
+const { paths, ERROR_RESPONSES } = require('./paths');
+
+const ERROR_DESCRIPTIONS = {
+  400: 'The request is invalid: a missing or malformed field (code missing_field or invalid_field, with the field), or a rule the route enforces',
+  401: 'No valid session token, or a bad callback signature',
+  403: 'Not allowed for the caller\'s role or for this student',
+  404: 'No such record',
+  409: 'The record is not in a state that allows this, or (code request_in_progress) the first request with this Idempotency-Key is still running',
+  413: 'The request body is too large',
+  422: 'The Idempotency-Key was already used for a different request',
+  500: 'Unexpected server error (the details are logged, not returned)',
+  503: 'A service this route needs is not configured'
+};
+
+const errorResponse = (status) => ({
+  description: `${ERROR_DESCRIPTIONS[status]} (default code: ${CODES[status]})`,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const spec = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Alcovia Intervention Engine API',
+    version,
+    description: 'Daily check-ins, focus sessions and quizzes for students, and the intervention workflow for their mentors. Every error response is { success: false, error, code, field }.'
+  },
+  servers: [{ url: 'http://localhost:3000', description: 'Local development' }],
+  security: [{ bearerAuth: [] }],
+  tags: [
+    'System', 'Auth', 'Students', 'Check-ins', 'Focus', 'Quiz', 'Tasks',
+    'Interventions', 'Mentor', 'Rules', 'Notifications', 'Reports', 'Admin'
+  ].map((name) => ({ name })),
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'Session token from POST /api/auth/login'
+      },
+      signedCallback: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Alcovia-Signature',
+        description: 'HMAC of the timestamp and raw body with WEBHOOK_SIGNING_SECRET, sent with X-Alcovia-Timestamp (n8n callbacks)'
+      }
+    },
+    responses: {
+      ...Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([status, name]) => [name, errorResponse(status)])),
+      InternalError: errorResponse(500)
+    },
+    schemas
+  }
+};
+
+module.exports = { spec };
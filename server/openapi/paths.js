@@ -0,0 +1,846 @@
+// paths.js - Every route of the API, for the OpenAPI document
+//
+// Request parameters and bodies here are what middleware/validate.js checks
+// before a route runs, so they only say what the handlers require. Rules
+// that span fields (a task or a template_id, a note or a file as evidence)
+// stay in the handlers. Operation ids name the methods of the generated
+// client (scripts/generate-client.js).
+
+const { ROLES } = require('../lib/auth');
+const { OUTCOMES } = require('../lib/rules');
+const { LIMITS } = require('../lib/integrity');
+const { DIFFICULTIES } = require('../lib/quiz');
+const { MAX_ATTACHMENTS, CONTENT_TYPES } = require('../lib/evidence');
+const { EVENTS } = require('../lib/notifications');
+const { PAUSE_REASONS } = require('../services/focus');
+const { CHANNELS } = require('../services/channels');
+const { STATUSES: DELIVERY_STATUSES } = require('../services/outbox');
+const {
+  STATUSES: INTERVENTION_STATUSES,
+  SUBMISSION_STATUSES,
+  CORRECTION_STATUSES,
+  FLAG_STATUSES
+} = require('../routes/mentor');
+const { RECIPIENT_TYPES } = require('../routes/notifications');
+const { FORMATS } = require('../routes/reports');
+const { schemas, ref, nullable, list, ID, STUDENT_ID, TIMESTAMP, DATE } = require('./schemas');
+
+const TEXT = { type: 'string', minLength: 1 };
+const json = (schema) => ({ 'application/json': { schema } });
+const object = (properties, required = []) => ({
+  type: 'object',
+  ...(required.length ? { required } : {}),
+  properties
+});
+const orNull = (schema) => ({ oneOf: [schema, { type: 'null' }] });
+
+// Success responses carry success: true next to their fields
+const ok = (properties, { status = 200, description = 'OK' } = {}) => ({
+  [status]: {
+    description,
+    content: json(object({ success: { const: true }, ...properties }, ['success']))
+  }
+});
+
+const pathParam = (name, schema = TEXT) => ({ name, in: 'path', required: true, schema });
+const queryParam = (name, schema, description) => ({
+  name,
+  in: 'query',
+  schema,
+  ...(description ? { description } : {})
+});
+const idempotencyKey = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  description: 'Client-generated request id; a retry with the same key replays the first final response (429 and 5xx answers are not kept, so the retry runs again; a 409 with code request_in_progress means the first request is still running)',
+  schema: { type: 'string', minLength: 1, maxLength: 100 }
+};
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  413: 'PayloadTooLarge',
+  422: 'Unprocessable',
+  503: 'Unavailable'
+};
+
+// One operation. Every operation may fail validation (400) and with a
+// server error (500); ones behind a session may also get 401.
+const operation = (operationId, summary, {
+  tag,
+  description,
+  parameters,
+  body,
+  bodyRequired = true,
+  responses,
+  errors = [],
+  security
+}) => {
+  const statuses = [...new Set([400, ...(security ? [] : [401]), ...errors])].sort();
+  return {
+    operationId,
+    summary,
+    ...(description ? { description } : {}),
+    tags: [tag],
+    ...(security ? { security } : {}),
+    ...(parameters ? { parameters } : {}),
+    ...(body ? { requestBody: { required: bodyRequired, content: json(body) } } : {}),
+    responses: {
+      ...responses,
+      ...Object.fromEntries(statuses.map((status) => [status, {
+        $ref: `#/components/responses/${ERROR_RESPONSES[status]}`
+      }])),
+      500: { $ref: '#/components/responses/InternalError' }
+    }
+  };
+};
+
+const PUBLIC = [];
+
+const studentParam = pathParam('studentId', STUDENT_ID);
+const studentBody = (properties = {}, required = []) =>
+  object({ student_id: STUDENT_ID, ...properties }, ['student_id', ...required]);
+
+const focusResponse = ok({
+  session: orNull(ref('FocusSession')),
+  today_seconds: { type: 'integer' },
+  today_minutes: { type: 'integer' },
+  heartbeat_interval_seconds: { type: 'integer' }
+});
+
+const focusAction = (operationId, summary, body = studentBody()) => operation(operationId, summary, {
+  tag: 'Focus',
+  description: 'Students and admins.',
+  body,
+  responses: focusResponse,
+  errors: [403, 404, 409]
+});
+
+const questionFields = {
+  subject: TEXT,
+  topic: TEXT,
+  difficulty: { enum: DIFFICULTIES },
+  prompt: TEXT,
+  choices: list({ type: 'string' }),
+  answer_index: { type: 'integer', minimum: 0 },
+  explanation: nullable('string')
+};
+
+const templateFields = {
+  title: TEXT,
+  instructions: nullable('string'),
+  subject: nullable('string'),
+  estimated_minutes: { ...nullable('integer'), minimum: 1 },
+  steps: list({ type: 'string' })
+};
+
+const preferencesResponse = ok({
+  preferences: ref('Preferences'),
+  channels: list(object({ name: { type: 'string' }, enabled: { type: 'boolean' } })),
+  events: list({ enum: EVENTS })
+});
+
+const recipientParams = [
+  pathParam('type', { enum: RECIPIENT_TYPES }),
+  pathParam('id')
+];
+
+const noteBody = object({ note: nullable('string') });
+
+const paths = {
+  '/': {
+    get: operation('getHealth', 'Service status', {
+      tag: 'System',
+      security: PUBLIC,
+      responses: {
+        200: {
+          description: 'OK',
+          content: json(object({
+            status: { type: 'string' },
+            storage: { type: 'string' },
+            timestamp: TIMESTAMP
+          }))
+        }
+      }
+    })
+  },
+
+  '/api/openapi.json': {
+    get: operation('getOpenApi', 'This document', {
+      tag: 'System',
+      security: PUBLIC,
+      responses: { 200: { description: 'OK', content: json({ type: 'object' }) } }
+    })
+  },
+
+  '/api/auth/login': {
+    post: operation('login', 'Exchange email and password for a session token', {
+      tag: 'Auth',
+      security: PUBLIC,
+      body: object({ email: TEXT, password: TEXT }, ['email', 'password']),
+      responses: ok({ token: { type: 'string' }, user: ref('User') }),
+      errors: [401]
+    })
+  },
+
+  '/api/auth/me': {
+    get: operation('getCurrentUser', 'The signed-in user', {
+      tag: 'Auth',
+      responses: ok({ user: ref('User') })
+    })
+  },
+
+  '/api/assign-intervention': {
+    post: operation('assignIntervention', 'Assign a task to a pending intervention', {
+      tag: 'Interventions',
+      description: 'Called by n8n after mentor approval (signed with X-Alcovia-Signature and X-Alcovia-Timestamp), or by a mentor or admin session. Needs a `task` or a `template_id`. Repeats once the intervention has left Pending return the original assignment with duplicate: true.',
+      security: [{ bearerAuth: [] }, { signedCallback: [] }],
+      body: {
+        allOf: [
+          ref('TaskInput'),
+          object({ student_id: STUDENT_ID, intervention_id: ID }, ['student_id', 'intervention_id'])
+        ]
+      },
+      responses: ok({
+        duplicate: { type: 'boolean' },
+        message: { type: 'string' },
+        intervention_id: ID,
+        task: nullable('string')
+      }),
+      errors: [401, 403, 404, 409, 503]
+    })
+  },
+
+  '/api/students': {
+    get: operation('listStudents', 'Students visible to the caller', {
+      tag: 'Students',
+      description: 'Admins see every student, mentors their own, students themselves.',
+      responses: ok({ students: list(ref('Student')) })
+    }),
+    post: operation('createStudent', 'Add a student to the roster', {
+      tag: 'Students',
+      description: 'Admins only.',
+      body: object({
+        student_id: STUDENT_ID,
+        name: TEXT,
+        cohort: nullable('string'),
+        mentor_id: nullable('string'),
+        timezone: { type: 'string', description: 'IANA time zone (default UTC)' }
+      }, ['student_id', 'name']),
+      responses: ok({ student: ref('Student') }, { status: 201, description: 'Created' }),
+      errors: [403]
+    })
+  },
+
+  '/api/students/{studentId}': {
+    patch: operation('updateStudent', 'Edit roster details', {
+      tag: 'Students',
+      description: 'Admins only.',
+      parameters: [studentParam],
+      body: object({
+        name: TEXT,
+        cohort: nullable('string'),
+        mentor_id: nullable('string'),
+        timezone: { type: 'string' }
+      }),
+      responses: ok({ student: ref('Student') }),
+      errors: [403, 404]
+    })
+  },
+
+  '/api/users': {
+    post: operation('createUser', 'Create a login for a student, mentor or admin', {
+      tag: 'Students',
+      description: 'Admins only. Student accounts need a student_id, mentor accounts a mentor_id.',
+      body: object({
+        email: TEXT,
+        password: TEXT,
+        name: TEXT,
+        role: { enum: ROLES },
+        student_id: nullable('string'),
+        mentor_id: nullable('string')
+      }, ['email', 'password', 'name', 'role']),
+      responses: ok({ user: ref('User') }, { status: 201, description: 'Created' }),
+      errors: [403]
+    })
+  },
+
+  '/api/student/{studentId}': {
+    get: operation('getStudentStatus', 'Status, open intervention, assigned task and whether a check-in is due', {
+      tag: 'Students',
+      parameters: [studentParam],
+      responses: ok({
+        student: ref('Student'),
+        intervention: orNull(ref('Intervention')),
+        sla: orNull(ref('Sla')),
+        task: orNull(ref('Task')),
+        submission: orNull(ref('Submission')),
+        checkin_date: DATE,
+        checkin_due: { type: 'boolean' }
+      }),
+      errors: [403, 404]
+    })
+  },
+
+  '/api/student/{studentId}/events': {
+    get: operation('streamStudentEvents', 'Live status and task changes', {
+      tag: 'Students',
+      description: 'Server-Sent Events: a snapshot event with the student row, then status, task and checkin events as they happen.',
+      parameters: [studentParam],
+      responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } } },
+      errors: [403, 404]
+    })
+  },
+
+  '/api/student/{studentId}/timeline': {
+    get: operation('getStudentTimeline', 'Every status change for the student and their interventions', {
+      tag: 'Students',
+      parameters: [studentParam],
+      responses: ok({ student_id: { type: 'string' }, timeline: list(ref('Transition')) }),
+      errors: [403, 404]
+    })
+  },
+
+  '/api/student/{studentId}/history': {
+    get: operation('getStudentHistory', 'Day by day check-ins, streaks, averages and interventions', {
+      tag: 'Students',
+      description: 'Defaults to the last 30 days on the student\'s clock.',
+      parameters: [studentParam, queryParam('from', DATE), queryParam('to', DATE)],
+      responses: ok({ student_id: { type: 'string' }, ...schemas.History.properties }),
+      errors: [403, 404]
+    })
+  },
+
+  '/api/daily-checkin': {
+    post: operation('dailyCheckin', 'Check in with today\'s quiz answers', {
+      tag: 'Check-ins',
+      description: 'Students and admins. The quiz is graded here and focus time comes from the student\'s focus sessions. A failing check-in locks the student and opens an intervention.',
+      parameters: [idempotencyKey],
+      body: studentBody({ quiz_id: ID, answers: list(ref('QuizAnswer')) }, ['answers']),
+      responses: ok({
+        status: { type: 'string' },
+        rule_id: nullable('string'),
+        rule_version: nullable('integer'),
+        risk_score: { type: 'integer' },
+        risk_action: { enum: ['none', 'warn', 'lock', 'escalate'] },
+        trend: { type: 'object' },
+        quiz: ref('QuizSummary'),
+        flagged: { type: 'boolean' },
+        message: { type: 'string' }
+      }),
+      errors: [403, 404, 409, 422]
+    })
+  },
+
+  '/api/checkin-corrections': {
+    post: operation('requestCorrection', 'Ask a mentor to fix a submitted check-in', {
+      tag: 'Check-ins',
+      description: 'Students and admins. Needs a quiz_score or focus_minutes; checkin_date defaults to today.',
+      body: studentBody({
+        checkin_date: DATE,
+        quiz_score: { type: 'integer', minimum: LIMITS.quiz_score.min, maximum: LIMITS.quiz_score.max },
+        focus_minutes: { type: 'integer', minimum: LIMITS.focus_minutes.min, maximum: LIMITS.focus_minutes.max },
+        reason: TEXT
+      }, ['reason']),
+      responses: ok({ correction: ref('Correction'), message: { type: 'string' } }, {
+        status: 201,
+        description: 'Created'
+      }),
+      errors: [403, 404, 409]
+    })
+  },
+
+  '/api/complete-task': {
+    post: operation('completeTask', 'Hand in the remedial task with evidence', {
+      tag: 'Tasks',
+      description: 'Students and admins. Needs a note, attachments or both. The student stays in Remedial until a mentor approves.',
+      parameters: [idempotencyKey],
+      body: studentBody({
+        evidence_text: nullable('string'),
+        attachments: { ...list(ref('EvidenceFile')), maxItems: MAX_ATTACHMENTS }
+      }),
+      responses: ok({ submission: ref('Submission'), message: { type: 'string' } }),
+      errors: [403, 404, 409, 413, 422]
+    })
+  },
+
+  '/api/rules': {
+    get: operation('listRules', 'Active intervention rules', {
+      tag: 'Rules',
+      description: 'Mentors and admins.',
+      responses: ok({ rules: list(ref('Rule')) }),
+      errors: [403]
+    }),
+    post: operation('saveRule', 'Create a rule, or a new version of an existing one', {
+      tag: 'Rules',
+      description: 'Admins only. A rule targets a cohort, a student or everyone.',
+      body: object({
+        rule_id: TEXT,
+        name: TEXT,
+        cohort: nullable('string'),
+        student_id: nullable('string'),
+        priority: { type: 'integer' },
+        conditions: ref('RuleConditions'),
+        outcome: { enum: Object.keys(OUTCOMES) },
+        otherwise_outcome: { enum: [...Object.keys(OUTCOMES), null] }
+      }, ['rule_id', 'name', 'conditions', 'outcome']),
+      responses: ok({ rule: ref('Rule') }),
+      errors: [403]
+    })
+  },
+
+  '/api/admin/outbox': {
+    get: operation('listOutbox', 'Notification deliveries, newest first', {
+      tag: 'Admin',
+      description: 'Admins only. status=failed lists pending deliveries that have failed at least once.',
+      parameters: [
+        queryParam('status', { enum: ['failed', ...DELIVERY_STATUSES] }),
+        queryParam('channel', { enum: Object.keys(CHANNELS) }),
+        queryParam('limit', { type: 'integer', minimum: 1 }, 'At most 200 (default 50)')
+      ],
+      responses: ok({ deliveries: list(ref('Delivery')) }),
+      errors: [403]
+    })
+  },
+
+  '/api/admin/outbox/{id}/replay': {
+    post: operation('replayDelivery', 'Retry a dead delivery now', {
+      tag: 'Admin',
+      description: 'Admins only.',
+      parameters: [pathParam('id', ID)],
+      responses: ok({ delivery: ref('Delivery') }),
+      errors: [403, 404]
+    })
+  },
+
+  '/api/admin/mentors': {
+    get: operation('listMentors', 'The mentor roster with student and open intervention counts', {
+      tag: 'Admin',
+      description: 'Admins only.',
+      responses: ok({ mentors: list(ref('Mentor')) }),
+      errors: [403]
+    }),
+    post: operation('createMentor', 'Add a mentor to the roster', {
+      tag: 'Admin',
+      description: 'Admins only.',
+      body: object({
+        mentor_id: TEXT,
+        name: TEXT,
+        email: TEXT,
+        phone: nullable('string')
+      }, ['mentor_id', 'name', 'email']),
+      responses: ok({ mentor: ref('Mentor') }, { status: 201, description: 'Created' }),
+      errors: [403, 409]
+    })
+  },
+
+  '/api/admin/mentors/{mentorId}': {
+    patch: operation('updateMentor', 'Edit a mentor, or stop routing to them with active: false', {
+      tag: 'Admin',
+      description: 'Admins only.',
+      parameters: [pathParam('mentorId')],
+      body: object({
+        name: TEXT,
+        email: TEXT,
+        phone: nullable('string'),
+        active: { type: 'boolean' }
+      }),
+      responses: ok({ mentor: ref('Mentor') }),
+      errors: [403, 404]
+    })
+  },
+
+  '/api/admin/mentors/{mentorId}/students': {
+    post: operation('assignMentorStudents', 'Map students to a mentor', {
+      tag: 'Admin',
+      description: 'Admins only. Ids that match no student come back in `missing`.',
+      parameters: [pathParam('mentorId')],
+      body: object({ student_ids: { ...list(STUDENT_ID), minItems: 1 } }, ['student_ids']),
+      responses: ok({
+        mentor: ref('Mentor'),
+        students: list(ref('Student')),
+        missing: list({ type: 'string' })
+      }),
+      errors: [403, 404]
+    })
+  },
+
+  '/api/focus/{studentId}': {
+    get: operation('getFocus', 'Open focus session (if any) and today\'s total', {
+      tag: 'Focus',
+      parameters: [studentParam],
+      responses: focusResponse,
+      errors: [403, 404]
+    })
+  },
+
+  '/api/focus/start': {
+    post: focusAction('startFocus', 'Start or resume the focus session')
+  },
+
+  '/api/focus/heartbeat': {
+    post: focusAction('focusHeartbeat', 'Keep the running session counting')
+  },
+
+  '/api/focus/pause': {
+    post: focusAction('pauseFocus', 'Pause the running session', studentBody({
+      reason: { enum: PAUSE_REASONS },
+      paused_at: { ...TIMESTAMP, description: 'When the pause began (default now)' }
+    }))
+  },
+
+  '/api/focus/end': {
+    post: focusAction('endFocus', 'End the open session')
+  },
+
+  '/api/mentor/interventions': {
+    get: operation('listMentorInterventions', 'Interventions for the caller\'s students', {
+      tag: 'Mentor',
+      description: 'Mentors and admins.',
+      parameters: [
+        queryParam('status', { type: 'string' }, `Comma-separated: ${INTERVENTION_STATUSES.join(', ')}`),
+        queryParam('student_id', STUDENT_ID),
+        queryParam('priority', { enum: ['normal', 'urgent'] })
+      ],
+      responses: ok({ students: list(ref('Student')), interventions: list(ref('Intervention')) }),
+      errors: [403]
+    })
+  },
+
+  '/api/mentor/students/{studentId}/logs': {
+    get: operation('listStudentLogs', 'Recent check-ins for one student', {
+      tag: 'Mentor',
+      description: 'Mentors and admins.',
+      parameters: [studentParam, queryParam('limit', { type: 'integer', minimum: 1 }, 'At most 100 (default 14)')],
+      responses: ok({ student: ref('Student'), logs: list(ref('DailyLog')) }),
+      errors: [403, 404]
+    })
+  },
+
+  '/api/mentor/interventions/{id}/assign': {
+    post: operation('assignTask', 'Assign a task, or edit an assigned one', {
+      tag: 'Mentor',
+      description: 'Mentors and admins. Needs a `task` or a `template_id`.',
+      parameters: [pathParam('id', ID)],
+      body: ref('TaskInput'),
+      responses: ok({ message: { type: 'string' }, intervention: ref('Intervention') }),
+      errors: [403, 404, 409]
+    })
+  },
+
+  '/api/mentor/submissions': {
+    get: operation('listSubmissions', 'Handed-in work for the caller\'s students', {
+      tag: 'Mentor',
+      description: 'Mentors and admins.',
+      parameters: [
+        queryParam('status', { enum: SUBMISSION_STATUSES }, 'Default Submitted'),
+        queryParam('intervention_id', ID)
+      ],
+      responses: ok({ submissions: list(ref('Submission')) }),
+      errors: [403]
+    })
+  },
+
+  '/api/mentor/submissions/{id}/attachments/{attachmentId}': {
+    get: operation('getAttachment', 'An evidence file', {
+      tag: 'Mentor',
+      description: 'Mentors and admins.',
+      parameters: [pathParam('id', ID), pathParam('attachmentId', ID)],
+      responses: {
+        200: {
+          description: 'The file as it was uploaded',
+          content: Object.fromEntries(CONTENT_TYPES.map((type) => [type, { schema: { type: 'string' } }]))
+        }
+      },
+      errors: [403, 404]
+    })
+  },
+
+  '/api/mentor/submissions/{id}/approve': {
+    post: operation('approveSubmission', 'Approve handed-in work and unlock the student', {
+      tag: 'Mentor',
+      description: 'Mentors and admins.',
+      parameters: [pathParam('id', ID)],
+      body: object({ feedback: nullable('string') }),
+      bodyRequired: false,
+      responses: ok({
+        submission: ref('Submission'),
+        intervention: ref('Intervention'),
+        student: ref('Student')
+      }),
+      errors: [403, 404, 409]
+    })
+  },
+
+  '/api/mentor/submissions/{id}/reject': {
+    post: operation('rejectSubmission', 'Send handed-in work back with feedback', {
+      tag: 'Mentor',
+      description: 'Mentors and admins. Feedback is required.',
+      parameters: [pathParam('id', ID)],
+      body: object({ feedback: TEXT }, ['feedback']),
+      responses: ok({
+        submission: ref('Submission'),
+        intervention: ref('Intervention'),
+        student: ref('Student')
+      }),
+      errors: [403, 404, 409]
+    })
+  },
+
+  '/api/mentor/corrections': {
+    get: operation('listCorrections', 'Check-in corrections for the caller\'s students', {
+      tag: 'Mentor',
+      description: 'Mentors and admins.',
+      parameters: [queryParam('status', { enum: CORRECTION_STATUSES }, 'Default Pending')],
+      responses: ok({ corrections: list(ref('Correction')) }),
+      errors: [403]
+    })
+  },
+
+  '/api/mentor/corrections/{id}/approve': {
+    post: operation('approveCorrection', 'Apply a correction to its check-in', {
+      tag: 'Mentor',
+      description: 'Mentors and admins.',
+      parameters: [pathParam('id', ID)],
+      body: noteBody,
+      bodyRequired: false,
+      responses: ok({ correction: ref('Correction'), log: ref('DailyLog') }),
+      errors: [403, 404, 409]
+    })
+  },
+
+  '/api/mentor/corrections/{id}/reject': {
+    post: operation('rejectCorrection', 'Turn down a correction', {
+      tag: 'Mentor',
+      description: 'Mentors and admins.',
+      parameters: [pathParam('id', ID)],
+      body: noteBody,
+      bodyRequired: false,
+      responses: ok({ correction: ref('Correction'), log: { type: 'null' } }),
+      errors: [403, 404, 409]
+    })
+  },
+
+  '/api/mentor/flags': {
+    get: operation('listFlags', 'Flagged check-ins for the caller\'s students', {
+      tag: 'Mentor',
+      description: 'Mentors and admins.',
+      parameters: [queryParam('status', { enum: FLAG_STATUSES }, 'Default Pending')],
+      responses: ok({ flags: list(ref('CheckinFlag')) }),
+      errors: [403]
+    })
+  },
+
+  '/api/mentor/flags/{id}/confirm': {
+    post: operation('confirmFlag', 'Confirm a flagged check-in', {
+      tag: 'Mentor',
+      description: 'Mentors and admins.',
+      parameters: [pathParam('id', ID)],
+      body: noteBody,
+      bodyRequired: false,
+      responses: ok({ flag: ref('CheckinFlag') }),
+      errors: [403, 404, 409]
+    })
+  },
+
+  '/api/mentor/flags/{id}/dismiss': {
+    post: operation('dismissFlag', 'Dismiss a flagged check-in', {
+      tag: 'Mentor',
+      description: 'Mentors and admins.',
+      parameters: [pathParam('id', ID)],
+      body: noteBody,
+      bodyRequired: false,
+      responses: ok({ flag: ref('CheckinFlag') }),
+      errors: [403, 404, 409]
+    })
+  },
+
+  '/api/notifications/preferences': {
+    get: operation('getNotificationPreferences', 'The caller\'s channels, targets and muted events', {
+      tag: 'Notifications',
+      responses: preferencesResponse,
+      errors: [404]
+    }),
+    put: operation('updateNotificationPreferences', 'Update the caller\'s preferences', {
+      tag: 'Notifications',
+      description: 'Students cannot set chat_url or webhook_url.',
+      body: ref('PreferencesInput'),
+      responses: ok({ preferences: ref('Preferences') }),
+      errors: [403, 404]
+    })
+  },
+
+  '/api/notifications/test': {
+    post: operation('sendTestNotification', 'Send the caller a test notification on each of their channels', {
+      tag: 'Notifications',
+      responses: ok({
+        deliveries: list(object({
+          id: ID,
+          channel: { type: 'string' },
+          target: nullable('string'),
+          status: { type: 'string' }
+        }))
+      })
+    })
+  },
+
+  '/api/notifications/preferences/{type}/{id}': {
+    get: operation('getRecipientPreferences', 'Any recipient\'s preferences', {
+      tag: 'Notifications',
+      description: 'Admins only.',
+      parameters: recipientParams,
+      responses: preferencesResponse,
+      errors: [403, 404]
+    }),
+    put: operation('updateRecipientPreferences', 'Edit any recipient\'s preferences', {
+      tag: 'Notifications',
+      description: 'Admins only, e.g. for mentors without a login.',
+      parameters: recipientParams,
+      body: ref('PreferencesInput'),
+      responses: ok({ preferences: ref('Preferences') }),
+      errors: [403, 404]
+    })
+  },
+
+  '/api/quiz/questions': {
+    get: operation('listQuestions', 'The question bank, answers included', {
+      tag: 'Quiz',
+      description: 'Mentors and admins.',
+      parameters: [
+        queryParam('subject', { type: 'string' }),
+        queryParam('topic', { type: 'string' }),
+        queryParam('include_inactive', { type: 'boolean' })
+      ],
+      responses: ok({ questions: list(ref('Question')) }),
+      errors: [403]
+    }),
+    post: operation('createQuestion', 'Add a question to the bank', {
+      tag: 'Quiz',
+      description: 'Mentors and admins.',
+      body: object(questionFields, ['subject', 'topic', 'prompt', 'choices', 'answer_index']),
+      responses: ok({ question: ref('Question') }, { status: 201, description: 'Created' }),
+      errors: [403]
+    })
+  },
+
+  '/api/quiz/questions/{id}': {
+    patch: operation('updateQuestion', 'Edit a question, or retire it with active: false', {
+      tag: 'Quiz',
+      description: 'Mentors and admins. Quizzes already issued keep their own copy.',
+      parameters: [pathParam('id', ID)],
+      body: object({ ...questionFields, active: { type: 'boolean' } }),
+      responses: ok({ question: ref('Question') }),
+      errors: [403, 404]
+    })
+  },
+
+  '/api/quiz/{studentId}/today': {
+    get: operation('getTodaysQuiz', 'Today\'s quiz, issued on the student\'s first request', {
+      tag: 'Quiz',
+      description: 'Correct answers are included once the quiz is graded. Mentors can look but never issue it.',
+      parameters: [studentParam],
+      responses: ok({ quiz: orNull(ref('Quiz')) }),
+      errors: [403, 404, 409, 503]
+    })
+  },
+
+  '/api/quiz/{studentId}/topics': {
+    get: operation('getQuizTopics', 'Quiz results by topic, most missed first', {
+      tag: 'Quiz',
+      description: 'Mentors and admins.',
+      parameters: [studentParam, queryParam('days', { type: 'integer', minimum: 1 }, 'At most 365 (default 30)')],
+      responses: ok({
+        days: { type: 'integer' },
+        topics: list(object({
+          subject: { type: 'string' },
+          topic: { type: 'string' },
+          asked: { type: 'integer' },
+          correct: { type: 'integer' },
+          missed: { type: 'integer' }
+        })),
+        quizzes: list({ allOf: [ref('QuizSummary'), object({ quiz_date: DATE })] })
+      }),
+      errors: [403, 404]
+    })
+  },
+
+  '/api/reports/cohorts': {
+    get: operation('getCohortReport', 'On-track rate, interventions and repeat offenders per cohort', {
+      tag: 'Reports',
+      description: 'Admins only. Defaults to the last week (UTC).',
+      parameters: [
+        queryParam('from', DATE),
+        queryParam('to', DATE),
+        queryParam('cohort', { type: 'string' }),
+        queryParam('format', { enum: FORMATS }, 'json (default) or csv to download a spreadsheet')
+      ],
+      responses: {
+        200: {
+          description: 'OK',
+          content: {
+            ...json(object({ success: { const: true }, report: ref('CohortReport') }, ['success'])),
+            'text/csv': { schema: { type: 'string' } }
+          }
+        }
+      },
+      errors: [403]
+    })
+  },
+
+  '/api/reports/digest': {
+    post: operation('sendDigest', 'Render and deliver the digest now', {
+      tag: 'Reports',
+      description: 'Admins only. Goes to the same targets as the weekly schedule.',
+      body: object({ from: DATE, to: DATE }),
+      bodyRequired: false,
+      responses: ok({
+        range: object({ from: DATE, to: DATE }),
+        delivered: list({ type: 'string' })
+      }),
+      errors: [403, 503]
+    })
+  },
+
+  '/api/tasks/templates': {
+    get: operation('listTaskTemplates', 'The task template catalog, by title', {
+      tag: 'Tasks',
+      description: 'Mentors and admins.',
+      parameters: [queryParam('include_inactive', { type: 'boolean' })],
+      responses: ok({ templates: list(ref('TaskTemplate')) }),
+      errors: [403]
+    }),
+    post: operation('createTaskTemplate', 'Add a template to the catalog', {
+      tag: 'Tasks',
+      description: 'Mentors and admins. template_id is lowercase letters, digits and dashes.',
+      body: object({ template_id: TEXT, ...templateFields }, ['template_id', 'title']),
+      responses: ok({ template: ref('TaskTemplate') }, { status: 201, description: 'Created' }),
+      errors: [403, 409]
+    })
+  },
+
+  '/api/tasks/templates/{templateId}': {
+    patch: operation('updateTaskTemplate', 'Edit a template, or retire it with active: false', {
+      tag: 'Tasks',
+      description: 'Mentors and admins. Tasks already assigned keep their own copy.',
+      parameters: [pathParam('templateId')],
+      body: object({ ...templateFields, active: { type: 'boolean' } }),
+      responses: ok({ template: ref('TaskTemplate') }),
+      errors: [403, 404]
+    })
+  },
+
+  '/api/tasks/progress': {
+    post: operation('updateTaskProgress', 'Tick a step of the assigned task on or off', {
+      tag: 'Tasks',
+      description: 'Students and admins.',
+      body: studentBody({ step: { type: 'integer', minimum: 0 }, done: { type: 'boolean' } }, ['step']),
+      responses: ok({ task: ref('Task') }),
+      errors: [403, 404, 409]
+    })
+  }
+};
+
+module.exports = { paths, ERROR_RESPONSES };
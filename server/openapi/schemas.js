@@ -0,0 +1,469 @@
+// schemas.js - Component schemas for the OpenAPI document
+//
+// JSON Schema 2020-12, as OpenAPI 3.1 uses it: nullable fields list 'null'
+// in their type. Allowed values come from the modules that enforce them, so
+// the spec cannot drift from the handlers. Response schemas describe the
+// fields clients rely on; rows may carry more columns than listed.
+
+const { ROLES } = require('../lib/auth');
+const { STATES } = require('../lib/states');
+const { OUTCOMES, MISSED } = require('../lib/rules');
+const { DIFFICULTIES } = require('../lib/quiz');
+const { CONTENT_TYPES, MAX_ATTACHMENTS } = require('../lib/evidence');
+const { EVENTS } = require('../lib/notifications');
+const { PREFERENCE_CHANNELS } = require('../services/channels');
+const { STATUSES: DELIVERY_STATUSES } = require('../services/outbox');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (type) => ({ type: [type, 'null'] });
+const list = (items) => ({ type: 'array', items });
+
+const ID = { type: 'string', format: 'uuid' };
+const STUDENT_ID = { type: 'string', minLength: 1, maxLength: 50 };
+const TIMESTAMP = { type: 'string', format: 'date-time' };
+const DATE = { type: 'string', format: 'date' };
+
+const schemas = {
+  Error: {
+    type: 'object',
+    description: 'Every error response. `code` is machine-readable; `field` names the request field at fault, or is null.',
+    required: ['success', 'error', 'code', 'field'],
+    properties: {
+      success: { const: false },
+      error: { type: 'string', description: 'Message to show the user' },
+      code: {
+        type: 'string',
+        description: 'missing_field, invalid_field, invalid_json, invalid_request, unauthorized, forbidden, not_found, conflict, request_in_progress, payload_too_large, unsupported_media_type, unprocessable, internal_error or unavailable'
+      },
+      field: { ...nullable('string'), description: 'Path of the offending field, e.g. answers[0].choice_index' }
+    }
+  },
+
+  User: {
+    type: 'object',
+    properties: {
+      id: ID,
+      email: { type: 'string' },
+      name: { type: 'string' },
+      role: { enum: ROLES },
+      student_id: nullable('string'),
+      mentor_id: nullable('string'),
+      created_at: TIMESTAMP
+    }
+  },
+
+  Student: {
+    type: 'object',
+    properties: {
+      id: ID,
+      student_id: { type: 'string' },
+      name: { type: 'string' },
+      cohort: nullable('string'),
+      mentor_id: nullable('string'),
+      timezone: { type: 'string' },
+      status: { enum: STATES.student },
+      current_task: nullable('string'),
+      risk_score: { type: 'integer', minimum: 0, maximum: 100 },
+      risk_action: { enum: ['none', 'warn', 'lock', 'escalate'] },
+      created_at: TIMESTAMP,
+      updated_at: TIMESTAMP
+    }
+  },
+
+  Mentor: {
+    type: 'object',
+    properties: {
+      id: ID,
+      mentor_id: { type: 'string' },
+      name: { type: 'string' },
+      email: { type: 'string' },
+      phone: nullable('string'),
+      active: { type: 'boolean' },
+      students: { type: 'integer', description: 'Students mapped to the mentor (roster listing only)' },
+      open_interventions: { type: 'integer', description: 'Open interventions (roster listing only)' }
+    }
+  },
+
+  Intervention: {
+    type: 'object',
+    properties: {
+      id: ID,
+      student_id: { type: 'string' },
+      mentor_id: nullable('string'),
+      status: { enum: STATES.intervention },
+      priority: { enum: ['normal', 'urgent'] },
+      reason: { type: 'string' },
+      assigned_task: nullable('string'),
+      assigned_by: nullable('string'),
+      assigned_at: { ...nullable('string'), format: 'date-time' },
+      task_template_id: nullable('string'),
+      task_steps: list(ref('TaskStep')),
+      sla_stage: { enum: ['on_time', 'reminded', 'escalated', 'auto_assigned', 'auto_assign_failed'] },
+      student_name: { type: 'string', description: 'Mentor listings only' },
+      created_at: TIMESTAMP
+    }
+  },
+
+  Sla: {
+    type: 'object',
+    properties: {
+      stage: { type: 'string' },
+      remind_at: nullable('string'),
+      escalate_at: nullable('string'),
+      auto_assign_at: nullable('string'),
+      next_step: nullable('string'),
+      next_step_at: nullable('string'),
+      overdue: { type: 'boolean' }
+    }
+  },
+
+  TaskStep: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      done: { type: 'boolean' },
+      completed_at: { ...nullable('string'), format: 'date-time' }
+    }
+  },
+
+  Task: {
+    type: 'object',
+    description: 'The task assigned on an intervention',
+    properties: {
+      intervention_id: ID,
+      status: { enum: STATES.intervention },
+      title: nullable('string'),
+      template_id: nullable('string'),
+      instructions: nullable('string'),
+      subject: nullable('string'),
+      estimated_minutes: nullable('integer'),
+      steps: list(ref('TaskStep')),
+      steps_done: { type: 'integer' }
+    }
+  },
+
+  TaskInput: {
+    type: 'object',
+    description: 'A task to assign: a plain `task` title or a `template_id`, optionally customised',
+    properties: {
+      task: { type: 'string', minLength: 1 },
+      template_id: { type: 'string', minLength: 1 },
+      title: { type: 'string', minLength: 1 },
+      instructions: nullable('string'),
+      subject: nullable('string'),
+      estimated_minutes: { ...nullable('integer'), minimum: 1 },
+      steps: list({ type: 'string' })
+    }
+  },
+
+  TaskTemplate: {
+    type: 'object',
+    properties: {
+      id: ID,
+      template_id: { type: 'string' },
+      title: { type: 'string' },
+      instructions: nullable('string'),
+      subject: nullable('string'),
+      estimated_minutes: nullable('integer'),
+      steps: list({ type: 'string' }),
+      active: { type: 'boolean' },
+      created_by: nullable('string')
+    }
+  },
+
+  EvidenceFile: {
+    type: 'object',
+    required: ['file_name', 'content_type', 'data'],
+    properties: {
+      file_name: { type: 'string', minLength: 1 },
+      content_type: { enum: CONTENT_TYPES },
+      data: { type: 'string', minLength: 1, description: 'File contents, base64-encoded' }
+    }
+  },
+
+  Attachment: {
+    type: 'object',
+    description: 'An evidence file without its contents (fetch those from the attachment route)',
+    properties: {
+      id: ID,
+      submission_id: ID,
+      file_name: { type: 'string' },
+      content_type: { enum: CONTENT_TYPES },
+      size_bytes: { type: 'integer' },
+      created_at: TIMESTAMP
+    }
+  },
+
+  Submission: {
+    type: 'object',
+    properties: {
+      id: ID,
+      intervention_id: ID,
+      student_id: { type: 'string' },
+      status: { enum: ['Submitted', 'Approved', 'Rejected'] },
+      evidence_text: nullable('string'),
+      feedback: nullable('string'),
+      reviewed_by: nullable('string'),
+      reviewed_at: { ...nullable('string'), format: 'date-time' },
+      attachments: list(ref('Attachment')),
+      student_name: { type: 'string', description: 'Mentor listings only' },
+      created_at: TIMESTAMP
+    }
+  },
+
+  DailyLog: {
+    type: 'object',
+    properties: {
+      id: ID,
+      student_id: { type: 'string' },
+      checkin_date: DATE,
+      quiz_score: { ...nullable('integer'), description: 'null on missed days' },
+      focus_minutes: nullable('integer'),
+      status: { enum: [...Object.keys(OUTCOMES), MISSED] },
+      rule_id: nullable('string'),
+      rule_version: nullable('integer'),
+      risk_score: nullable('integer'),
+      quiz_id: nullable('string'),
+      flagged: { type: 'boolean' },
+      corrected_at: { ...nullable('string'), format: 'date-time' },
+      logged_at: TIMESTAMP
+    }
+  },
+
+  Transition: {
+    type: 'object',
+    properties: {
+      id: ID,
+      entity_type: { enum: ['student', 'intervention'] },
+      entity_id: { type: 'string' },
+      student_id: { type: 'string' },
+      from_state: nullable('string'),
+      to_state: { type: 'string' },
+      actor_id: nullable('string'),
+      actor: { type: 'string', description: 'Name of whoever made the change' },
+      reason: nullable('string'),
+      created_at: TIMESTAMP
+    }
+  },
+
+  Correction: {
+    type: 'object',
+    properties: {
+      id: ID,
+      student_id: { type: 'string' },
+      daily_log_id: ID,
+      checkin_date: DATE,
+      quiz_score: nullable('integer'),
+      focus_minutes: nullable('integer'),
+      reason: { type: 'string' },
+      status: { enum: ['Pending', 'Approved', 'Rejected'] },
+      requested_by: nullable('string'),
+      reviewed_by: nullable('string'),
+      review_note: nullable('string'),
+      reviewed_at: { ...nullable('string'), format: 'date-time' },
+      student_name: { type: 'string', description: 'Mentor listings only' },
+      created_at: TIMESTAMP
+    }
+  },
+
+  CheckinFlag: {
+    type: 'object',
+    properties: {
+      id: ID,
+      student_id: { type: 'string' },
+      daily_log_id: ID,
+      checkin_date: DATE,
+      anomalies: list({ type: 'object' }),
+      status: { enum: ['Pending', 'Confirmed', 'Dismissed'] },
+      reviewed_by: nullable('string'),
+      review_note: nullable('string'),
+      reviewed_at: { ...nullable('string'), format: 'date-time' },
+      student_name: { type: 'string', description: 'Mentor listings only' },
+      quiz_score: { type: 'integer', description: 'Mentor listings only' },
+      focus_minutes: { type: 'integer', description: 'Mentor listings only' },
+      created_at: TIMESTAMP
+    }
+  },
+
+  Rule: {
+    type: 'object',
+    properties: {
+      id: ID,
+      rule_id: { type: 'string' },
+      version: { type: 'integer' },
+      name: { type: 'string' },
+      cohort: nullable('string'),
+      student_id: nullable('string'),
+      priority: { type: 'integer' },
+      conditions: ref('RuleConditions'),
+      outcome: { enum: Object.keys(OUTCOMES) },
+      otherwise_outcome: { enum: [...Object.keys(OUTCOMES), null] },
+      active: { type: 'boolean' }
+    }
+  },
+
+  RuleConditions: {
+    type: 'object',
+    description: 'A non-empty group { all: [...] } or { any: [...] } (not both) of groups and comparisons { field, op, value }'
+  },
+
+  Question: {
+    type: 'object',
+    properties: {
+      id: ID,
+      subject: { type: 'string' },
+      topic: { type: 'string' },
+      difficulty: { enum: DIFFICULTIES },
+      prompt: { type: 'string' },
+      choices: list({ type: 'string' }),
+      answer_index: { type: 'integer' },
+      explanation: nullable('string'),
+      active: { type: 'boolean' },
+      created_by: nullable('string')
+    }
+  },
+
+  QuizQuestion: {
+    type: 'object',
+    description: 'A question as the student sees it; answers are only included once the quiz is graded',
+    properties: {
+      id: ID,
+      subject: { type: 'string' },
+      topic: { type: 'string' },
+      difficulty: { enum: DIFFICULTIES },
+      prompt: { type: 'string' },
+      choices: list({ type: 'string' }),
+      answer_index: { type: 'integer' },
+      explanation: nullable('string'),
+      choice_index: nullable('integer'),
+      correct: { type: 'boolean' }
+    }
+  },
+
+  Quiz: {
+    type: 'object',
+    properties: {
+      id: ID,
+      quiz_date: DATE,
+      status: { enum: ['issued', 'graded'] },
+      score: nullable('integer'),
+      correct: nullable('integer'),
+      total: { type: 'integer' },
+      questions: list(ref('QuizQuestion'))
+    }
+  },
+
+  QuizAnswer: {
+    type: 'object',
+    required: ['question_id'],
+    properties: {
+      question_id: ID,
+      choice_index: { ...nullable('integer'), minimum: 0, description: 'null leaves the question unanswered' }
+    }
+  },
+
+  QuizSummary: {
+    type: 'object',
+    properties: {
+      id: ID,
+      score: { type: 'integer' },
+      correct: { type: 'integer' },
+      total: { type: 'integer' },
+      missed_topics: list({ type: 'string' })
+    }
+  },
+
+  FocusSession: {
+    type: 'object',
+    properties: {
+      id: ID,
+      student_id: { type: 'string' },
+      status: { enum: ['active', 'paused', 'ended'] },
+      started_at: TIMESTAMP,
+      resumed_at: { ...nullable('string'), format: 'date-time' },
+      paused_at: { ...nullable('string'), format: 'date-time' },
+      pause_reason: nullable('string'),
+      accumulated_seconds: { type: 'integer' },
+      elapsed_seconds: { type: 'integer' },
+      background_pauses: { type: 'integer' }
+    }
+  },
+
+  Delivery: {
+    type: 'object',
+    description: 'A notification delivery in the outbox',
+    properties: {
+      id: ID,
+      channel: { type: 'string' },
+      target: nullable('string'),
+      event: { type: 'string' },
+      status: { enum: DELIVERY_STATUSES },
+      attempts: { type: 'integer' },
+      last_error: nullable('string'),
+      next_attempt_at: TIMESTAMP,
+      delivered_at: { ...nullable('string'), format: 'date-time' },
+      created_at: TIMESTAMP
+    }
+  },
+
+  Preferences: {
+    type: 'object',
+    properties: {
+      recipient_type: { enum: ['mentor', 'student', 'user'] },
+      recipient_id: { type: 'string' },
+      channels: list({ enum: PREFERENCE_CHANNELS }),
+      muted_events: list({ enum: EVENTS }),
+      email: nullable('string'),
+      push_token: nullable('string'),
+      chat_url: nullable('string'),
+      webhook_url: nullable('string'),
+      webhook_secret: {
+        ...nullable('string'),
+        description: 'Signs deliveries to webhook_url (X-Alcovia-Signature); set while there is a webhook_url'
+      }
+    }
+  },
+
+  PreferencesInput: {
+    type: 'object',
+    description: 'Any of these; null or an empty string clears a target. Only mentors and admins may set ' +
+      'chat_url and webhook_url, which must be http(s) URLs on public hosts.',
+    properties: {
+      channels: list({ enum: PREFERENCE_CHANNELS }),
+      muted_events: list({ enum: EVENTS }),
+      email: nullable('string'),
+      push_token: nullable('string'),
+      chat_url: nullable('string'),
+      webhook_url: nullable('string'),
+      rotate_webhook_secret: { type: 'boolean', description: 'Replace webhook_secret with a new one' }
+    }
+  },
+
+  CohortReport: {
+    type: 'object',
+    description: 'On-track rate, intervention counts and timings, and repeat offenders per cohort',
+    properties: {
+      range: { type: 'object', properties: { from: DATE, to: DATE } },
+      generated_at: TIMESTAMP,
+      repeat_threshold: { type: 'integer' },
+      cohorts: list({ type: 'object' })
+    }
+  },
+
+  History: {
+    type: 'object',
+    description: 'Day by day check-ins, streaks, averages and interventions',
+    properties: {
+      range: {
+        type: 'object',
+        properties: { from: DATE, to: DATE, today: DATE, timezone: { type: 'string' } }
+      },
+      summary: { type: 'object', description: 'Streaks, averages and counts over the range' },
+      days: list({ type: 'object' }),
+      logs: list(ref('DailyLog')),
+      interventions: list({ type: 'object' })
+    }
+  }
+};
+
+module.exports = { schemas, ref, nullable, list, ID, STUDENT_ID, TIMESTAMP, DATE, MAX_ATTACHMENTS };
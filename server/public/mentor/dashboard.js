@@ -0,0 +1,457 @@
+// dashboard.js - Alcovia Mentor Dashboard
+//
+// Plain browser script: signs in against /api/auth/login, keeps the token in
+// localStorage and talks to the /api/mentor routes.
+
+const SESSION_KEY = 'alcovia.mentor.session';
+
+const $ = (id) => document.getElementById(id);
+
+let session = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+let interventions = [];
+let corrections = [];
+let flags = [];
+let templates = [];
+let selected = null;
+let reviewing = null; // submission shown in the review panel
+
+// Authenticated request helper - returns parsed JSON, signs out on 401
+const api = async (path, options = {}) => {
+  const response = await fetch(path, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${session?.token}`,
+      ...options.headers,
+    },
+  });
+  if (response.status === 401) {
+    signOut();
+    throw new Error('Session expired, please sign in again');
+  }
+  const data = await response.json();
+  if (!data.success) throw new Error(data.error || 'Request failed');
+  return data;
+};
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// Session
+
+const showScreen = () => {
+  $('sign-in').classList.toggle('hidden', Boolean(session));
+  $('dashboard').classList.toggle('hidden', !session);
+  if (session) {
+    $('signed-in-as').textContent = `${session.user.name} (${session.user.role})`;
+    loadTemplates();
+    loadInterventions();
+    loadCorrections();
+    loadFlags();
+  }
+};
+
+const signIn = async (event) => {
+  event.preventDefault();
+  $('sign-in-error').textContent = '';
+
+  try {
+    const response = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: $('email').value.trim(), password: $('password').value }),
+    });
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error);
+    if (!['mentor', 'admin'].includes(data.user.role)) {
+      throw new Error('The dashboard is for mentor and admin accounts.');
+    }
+
+    session = { token: data.token, user: data.user };
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    $('password').value = '';
+    showScreen();
+  } catch (error) {
+    $('sign-in-error').textContent = error.message;
+  }
+};
+
+const signOut = () => {
+  localStorage.removeItem(SESSION_KEY);
+  session = null;
+  selected = null;
+  $('detail').classList.add('hidden');
+  showScreen();
+};
+
+// Intervention list
+
+const loadInterventions = async () => {
+  const params = new URLSearchParams({ status: $('filter-status').value });
+  if ($('filter-student').value) params.set('student_id', $('filter-student').value);
+  if ($('filter-priority').value) params.set('priority', $('filter-priority').value);
+
+  try {
+    const data = await api(`/api/mentor/interventions?${params}`);
+    interventions = data.interventions;
+    renderStudentFilter(data.students);
+    renderInterventions();
+  } catch (error) {
+    alert(error.message);
+  }
+};
+
+const renderStudentFilter = (students) => {
+  const current = $('filter-student').value;
+  $('filter-student').innerHTML =
+    '<option value="">All students</option>' +
+    students
+      .map((s) => `<option value="${escapeHtml(s.student_id)}">${escapeHtml(s.student_id)} - ${escapeHtml(s.name)}</option>`)
+      .join('');
+  $('filter-student').value = current;
+};
+
+const stepProgress = (i) => {
+  const steps = i.task_steps || [];
+  if (!steps.length) return '';
+  return `<br><span class="muted">${steps.filter((s) => s.done).length}/${steps.length} steps done</span>`;
+};
+
+// How far an intervention has gone past its response SLA
+const SLA_LABELS = {
+  reminded: 'Reminder sent',
+  escalated: 'Escalated',
+  auto_assigned: 'Auto-assigned',
+  auto_assign_failed: 'Auto-assign failed',
+};
+
+const slaBadge = (i) =>
+  SLA_LABELS[i.sla_stage] ? `<br><span class="badge sla">${SLA_LABELS[i.sla_stage]}</span>` : '';
+
+const renderInterventions = () => {
+  $('empty').classList.toggle('hidden', interventions.length > 0);
+  $('interventions').innerHTML = interventions
+    .map(
+      (i) => `
+        <tr class="selectable ${selected?.id === i.id ? 'selected' : ''}" data-id="${i.id}">
+          <td>${escapeHtml(i.student_name)}<br><span class="muted">${escapeHtml(i.student_id)}</span></td>
+          <td><span class="badge ${escapeHtml(i.status)}">${escapeHtml(i.status)}</span>${slaBadge(i)}</td>
+          <td>${i.priority === 'urgent' ? '<span class="badge urgent">Urgent</span>' : 'Normal'}</td>
+          <td>${escapeHtml(i.reason)}</td>
+          <td>${escapeHtml(i.assigned_task || '—')}${stepProgress(i)}</td>
+          <td>${formatDate(i.created_at)}</td>
+        </tr>`
+    )
+    .join('');
+};
+
+// Task templates
+
+const loadTemplates = async () => {
+  try {
+    const data = await api('/api/tasks/templates');
+    templates = data.templates;
+    $('template').innerHTML =
+      '<option value="">Custom task</option>' +
+      templates
+        .map((t) => `<option value="${escapeHtml(t.template_id)}">${escapeHtml(t.title)}${t.estimated_minutes ? ` (${t.estimated_minutes} min)` : ''}</option>`)
+        .join('');
+  } catch (error) {
+    alert(error.message);
+  }
+};
+
+const fillTask = ({ title = '', instructions = '', steps = [] }) => {
+  $('task').value = title || '';
+  $('instructions').value = instructions || '';
+  $('steps').value = steps.map((step) => step.title || step).join('\n');
+};
+
+// Picking a template pre-fills the form; the mentor can still customise it
+const applyTemplate = () => {
+  const template = templates.find((t) => t.template_id === $('template').value);
+  if (template) fillTask(template);
+};
+
+// Check-in corrections
+
+const loadCorrections = async () => {
+  try {
+    const data = await api('/api/mentor/corrections?status=Pending');
+    corrections = data.corrections;
+    renderCorrections();
+  } catch (error) {
+    alert(error.message);
+  }
+};
+
+const describeChange = (c) =>
+  [
+    c.quiz_score !== null ? `Quiz → ${c.quiz_score}/10` : null,
+    c.focus_minutes !== null ? `Focus → ${c.focus_minutes} min` : null,
+  ]
+    .filter(Boolean)
+    .join(', ');
+
+const renderCorrections = () => {
+  $('corrections-card').classList.toggle('hidden', corrections.length === 0);
+  $('corrections').innerHTML = corrections
+    .map(
+      (c) => `
+        <tr>
+          <td>${escapeHtml(c.student_name)}<br><span class="muted">${escapeHtml(c.student_id)}</span></td>
+          <td>${escapeHtml(c.checkin_date)}</td>
+          <td>${escapeHtml(describeChange(c))}</td>
+          <td>${escapeHtml(c.reason)}</td>
+          <td>
+            <button class="link" data-review="approve" data-id="${c.id}">Approve</button>
+            <button class="link danger" data-review="reject" data-id="${c.id}">Reject</button>
+          </td>
+        </tr>`
+    )
+    .join('');
+};
+
+const reviewCorrection = async (id, decision) => {
+  let note = null;
+  if (decision === 'reject') {
+    note = prompt('Reason for rejecting (optional)');
+    if (note === null) return; // cancelled
+  }
+
+  try {
+    await api(`/api/mentor/corrections/${id}/${decision}`, {
+      method: 'POST',
+      body: JSON.stringify({ note }),
+    });
+    await loadCorrections();
+    if (selected) await selectIntervention(selected.id);
+  } catch (error) {
+    alert(error.message);
+  }
+};
+
+// Flagged check-ins
+
+const loadFlags = async () => {
+  try {
+    const data = await api('/api/mentor/flags?status=Pending');
+    flags = data.flags;
+    renderFlags();
+  } catch (error) {
+    alert(error.message);
+  }
+};
+
+const renderFlags = () => {
+  $('flags-card').classList.toggle('hidden', flags.length === 0);
+  $('flags').innerHTML = flags
+    .map(
+      (f) => `
+        <tr>
+          <td>${escapeHtml(f.student_name)}<br><span class="muted">${escapeHtml(f.student_id)}</span></td>
+          <td>${escapeHtml(f.checkin_date)}</td>
+          <td>Quiz ${f.quiz_score}/10, Focus ${f.focus_minutes} min</td>
+          <td>${f.anomalies.map((a) => escapeHtml(a.detail)).join('<br>')}</td>
+          <td>
+            <button class="link" data-review="dismiss" data-id="${f.id}">Looks fine</button>
+            <button class="link danger" data-review="confirm" data-id="${f.id}">Confirm</button>
+          </td>
+        </tr>`
+    )
+    .join('');
+};
+
+const reviewCheckinFlag = async (id, decision) => {
+  const note = prompt(decision === 'confirm' ? 'What is wrong with this check-in? (optional)' : 'Note (optional)');
+  if (note === null) return; // cancelled
+
+  try {
+    await api(`/api/mentor/flags/${id}/${decision}`, {
+      method: 'POST',
+      body: JSON.stringify({ note }),
+    });
+    await loadFlags();
+    if (selected) await selectIntervention(selected.id);
+  } catch (error) {
+    alert(error.message);
+  }
+};
+
+// Detail panel
+
+// Evidence files need the auth header, so they are fetched and opened as blobs
+const openAttachment = async (submissionId, attachmentId) => {
+  try {
+    const response = await fetch(`/api/mentor/submissions/${submissionId}/attachments/${attachmentId}`, {
+      headers: { Authorization: `Bearer ${session?.token}` },
+    });
+    if (!response.ok) throw new Error('Could not load the attachment');
+    window.open(URL.createObjectURL(await response.blob()), '_blank');
+  } catch (error) {
+    alert(error.message);
+  }
+};
+
+const loadReview = async () => {
+  reviewing = null;
+  $('review').classList.toggle('hidden', selected.status !== 'Submitted for Review');
+  if (selected.status !== 'Submitted for Review') return;
+
+  $('feedback').value = '';
+  $('review-message').textContent = '';
+  try {
+    const params = new URLSearchParams({ status: 'Submitted', intervention_id: selected.id });
+    const data = await api(`/api/mentor/submissions?${params}`);
+    reviewing = data.submissions[0] || null;
+    $('review-evidence').textContent = reviewing?.evidence_text || '(no note)';
+    $('review-attachments').innerHTML = (reviewing?.attachments || [])
+      .map(
+        (a) => `<li><button class="link" data-attachment="${a.id}">${escapeHtml(a.file_name)}</button>
+          <span class="muted">${Math.ceil(a.size_bytes / 1024)} KB</span></li>`
+      )
+      .join('');
+  } catch (error) {
+    $('review-message').textContent = `❌ ${error.message}`;
+  }
+};
+
+const reviewWork = async (decision) => {
+  if (!reviewing) return;
+
+  try {
+    await api(`/api/mentor/submissions/${reviewing.id}/${decision}`, {
+      method: 'POST',
+      body: JSON.stringify({ feedback: $('feedback').value.trim() || null }),
+    });
+    $('review-message').textContent = decision === 'approve' ? '✅ Approved, student unlocked' : '↩️ Sent back to the student';
+    const id = selected.id;
+    await loadInterventions();
+    if (interventions.some((i) => i.id === id)) await selectIntervention(id);
+  } catch (error) {
+    $('review-message').textContent = `❌ ${error.message}`;
+  }
+};
+
+// Quiz results by topic, most missed first
+const loadQuizTopics = async (studentId) => {
+  try {
+    const data = await api(`/api/quiz/${encodeURIComponent(studentId)}/topics?days=30`);
+    $('quiz-topics').innerHTML = data.topics
+      .map(
+        (t) => `
+          <tr>
+            <td>${escapeHtml(t.subject)}</td>
+            <td>${escapeHtml(t.topic)}</td>
+            <td>${t.missed}/${t.asked}</td>
+            <td>${t.accuracy}%</td>
+          </tr>`
+      )
+      .join('') || '<tr><td colspan="4" class="muted">No graded quizzes yet</td></tr>';
+  } catch (error) {
+    $('quiz-topics').innerHTML = `<tr><td colspan="4" class="error">${escapeHtml(error.message)}</td></tr>`;
+  }
+};
+
+const selectIntervention = async (id) => {
+  selected = interventions.find((i) => i.id === id);
+  if (!selected) return;
+  renderInterventions();
+
+  $('detail').classList.remove('hidden');
+  $('detail-title').textContent = `${selected.student_name} (${selected.student_id})`;
+  $('detail-reason').textContent = selected.reason;
+  $('template').value = selected.task_template_id || '';
+  fillTask({
+    title: selected.assigned_task,
+    instructions: selected.task_instructions,
+    steps: selected.task_steps || [],
+  });
+  $('assign-message').textContent = '';
+
+  // The task can't change while it is Completed or waiting for review
+  const locked = selected.status === 'Completed' || selected.status === 'Submitted for Review';
+  ['template', 'task', 'instructions', 'steps'].forEach((id) => ($(id).disabled = locked));
+  $('assign-button').disabled = locked;
+  loadReview();
+  loadQuizTopics(selected.student_id);
+  $('assign-button').textContent = selected.status === 'Pending' ? 'Assign Task' : 'Update Task';
+
+  try {
+    const data = await api(`/api/mentor/students/${encodeURIComponent(selected.student_id)}/logs`);
+    $('logs').innerHTML = data.logs
+      .map(
+        (log) => `
+          <tr>
+            <td>${escapeHtml(log.checkin_date)}${log.corrected_at ? ' <span class="muted">(corrected)</span>' : ''}${log.flagged ? ' <span class="muted">(flagged)</span>' : ''}</td>
+            <td>${log.quiz_score === null ? '—' : `${log.quiz_score}/10`}</td>
+            <td>${log.focus_minutes === null ? '—' : `${log.focus_minutes} min`}</td>
+            <td>${escapeHtml(log.status)}</td>
+            <td>${log.risk_score ?? '—'}</td>
+          </tr>`
+      )
+      .join('') || '<tr><td colspan="5" class="muted">No check-ins yet</td></tr>';
+  } catch (error) {
+    $('logs').innerHTML = `<tr><td colspan="5" class="error">${escapeHtml(error.message)}</td></tr>`;
+  }
+};
+
+const assignTask = async (event) => {
+  event.preventDefault();
+  if (!selected) return;
+
+  try {
+    const templateId = $('template').value;
+    await api(`/api/mentor/interventions/${selected.id}/assign`, {
+      method: 'POST',
+      body: JSON.stringify({
+        ...(templateId ? { template_id: templateId, title: $('task').value.trim() } : { task: $('task').value.trim() }),
+        instructions: $('instructions').value.trim() || null,
+        steps: $('steps').value.split('\n').map((step) => step.trim()).filter(Boolean),
+      }),
+    });
+    $('assign-message').textContent = '✅ Task saved';
+    const id = selected.id;
+    await loadInterventions();
+    if (interventions.some((i) => i.id === id)) await selectIntervention(id);
+  } catch (error) {
+    $('assign-message').textContent = `❌ ${error.message}`;
+  }
+};
+
+// Wiring
+
+$('sign-in-form').addEventListener('submit', signIn);
+$('sign-out').addEventListener('click', signOut);
+$('refresh').addEventListener('click', () => {
+  loadInterventions();
+  loadCorrections();
+  loadFlags();
+});
+['filter-status', 'filter-student', 'filter-priority'].forEach((id) =>
+  $(id).addEventListener('change', loadInterventions)
+);
+$('interventions').addEventListener('click', (event) => {
+  const row = event.target.closest('tr[data-id]');
+  if (row) selectIntervention(row.dataset.id);
+});
+$('assign-form').addEventListener('submit', assignTask);
+$('template').addEventListener('change', applyTemplate);
+$('approve').addEventListener('click', () => reviewWork('approve'));
+$('reject').addEventListener('click', () => reviewWork('reject'));
+$('review-attachments').addEventListener('click', (event) => {
+  const button = event.target.closest('button[data-attachment]');
+  if (button && reviewing) openAttachment(reviewing.id, button.dataset.attachment);
+});
+$('corrections').addEventListener('click', (event) => {
+  const button = event.target.closest('button[data-review]');
+  if (button) reviewCorrection(button.dataset.id, button.dataset.review);
+});
+$('flags').addEventListener('click', (event) => {
+  const button = event.target.closest('button[data-review]');
+  if (button) reviewCheckinFlag(button.dataset.id, button.dataset.review);
+});
+
+showScreen();
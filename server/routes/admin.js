@@ -0,0 +1,190 @@
+// admin.js - Operational endpoints for admins (/api/admin)
+
+const express = require('express');
+const { sendError } = require('../lib/errors');
+const { STATUSES, replayDelivery } = require('../services/outbox');
+const { openLoad } = require('../services/mentors');
+const { CHANNELS } = require('../services/channels');
+
+const MENTOR_FIELDS = ['name', 'email', 'phone', 'active'];
+
+const createAdminRouter = (storage) => {
+  const router = express.Router();
+
+  // GET /outbox?status=dead&channel=email - Notification deliveries, newest
+  // first. status=failed lists pending deliveries that have already failed
+  // at least once.
+  router.get('/outbox', async (req, res) => {
+    try {
+      const { status, channel } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+      let filter = {};
+      if (status === 'failed') {
+        filter = { status: 'pending', attempts: { gt: 0 } };
+      } else if (status) {
+        if (!STATUSES.includes(status)) {
+          return res.status(400).json({
+            success: false,
+            error: `status must be one of: failed, ${STATUSES.join(', ')}`
+          });
+        }
+        filter = { status };
+      }
+      if (channel) {
+        if (!CHANNELS[channel]) {
+          return res.status(400).json({
+            success: false,
+            error: `channel must be one of: ${Object.keys(CHANNELS).join(', ')}`
+          });
+        }
+        filter.channel = channel;
+      }
+
+      const deliveries = await storage.outbox.find(filter, {
+        orderBy: 'created_at',
+        ascending: false,
+        limit
+      });
+
+      res.json({ success: true, deliveries });
+    } catch (error) {
+      console.error('Error fetching outbox:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /outbox/:id/replay - Retry a dead delivery now
+  router.post('/outbox/:id/replay', async (req, res) => {
+    try {
+      const delivery = await replayDelivery(storage, req.params.id);
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          error: 'No dead delivery with that id'
+        });
+      }
+
+      console.log(`Replaying webhook ${delivery.id}`);
+
+      res.json({ success: true, delivery });
+    } catch (error) {
+      console.error('Error replaying delivery:', error);
+      sendError(res, error);
+    }
+  });
+
+  // GET /mentors - The roster, with each mentor's student and open
+  // intervention counts
+  router.get('/mentors', async (req, res) => {
+    try {
+      const mentors = await storage.mentors.find({}, { orderBy: 'mentor_id' });
+      const ids = mentors.map((mentor) => mentor.mentor_id);
+
+      const load = ids.length ? await openLoad(storage, ids) : {};
+      const students = ids.length
+        ? await storage.students.find({ mentor_id: { in: ids } })
+        : [];
+
+      res.json({
+        success: true,
+        mentors: mentors.map((mentor) => ({
+          ...mentor,
+          students: students.filter((s) => s.mentor_id === mentor.mentor_id).length,
+          open_interventions: load[mentor.mentor_id]
+        }))
+      });
+    } catch (error) {
+      console.error('Error fetching mentors:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /mentors - Add a mentor to the roster
+  router.post('/mentors', async (req, res) => {
+    try {
+      const { mentor_id, name, email, phone = null } = req.body;
+
+      if (!mentor_id || !name || !email) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: mentor_id, name, email'
+        });
+      }
+      if (await storage.mentors.findOne({ mentor_id })) {
+        return res.status(409).json({ success: false, error: `Mentor ${mentor_id} already exists` });
+      }
+
+      const mentor = await storage.mentors.insert({ mentor_id, name, email, phone });
+
+      console.log(`Mentor ${mentor_id} added to roster`);
+
+      res.status(201).json({ success: true, mentor });
+    } catch (error) {
+      console.error('Error adding mentor:', error);
+      sendError(res, error);
+    }
+  });
+
+  // PATCH /mentors/:mentorId - Edit contact details, or set active: false to
+  // stop routing new interventions to them
+  router.patch('/mentors/:mentorId', async (req, res) => {
+    try {
+      const fields = {};
+      for (const key of MENTOR_FIELDS) {
+        if (req.body[key] !== undefined) fields[key] = req.body[key];
+      }
+      if (fields.active !== undefined && typeof fields.active !== 'boolean') {
+        return res.status(400).json({ success: false, error: 'active must be true or false' });
+      }
+
+      const [mentor] = await storage.mentors.update(
+        { mentor_id: req.params.mentorId },
+        { ...fields, updated_at: new Date().toISOString() }
+      );
+      if (!mentor) {
+        return res.status(404).json({ success: false, error: 'Mentor not found' });
+      }
+
+      res.json({ success: true, mentor });
+    } catch (error) {
+      console.error('Error updating mentor:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /mentors/:mentorId/students - Map students to this mentor.
+  // Body: { student_ids: ['S001', 'S002'] }
+  router.post('/mentors/:mentorId/students', async (req, res) => {
+    try {
+      const { student_ids: studentIds } = req.body;
+
+      if (!Array.isArray(studentIds) || !studentIds.length) {
+        return res.status(400).json({ success: false, error: 'student_ids must be a non-empty array' });
+      }
+
+      const mentor = await storage.mentors.findOne({ mentor_id: req.params.mentorId });
+      if (!mentor) {
+        return res.status(404).json({ success: false, error: 'Mentor not found' });
+      }
+
+      const students = await storage.students.update(
+        { student_id: { in: studentIds } },
+        { mentor_id: mentor.mentor_id, updated_at: new Date().toISOString() }
+      );
+      const mapped = new Set(students.map((student) => student.student_id));
+      const missing = studentIds.filter((id) => !mapped.has(id));
+
+      console.log(`Mapped ${students.length} student(s) to mentor ${mentor.mentor_id}`);
+
+      res.json({ success: true, mentor, students, missing });
+    } catch (error) {
+      console.error('Error mapping students to mentor:', error);
+      sendError(res, error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAdminRouter };
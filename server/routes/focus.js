@@ -0,0 +1,79 @@
+// focus.js - Focus session API (/api/focus)
+//
+// Every route acts on the student's single open session, named by
+// student_id (body for POSTs, path for GET). /pause also takes the reason
+// (manual or background) and when the pause began.
+
+const express = require('express');
+const { requireRole, authorizeStudent } = require('../middleware/auth');
+const { HEARTBEAT_INTERVAL_SECONDS, presentSession } = require('../lib/focus');
+const { dayStart } = require('../lib/days');
+const { sendError } = require('../lib/errors');
+const {
+  findOpenSession,
+  startSession,
+  heartbeatSession,
+  pauseSession,
+  endOpenSession,
+  focusSecondsSince
+} = require('../services/focus');
+
+const createFocusRouter = (storage) => {
+  const router = express.Router();
+  const canAccess = authorizeStudent(storage);
+
+  // Session plus today's running total (the student's local day), as every
+  // focus route returns it
+  const respond = async (res, student, session) => {
+    const now = new Date();
+    const todaySeconds = await focusSecondsSince(
+      storage,
+      student.student_id,
+      dayStart(student.timezone, now),
+      now
+    );
+
+    res.json({
+      success: true,
+      session: presentSession(session, now),
+      today_seconds: todaySeconds,
+      today_minutes: Math.floor(todaySeconds / 60),
+      heartbeat_interval_seconds: HEARTBEAT_INTERVAL_SECONDS
+    });
+  };
+
+  const action = (name, run) => async (req, res) => {
+    try {
+      if (!req.student) {
+        return res.status(400).json({ success: false, error: 'Missing student_id' });
+      }
+      const session = await run(storage, req.student.student_id, req.body);
+      await respond(res, req.student, session);
+    } catch (error) {
+      console.error(`Error in focus ${name}:`, error);
+      sendError(res, error);
+    }
+  };
+
+  // GET /:studentId - Current open session (if any) and today's total
+  router.get('/:studentId', canAccess, async (req, res) => {
+    try {
+      const session = await findOpenSession(storage, req.student.student_id);
+      await respond(res, req.student, session);
+    } catch (error) {
+      console.error('Error fetching focus session:', error);
+      sendError(res, error);
+    }
+  });
+
+  const studentOnly = requireRole('student', 'admin');
+
+  router.post('/start', studentOnly, canAccess, action('start', startSession));
+  router.post('/heartbeat', studentOnly, canAccess, action('heartbeat', heartbeatSession));
+  router.post('/pause', studentOnly, canAccess, action('pause', pauseSession));
+  router.post('/end', studentOnly, canAccess, action('end', endOpenSession));
+
+  return router;
+};
+
+module.exports = { createFocusRouter };
@@ -0,0 +1,358 @@
+// mentor.js - API behind the mentor dashboard (/api/mentor)
+//
+// Mentors only ever see interventions and logs for the students they
+// mentor, and those whose intervention was escalated to them as backup
+// mentor; admins see everyone.
+
+const express = require('express');
+const { authorizeStudent } = require('../middleware/auth');
+const { taskInput } = require('../lib/tasks');
+const { sendError } = require('../lib/errors');
+const { assignIntervention } = require('../services/interventions');
+const { reviewCorrection, reviewFlag } = require('../services/checkins');
+const { presentSubmission, reviewSubmission } = require('../services/submissions');
+const { coveredStudentIds } = require('../services/mentors');
+
+const STATUSES = ['Pending', 'Assigned', 'Submitted for Review', 'Completed'];
+const SUBMISSION_STATUSES = ['Submitted', 'Approved', 'Rejected'];
+const CORRECTION_STATUSES = ['Pending', 'Approved', 'Rejected'];
+const FLAG_STATUSES = ['Pending', 'Confirmed', 'Dismissed'];
+
+const createMentorRouter = (storage) => {
+  const router = express.Router();
+
+  // Students the caller may act on: their own, plus any whose open
+  // intervention was escalated to them as backup mentor
+  const visibleStudents = async (user) => {
+    if (user.role === 'admin') return storage.students.find({}, { orderBy: 'student_id' });
+
+    const own = await storage.students.find({ mentor_id: user.mentor_id }, { orderBy: 'student_id' });
+    const ownIds = new Set(own.map((student) => student.student_id));
+    const covered = (await coveredStudentIds(storage, user.mentor_id)).filter((id) => !ownIds.has(id));
+    if (!covered.length) return own;
+
+    const extra = await storage.students.find({ student_id: { in: covered } });
+    return [...own, ...extra].sort((a, b) => a.student_id.localeCompare(b.student_id));
+  };
+
+  // GET /interventions?status=Pending,Assigned&student_id=S001&priority=urgent
+  router.get('/interventions', async (req, res) => {
+    try {
+      const { status, student_id, priority } = req.query;
+
+      const statuses = status ? String(status).split(',') : STATUSES;
+      const invalid = statuses.filter((s) => !STATUSES.includes(s));
+      if (invalid.length) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown status: ${invalid.join(', ')} (expected ${STATUSES.join(', ')})`
+        });
+      }
+
+      const students = await visibleStudents(req.user);
+      const byId = Object.fromEntries(students.map((s) => [s.student_id, s]));
+
+      const studentIds = student_id ? [student_id].filter((id) => byId[id]) : Object.keys(byId);
+      const filter = { student_id: { in: studentIds }, status: { in: statuses } };
+      if (priority) filter.priority = priority;
+
+      const interventions = studentIds.length
+        ? await storage.interventions.find(filter, { orderBy: 'created_at', ascending: false })
+        : [];
+
+      res.json({
+        success: true,
+        students,
+        interventions: interventions.map((intervention) => ({
+          ...intervention,
+          student_name: byId[intervention.student_id].name
+        }))
+      });
+    } catch (error) {
+      console.error('Error fetching mentor interventions:', error);
+      sendError(res, error);
+    }
+  });
+
+  // GET /students/:studentId/logs?limit=14 - Recent check-ins for one student
+  router.get('/students/:studentId/logs', authorizeStudent(storage), async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 14, 100);
+
+      const logs = await storage.dailyLogs.find(
+        { student_id: req.student.student_id },
+        { orderBy: 'logged_at', ascending: false, limit }
+      );
+
+      res.json({ success: true, student: req.student, logs });
+    } catch (error) {
+      console.error('Error fetching student logs:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /interventions/:id/assign - Assign a task, or edit an assigned one.
+  // Body: { task } or { template_id }, plus optional title, instructions,
+  // subject, estimated_minutes and steps to customise the template.
+  router.post('/interventions/:id/assign', async (req, res) => {
+    try {
+      const task = taskInput(req.body);
+
+      const existing = await storage.interventions.findOne({ id: req.params.id });
+      const students = await visibleStudents(req.user);
+      const student = existing && students.find((s) => s.student_id === existing.student_id);
+      if (!student) {
+        return res.status(404).json({ success: false, error: 'Intervention not found' });
+      }
+
+      const { intervention, duplicate } = await assignIntervention(storage, {
+        student,
+        interventionId: existing.id,
+        task,
+        user: req.user
+      });
+
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          error: 'This intervention changed while you were editing it. Refresh and try again.',
+          intervention
+        });
+      }
+
+      res.json({ success: true, message: 'Task saved', intervention });
+    } catch (error) {
+      console.error('Error assigning intervention from dashboard:', error);
+      sendError(res, error);
+    }
+  });
+
+  // A submission the caller may review, or null
+  const findVisibleSubmission = async (user, id) => {
+    const submission = await storage.submissions.findOne({ id });
+    const students = await visibleStudents(user);
+    return submission && students.some((s) => s.student_id === submission.student_id)
+      ? submission
+      : null;
+  };
+
+  // GET /submissions?status=Submitted&intervention_id=... - Handed-in work
+  router.get('/submissions', async (req, res) => {
+    try {
+      const { status = 'Submitted', intervention_id } = req.query;
+      if (!SUBMISSION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown status: ${status} (expected ${SUBMISSION_STATUSES.join(', ')})`
+        });
+      }
+
+      const students = await visibleStudents(req.user);
+      const byId = Object.fromEntries(students.map((s) => [s.student_id, s]));
+
+      const filter = { student_id: { in: Object.keys(byId) }, status };
+      if (intervention_id) filter.intervention_id = intervention_id;
+
+      const submissions = students.length
+        ? await storage.submissions.find(filter, { orderBy: 'created_at', ascending: false })
+        : [];
+
+      res.json({
+        success: true,
+        submissions: await Promise.all(submissions.map(async (submission) => ({
+          ...(await presentSubmission(storage, submission)),
+          student_name: byId[submission.student_id].name
+        })))
+      });
+    } catch (error) {
+      console.error('Error fetching submissions:', error);
+      sendError(res, error);
+    }
+  });
+
+  // GET /submissions/:id/attachments/:attachmentId - The evidence file itself
+  router.get('/submissions/:id/attachments/:attachmentId', async (req, res) => {
+    try {
+      const submission = await findVisibleSubmission(req.user, req.params.id);
+      const attachment = submission && await storage.attachments.findOne({
+        id: req.params.attachmentId,
+        submission_id: submission.id
+      });
+      if (!attachment) {
+        return res.status(404).json({ success: false, error: 'Attachment not found' });
+      }
+
+      res.set({
+        'Content-Type': attachment.content_type,
+        'Content-Disposition': `inline; filename="${attachment.file_name.replace(/"/g, '')}"`
+      });
+      res.send(Buffer.from(attachment.data, 'base64'));
+    } catch (error) {
+      console.error('Error fetching attachment:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /submissions/:id/approve and /submissions/:id/reject - { feedback }
+  // (required when rejecting). Only approval unlocks the student.
+  const reviewWork = (approve) => async (req, res) => {
+    try {
+      const submission = await findVisibleSubmission(req.user, req.params.id);
+      if (!submission) {
+        return res.status(404).json({ success: false, error: 'Submission not found' });
+      }
+
+      const result = await reviewSubmission(storage, {
+        submission,
+        approve,
+        feedback: req.body.feedback,
+        user: req.user
+      });
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('Error reviewing submission:', error);
+      sendError(res, error);
+    }
+  };
+
+  router.post('/submissions/:id/approve', reviewWork(true));
+  router.post('/submissions/:id/reject', reviewWork(false));
+
+  // GET /corrections?status=Pending - Check-in corrections for the caller's students
+  router.get('/corrections', async (req, res) => {
+    try {
+      const status = req.query.status || 'Pending';
+      if (!CORRECTION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown status: ${status} (expected ${CORRECTION_STATUSES.join(', ')})`
+        });
+      }
+
+      const students = await visibleStudents(req.user);
+      const byId = Object.fromEntries(students.map((s) => [s.student_id, s]));
+
+      const corrections = students.length
+        ? await storage.corrections.find(
+          { student_id: { in: Object.keys(byId) }, status },
+          { orderBy: 'created_at', ascending: false }
+        )
+        : [];
+
+      res.json({
+        success: true,
+        corrections: corrections.map((correction) => ({
+          ...correction,
+          student_name: byId[correction.student_id].name
+        }))
+      });
+    } catch (error) {
+      console.error('Error fetching corrections:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /corrections/:id/approve and /corrections/:id/reject (optional note)
+  const review = (approve) => async (req, res) => {
+    try {
+      const correction = await storage.corrections.findOne({ id: req.params.id });
+      const students = await visibleStudents(req.user);
+      if (!correction || !students.some((s) => s.student_id === correction.student_id)) {
+        return res.status(404).json({ success: false, error: 'Correction not found' });
+      }
+
+      const result = await reviewCorrection(storage, {
+        correction,
+        approve,
+        note: req.body.note,
+        user: req.user
+      });
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('Error reviewing correction:', error);
+      sendError(res, error);
+    }
+  };
+
+  router.post('/corrections/:id/approve', review(true));
+  router.post('/corrections/:id/reject', review(false));
+
+  // GET /flags?status=Pending - Flagged check-ins for the caller's students,
+  // with the values that were flagged
+  router.get('/flags', async (req, res) => {
+    try {
+      const status = req.query.status || 'Pending';
+      if (!FLAG_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown status: ${status} (expected ${FLAG_STATUSES.join(', ')})`
+        });
+      }
+
+      const students = await visibleStudents(req.user);
+      const byId = Object.fromEntries(students.map((s) => [s.student_id, s]));
+
+      const flags = students.length
+        ? await storage.flags.find(
+          { student_id: { in: Object.keys(byId) }, status },
+          { orderBy: 'created_at', ascending: false }
+        )
+        : [];
+      const logs = flags.length
+        ? await storage.dailyLogs.find({ id: { in: flags.map((flag) => flag.daily_log_id) } })
+        : [];
+      const logsById = Object.fromEntries(logs.map((log) => [log.id, log]));
+
+      res.json({
+        success: true,
+        flags: flags.map((flag) => ({
+          ...flag,
+          student_name: byId[flag.student_id].name,
+          quiz_score: logsById[flag.daily_log_id].quiz_score,
+          focus_minutes: logsById[flag.daily_log_id].focus_minutes
+        }))
+      });
+    } catch (error) {
+      console.error('Error fetching check-in flags:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /flags/:id/confirm and /flags/:id/dismiss (optional note)
+  const reviewCheckinFlag = (confirm) => async (req, res) => {
+    try {
+      const flag = await storage.flags.findOne({ id: req.params.id });
+      const students = await visibleStudents(req.user);
+      if (!flag || !students.some((s) => s.student_id === flag.student_id)) {
+        return res.status(404).json({ success: false, error: 'Flag not found' });
+      }
+
+      const reviewed = await reviewFlag(storage, {
+        flag,
+        confirm,
+        note: req.body.note,
+        user: req.user
+      });
+
+      res.json({ success: true, flag: reviewed });
+    } catch (error) {
+      console.error('Error reviewing check-in flag:', error);
+      sendError(res, error);
+    }
+  };
+
+  router.post('/flags/:id/confirm', reviewCheckinFlag(true));
+  router.post('/flags/:id/dismiss', reviewCheckinFlag(false));
+
+  return router;
+};
+
+module.exports = {
+  STATUSES,
+  SUBMISSION_STATUSES,
+  CORRECTION_STATUSES,
+  FLAG_STATUSES,
+  createMentorRouter
+};
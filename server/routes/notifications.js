@@ -0,0 +1,180 @@
+// notifications.js - Notification preferences (/api/notifications)
+//
+// Everyone manages their own: students for their student record, mentors
+// for their roster entry, admins for their account. Admins can also manage
+// any recipient's under /preferences/:type/:id.
+//
+// Chat and webhook URLs make the server send requests wherever they point,
+// so only mentors and admins may set them, and only to public hosts. A
+// recipient with a webhook gets its own signing secret, returned with their
+// preferences; rotate_webhook_secret swaps it for a new one.
+
+const express = require('express');
+const { requireRole } = require('../middleware/auth');
+const { EVENTS } = require('../lib/notifications');
+const { sendError } = require('../lib/errors');
+const { isPublicUrl } = require('../lib/urls');
+const { CHANNELS, PREFERENCE_CHANNELS } = require('../services/channels');
+const { recipientFor, loadPreferences, savePreferences, notify } = require('../services/notifications');
+
+const RECIPIENT_TYPES = ['mentor', 'student', 'user'];
+const MAX_TARGET_LENGTH = 500;
+
+const TARGETS = {
+  email: (value) => /^[^\s@]+@[^\s@]+$/.test(value),
+  push_token: (value) => value.length > 0,
+  chat_url: isPublicUrl,
+  webhook_url: isPublicUrl,
+};
+
+// Targets the server posts to directly
+const URL_TARGETS = ['chat_url', 'webhook_url'];
+const URL_ROLES = ['mentor', 'admin'];
+
+// The fields to save from a request body and whether to rotate the
+// webhook secret, or { error }
+const preferenceInput = (body) => {
+  const fields = {};
+
+  for (const [key, allowed] of [['channels', PREFERENCE_CHANNELS], ['muted_events', EVENTS]]) {
+    if (body[key] === undefined) continue;
+    const values = body[key];
+    if (!Array.isArray(values) || values.some((value) => !allowed.includes(value))) {
+      return { error: `${key} must be a list drawn from: ${allowed.join(', ')}` };
+    }
+    fields[key] = [...new Set(values)];
+  }
+
+  for (const [key, isValid] of Object.entries(TARGETS)) {
+    if (body[key] === undefined) continue;
+    const value = body[key] === null || body[key] === '' ? null : String(body[key]).trim();
+    if (value !== null && (value.length > MAX_TARGET_LENGTH || !isValid(value))) {
+      return {
+        error: URL_TARGETS.includes(key)
+          ? `Invalid ${key} (must be an http(s) URL on a public host)`
+          : `Invalid ${key}`
+      };
+    }
+    fields[key] = value;
+  }
+
+  if (body.rotate_webhook_secret !== undefined && typeof body.rotate_webhook_secret !== 'boolean') {
+    return { error: 'rotate_webhook_secret must be a boolean' };
+  }
+  const rotateSecret = body.rotate_webhook_secret === true;
+
+  if (!Object.keys(fields).length && !rotateSecret) {
+    return {
+      error: `Nothing to update (expected channels, muted_events, ${Object.keys(TARGETS).join(', ')} ` +
+        'or rotate_webhook_secret)'
+    };
+  }
+  return { fields, rotateSecret };
+};
+
+const channelStatus = () =>
+  PREFERENCE_CHANNELS.map((name) => ({ name, enabled: CHANNELS[name].enabled() }));
+
+const createNotificationRouter = (storage) => {
+  const router = express.Router();
+
+  const sendPreferences = async (res, recipient) => {
+    const preferences = await loadPreferences(storage, recipient);
+    if (!preferences) {
+      return res.status(404).json({ success: false, error: 'No such recipient' });
+    }
+    res.json({ success: true, preferences, channels: channelStatus(), events: EVENTS });
+  };
+
+  const updatePreferences = async (req, res, recipient) => {
+    const { fields, rotateSecret, error } = preferenceInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    if (!URL_ROLES.includes(req.user.role) && URL_TARGETS.some((key) => fields[key])) {
+      return res.status(403).json({
+        success: false,
+        error: `Only mentors and admins can set ${URL_TARGETS.join(' or ')}`
+      });
+    }
+    if (!(await loadPreferences(storage, recipient))) {
+      return res.status(404).json({ success: false, error: 'No such recipient' });
+    }
+
+    const preferences = await savePreferences(storage, recipient, fields, { rotateSecret });
+    res.json({ success: true, preferences });
+  };
+
+  // GET /preferences - The caller's channels, targets and muted events
+  router.get('/preferences', async (req, res) => {
+    try {
+      await sendPreferences(res, recipientFor(req.user));
+    } catch (error) {
+      console.error('Error fetching notification preferences:', error);
+      sendError(res, error);
+    }
+  });
+
+  // PUT /preferences - Update any of channels, muted_events, email,
+  // push_token, chat_url, webhook_url (null clears a target), or rotate the
+  // webhook secret
+  router.put('/preferences', async (req, res) => {
+    try {
+      await updatePreferences(req, res, recipientFor(req.user));
+    } catch (error) {
+      console.error('Error saving notification preferences:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /test - Send the caller a test notification on each of their channels
+  router.post('/test', async (req, res) => {
+    try {
+      const deliveries = await notify(storage, {
+        event: 'notification.test',
+        recipients: [recipientFor(req.user)],
+        data: { name: req.user.name }
+      });
+
+      res.json({
+        success: true,
+        deliveries: deliveries.map(({ id, channel, target, status }) => ({ id, channel, target, status }))
+      });
+    } catch (error) {
+      console.error('Error sending test notification:', error);
+      sendError(res, error);
+    }
+  });
+
+  // GET /preferences/:type/:id - Admin view of any recipient's preferences
+  router.get('/preferences/:type/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const { type, id } = req.params;
+      if (!RECIPIENT_TYPES.includes(type)) {
+        return res.status(400).json({ success: false, error: `type must be one of: ${RECIPIENT_TYPES.join(', ')}` });
+      }
+      await sendPreferences(res, { type, id });
+    } catch (error) {
+      console.error('Error fetching notification preferences:', error);
+      sendError(res, error);
+    }
+  });
+
+  // PUT /preferences/:type/:id - Admin edit, e.g. for mentors without a login
+  router.put('/preferences/:type/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const { type, id } = req.params;
+      if (!RECIPIENT_TYPES.includes(type)) {
+        return res.status(400).json({ success: false, error: `type must be one of: ${RECIPIENT_TYPES.join(', ')}` });
+      }
+      await updatePreferences(req, res, { type, id });
+    } catch (error) {
+      console.error('Error saving notification preferences:', error);
+      sendError(res, error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { RECIPIENT_TYPES, createNotificationRouter };
@@ -0,0 +1,165 @@
+// quiz.js - Daily quiz and question bank API (/api/quiz)
+//
+// Students fetch the day's quiz here and submit its answers with their
+// check-in (POST /api/daily-checkin). Mentors and admins manage the
+// question bank and see which topics a student keeps missing.
+
+const express = require('express');
+const { requireRole, authorizeStudent } = require('../middleware/auth');
+const { checkinDate } = require('../lib/days');
+const { validateQuestion, presentQuiz, topicBreakdown } = require('../lib/quiz');
+const { sendError } = require('../lib/errors');
+const { findQuiz, quizAnswers, issueQuiz, answersSince } = require('../services/quiz');
+
+const QUESTION_FIELDS = ['subject', 'topic', 'difficulty', 'prompt', 'choices', 'answer_index', 'explanation', 'active'];
+const DEFAULT_TOPIC_DAYS = 30;
+const MAX_TOPIC_DAYS = 365;
+
+const createQuizRouter = (storage) => {
+  const router = express.Router();
+  const canAccess = authorizeStudent(storage);
+  const mentorOnly = requireRole('mentor', 'admin');
+
+  // GET /questions?subject=Math&topic=Fractions&include_inactive=true - The
+  // question bank, answers included
+  router.get('/questions', mentorOnly, async (req, res) => {
+    try {
+      const filter = req.query.include_inactive === 'true' ? {} : { active: true };
+      if (req.query.subject) filter.subject = req.query.subject;
+      if (req.query.topic) filter.topic = req.query.topic;
+
+      const questions = await storage.questions.find(filter, { orderBy: 'created_at' });
+      res.json({ success: true, questions });
+    } catch (error) {
+      console.error('Error fetching quiz questions:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /questions - Add a question to the bank
+  router.post('/questions', mentorOnly, async (req, res) => {
+    try {
+      const {
+        subject,
+        topic,
+        difficulty = 'medium',
+        prompt,
+        choices,
+        answer_index,
+        explanation = null
+      } = req.body;
+
+      const question = { subject, topic, difficulty, prompt, choices, answer_index, explanation };
+      const validationError = validateQuestion(question);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const saved = await storage.questions.insert({
+        ...question,
+        choices: choices.map((choice) => String(choice).trim()),
+        active: true,
+        created_by: req.user.name
+      });
+
+      console.log(`Quiz question added to ${subject}/${topic} by ${req.user.name}`);
+
+      res.status(201).json({ success: true, question: saved });
+    } catch (error) {
+      console.error('Error saving quiz question:', error);
+      sendError(res, error);
+    }
+  });
+
+  // PATCH /questions/:id - Edit a question, or retire it with active: false.
+  // Quizzes already issued keep their own copy.
+  router.patch('/questions/:id', mentorOnly, async (req, res) => {
+    try {
+      const existing = await storage.questions.findOne({ id: req.params.id });
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Question not found' });
+      }
+
+      const fields = {};
+      for (const key of QUESTION_FIELDS) {
+        if (req.body[key] !== undefined) fields[key] = req.body[key];
+      }
+
+      const validationError = validateQuestion({ ...existing, ...fields });
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+      if (fields.choices) fields.choices = fields.choices.map((choice) => String(choice).trim());
+
+      const [question] = await storage.questions.update(
+        { id: existing.id },
+        { ...fields, updated_at: new Date().toISOString() }
+      );
+
+      res.json({ success: true, question });
+    } catch (error) {
+      console.error('Error updating quiz question:', error);
+      sendError(res, error);
+    }
+  });
+
+  // GET /:studentId/today - Today's quiz (the student's local day), issued on
+  // first request. Correct answers are included once it has been graded.
+  router.get('/:studentId/today', canAccess, async (req, res) => {
+    try {
+      const { student } = req;
+      const today = checkinDate(student.timezone);
+
+      // Mentors can look, but only the student's own request issues the quiz
+      const quiz = req.user.role === 'mentor'
+        ? await findQuiz(storage, student.student_id, today)
+        : await issueQuiz(storage, student, today);
+
+      res.json({
+        success: true,
+        quiz: quiz && presentQuiz(quiz, quiz.status === 'graded' ? await quizAnswers(storage, quiz.id) : [])
+      });
+    } catch (error) {
+      console.error('Error issuing daily quiz:', error);
+      sendError(res, error);
+    }
+  });
+
+  // GET /:studentId/topics?days=30 - Quiz results by topic, most missed
+  // first, and the recent quizzes behind them
+  router.get('/:studentId/topics', mentorOnly, canAccess, async (req, res) => {
+    try {
+      const days = Math.min(parseInt(req.query.days, 10) || DEFAULT_TOPIC_DAYS, MAX_TOPIC_DAYS);
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+      const answers = await answersSince(storage, req.student.student_id, since);
+      const quizzes = await storage.quizzes.find(
+        { student_id: req.student.student_id, status: 'graded', graded_at: { gte: since } },
+        { orderBy: 'quiz_date', ascending: false }
+      );
+
+      res.json({
+        success: true,
+        days,
+        topics: topicBreakdown(answers),
+        quizzes: quizzes.map((quiz) => ({
+          id: quiz.id,
+          quiz_date: quiz.quiz_date,
+          score: quiz.score,
+          correct: quiz.correct,
+          total: quiz.questions.length,
+          missed_topics: [...new Set(answers
+            .filter((answer) => answer.quiz_id === quiz.id && !answer.correct)
+            .map((answer) => answer.topic))]
+        }))
+      });
+    } catch (error) {
+      console.error('Error fetching quiz topics:', error);
+      sendError(res, error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createQuizRouter };
@@ -0,0 +1,89 @@
+// reports.js - Cohort reports and the weekly digest (/api/reports)
+//
+// Admin only. Reports are JSON by default; ?format=csv downloads the same
+// numbers as a spreadsheet.
+
+const express = require('express');
+const { reportToCsv } = require('../lib/reports');
+const { checkinDate, addDays, daysBetween, isValidDate } = require('../lib/days');
+const { MAX_RANGE_DAYS } = require('../lib/history');
+const { sendError } = require('../lib/errors');
+const { loadCohortReport } = require('../services/reports');
+const { deliverDigest } = require('../services/digest');
+
+const DEFAULT_RANGE_DAYS = 7;
+const FORMATS = ['json', 'csv'];
+
+// { from, to } from the query or body, defaulting to the last week (UTC).
+// Returns an error message instead when the range is unusable.
+const parseRange = ({ from, to }) => {
+  const end = to || checkinDate('UTC');
+  const start = from || addDays(end, 1 - DEFAULT_RANGE_DAYS);
+
+  if (!isValidDate(start) || !isValidDate(end)) {
+    return { error: 'from and to must be dates (YYYY-MM-DD)' };
+  }
+  if (start > end) return { error: 'from must not be after to' };
+  if (daysBetween(start, end) > MAX_RANGE_DAYS) {
+    return { error: `The range can cover at most ${MAX_RANGE_DAYS} days` };
+  }
+  return { from: start, to: end };
+};
+
+const createReportRouter = (storage) => {
+  const router = express.Router();
+
+  // GET /cohorts?from=&to=&cohort=&format=json|csv - On-track rate,
+  // intervention counts and timings, and repeat offenders per cohort
+  router.get('/cohorts', async (req, res) => {
+    try {
+      const { cohort, format = 'json' } = req.query;
+      if (!FORMATS.includes(format)) {
+        return res.status(400).json({ success: false, error: `format must be one of: ${FORMATS.join(', ')}` });
+      }
+
+      const range = parseRange(req.query);
+      if (range.error) {
+        return res.status(400).json({ success: false, error: range.error });
+      }
+
+      const report = await loadCohortReport(storage, { ...range, cohort: cohort || null });
+
+      if (format === 'csv') {
+        const name = `cohort-report-${range.from}-to-${range.to}.csv`;
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${name}"`);
+        return res.send(reportToCsv(report));
+      }
+
+      res.json({ success: true, report });
+    } catch (error) {
+      console.error('Error building cohort report:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /digest - { from, to } Render and deliver the digest now, to the
+  // same targets as the weekly schedule
+  router.post('/digest', async (req, res) => {
+    try {
+      const range = parseRange(req.body);
+      if (range.error) {
+        return res.status(400).json({ success: false, error: range.error });
+      }
+
+      const { delivered } = await deliverDigest(storage, range);
+
+      console.log(`📊 Digest ${range.from} to ${range.to} sent by ${req.user.name} to ${delivered.join(', ')}`);
+
+      res.json({ success: true, range, delivered });
+    } catch (error) {
+      console.error('Error sending digest:', error);
+      sendError(res, error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { FORMATS, createReportRouter };
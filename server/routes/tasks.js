@@ -0,0 +1,121 @@
+// tasks.js - Remedial task catalog and step progress API (/api/tasks)
+//
+// Mentors and admins manage the template catalog; students tick off the
+// steps of their assigned task.
+
+const express = require('express');
+const { requireRole, authorizeStudent } = require('../middleware/auth');
+const { normalizeSteps, validateTemplate, presentTask } = require('../lib/tasks');
+const { sendError } = require('../lib/errors');
+const { updateStepProgress } = require('../services/tasks');
+
+const TEMPLATE_FIELDS = ['title', 'instructions', 'subject', 'estimated_minutes', 'steps', 'active'];
+
+const createTaskRouter = (storage) => {
+  const router = express.Router();
+  const mentorOnly = requireRole('mentor', 'admin');
+
+  // GET /templates?include_inactive=true - The catalog, by title
+  router.get('/templates', mentorOnly, async (req, res) => {
+    try {
+      const filter = req.query.include_inactive === 'true' ? {} : { active: true };
+      const templates = await storage.taskTemplates.find(filter, { orderBy: 'title' });
+      res.json({ success: true, templates });
+    } catch (error) {
+      console.error('Error fetching task templates:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /templates - Add a template to the catalog
+  router.post('/templates', mentorOnly, async (req, res) => {
+    try {
+      const {
+        template_id,
+        title,
+        instructions = null,
+        subject = null,
+        estimated_minutes = null,
+        steps = []
+      } = req.body;
+
+      const template = { template_id, title, instructions, subject, estimated_minutes, steps };
+      const validationError = validateTemplate(template);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      if (await storage.taskTemplates.findOne({ template_id })) {
+        return res.status(409).json({ success: false, error: `Template ${template_id} already exists` });
+      }
+
+      const saved = await storage.taskTemplates.insert({
+        ...template,
+        steps: normalizeSteps(steps),
+        active: true,
+        created_by: req.user.name
+      });
+
+      console.log(`Task template ${template_id} added by ${req.user.name}`);
+
+      res.status(201).json({ success: true, template: saved });
+    } catch (error) {
+      console.error('Error saving task template:', error);
+      sendError(res, error);
+    }
+  });
+
+  // PATCH /templates/:templateId - Edit a template, or retire it with active: false.
+  // Tasks already assigned from it keep their own copy.
+  router.patch('/templates/:templateId', mentorOnly, async (req, res) => {
+    try {
+      const existing = await storage.taskTemplates.findOne({ template_id: req.params.templateId });
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Template not found' });
+      }
+
+      const fields = {};
+      for (const key of TEMPLATE_FIELDS) {
+        if (req.body[key] !== undefined) fields[key] = req.body[key];
+      }
+
+      const validationError = validateTemplate({ ...existing, ...fields });
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+      if (fields.steps) fields.steps = normalizeSteps(fields.steps);
+
+      const [template] = await storage.taskTemplates.update(
+        { template_id: existing.template_id },
+        { ...fields, updated_at: new Date().toISOString() }
+      );
+
+      res.json({ success: true, template });
+    } catch (error) {
+      console.error('Error updating task template:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /progress - { student_id, step, done } marks a step of the
+  // student's assigned task
+  router.post('/progress', requireRole('student', 'admin'), authorizeStudent(storage), async (req, res) => {
+    try {
+      const { step, done = true } = req.body;
+      if (!req.student || step === undefined) {
+        return res.status(400).json({ success: false, error: 'Missing required fields: student_id, step' });
+      }
+
+      const intervention = await updateStepProgress(storage, { student: req.student, step, done });
+
+      res.json({ success: true, task: presentTask(intervention) });
+    } catch (error) {
+      console.error('Error updating task progress:', error);
+      sendError(res, error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createTaskRouter };
@@ -0,0 +1,243 @@
+// generate-client.js - Write the app's API client from the OpenAPI document
+//
+//   node scripts/generate-client.js          write client/api.js
+//   node scripts/generate-client.js --check  exit 1 if client/api.js is stale
+//
+// The client has one method per operation, named by its operationId, with
+// JSDoc types from the spec's schemas. Run it after changing openapi/.
+const fs = require('fs');
+const path = require('path');
+const { spec } = require('../openapi');
+
+const OUTPUT = path.join(__dirname, '..', '..', 'client', 'api.js');
+
+const COMPONENT_PREFIX = '#/components/schemas/';
+const components = spec.components.schemas;
+
+// Schemas whose name would shadow a global in the client
+const RENAMED = { Error: 'ErrorBody' };
+const typeName = (name) => RENAMED[name] || name;
+
+const camelCase = (name) => name.toLowerCase().replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+
+// JSDoc type for a schema
+const jsType = (schema = {}) => {
+  if (schema.$ref) return typeName(schema.$ref.replace(COMPONENT_PREFIX, ''));
+  if (schema.oneOf || schema.anyOf) return (schema.oneOf || schema.anyOf).map(jsType).join('|');
+  if (schema.allOf) return schema.allOf.map(jsType).join(' & ');
+  if (schema.const !== undefined) return JSON.stringify(schema.const);
+  if (schema.enum) return schema.enum.map((value) => JSON.stringify(value)).join('|');
+
+  const types = [].concat(schema.type || []);
+  if (!types.length) return '*';
+  return types.map((type) => {
+    if (type === 'integer') return 'number';
+    if (type === 'array') return `Array<${jsType(schema.items)}>`;
+    if (type === 'object') {
+      const entries = Object.entries(schema.properties || {});
+      if (!entries.length) return 'Object';
+      const required = schema.required || [];
+      return `{ ${entries.map(([name, property]) =>
+        `${name}${required.includes(name) ? '' : '?'}: ${jsType(property)}`).join(', ')} }`;
+    }
+    return type;
+  }).join('|');
+};
+
+// Properties and required names of an object schema, following allOf
+const objectParts = (schema) => {
+  if (schema.$ref) return objectParts(components[schema.$ref.replace(COMPONENT_PREFIX, '')]);
+  const parts = (schema.allOf || []).map(objectParts);
+  return {
+    properties: Object.assign({}, ...parts.map((part) => part.properties), schema.properties),
+    required: [...parts.flatMap((part) => part.required), ...(schema.required || [])]
+  };
+};
+
+const comment = (lines, indent = '') =>
+  [`${indent}/**`, ...lines.map((line) => `${indent} *${line ? ` ${line}` : ''}`), `${indent} */`].join('\n');
+
+const typedef = (name, schema) => {
+  const { properties, required } = objectParts(schema);
+  return comment([
+    ...(schema.description ? [schema.description, ''] : []),
+    `@typedef {Object} ${typeName(name)}`,
+    ...Object.entries(properties).map(([property, propertySchema]) => {
+      const label = required.includes(property) ? property : `[${property}]`;
+      const description = propertySchema.description ? ` ${propertySchema.description}` : '';
+      return `@property {${jsType(propertySchema)}} ${label}${description}`;
+    })
+  ]);
+};
+
+const jsonSchema = (content) => content && content['application/json'] && content['application/json'].schema;
+
+const operations = Object.entries(spec.paths).flatMap(([route, item]) =>
+  Object.entries(item).map(([method, operation]) => ({ route, method: method.toUpperCase(), ...operation })));
+
+// Table entry the client's request() works from
+const operationEntry = (operation) => {
+  const parameters = operation.parameters || [];
+  const names = (location) => parameters.filter((parameter) => parameter.in === location).map((parameter) => parameter.name);
+  const headers = Object.fromEntries(names('header').map((name) => [camelCase(name), name]));
+  const auth = !(operation.security && operation.security.length === 0);
+
+  return `  ${operation.operationId}: { method: '${operation.method}', path: '${operation.route}', ` +
+    `query: [${names('query').map((name) => `'${name}'`).join(', ')}], ` +
+    `headers: { ${Object.entries(headers).map(([key, name]) => `${key}: '${name}'`).join(', ')} }, auth: ${auth} },`
+      .replace('headers: {  }', 'headers: {}');
+};
+
+// The client method with its JSDoc
+const method = (operation) => {
+  const parameters = operation.parameters || [];
+  const body = operation.requestBody && jsonSchema(operation.requestBody.content);
+  const success = Object.entries(operation.responses).find(([status]) => status.startsWith('2'));
+  const response = success && jsonSchema(success[1].content);
+
+  const lines = [operation.summary, ...(operation.description ? ['', operation.description] : []), ''];
+  const required = parameters.some((parameter) => parameter.required) ||
+    (body && operation.requestBody.required);
+  lines.push(`@param {Object} ${required ? 'params' : '[params]'}`);
+
+  for (const parameter of parameters) {
+    const name = parameter.in === 'header' ? camelCase(parameter.name) : parameter.name;
+    const label = parameter.required ? `params.${name}` : `[params.${name}]`;
+    const where = parameter.in === 'header' ? ` ${parameter.name} header.` : '';
+    const description = parameter.description ? ` ${parameter.description}` : '';
+    lines.push(`@param {${jsType(parameter.schema)}} ${label}${where}${description}`);
+  }
+
+  if (body) {
+    const bodyLabel = operation.requestBody.required ? 'params.body' : '[params.body]';
+    if (body.$ref) {
+      lines.push(`@param {${jsType(body)}} ${bodyLabel}`);
+    } else {
+      const { properties, required: requiredFields } = objectParts(body);
+      lines.push(`@param {Object} ${bodyLabel}`);
+      for (const [name, schema] of Object.entries(properties)) {
+        const label = requiredFields.includes(name) ? `params.body.${name}` : `[params.body.${name}]`;
+        lines.push(`@param {${jsType(schema)}} ${label}`);
+      }
+    }
+  }
+  lines.push(`@returns {Promise<${response ? jsType(response) : 'Response'}>}`);
+
+  return [
+    comment(lines, '    '),
+    `    ${operation.operationId}: (params) => request('${operation.operationId}', params),`
+  ].join('\n');
+};
+
+const CLIENT = `// An error response, with the status and the ErrorBody it carried
+export class ApiError extends Error {
+  constructor(status, body) {
+    super((body && body.error) || \`Request failed with status \${status}\`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = (body && body.code) || null;
+    this.field = (body && body.field) || null;
+    this.body = body;
+  }
+}`;
+
+const REQUEST = `  // Calls one operation. params holds its path and query parameters by
+  // name, header parameters in camelCase, body, and optionally headers and
+  // token to override the client's.
+  const request = async (operationId, params = {}) => {
+    const operation = OPERATIONS[operationId];
+    const path = operation.path.replace(/\\{(\\w+)\\}/g, (match, name) => {
+      if (params[name] === undefined || params[name] === null) {
+        throw new Error(\`\${operationId}: \${name} is required\`);
+      }
+      return encodeURIComponent(params[name]);
+    });
+    const query = operation.query
+      .filter((name) => params[name] !== undefined && params[name] !== null)
+      .map((name) => \`\${encodeURIComponent(name)}=\${encodeURIComponent(params[name])}\`)
+      .join('&');
+
+    const headers = { Accept: 'application/json' };
+    const authToken = params.token !== undefined ? params.token : token;
+    if (operation.auth && authToken) headers.Authorization = \`Bearer \${authToken}\`;
+    if (params.body !== undefined) headers['Content-Type'] = 'application/json';
+    for (const [key, name] of Object.entries(operation.headers)) {
+      if (params[key] !== undefined) headers[name] = String(params[key]);
+    }
+    Object.assign(headers, params.headers);
+
+    const response = await fetchImpl(\`\${root}\${path}\${query ? \`?\${query}\` : ''}\`, {
+      method: operation.method,
+      headers,
+      body: params.body === undefined ? undefined : JSON.stringify(params.body),
+    });
+
+    const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+    if (!response.ok) {
+      const body = isJson ? await response.json().catch(() => null) : null;
+      if (response.status === 401 && operation.auth && onUnauthorized) await onUnauthorized();
+      throw new ApiError(response.status, body);
+    }
+    // Files, CSV downloads and event streams are left to the caller
+    return isJson ? response.json() : response;
+  };`;
+
+const render = () => [
+  `// api.js - Client for the Alcovia API (${spec.info.title} ${spec.info.version})`,
+  '//',
+  '// GENERATED from the OpenAPI document in server/openapi/ by',
+  '// server/scripts/generate-client.js. Do not edit: change the spec and run',
+  '// `npm run generate:client` in server/.',
+  '//',
+  '//   const api = createApiClient({ baseUrl, token, onUnauthorized });',
+  "//   const { student } = await api.getStudentStatus({ studentId: 'S001' });",
+  '//',
+  '// Methods resolve with the response body and throw an ApiError (status,',
+  '// code, field, body) for an error response. Network failures reject with',
+  "// fetch's own error, so callers can tell \"offline\" from \"refused\".",
+  '',
+  ...Object.entries(components).flatMap(([name, schema]) => [typedef(name, schema), '']),
+  CLIENT,
+  '',
+  'const OPERATIONS = {',
+  ...operations.map(operationEntry),
+  '};',
+  '',
+  comment([
+    '@param {Object} options',
+    '@param {string} [options.baseUrl] Server URL, e.g. http://localhost:3000',
+    '@param {string|null} [options.token] Session token for authenticated operations',
+    '@param {Function} [options.onUnauthorized] Called when the server rejects the token',
+    '@param {Function} [options.fetch] fetch implementation (defaults to the global one)'
+  ]),
+  'export const createApiClient = ({ baseUrl = \'\', token = null, onUnauthorized = null, fetch: fetchImpl = globalThis.fetch } = {}) => {',
+  "  const root = baseUrl.replace(/\\/$/, '');",
+  '',
+  REQUEST,
+  '',
+  '  return {',
+  '    request,',
+  operations.map(method).join('\n\n'),
+  '  };',
+  '};',
+  ''
+].join('\n');
+
+const main = () => {
+  const source = render();
+
+  if (process.argv.includes('--check')) {
+    const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+    if (current !== source) {
+      console.error('client/api.js is out of date. Run npm run generate:client.');
+      process.exit(1);
+    }
+    console.log('✅ client/api.js is up to date');
+    return;
+  }
+
+  fs.writeFileSync(OUTPUT, source);
+  console.log(`✅ Wrote ${path.relative(process.cwd(), OUTPUT)} (${operations.length} operations)`);
+};
+
+main();
@@ -0,0 +1,35 @@
+// issue-token.js - Mint a long-lived session token for an existing account
+//
+// Used for scripts and integrations that call the API as a mentor or admin
+// (the n8n workflow uses signed callbacks instead):
+//   node scripts/issue-token.js mentor@alcovia.dev [ttl-days]
+require('dotenv').config();
+const { createStorage } = require('../storage');
+const { signToken } = require('../lib/auth');
+
+const main = async () => {
+  const [email, ttlDays = '365'] = process.argv.slice(2);
+  if (!email) {
+    console.error('Usage: node scripts/issue-token.js <email> [ttl-days]');
+    process.exit(1);
+  }
+  if (!process.env.AUTH_SECRET) {
+    console.error('AUTH_SECRET is not set');
+    process.exit(1);
+  }
+
+  const storage = createStorage();
+  const user = await storage.users.findOne({ email: email.toLowerCase() });
+  if (!user) {
+    console.error(`No account found for ${email}`);
+    process.exit(1);
+  }
+
+  const ttlSeconds = parseInt(ttlDays, 10) * 24 * 60 * 60;
+  console.log(signToken({ sub: user.id, role: user.role }, process.env.AUTH_SECRET, ttlSeconds));
+};
+
+main().catch((error) => {
+  console.error('Error issuing token:', error.message);
+  process.exit(1);
+});
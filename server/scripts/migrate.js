@@ -0,0 +1,62 @@
+// migrate.js - Apply, roll back or inspect database migrations
+//
+//   node scripts/migrate.js up [version]     apply pending migrations
+//   node scripts/migrate.js down [steps]     roll back the latest (default 1)
+//   node scripts/migrate.js status           list migrations and their state
+//   node scripts/migrate.js baseline <version>
+//       mark migrations up to <version> as applied without running them, for
+//       a database set up from the old one-shot schema.sql (use 1)
+//
+// Needs DATABASE_URL. See storage/migrations.js.
+require('dotenv').config();
+const { connect, createMigrator } = require('../storage/migrations');
+
+const USAGE = 'Usage: node scripts/migrate.js up [version] | down [steps] | status | baseline <version>';
+
+const parseNumber = (value, fallback) => {
+  if (value === undefined) return fallback;
+  const number = parseInt(value, 10);
+  if (!Number.isInteger(number) || number < 1) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  return number;
+};
+
+const main = async () => {
+  const [command = 'up', arg] = process.argv.slice(2);
+  const client = await connect();
+  const migrator = createMigrator(client);
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.up(parseNumber(arg, Infinity));
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Already up to date');
+    } else if (command === 'down') {
+      const rolledBack = await migrator.down(parseNumber(arg, 1));
+      console.log(rolledBack.length ? `✅ Rolled back ${rolledBack.join(', ')}` : 'Nothing to roll back');
+    } else if (command === 'status') {
+      for (const row of await migrator.status()) {
+        const appliedAt = row.applied_at ? ` (${new Date(row.applied_at).toISOString()})` : '';
+        console.log(`${String(row.version).padStart(3, '0')}_${row.name}  ${row.state}${appliedAt}`);
+      }
+    } else if (command === 'baseline') {
+      if (arg === undefined) {
+        console.error(USAGE);
+        process.exit(1);
+      }
+      const marked = await migrator.baseline(parseNumber(arg));
+      console.log(`✅ Marked ${marked.length} migration(s) as applied`);
+    } else {
+      console.error(USAGE);
+      process.exit(1);
+    }
+  } finally {
+    await client.end();
+  }
+};
+
+main().catch((error) => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
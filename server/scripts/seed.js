@@ -0,0 +1,43 @@
+// seed.js - Load the sample data in database/seed.sql
+//
+//   node scripts/seed.js
+//
+// Needs DATABASE_URL and an up-to-date schema (npm run migrate). Rows that
+// already exist are left alone, so it is safe to run again. The memory
+// driver seeds itself from storage/schema.js instead.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { connect, createMigrator } = require('../storage/migrations');
+
+const SEED_FILE = path.join(__dirname, '..', '..', 'database', 'seed.sql');
+
+const main = async () => {
+  const client = await connect();
+
+  try {
+    const pending = (await createMigrator(client).status()).filter((row) => row.state === 'pending');
+    if (pending.length) {
+      console.error(`${pending.length} migration(s) not applied yet. Run npm run migrate first.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    await client.query('BEGIN');
+    try {
+      await client.query(fs.readFileSync(SEED_FILE, 'utf8'));
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+    console.log('✅ Sample data loaded');
+  } finally {
+    await client.end();
+  }
+};
+
+main().catch((error) => {
+  console.error('Seeding failed:', error.message);
+  process.exit(1);
+});
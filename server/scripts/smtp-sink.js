@@ -0,0 +1,73 @@
+// smtp-sink.js - Local SMTP stand-in that prints every message it receives
+//
+// For testing the weekly digest without a mail provider:
+//   node scripts/smtp-sink.js [port]      (default 1025)
+// then set DIGEST_SMTP_URL=smtp://localhost:1025. Plain SMTP only, no TLS
+// or authentication, and nothing is delivered anywhere.
+const net = require('net');
+
+const port = parseInt(process.argv[2], 10) || 1025;
+
+const server = net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let envelope = { from: null, to: [] };
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  const handleCommand = (line) => {
+    const verb = line.slice(0, 4).toUpperCase();
+    if (verb === 'EHLO' || verb === 'HELO') return reply('250 smtp-sink');
+    if (verb === 'MAIL') {
+      envelope = { from: line.slice(10).trim(), to: [] };
+      return reply('250 OK');
+    }
+    if (verb === 'RCPT') {
+      envelope.to.push(line.slice(8).trim());
+      return reply('250 OK');
+    }
+    if (verb === 'DATA') {
+      inData = true;
+      return reply('354 End data with <CR><LF>.<CR><LF>');
+    }
+    if (verb === 'QUIT') {
+      reply('221 Bye');
+      return socket.end();
+    }
+    if (verb === 'RSET' || verb === 'NOOP') return reply('250 OK');
+    return reply('502 Command not implemented');
+  };
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+
+    while (buffer) {
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+
+        const message = buffer.slice(0, end).replace(/^\.\./gm, '.');
+        buffer = buffer.slice(end + 5);
+        inData = false;
+
+        console.log(`\n📨 Mail from ${envelope.from} to ${envelope.to.join(', ')}`);
+        console.log(message);
+        reply('250 OK: message received');
+        continue;
+      }
+
+      const newline = buffer.indexOf('\r\n');
+      if (newline === -1) return;
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 2);
+      handleCommand(line);
+    }
+  });
+
+  socket.on('error', (error) => console.error('smtp-sink connection error:', error.message));
+  reply('220 smtp-sink ready');
+});
+
+server.listen(port, () => {
+  console.log(`smtp-sink listening on smtp://localhost:${port}`);
+});
@@ -0,0 +1,26 @@
+// chat.js - Chat incoming webhooks (Slack, Discord, Google Chat, Teams)
+//
+// All of them take a JSON body with the message text; Discord calls the
+// field `content`, the rest `text`. Chat URLs are chosen by recipients, so
+// they only go to public hosts (lib/urls.js).
+
+const axios = require('axios');
+const { assertPublicUrl, PUBLIC_ONLY } = require('../../lib/urls');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+const isDiscord = (url) => /^https:\/\/(\w+\.)?discord(app)?\.com\//.test(url);
+
+module.exports = {
+  name: 'chat',
+  enabled: () => true,
+  target: (preferences) => preferences.chat_url,
+  render: ({ subject, text }) => ({ text: `*${subject}*\n${text}` }),
+  send: async (delivery) => {
+    assertPublicUrl(delivery.target);
+    const body = isDiscord(delivery.target)
+      ? { content: delivery.payload.text }
+      : delivery.payload;
+    await axios.post(delivery.target, body, { ...PUBLIC_ONLY, timeout: REQUEST_TIMEOUT_MS });
+  }
+};
@@ -0,0 +1,27 @@
+// console.js - Prints notifications instead of sending them, for local
+// development. With NOTIFY_LOG_FILE set, each one is also appended there as
+// a JSON line.
+
+const fs = require('fs/promises');
+
+const LOG_FILE = process.env.NOTIFY_LOG_FILE || null;
+
+module.exports = {
+  name: 'console',
+  enabled: () => true,
+  target: (preferences) => preferences.label,
+  render: ({ subject, text }) => ({ subject, text }),
+  send: async (delivery) => {
+    console.log(`\n🔔 ${delivery.event} to ${delivery.target}\n${delivery.payload.subject}\n${delivery.payload.text}`);
+
+    if (LOG_FILE) {
+      await fs.appendFile(LOG_FILE, `${JSON.stringify({
+        id: delivery.id,
+        event: delivery.event,
+        to: delivery.target,
+        ...delivery.payload,
+        at: new Date().toISOString()
+      })}\n`);
+    }
+  }
+};
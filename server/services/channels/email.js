@@ -0,0 +1,26 @@
+// email.js - Email over SMTP (NOTIFY_SMTP_URL)
+//
+// For local testing, run `npm run smtp-sink` and use smtp://localhost:1025
+
+const nodemailer = require('nodemailer');
+
+const SMTP_URL = process.env.NOTIFY_SMTP_URL || null;
+const FROM = process.env.NOTIFY_FROM || 'Alcovia <notifications@alcovia.dev>';
+
+let transport = null;
+
+module.exports = {
+  name: 'email',
+  enabled: () => Boolean(SMTP_URL),
+  target: (preferences) => preferences.email,
+  render: ({ subject, text }) => ({ subject, text }),
+  send: async (delivery) => {
+    if (!transport) transport = nodemailer.createTransport(SMTP_URL);
+    await transport.sendMail({
+      from: FROM,
+      to: delivery.target,
+      subject: delivery.payload.subject,
+      text: delivery.payload.text
+    });
+  }
+};
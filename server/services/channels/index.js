@@ -0,0 +1,29 @@
+// index.js - Notification channel adapters
+//
+// Every adapter exposes
+//   enabled()           -> whether the server is set up to send on it
+//   target(preferences) -> where a recipient receives it (null = opted out)
+//   render(message)     -> the payload stored in the outbox
+//   send(delivery, { secret }) secret signs n8n and webhook deliveries
+// A message is lib/notifications.js's renderMessage() output; a delivery
+// is a `webhook_outbox` row.
+
+const { n8n, webhook } = require('./webhook');
+const chat = require('./chat');
+const email = require('./email');
+const push = require('./push');
+const consoleChannel = require('./console');
+
+const CHANNELS = {
+  n8n,
+  webhook,
+  chat,
+  email,
+  push,
+  console: consoleChannel,
+};
+
+// Channels recipients can choose in their preferences (n8n is program-wide)
+const PREFERENCE_CHANNELS = ['email', 'push', 'chat', 'webhook', 'console'];
+
+module.exports = { CHANNELS, PREFERENCE_CHANNELS };
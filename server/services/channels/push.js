@@ -0,0 +1,38 @@
+// push.js - Mobile push through the Expo push service
+//
+// The student app registers its Expo push token as the student's push_token.
+// Set EXPO_ACCESS_TOKEN when the Expo project requires authenticated sends.
+
+const axios = require('axios');
+
+const PUSH_URL = process.env.EXPO_PUSH_URL || 'https://exp.host/--/api/v2/push/send';
+const REQUEST_TIMEOUT_MS = 10000;
+
+module.exports = {
+  name: 'push',
+  enabled: () => true,
+  target: (preferences) => preferences.push_token,
+  render: ({ event, subject, short, data }) => ({
+    title: subject,
+    body: short,
+    data: { event, student_id: data.student_id, intervention_id: data.intervention_id }
+  }),
+  send: async (delivery) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.EXPO_ACCESS_TOKEN) {
+      headers.Authorization = `Bearer ${process.env.EXPO_ACCESS_TOKEN}`;
+    }
+
+    const response = await axios.post(
+      PUSH_URL,
+      { to: delivery.target, sound: 'default', ...delivery.payload },
+      { headers, timeout: REQUEST_TIMEOUT_MS }
+    );
+
+    // Expo answers 200 with a per-message ticket, which may be an error
+    const ticket = response.data && response.data.data;
+    if (ticket && ticket.status === 'error') {
+      throw new Error(`Expo push failed: ${ticket.message}`);
+    }
+  }
+};
@@ -0,0 +1,59 @@
+// webhook.js - Signed JSON webhooks: the n8n workflows, and generic
+// webhooks a recipient points at their own systems
+//
+// n8n deliveries are signed with WEBHOOK_SIGNING_SECRET, the secret n8n
+// also signs its callbacks with. A recipient's webhook is signed with that
+// recipient's own webhook_secret, so no recipient can forge a callback,
+// and only goes to a public host (lib/urls.js).
+//
+// Each request carries:
+//   X-Alcovia-Delivery   the outbox row id (stable across retries, for dedupe)
+//   X-Alcovia-Event      the event name
+//   X-Alcovia-Timestamp  unix seconds when this attempt was signed
+//   X-Alcovia-Signature  see lib/signature.js
+
+const axios = require('axios');
+const { signPayload } = require('../../lib/signature');
+const { assertPublicUrl, PUBLIC_ONLY } = require('../../lib/urls');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+const postSigned = async (delivery, { secret }, options = {}) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Alcovia-Delivery': delivery.id,
+    'X-Alcovia-Event': delivery.event,
+    'X-Alcovia-Timestamp': timestamp
+  };
+  if (secret) headers['X-Alcovia-Signature'] = signPayload(body, timestamp, secret);
+
+  await axios.post(delivery.target, body, { ...options, headers, timeout: REQUEST_TIMEOUT_MS });
+};
+
+// Program-wide n8n trigger (N8N_WEBHOOK_URL, SLA_WEBHOOK_URL). Sends the
+// event data as is, which is what the workflows in n8n-workflow/ read.
+const n8n = {
+  name: 'n8n',
+  enabled: () => true,
+  target: () => null,
+  render: (message) => message.data,
+  send: postSigned
+};
+
+// A recipient's own endpoint (preferences.webhook_url)
+const webhook = {
+  name: 'webhook',
+  enabled: () => true,
+  target: (preferences) => preferences.webhook_url,
+  render: ({ event, subject, text, data }) => ({ event, subject, text, data }),
+  send: async (delivery, { secret }) => {
+    if (!secret) throw new Error('Recipient has no webhook secret');
+    assertPublicUrl(delivery.target);
+    await postSigned(delivery, { secret }, PUBLIC_ONLY);
+  }
+};
+
+module.exports = { n8n, webhook };
@@ -0,0 +1,134 @@
+// checkins.js - Check-in days, mentor-approved corrections and integrity
+// flags
+//
+// Each student has one authoritative daily_logs row per check-in day. A
+// mistake is fixed by a correction the student requests and a mentor
+// approves; the log row is then updated and re-graded in place. A check-in
+// that looks implausible (lib/integrity.js) is kept but flagged, and stays
+// marked on the log until a mentor dismisses the flag.
+
+const { HttpError } = require('../lib/errors');
+const { checkinDate } = require('../lib/days');
+const { MISSED, evaluateCheckin } = require('../lib/rules');
+const { notify } = require('./notifications');
+
+// The student's check-in for `date` (default: their local today), if any
+const findCheckin = (storage, student, date = checkinDate(student.timezone)) =>
+  storage.dailyLogs.findOne({ student_id: student.student_id, checkin_date: date });
+
+const requestCorrection = async (storage, { student, date, quizScore, focusMinutes, reason, user }) => {
+  const log = await findCheckin(storage, student, date);
+  if (!log) {
+    throw new HttpError(404, `No check-in on ${date || 'today'} to correct`);
+  }
+  if (log.status === MISSED) {
+    throw new HttpError(409, `There was no check-in on ${log.checkin_date}, so there is nothing to correct`);
+  }
+
+  const pending = await storage.corrections.findOne({ daily_log_id: log.id, status: 'Pending' });
+  if (pending) {
+    throw new HttpError(409, 'A correction for this check-in is already waiting for review');
+  }
+
+  return storage.corrections.insert({
+    student_id: student.student_id,
+    daily_log_id: log.id,
+    checkin_date: log.checkin_date,
+    quiz_score: quizScore ?? null,
+    focus_minutes: focusMinutes ?? null,
+    reason,
+    status: 'Pending',
+    requested_by: user.name
+  });
+};
+
+// Approves or rejects a pending correction. Approval re-grades the log with
+// the current rules; the student's status is left alone, since an open
+// intervention still runs its course through the mentor.
+const reviewCorrection = async (storage, { correction, approve, note, user }) => {
+  const [reviewed] = await storage.corrections.update(
+    { id: correction.id, status: 'Pending' },
+    {
+      status: approve ? 'Approved' : 'Rejected',
+      reviewed_by: user.name,
+      review_note: note || null,
+      reviewed_at: new Date().toISOString()
+    }
+  );
+  if (!reviewed) {
+    throw new HttpError(409, 'This correction has already been reviewed');
+  }
+  if (!approve) return { correction: reviewed, log: null };
+
+  const log = await storage.dailyLogs.findOne({ id: correction.daily_log_id });
+  const student = await storage.students.findOne({ student_id: correction.student_id });
+  const corrected = {
+    quiz_score: correction.quiz_score ?? log.quiz_score,
+    focus_minutes: correction.focus_minutes ?? log.focus_minutes
+  };
+
+  const rules = await storage.rules.find({ active: true });
+  const decision = evaluateCheckin(rules, student, corrected);
+
+  const [updatedLog] = await storage.dailyLogs.update({ id: log.id }, {
+    ...corrected,
+    status: decision.outcome,
+    rule_id: decision.rule_id,
+    rule_version: decision.rule_version,
+    corrected_at: reviewed.reviewed_at
+  });
+
+  console.log(`Correction approved for ${student.student_id} on ${log.checkin_date}`);
+
+  return { correction: reviewed, log: updatedLog };
+};
+
+// Opens a flag on a check-in's anomalies and tells the student's mentor
+const flagCheckin = async (storage, { student, log, anomalies }) => {
+  const flag = await storage.flags.insert({
+    student_id: student.student_id,
+    daily_log_id: log.id,
+    checkin_date: log.checkin_date,
+    anomalies,
+    status: 'Pending'
+  });
+
+  await notify(storage, {
+    event: 'checkin.flagged',
+    recipients: student.mentor_id ? [{ type: 'mentor', id: student.mentor_id }] : [],
+    data: {
+      student_id: student.student_id,
+      student_name: student.name,
+      flag_id: flag.id,
+      checkin_date: log.checkin_date,
+      anomalies
+    }
+  });
+
+  console.log(`Check-in flagged for ${student.student_id} on ${log.checkin_date}: ${anomalies.map((a) => a.type).join(', ')}`);
+  return flag;
+};
+
+// Confirms (the data is not genuine) or dismisses a pending flag. Dismissing
+// clears the mark on the log.
+const reviewFlag = async (storage, { flag, confirm, note, user }) => {
+  const [reviewed] = await storage.flags.update(
+    { id: flag.id, status: 'Pending' },
+    {
+      status: confirm ? 'Confirmed' : 'Dismissed',
+      reviewed_by: user.name,
+      review_note: note || null,
+      reviewed_at: new Date().toISOString()
+    }
+  );
+  if (!reviewed) {
+    throw new HttpError(409, 'This flag has already been reviewed');
+  }
+
+  if (!confirm) {
+    await storage.dailyLogs.update({ id: flag.daily_log_id }, { flagged: false });
+  }
+  return reviewed;
+};
+
+module.exports = { findCheckin, requestCorrection, reviewCorrection, flagCheckin, reviewFlag };
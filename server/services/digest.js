@@ -0,0 +1,170 @@
+// digest.js - Weekly cohort report for program leads
+//
+// Once a week (DIGEST_WEEKDAY at DIGEST_HOUR, UTC) the cohort report for the
+// previous seven days is rendered and delivered to every configured target:
+//   DIGEST_DIR       writes report-<from>-to-<to>.txt/.csv/.json there
+//   DIGEST_SMTP_URL  mails it to DIGEST_TO (e.g. smtp://localhost:1025 with
+//                    scripts/smtp-sink.js as a local stand-in)
+// Each week is claimed in `report_digests`, so restarts and several server
+// instances send it once. A failed week is retried on the next poll, and so
+// is one left 'sending' past CLAIM_LEASE_MS (the sender crashed mid-send).
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { HttpError } = require('../lib/errors');
+const { reportToCsv, reportToText } = require('../lib/reports');
+const { checkinDate, addDays } = require('../lib/days');
+const { loadCohortReport } = require('./reports');
+
+// Unlike `|| default`, keeps 0 (Sunday, midnight) as a valid setting
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const DIGEST_WEEKDAY = envInt('DIGEST_WEEKDAY', 1); // Monday
+const DIGEST_HOUR = envInt('DIGEST_HOUR', 8);
+const POLL_INTERVAL_MS = 60 * 60 * 1000;
+
+// How long a claim is held before another poll may take it over
+const CLAIM_LEASE_MS = 30 * 60 * 1000;
+
+const digestConfig = () => ({
+  dir: process.env.DIGEST_DIR || null,
+  smtpUrl: process.env.DIGEST_SMTP_URL || null,
+  to: process.env.DIGEST_TO || null,
+  from: process.env.DIGEST_FROM || 'Alcovia Reports <reports@alcovia.dev>'
+});
+
+const isConfigured = (config) => Boolean(config.dir || (config.smtpUrl && config.to));
+
+// The most recent week that is due at `now`: the seven days before the
+// latest DIGEST_WEEKDAY whose DIGEST_HOUR has passed
+const duePeriod = (now = new Date()) => {
+  const today = checkinDate('UTC', now);
+  let sendDay = addDays(today, -((now.getUTCDay() - DIGEST_WEEKDAY + 7) % 7));
+  if (sendDay === today && now.getUTCHours() < DIGEST_HOUR) sendDay = addDays(sendDay, -7);
+
+  const to = addDays(sendDay, -1);
+  return { from: addDays(to, -6), to };
+};
+
+const baseName = (report) => `report-${report.range.from}-to-${report.range.to}`;
+
+const writeDigest = async (report, dir) => {
+  await fs.mkdir(dir, { recursive: true });
+  const base = path.join(dir, baseName(report));
+  await fs.writeFile(`${base}.txt`, reportToText(report));
+  await fs.writeFile(`${base}.csv`, reportToCsv(report));
+  await fs.writeFile(`${base}.json`, JSON.stringify(report, null, 2));
+  return `file:${base}.txt`;
+};
+
+const mailDigest = async (report, config) => {
+  const transport = nodemailer.createTransport(config.smtpUrl);
+  await transport.sendMail({
+    from: config.from,
+    to: config.to,
+    subject: `Alcovia weekly report: ${report.range.from} to ${report.range.to}`,
+    text: reportToText(report),
+    attachments: [
+      { filename: `${baseName(report)}.csv`, content: reportToCsv(report), contentType: 'text/csv' }
+    ]
+  });
+  return `mail:${config.to}`;
+};
+
+// Renders the report for the range and delivers it. Returns the targets.
+const deliverDigest = async (storage, { from, to }, config = digestConfig()) => {
+  if (!isConfigured(config)) {
+    throw new HttpError(503, 'No digest target configured (set DIGEST_DIR or DIGEST_SMTP_URL and DIGEST_TO)');
+  }
+
+  const report = await loadCohortReport(storage, { from, to });
+  const delivered = [];
+  if (config.dir) delivered.push(await writeDigest(report, config.dir));
+  if (config.smtpUrl && config.to) delivered.push(await mailDigest(report, config));
+  return { report, delivered };
+};
+
+// Claims the week, or takes over a failed attempt or one whose lease ran
+// out. Returns the row or null.
+const claimPeriod = async (storage, period, now) => {
+  try {
+    return await storage.digests.insert({ period_from: period.from, period_to: period.to, status: 'sending' });
+  } catch (error) {
+    const existing = await storage.digests.findOne({ period_from: period.from });
+    if (!existing) throw error;
+
+    const expired = existing.status === 'sending' &&
+      Date.parse(existing.updated_at) < now.getTime() - CLAIM_LEASE_MS;
+    if (existing.status !== 'failed' && !expired) return null;
+
+    // Guarded on the row as read, so only one poll takes it over
+    const [row] = await storage.digests.update(
+      { id: existing.id, status: existing.status, updated_at: existing.updated_at },
+      { status: 'sending', updated_at: now.toISOString() }
+    );
+    return row || null;
+  }
+};
+
+// Sends this week's digest if it is due and not yet sent. Returns the
+// digest row, or null when there was nothing to do.
+const sendWeeklyDigest = async (storage, { now = new Date(), config = digestConfig() } = {}) => {
+  const period = duePeriod(now);
+  const claim = await claimPeriod(storage, period, now);
+  if (!claim) return null;
+
+  try {
+    const { delivered } = await deliverDigest(storage, period, config);
+    const [sent] = await storage.digests.update({ id: claim.id }, {
+      status: 'sent',
+      delivered_to: delivered,
+      last_error: null,
+      updated_at: new Date().toISOString()
+    });
+    console.log(`📊 Weekly digest ${period.from} to ${period.to} sent to ${delivered.join(', ')}`);
+    return sent;
+  } catch (error) {
+    await storage.digests.update({ id: claim.id }, {
+      status: 'failed',
+      last_error: error.message,
+      updated_at: new Date().toISOString()
+    });
+    throw error;
+  }
+};
+
+// Checks hourly for a due digest. Returns { stop }, or null when no target
+// is configured.
+const startDigestScheduler = (storage, { intervalMs = POLL_INTERVAL_MS } = {}) => {
+  if (!isConfigured(digestConfig())) return null;
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sendWeeklyDigest(storage);
+    } catch (error) {
+      console.error('Error sending weekly digest:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+
+  return { stop: () => clearInterval(timer) };
+};
+
+module.exports = {
+  duePeriod,
+  deliverDigest,
+  sendWeeklyDigest,
+  startDigestScheduler
+};
@@ -0,0 +1,152 @@
+// focus.js - Focus session lifecycle (start, heartbeat, pause, end)
+//
+// A student has at most one open (active or paused) session at a time.
+// Pauses record why and when they began; the time spent paused is added to
+// paused_seconds when the session resumes or ends.
+
+const { HttpError } = require('../lib/errors');
+const { runningSeconds, elapsedSeconds } = require('../lib/focus');
+
+const OPEN = { in: ['active', 'paused'] };
+
+const PAUSE_REASONS = ['manual', 'background'];
+
+const findOpenSession = (storage, studentId) =>
+  storage.focusSessions.findOne(
+    { student_id: studentId, status: OPEN },
+    { orderBy: 'started_at', ascending: false }
+  );
+
+const requireOpenSession = async (storage, studentId) => {
+  const session = await findOpenSession(storage, studentId);
+  if (!session) throw new HttpError(409, 'No focus session in progress');
+  return session;
+};
+
+const updateSession = async (storage, session, fields) => {
+  const [updated] = await storage.focusSessions.update(
+    { id: session.id, status: session.status },
+    { ...fields, updated_at: new Date().toISOString() }
+  );
+  if (!updated) throw new HttpError(409, 'Focus session changed, please retry');
+  return updated;
+};
+
+// Starts a new session, or resumes the open one
+const startSession = async (storage, studentId) => {
+  const now = new Date().toISOString();
+  const open = await findOpenSession(storage, studentId);
+
+  if (open && open.status === 'active') return open;
+  if (open) {
+    return updateSession(storage, open, {
+      status: 'active',
+      resumed_at: now,
+      last_heartbeat_at: now,
+      paused_seconds: totalPausedSeconds(open, now),
+      paused_at: null,
+      pause_reason: null
+    });
+  }
+
+  return storage.focusSessions.insert({
+    student_id: studentId,
+    status: 'active',
+    started_at: now,
+    resumed_at: now,
+    last_heartbeat_at: now,
+    accumulated_seconds: 0
+  });
+};
+
+const heartbeatSession = async (storage, studentId) => {
+  const session = await requireOpenSession(storage, studentId);
+  if (session.status !== 'active') return session;
+
+  const now = new Date();
+
+  // Past the grace window the old segment is closed and a new one begins,
+  // so the gap (app backgrounded or offline) is not counted
+  if (runningSeconds(session, now) < Math.floor((now - new Date(session.resumed_at)) / 1000)) {
+    return updateSession(storage, session, {
+      accumulated_seconds: elapsedSeconds(session, now),
+      resumed_at: now.toISOString(),
+      last_heartbeat_at: now.toISOString()
+    });
+  }
+
+  return updateSession(storage, session, { last_heartbeat_at: now.toISOString() });
+};
+
+// Paused time so far, including the current pause
+const totalPausedSeconds = (session, now) =>
+  (session.paused_seconds || 0) +
+  (session.status === 'paused' && session.paused_at
+    ? Math.max(0, Math.floor((new Date(now) - new Date(session.paused_at)) / 1000))
+    : 0);
+
+// { reason, paused_at }: the client reports when the pause began (say, when
+// the app went to the background), so a pause sent late still stops the
+// clock at that moment. It is clamped to the running segment.
+const pauseSession = async (storage, studentId, { reason = 'manual', paused_at } = {}) => {
+  if (!PAUSE_REASONS.includes(reason)) {
+    throw new HttpError(400, `reason must be one of: ${PAUSE_REASONS.join(', ')}`);
+  }
+  if (paused_at !== undefined && isNaN(new Date(paused_at))) {
+    throw new HttpError(400, 'paused_at must be a timestamp');
+  }
+
+  const session = await requireOpenSession(storage, studentId);
+  if (session.status === 'paused') return session;
+
+  const now = new Date();
+  const pausedAt = new Date(Math.max(
+    new Date(session.resumed_at).getTime(),
+    Math.min(now.getTime(), paused_at === undefined ? now.getTime() : new Date(paused_at).getTime())
+  ));
+
+  return updateSession(storage, session, {
+    status: 'paused',
+    accumulated_seconds: elapsedSeconds(session, pausedAt),
+    resumed_at: null,
+    paused_at: pausedAt.toISOString(),
+    pause_reason: reason,
+    background_pauses: (session.background_pauses || 0) + (reason === 'background' ? 1 : 0)
+  });
+};
+
+const endSession = async (storage, session) => {
+  const now = new Date().toISOString();
+  return updateSession(storage, session, {
+    status: 'ended',
+    accumulated_seconds: elapsedSeconds(session),
+    resumed_at: null,
+    paused_seconds: totalPausedSeconds(session, now),
+    paused_at: null,
+    ended_at: now
+  });
+};
+
+const endOpenSession = async (storage, studentId) => {
+  const session = await findOpenSession(storage, studentId);
+  return session ? endSession(storage, session) : null;
+};
+
+// Focus seconds recorded in sessions started since `since`
+const focusSecondsSince = async (storage, studentId, since, now = new Date()) => {
+  const sessions = await storage.focusSessions.find({
+    student_id: studentId,
+    started_at: { gte: since.toISOString() }
+  });
+  return sessions.reduce((total, session) => total + elapsedSeconds(session, now), 0);
+};
+
+module.exports = {
+  PAUSE_REASONS,
+  findOpenSession,
+  startSession,
+  heartbeatSession,
+  pauseSession,
+  endOpenSession,
+  focusSecondsSince
+};
@@ -0,0 +1,175 @@
+// interventions.js - Intervention workflow shared by the API routes and the
+// mentor dashboard
+
+const { HttpError } = require('../lib/errors');
+const { assertTransition } = require('../lib/states');
+const { publishStudentEvent } = require('../lib/events');
+const { actorFor, transitionStudent, transitionIntervention, openIntervention } = require('./transitions');
+const { resolveTask } = require('./tasks');
+const { notify } = require('./notifications');
+const { mentorContact, routeMentor } = require('./mentors');
+
+// Locks a Normal student (-> Needs Intervention), opens a Pending
+// intervention routed to a mentor (see services/mentors.js) and notifies
+// that mentor (intervention.created), through n8n and their own channels.
+// All of it commits together or not at all, so a student is never locked
+// without an intervention to unlock them. Used by failed check-ins and the
+// missed check-in job. `notification` is merged into the event data.
+// Returns null when the student's status changed first.
+const flagStudent = (storage, {
+  student,
+  reason,
+  priority = 'normal',
+  actor,
+  studentFields = {},
+  notification = {},
+  webhookUrl
+}) => storage.transaction(async (tx) => {
+  const { mentor, routing } = await routeMentor(tx, student);
+
+  // A fallback pick becomes the student's mentor
+  const mentorFields = mentor && mentor.mentor_id !== student.mentor_id
+    ? { mentor_id: mentor.mentor_id }
+    : {};
+
+  const locked = await transitionStudent(tx, student, 'Needs Intervention', {
+    actor,
+    reason,
+    fields: { ...studentFields, ...mentorFields }
+  });
+  if (!locked) return null;
+
+  const intervention = await openIntervention(tx, {
+    student_id: student.student_id,
+    reason,
+    priority,
+    mentor_id: mentor ? mentor.mentor_id : null,
+    routing
+  }, { actor, reason });
+
+  if (mentor) {
+    console.log(`Intervention for ${student.student_id} routed to ${mentor.mentor_id} (${routing})`);
+  } else {
+    console.warn(`⚠️ No active mentors on the roster; intervention for ${student.student_id} is unrouted`);
+  }
+
+  if (!webhookUrl) console.warn('⚠️ N8N_WEBHOOK_URL not configured');
+
+  // Delivered by the outbox dispatcher
+  await notify(tx, {
+    event: 'intervention.created',
+    n8nUrl: webhookUrl,
+    recipients: mentor ? [{ type: 'mentor', id: mentor.mentor_id }] : [],
+    data: {
+      student_id: student.student_id,
+      student_name: student.name,
+      intervention_id: intervention.id,
+      priority: intervention.priority,
+      reason,
+      mentor: mentorContact(mentor),
+      routing,
+      ...notification
+    }
+  });
+
+  return { student: locked, intervention };
+});
+
+// Assigns a remedial task (Pending -> Assigned, student -> Remedial), or
+// edits the task of an intervention that is already Assigned. `task` is the
+// request's task fields (see taskInput in lib/tasks.js).
+//
+// Runs in one transaction. Updates are guarded on the status the caller
+// read, so when two callers race only the first wins; the loser gets
+// { duplicate: true } and the intervention as the winner left it.
+const assignIntervention = (storage, { student, interventionId, task, user }) => storage.transaction(async (tx) => {
+  const actor = actorFor(user);
+
+  const intervention = await tx.interventions.findOne({
+    id: interventionId,
+    student_id: student.student_id
+  });
+  if (!intervention) {
+    throw new HttpError(404, 'Intervention not found for this student');
+  }
+
+  const duplicate = async () => ({
+    intervention: await tx.interventions.findOne({ id: interventionId }),
+    student,
+    duplicate: true
+  });
+
+  if (intervention.status === 'Submitted for Review') {
+    throw new HttpError(409, 'Review the submitted work before changing the task');
+  }
+
+  // Editing an assigned task changes no status
+  if (intervention.status === 'Assigned') {
+    const fields = await resolveTask(tx, task, intervention.task_steps || []);
+    const [updated] = await tx.interventions.update(
+      { id: interventionId, status: 'Assigned' },
+      fields
+    );
+    if (!updated) return duplicate();
+
+    const [updatedStudent] = await tx.students.update(
+      { student_id: student.student_id, status: 'Remedial' },
+      { current_task: fields.assigned_task, updated_at: new Date().toISOString() }
+    );
+
+    if (updatedStudent) {
+      tx.afterCommit(() => publishStudentEvent(student.student_id, { type: 'task', student: updatedStudent }));
+    }
+
+    console.log(`Task updated for ${student.student_id}: ${fields.assigned_task}`);
+    return { intervention: updated, student: updatedStudent || student, duplicate: false };
+  }
+
+  // Check both transitions before changing anything
+  assertTransition('intervention', intervention.status, 'Assigned');
+  assertTransition('student', student.status, 'Remedial');
+  const fields = await resolveTask(tx, task);
+
+  const reason = `Assigned task: ${fields.assigned_task}`;
+  const assigned = await transitionIntervention(tx, intervention, 'Assigned', {
+    actor,
+    reason,
+    fields: {
+      ...fields,
+      assigned_by: user.name,
+      assigned_by_mentor_id: user.mentor_id || null,
+      assigned_at: new Date().toISOString()
+    }
+  });
+  if (!assigned) return duplicate();
+
+  // Update student status to Remedial and assign task
+  const updatedStudent = await transitionStudent(tx, student, 'Remedial', {
+    actor,
+    reason,
+    fields: { current_task: fields.assigned_task }
+  });
+  if (!updatedStudent) {
+    throw new HttpError(409, `Student ${student.student_id} is no longer awaiting an intervention`);
+  }
+
+  await notify(tx, {
+    event: 'task.assigned',
+    recipients: [{ type: 'student', id: student.student_id }],
+    data: {
+      student_id: student.student_id,
+      student_name: student.name,
+      intervention_id: intervention.id,
+      task: fields.assigned_task,
+      instructions: fields.task_instructions,
+      estimated_minutes: fields.task_estimated_minutes,
+      assigned_by: user.name
+    }
+  });
+
+  console.log(`Intervention assigned to ${student.student_id}: ${fields.assigned_task}`);
+
+  return { intervention: assigned, student: updatedStudent, duplicate: false };
+});
+
+module.exports = { flagStudent, assignIntervention };
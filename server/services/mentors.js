@@ -0,0 +1,102 @@
+// mentors.js - Routes interventions to mentors on the roster (`mentors`)
+//
+// A flagged student's intervention goes to their own mentor
+// (students.mentor_id) while that mentor is active. A student with no
+// mentor, or whose mentor has left the roster, gets one picked by
+// MENTOR_FALLBACK_ROUTING and is mapped to them, so later interventions and
+// the mentor's dashboard follow:
+//   least_loaded  the active mentor with the fewest open interventions (default)
+//   round_robin   the active mentor routed to least recently
+
+const FALLBACK_STRATEGIES = ['least_loaded', 'round_robin'];
+const FALLBACK_ROUTING = FALLBACK_STRATEGIES.includes(process.env.MENTOR_FALLBACK_ROUTING)
+  ? process.env.MENTOR_FALLBACK_ROUTING
+  : 'least_loaded';
+
+const OPEN_STATUSES = ['Pending', 'Assigned', 'Submitted for Review'];
+
+// Contact details sent with webhooks so n8n can address the mentor
+const mentorContact = (mentor) => (mentor ? {
+  mentor_id: mentor.mentor_id,
+  name: mentor.name,
+  email: mentor.email,
+  phone: mentor.phone
+} : null);
+
+// Open interventions per mentor id
+const openLoad = async (storage, mentorIds) => {
+  const open = await storage.interventions.find({
+    mentor_id: { in: mentorIds },
+    status: { in: OPEN_STATUSES }
+  });
+  const load = Object.fromEntries(mentorIds.map((id) => [id, 0]));
+  for (const intervention of open) load[intervention.mentor_id]++;
+  return load;
+};
+
+// Ties go to the lower mentor_id (the roster is read in that order)
+const leastLoaded = async (storage, mentors) => {
+  const load = await openLoad(storage, mentors.map((mentor) => mentor.mentor_id));
+  return mentors.reduce((best, mentor) =>
+    load[mentor.mentor_id] < load[best.mentor_id] ? mentor : best
+  );
+};
+
+// Never-routed mentors come first
+const roundRobin = (mentors) =>
+  mentors.reduce((best, mentor) => {
+    if (!mentor.last_routed_at) return best.last_routed_at ? mentor : best;
+    if (!best.last_routed_at) return best;
+    return Date.parse(mentor.last_routed_at) < Date.parse(best.last_routed_at) ? mentor : best;
+  });
+
+// Backup for an SLA escalation: the least loaded active mentor other than
+// `mentor`, or null when there is nobody else
+const pickBackupMentor = async (storage, mentor) => {
+  const mentors = (await storage.mentors.find({ active: true }, { orderBy: 'mentor_id' }))
+    .filter((candidate) => !mentor || candidate.mentor_id !== mentor.mentor_id);
+  return mentors.length ? leastLoaded(storage, mentors) : null;
+};
+
+// Students with an open intervention handed to the mentor (by escalation)
+// that they do not mentor themselves
+const coveredStudentIds = async (storage, mentorId) => {
+  if (!mentorId) return [];
+  const open = await storage.interventions.find({ mentor_id: mentorId, status: { in: OPEN_STATUSES } });
+  return [...new Set(open.map((intervention) => intervention.student_id))];
+};
+
+// Picks the mentor for a new intervention. Returns { mentor, routing } where
+// routing is 'student_mentor', the fallback strategy used, or null (and no
+// mentor) when the roster has nobody active.
+const routeMentor = async (storage, student, { fallback = FALLBACK_ROUTING } = {}) => {
+  let mentor = student.mentor_id
+    ? await storage.mentors.findOne({ mentor_id: student.mentor_id, active: true })
+    : null;
+  let routing = 'student_mentor';
+
+  if (!mentor) {
+    const mentors = await storage.mentors.find({ active: true }, { orderBy: 'mentor_id' });
+    if (!mentors.length) return { mentor: null, routing: null };
+
+    mentor = fallback === 'round_robin' ? roundRobin(mentors) : await leastLoaded(storage, mentors);
+    routing = fallback;
+  }
+
+  await storage.mentors.update(
+    { mentor_id: mentor.mentor_id },
+    { last_routed_at: new Date().toISOString() }
+  );
+  return { mentor, routing };
+};
+
+module.exports = {
+  FALLBACK_ROUTING,
+  FALLBACK_STRATEGIES,
+  OPEN_STATUSES,
+  mentorContact,
+  openLoad,
+  pickBackupMentor,
+  coveredStudentIds,
+  routeMentor
+};
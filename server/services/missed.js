@@ -0,0 +1,222 @@
+// missed.js - Flags students who stop checking in
+//
+// A scheduled job looks at each Normal student's check-in days (on their
+// own clock) once MISSED_CHECKIN_GRACE_HOURS have passed since each ended.
+// Every day since the job's last full pass (job_runs) or the student's
+// enrolment, whichever is later, is checked, so days the job was down for
+// are backfilled; MISSED_CHECKIN_BACKFILL_DAYS caps how far back that goes.
+// A day with no daily_logs row gets a 'Missed' log, dated to that day. When the newest checked day ends a run of
+// MISSED_CHECKINS_TO_FLAG consecutive missed days (counted since the
+// student's last intervention closed) it opens an intervention the same way
+// a failed check-in does, mentor email included.
+
+const { MISSED } = require('../lib/rules');
+const { WINDOW_DAYS, scoreHistory } = require('../lib/risk');
+const { checkinDate, dayStart, addDays } = require('../lib/days');
+const { SYSTEM_ACTOR } = require('./transitions');
+const { flagStudent } = require('./interventions');
+
+const GRACE_HOURS = parseFloat(process.env.MISSED_CHECKIN_GRACE_HOURS) || 2;
+const MISSES_TO_FLAG = parseInt(process.env.MISSED_CHECKINS_TO_FLAG, 10) || 2;
+const POLL_INTERVAL_MS = parseInt(process.env.MISSED_CHECKIN_POLL_INTERVAL_MS, 10) || 15 * 60 * 1000;
+const BACKFILL_DAYS = parseInt(process.env.MISSED_CHECKIN_BACKFILL_DAYS, 10) || 30;
+const JOB = 'missed_checkins';
+
+// The newest check-in day that ended GRACE_HOURS before `time`
+const lastEndedDay = (student, time) => {
+  const cutoff = new Date(time.getTime() - GRACE_HOURS * 3600000);
+  return addDays(checkinDate(student.timezone, cutoff), -1);
+};
+
+// The check-in days to inspect: `last`, the newest one that has ended, and
+// `days`, those after the one the last full pass checked (lastRun) and from
+// the student's enrolment up to it with no daily_logs row yet, oldest first
+const daysToCheck = async (storage, student, now, lastRun) => {
+  const last = lastEndedDay(student, now);
+  const first = [
+    addDays(last, 1 - BACKFILL_DAYS),
+    checkinDate(student.timezone, new Date(student.created_at)),
+    ...(lastRun ? [addDays(lastEndedDay(student, lastRun), 1)] : [])
+  ].reduce((latest, date) => (date > latest ? date : latest));
+  if (first > last) return { last, days: [] };
+
+  const logs = await storage.dailyLogs.find({
+    student_id: student.student_id,
+    checkin_date: { gte: first, lte: last }
+  });
+  const logged = new Set(logs.map((log) => log.checkin_date));
+
+  const days = [];
+  for (let date = first; date <= last; date = addDays(date, 1)) {
+    if (!logged.has(date)) days.push(date);
+  }
+  return { last, days };
+};
+
+// Start of `date` on the student's clock (noon is safely inside the day)
+const startOf = (student, date) => dayStart(student.timezone, new Date(`${date}T12:00:00Z`));
+
+// The run of consecutive missed days ending on `date`, since the student's
+// last intervention closed, newest first
+const recentMisses = async (storage, student, date, lastClosed) => {
+  const logs = await storage.dailyLogs.find(
+    {
+      student_id: student.student_id,
+      checkin_date: { lte: date },
+      ...(lastClosed ? { logged_at: { gt: lastClosed.completed_at } } : {})
+    },
+    { orderBy: 'checkin_date', ascending: false, limit: MISSES_TO_FLAG }
+  );
+
+  const misses = [];
+  let expected = date;
+  for (const log of logs) {
+    if (log.status !== MISSED || log.checkin_date !== expected) break;
+    misses.push(log);
+    expected = addDays(expected, -1);
+  }
+  return misses;
+};
+
+// Records one missed day, unless the student could not check in that day.
+// Returns true when a Missed log was written.
+const recordMiss = async (storage, student, date, { lastClosed }) => {
+  const start = startOf(student, date);
+
+  // Enrolled during the day, or locked for part of it (check-ins were paused)
+  if (Date.parse(student.created_at) > start.getTime()) return false;
+  if (lastClosed && Date.parse(lastClosed.completed_at) >= start.getTime()) return false;
+
+  // Unique per student and day, so a repeat run (or a late check-in) wins
+  try {
+    await storage.dailyLogs.insert({
+      student_id: student.student_id,
+      quiz_score: null,
+      focus_minutes: null,
+      status: MISSED,
+      checkin_date: date,
+      logged_at: start.toISOString()
+    });
+  } catch (error) {
+    if (await storage.dailyLogs.findOne({ student_id: student.student_id, checkin_date: date })) return false;
+    throw error;
+  }
+  console.log(`📭 ${student.student_id} missed the check-in for ${date}`);
+  return true;
+};
+
+// Opens an intervention for a run of missed days. Returns true if it did.
+const flagForMisses = async (storage, student, misses, { now, webhookUrl }) => {
+  const dates = misses.map((log) => log.checkin_date).reverse();
+  const reason = `Missed ${misses.length} check-ins in a row (${dates.join(', ')})`;
+
+  // Same trend context the mentor gets for a failed check-in
+  const since = new Date(now.getTime() - WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const risk = scoreHistory(await storage.dailyLogs.find(
+    { student_id: student.student_id, logged_at: { gte: since.toISOString() } },
+    { orderBy: 'logged_at', ascending: false }
+  ));
+
+  const flagged = await flagStudent(storage, {
+    student,
+    reason,
+    actor: SYSTEM_ACTOR,
+    webhookUrl,
+    studentFields: { risk_score: risk.score, risk_action: risk.action },
+    notification: {
+      trigger: 'missed_checkins',
+      quiz_score: null,
+      focus_minutes: null,
+      missed_dates: dates,
+      risk_score: risk.score,
+      risk_action: risk.action,
+      trend: risk.trend
+    }
+  });
+  if (!flagged) return false;
+
+  console.log(`🚩 ${student.student_id} flagged: ${reason}`);
+  return true;
+};
+
+// Records the student's missed days, and flags them when this pass leaves
+// them in a long enough run of misses. Returns { recorded, flagged }.
+const checkStudent = async (storage, student, { now, lastRun, webhookUrl }) => {
+  const result = { recorded: 0, flagged: false };
+  const { last, days } = await daysToCheck(storage, student, now, lastRun);
+  if (!days.length) return result;
+
+  const lastClosed = await storage.interventions.findOne(
+    { student_id: student.student_id, status: 'Completed' },
+    { orderBy: 'completed_at', ascending: false }
+  );
+
+  for (const date of days) {
+    if (await recordMiss(storage, student, date, { lastClosed })) result.recorded++;
+  }
+  if (!result.recorded) return result;
+
+  // Only a run still going on the newest day counts: a student who checked
+  // in since is not flagged for misses the job caught up on late
+  const misses = await recentMisses(storage, student, last, lastClosed);
+  if (misses.length >= MISSES_TO_FLAG) {
+    result.flagged = await flagForMisses(storage, student, misses, { now, webhookUrl });
+  }
+  return result;
+};
+
+// Saves the time of a full pass, for the next one to backfill from
+const recordRun = async (storage, now) => {
+  const [run] = await storage.jobRuns.update({ job: JOB }, { last_run_at: now.toISOString() });
+  if (!run) await storage.jobRuns.insert({ job: JOB, last_run_at: now.toISOString() });
+};
+
+// One pass over every Normal student. Returns counts for logging.
+const runMissedCheckins = async (storage, {
+  now = new Date(),
+  webhookUrl = process.env.N8N_WEBHOOK_URL
+} = {}) => {
+  const students = await storage.students.find({ status: 'Normal' });
+  const previous = await storage.jobRuns.findOne({ job: JOB });
+  const lastRun = previous ? new Date(previous.last_run_at) : null;
+  const counts = { recorded: 0, flagged: 0 };
+  let failed = false;
+
+  for (const student of students) {
+    try {
+      const result = await checkStudent(storage, student, { now, lastRun, webhookUrl });
+      counts.recorded += result.recorded;
+      if (result.flagged) counts.flagged++;
+    } catch (error) {
+      failed = true;
+      console.error(`Error checking missed check-ins for ${student.student_id}:`, error.message);
+    }
+  }
+
+  // A student who failed is caught up by the next pass, so it starts from
+  // the last full one
+  if (!failed) await recordRun(storage, now);
+  return counts;
+};
+
+// Runs the job in the background. Returns { stop }.
+const startMissedCheckinJob = (storage, { intervalMs = POLL_INTERVAL_MS, ...options } = {}) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runMissedCheckins(storage, options);
+    } catch (error) {
+      console.error('Error running missed check-in job:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return { stop: () => clearInterval(timer) };
+};
+
+module.exports = { MISSES_TO_FLAG, runMissedCheckins, startMissedCheckinJob };
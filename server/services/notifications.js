@@ -0,0 +1,187 @@
+// notifications.js - Sends notification events to recipients on the
+// channels they prefer
+//
+// notify() renders the event's template (lib/notifications.js) and queues
+// one outbox delivery per channel:
+//   - the program-wide n8n trigger, when the caller passes its URL
+//   - each channel in a recipient's preferences that the server can send on
+//     and the recipient has a target for (an email address, push token...)
+// Recipients are { type: 'mentor', id: mentor_id }, { type: 'student',
+// id: student_id }, { type: 'user', id: users.id } (admins) or
+// { type: 'address', email } for a bare email address. Without saved
+// preferences a recipient gets the NOTIFY_*_CHANNELS default for its type.
+//
+// NOTIFY_CONSOLE=true routes every recipient delivery through the console
+// adapter instead, for local development.
+
+const crypto = require('crypto');
+const { renderMessage } = require('../lib/notifications');
+const { CHANNELS } = require('./channels');
+const { enqueueDelivery } = require('./outbox');
+
+const envList = (name, fallback) =>
+  process.env[name] === undefined
+    ? fallback
+    : process.env[name].split(',').map((item) => item.trim()).filter(Boolean);
+
+const DEFAULT_CHANNELS = {
+  mentor: envList('NOTIFY_MENTOR_CHANNELS', ['email']),
+  student: envList('NOTIFY_STUDENT_CHANNELS', ['push']),
+  user: envList('NOTIFY_ADMIN_CHANNELS', ['email']),
+  address: ['email'],
+};
+
+const CONSOLE_ONLY = process.env.NOTIFY_CONSOLE === 'true';
+
+// Whose preferences a signed-in user edits
+const recipientFor = (user) => {
+  if (user.role === 'student') return { type: 'student', id: user.student_id };
+  if (user.role === 'mentor') return { type: 'mentor', id: user.mentor_id };
+  return { type: 'user', id: user.id };
+};
+
+// Name and default email address, or null when the recipient is unknown
+const contactFor = async (storage, { type, id, email }) => {
+  if (type === 'mentor') {
+    const mentor = await storage.mentors.findOne({ mentor_id: id });
+    return mentor && { name: mentor.name, email: mentor.email };
+  }
+  if (type === 'student') {
+    const student = await storage.students.findOne({ student_id: id });
+    if (!student) return null;
+    const account = await storage.users.findOne({ role: 'student', student_id: id });
+    return { name: student.name, email: account ? account.email : null };
+  }
+  if (type === 'user') {
+    const user = await storage.users.findOne({ id });
+    return user && { name: user.name, email: user.email };
+  }
+  return { name: email, email };
+};
+
+const findSaved = (storage, recipient) =>
+  storage.notificationPreferences.findOne({
+    recipient_type: recipient.type,
+    recipient_id: recipient.id
+  });
+
+// Effective preferences: what the recipient saved, over the defaults.
+// Returns null for an unknown recipient.
+const loadPreferences = async (storage, recipient) => {
+  const contact = await contactFor(storage, recipient);
+  if (!contact) return null;
+
+  const saved = recipient.type === 'address' ? null : await findSaved(storage, recipient);
+
+  return {
+    recipient_type: recipient.type,
+    recipient_id: recipient.id || null,
+    name: contact.name,
+    label: `${contact.name} (${recipient.type}${recipient.id ? ` ${recipient.id}` : ''})`,
+    channels: saved ? saved.channels : DEFAULT_CHANNELS[recipient.type],
+    muted_events: saved ? saved.muted_events : [],
+    email: (saved && saved.email) || contact.email,
+    push_token: saved ? saved.push_token : null,
+    chat_url: saved ? saved.chat_url : null,
+    webhook_url: saved ? saved.webhook_url : null,
+    webhook_secret: saved ? saved.webhook_secret : null,
+    customized: Boolean(saved)
+  };
+};
+
+// Signs the deliveries to one recipient's webhook (outbox.js)
+const newWebhookSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Saves preference fields (already validated) and returns the result. A
+// recipient with a webhook_url gets a webhook_secret when they have none,
+// or a fresh one with rotateSecret; clearing the URL drops the secret.
+const savePreferences = async (storage, recipient, fields, { rotateSecret = false } = {}) => {
+  // A device notifies whoever registered it last
+  if (fields.push_token) {
+    const holders = await storage.notificationPreferences.find({ push_token: fields.push_token });
+    for (const holder of holders) {
+      if (holder.recipient_type === recipient.type && holder.recipient_id === recipient.id) continue;
+      await storage.notificationPreferences.update(
+        { id: holder.id },
+        { push_token: null, updated_at: new Date().toISOString() }
+      );
+    }
+  }
+
+  const saved = await findSaved(storage, recipient);
+  const changes = { ...fields };
+  const webhookUrl = fields.webhook_url !== undefined ? fields.webhook_url : saved && saved.webhook_url;
+  const secret = saved ? saved.webhook_secret : null;
+  if (!webhookUrl) {
+    if (secret) changes.webhook_secret = null;
+  } else if (!secret || rotateSecret) {
+    changes.webhook_secret = newWebhookSecret();
+  }
+
+  if (saved) {
+    await storage.notificationPreferences.update(
+      { id: saved.id },
+      { ...changes, updated_at: new Date().toISOString() }
+    );
+  } else {
+    await storage.notificationPreferences.insert({
+      recipient_type: recipient.type,
+      recipient_id: recipient.id,
+      channels: DEFAULT_CHANNELS[recipient.type],
+      ...changes
+    });
+  }
+  return loadPreferences(storage, recipient);
+};
+
+const queue = (storage, channel, target, message, recipient = null) =>
+  enqueueDelivery(storage, {
+    event: message.event,
+    channel,
+    target,
+    payload: CHANNELS[channel].render(message),
+    recipient
+  });
+
+// Queues `event` for the n8n trigger and every recipient. Returns the
+// outbox rows.
+const notify = async (storage, { event, data, recipients = [], n8nUrl = null }) => {
+  const message = renderMessage(event, data);
+  const deliveries = [];
+
+  if (n8nUrl) deliveries.push(await queue(storage, 'n8n', n8nUrl, message));
+
+  const seen = new Set();
+  for (const recipient of recipients) {
+    const key = `${recipient.type}:${recipient.id || recipient.email}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const preferences = await loadPreferences(storage, recipient);
+    if (!preferences || preferences.muted_events.includes(event)) continue;
+
+    for (const channel of preferences.channels) {
+      const adapter = CHANNELS[channel];
+      const target = adapter && adapter.target(preferences);
+      if (!target) continue;
+
+      if (CONSOLE_ONLY) {
+        deliveries.push(await queue(storage, 'console', `${preferences.label} via ${channel} ${target}`, message));
+      } else if (adapter.enabled()) {
+        deliveries.push(await queue(storage, channel, target, message, recipient));
+      } else {
+        console.warn(`⚠️ ${channel} notifications are not configured, ${event} not sent to ${preferences.label}`);
+      }
+    }
+  }
+
+  return deliveries;
+};
+
+module.exports = {
+  DEFAULT_CHANNELS,
+  recipientFor,
+  loadPreferences,
+  savePreferences,
+  notify
+};
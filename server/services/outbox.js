@@ -0,0 +1,167 @@
+// outbox.js - Durable outbox for outgoing notifications
+//
+// Deliveries are written to `webhook_outbox` alongside the change that
+// caused them, and a background dispatcher sends each one through its
+// channel adapter (services/channels/) with exponential backoff. After
+// OUTBOX_MAX_ATTEMPTS failures a delivery is parked as 'dead' until an admin
+// replays it.
+//
+// A dispatcher claims each row before sending it, by moving it to 'sending'
+// with a lease in next_attempt_at, so two server instances (or a slow tick
+// overlapping the next) never send the same delivery twice. A row whose
+// lease ran out (the sender crashed mid-send) is due again.
+
+const { CHANNELS } = require('./channels');
+
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 8;
+const POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS, 10) || 10000;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 20;
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+const STATUSES = ['pending', 'sending', 'delivered', 'dead'];
+
+// Delay before the next attempt: 30s, 1m, 2m, 4m ... capped at 1h
+const backoffMs = (attempts) =>
+  Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** Math.max(0, attempts - 1));
+
+// Queues a rendered payload for delivery on a channel. Returns the outbox
+// row. `recipient` ({ type, id }) is whose preferences the target came from.
+const enqueueDelivery = (storage, { event, channel = 'webhook', target, payload, recipient = null }) =>
+  storage.outbox.insert({
+    event,
+    channel,
+    target,
+    payload,
+    recipient_type: recipient ? recipient.type : null,
+    recipient_id: (recipient && recipient.id) || null,
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: new Date().toISOString()
+  });
+
+// The key a delivery is signed with: the recipient's own webhook_secret
+// for their webhook, the shared secret for everything else (n8n)
+const signingSecret = async (storage, delivery, sharedSecret) => {
+  if (delivery.channel !== 'webhook') return sharedSecret;
+  if (!delivery.recipient_id) return null;
+  const preferences = await storage.notificationPreferences.findOne({
+    recipient_type: delivery.recipient_type,
+    recipient_id: delivery.recipient_id
+  });
+  return preferences ? preferences.webhook_secret : null;
+};
+
+const deliver = async (storage, delivery, sharedSecret) => {
+  const adapter = CHANNELS[delivery.channel];
+  if (!adapter) {
+    throw new Error(`Unknown notification channel: ${delivery.channel}`);
+  }
+  const secret = await signingSecret(storage, delivery, sharedSecret);
+  return adapter.send(delivery, { secret });
+};
+
+// Takes a due delivery for this dispatcher. The update only matches while
+// the row is still due, so of two dispatchers racing for it one gets the
+// row back and the other gets null.
+const claimDelivery = async (storage, delivery, now) => {
+  const [claimed] = await storage.outbox.update({
+    id: delivery.id,
+    status: { in: ['pending', 'sending'] },
+    next_attempt_at: { lte: now.toISOString() }
+  }, {
+    status: 'sending',
+    next_attempt_at: new Date(now.getTime() + CLAIM_LEASE_MS).toISOString(),
+    updated_at: now.toISOString()
+  });
+  return claimed || null;
+};
+
+// Attempts every delivery that is due. Returns how many were processed.
+const dispatchDue = async (storage, {
+  secret = process.env.WEBHOOK_SIGNING_SECRET,
+  maxAttempts = MAX_ATTEMPTS
+} = {}) => {
+  const now = new Date();
+  const due = await storage.outbox.find(
+    { status: { in: ['pending', 'sending'] }, next_attempt_at: { lte: now.toISOString() } },
+    { orderBy: 'next_attempt_at', limit: BATCH_SIZE }
+  );
+
+  let processed = 0;
+  for (const row of due) {
+    const delivery = await claimDelivery(storage, row, now);
+    if (!delivery) continue; // another dispatcher has it
+    processed += 1;
+
+    const attempts = delivery.attempts + 1;
+    try {
+      await deliver(storage, delivery, secret);
+      await storage.outbox.update({ id: delivery.id }, {
+        status: 'delivered',
+        attempts,
+        delivered_at: new Date().toISOString(),
+        last_error: null,
+        updated_at: new Date().toISOString()
+      });
+      console.log(`✅ Delivered ${delivery.event} ${delivery.channel} ${delivery.id}`);
+    } catch (error) {
+      const dead = attempts >= maxAttempts;
+      await storage.outbox.update({ id: delivery.id }, {
+        status: dead ? 'dead' : 'pending',
+        attempts,
+        last_error: error.message,
+        next_attempt_at: new Date(Date.now() + backoffMs(attempts)).toISOString(),
+        updated_at: new Date().toISOString()
+      });
+      console.error(
+        `❌ ${delivery.event} ${delivery.channel} ${delivery.id} failed (attempt ${attempts}/${maxAttempts})` +
+        `${dead ? ', moved to dead letter' : ''}: ${error.message}`
+      );
+    }
+  }
+
+  return processed;
+};
+
+// Puts a dead delivery back in the queue for immediate retry. Pending rows
+// are left to their backoff schedule.
+const replayDelivery = async (storage, id) => {
+  const [delivery] = await storage.outbox.update({ id, status: 'dead' }, {
+    status: 'pending',
+    attempts: 0,
+    last_error: null,
+    next_attempt_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  });
+  return delivery || null;
+};
+
+// Polls the outbox in the background. Returns { stop }.
+const startOutboxDispatcher = (storage, { intervalMs = POLL_INTERVAL_MS, ...options } = {}) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await dispatchDue(storage, options);
+    } catch (error) {
+      console.error('Error dispatching outbox:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return { stop: () => clearInterval(timer) };
+};
+
+module.exports = {
+  STATUSES,
+  enqueueDelivery,
+  dispatchDue,
+  replayDelivery,
+  startOutboxDispatcher
+};
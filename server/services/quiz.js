@@ -0,0 +1,98 @@
+// quiz.js - Issuing and grading each student's daily quiz
+//
+// A quiz is issued once per student per check-in day (`daily_quizzes`) and
+// graded when the check-in submits its answers; every graded answer is
+// kept in `quiz_answers` with its subject and topic.
+
+const { HttpError } = require('../lib/errors');
+const { addDays } = require('../lib/days');
+const {
+  REPEAT_DAYS,
+  pickQuestions,
+  snapshotQuestion,
+  validateAnswers,
+  gradeAnswers
+} = require('../lib/quiz');
+
+const findQuiz = (storage, studentId, date) =>
+  storage.quizzes.findOne({ student_id: studentId, quiz_date: date });
+
+const quizAnswers = (storage, quizId) =>
+  storage.quizAnswers.find({ quiz_id: quizId }, { orderBy: 'created_at' });
+
+// The student's quiz for `date`, issued now if they have none yet
+const issueQuiz = async (storage, student, date) => {
+  const existing = await findQuiz(storage, student.student_id, date);
+  if (existing) return existing;
+
+  const bank = await storage.questions.find({ active: true });
+  if (!bank.length) {
+    throw new HttpError(503, 'The question bank is empty. Ask a mentor to add quiz questions.');
+  }
+
+  const recent = await storage.quizzes.find({
+    student_id: student.student_id,
+    quiz_date: { gte: addDays(date, -REPEAT_DAYS) }
+  });
+  const seenIds = new Set(recent.flatMap((quiz) => quiz.questions.map((question) => question.id)));
+
+  // Unique per student and day, so of two racing requests one quiz is kept
+  try {
+    return await storage.quizzes.insert({
+      student_id: student.student_id,
+      quiz_date: date,
+      questions: pickQuestions(bank, seenIds).map(snapshotQuestion),
+      status: 'issued'
+    });
+  } catch (error) {
+    const raced = await findQuiz(storage, student.student_id, date);
+    if (raced) return raced;
+    throw error;
+  }
+};
+
+// Grades the answers to the student's quiz for `date` and returns the
+// graded quiz. A quiz is graded once: a retried check-in gets the first
+// grading back whatever it sends.
+const gradeQuiz = async (storage, { student, date, quizId, answers }) => {
+  const quiz = await findQuiz(storage, student.student_id, date);
+  if (!quiz || (quizId && quiz.id !== quizId)) {
+    throw new HttpError(409, `Take today's quiz (${date}) before checking in`);
+  }
+  if (quiz.status === 'graded') return quiz;
+
+  const answerError = validateAnswers(quiz.questions, answers);
+  if (answerError) {
+    throw new HttpError(400, answerError);
+  }
+
+  const { results, correct, score } = gradeAnswers(quiz.questions, answers);
+  const gradedAt = new Date().toISOString();
+
+  const [graded] = await storage.quizzes.update(
+    { id: quiz.id, status: 'issued' },
+    { status: 'graded', score, correct, graded_at: gradedAt }
+  );
+  if (!graded) return storage.quizzes.findOne({ id: quiz.id });
+
+  for (const result of results) {
+    await storage.quizAnswers.insert({
+      quiz_id: quiz.id,
+      student_id: student.student_id,
+      ...result,
+      created_at: gradedAt
+    });
+  }
+
+  console.log(`Quiz ${date} graded for ${student.student_id}: ${score}/10 (${correct}/${results.length})`);
+  return graded;
+};
+
+// Graded answers since `since` (an ISO timestamp), oldest first
+const answersSince = (storage, studentId, since) =>
+  storage.quizAnswers.find(
+    { student_id: studentId, created_at: { gte: since } },
+    { orderBy: 'created_at' }
+  );
+
+module.exports = { findQuiz, quizAnswers, issueQuiz, gradeQuiz, answersSince };
@@ -0,0 +1,21 @@
+// reports.js - Loads the rows behind a cohort report
+
+const { buildCohortReport } = require('../lib/reports');
+const { addDays } = require('../lib/days');
+
+// Report for `from`..`to` (YYYY-MM-DD, inclusive), optionally one cohort
+const loadCohortReport = async (storage, { from, to, cohort = null, now = new Date() }) => {
+  const students = await storage.students.find(cohort ? { cohort } : {}, { orderBy: 'student_id' });
+
+  const logs = await storage.dailyLogs.find({ checkin_date: { gte: from, lte: to } });
+  const interventions = await storage.interventions.find({
+    created_at: {
+      gte: `${from}T00:00:00.000Z`,
+      lt: `${addDays(to, 1)}T00:00:00.000Z`
+    }
+  });
+
+  return buildCohortReport({ from, to, students, logs, interventions, now });
+};
+
+module.exports = { loadCohortReport };
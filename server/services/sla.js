@@ -0,0 +1,248 @@
+// sla.js - Background SLA checks for interventions nobody acts on
+//
+// Polls Pending interventions and takes each overdue step once (see
+// lib/sla.js). Each step notifies its recipients on their own channels and
+// through SLA_WEBHOOK_URL (n8n-workflow/sla-notifications.json emails the
+// addresses in the payload), and is appended to the intervention's
+// sla_events.
+//
+// Recipients:
+//   remind       the mentor the intervention was routed to
+//   escalate     a backup mentor and the program leads (SLA_ESCALATION_EMAILS,
+//                or every admin account)
+//   auto_assign  the routed mentor and the program leads
+//
+// Escalation hands the intervention to the backup mentor (the least loaded
+// other active mentor), who can act on the student until it closes.
+//
+// A failed auto-assign is recorded as an auto_assign_failed event and stays
+// due, so the next poll retries it. The SLA_AUTO_ASSIGN_MAX_FAILURES-th
+// failure is final: the stage becomes auto_assign_failed, retries stop and
+// the mentor and program leads are told once.
+
+const { SLA_HOURS, AUTO_ASSIGN_TEMPLATE, dueSteps } = require('../lib/sla');
+const { notify } = require('./notifications');
+const { assignIntervention } = require('./interventions');
+const { mentorContact, pickBackupMentor } = require('./mentors');
+
+const POLL_INTERVAL_MS = parseInt(process.env.SLA_POLL_INTERVAL_MS, 10) || 60000;
+const MAX_AUTO_ASSIGN_FAILURES = parseInt(process.env.SLA_AUTO_ASSIGN_MAX_FAILURES, 10) || 3;
+
+// Identity recorded on tasks the scheduler assigns
+const SLA_USER = { id: null, role: 'service', name: 'SLA auto-assign' };
+
+const EVENTS = {
+  remind: 'intervention.sla_reminder',
+  escalate: 'intervention.sla_escalated',
+  auto_assign: 'intervention.sla_auto_assigned',
+  auto_assign_failed: 'intervention.sla_auto_assign_failed',
+};
+
+// The routed mentor, or the student's current one for older interventions
+const mentorFor = (storage, intervention, student) => {
+  const mentorId = intervention.mentor_id || student.mentor_id;
+  return mentorId ? storage.mentors.findOne({ mentor_id: mentorId }) : null;
+};
+
+const escalationRecipients = async (storage) => {
+  if (process.env.SLA_ESCALATION_EMAILS) {
+    return process.env.SLA_ESCALATION_EMAILS.split(',')
+      .map((email) => email.trim())
+      .filter(Boolean)
+      .map((email) => ({ type: 'address', email }));
+  }
+  const admins = await storage.users.find({ role: 'admin' });
+  return admins.map((admin) => ({ type: 'user', id: admin.id, email: admin.email }));
+};
+
+// Recipients as notify() takes them, each with its roster or account email.
+// `mentor` is the backup mentor for escalate, the routed one otherwise.
+const recipientsFor = async (storage, step, mentor) => {
+  const mentors = mentor ? [{ type: 'mentor', id: mentor.mentor_id, email: mentor.email }] : [];
+  if (step === 'remind') return mentors;
+  return [...mentors, ...(await escalationRecipients(storage))];
+};
+
+// Appends the step to sla_events, along with any other `changes`. Guarded
+// on the stage as read, so a step is only recorded (and notified) once.
+const recordStep = async (storage, intervention, { step, stage }, details, guard = { status: 'Pending' }, changes = {}) => {
+  const event = { step, at: new Date().toISOString(), ...details };
+  const [updated] = await storage.interventions.update(
+    { id: intervention.id, sla_stage: intervention.sla_stage, ...guard },
+    { ...changes, sla_stage: stage, sla_events: [...(intervention.sla_events || []), event] }
+  );
+  return updated || null;
+};
+
+// Assigns the fallback template. Returns the event details to record.
+const autoAssign = async (storage, intervention, student) => {
+  try {
+    const result = await assignIntervention(storage, {
+      student,
+      interventionId: intervention.id,
+      task: { template_id: AUTO_ASSIGN_TEMPLATE },
+      user: SLA_USER
+    });
+    if (result.duplicate) return null;
+    return { template_id: AUTO_ASSIGN_TEMPLATE };
+  } catch (error) {
+    console.error(`❌ SLA auto-assign failed for intervention ${intervention.id}:`, error.message);
+    return { template_id: AUTO_ASSIGN_TEMPLATE, error: error.message };
+  }
+};
+
+const emailsOf = (recipients) => [...new Set(recipients.map((recipient) => recipient.email))];
+
+// Tells the step's recipients (and SLA_WEBHOOK_URL) about it
+const announceStep = async (storage, { step, intervention, student, mentor, backup, recipients, now, webhookUrl, details = {} }) => {
+  const hoursWaiting = Math.round((now.getTime() - Date.parse(intervention.created_at)) / 360000) / 10;
+  console.log(`⏰ SLA ${step} for intervention ${intervention.id} (${student.student_id}, ${hoursWaiting}h waiting)`);
+
+  if (!webhookUrl) console.warn('⚠️ SLA_WEBHOOK_URL not configured, SLA webhook not sent');
+
+  await notify(storage, {
+    event: EVENTS[step],
+    n8nUrl: webhookUrl,
+    recipients,
+    data: {
+      step,
+      intervention_id: intervention.id,
+      student_id: student.student_id,
+      student_name: student.name,
+      priority: intervention.priority,
+      reason: intervention.reason,
+      opened_at: intervention.created_at,
+      hours_waiting: hoursWaiting,
+      mentor: mentorContact(mentor),
+      backup_mentor: backup ? mentorContact(backup) : undefined,
+      recipients: emailsOf(recipients),
+      ...details
+    }
+  });
+};
+
+// Records a failed auto-assign without taking the step, so it is retried.
+// The failure that reaches MAX_AUTO_ASSIGN_FAILURES moves the intervention
+// to the auto_assign_failed stage, which ends the retries, and is announced
+// (once: an intervention already past it is only moved). Returns null: the
+// step was not taken.
+const recordAutoAssignFailure = async (storage, { intervention, student, mentor, error, now, webhookUrl }) => {
+  const failures = (intervention.sla_events || []).filter((event) => event.step === 'auto_assign_failed').length;
+  const attempt = failures + 1;
+  const final = attempt >= MAX_AUTO_ASSIGN_FAILURES;
+  const announce = attempt === MAX_AUTO_ASSIGN_FAILURES;
+  const recipients = announce ? await recipientsFor(storage, 'auto_assign_failed', mentor) : [];
+  const details = { template_id: AUTO_ASSIGN_TEMPLATE, attempt, error };
+
+  const updated = await recordStep(
+    storage,
+    intervention,
+    { step: 'auto_assign_failed', stage: final ? 'auto_assign_failed' : intervention.sla_stage },
+    announce ? { ...details, recipients: emailsOf(recipients) } : details
+  );
+  if (updated && final) {
+    console.error(`❌ SLA auto-assign for intervention ${intervention.id} gave up after ${attempt} failures`);
+  }
+  if (updated && announce) {
+    await announceStep(storage, {
+      step: 'auto_assign_failed', intervention, student, mentor, recipients, now, webhookUrl, details
+    });
+  }
+  return null;
+};
+
+const takeStep = async (storage, { intervention, student, due, now, webhookUrl }) => {
+  const mentor = await mentorFor(storage, intervention, student);
+
+  if (due.step === 'auto_assign') {
+    const outcome = await autoAssign(storage, intervention, student);
+    if (!outcome) return null;
+    if (outcome.error) {
+      return recordAutoAssignFailure(storage, { intervention, student, mentor, error: outcome.error, now, webhookUrl });
+    }
+
+    // The intervention is Assigned now
+    const recipients = await recipientsFor(storage, due.step, mentor);
+    const updated = await recordStep(storage, intervention, due, { recipients: emailsOf(recipients), ...outcome }, {});
+    if (updated) {
+      await announceStep(storage, { step: due.step, intervention, student, mentor, recipients, now, webhookUrl, details: outcome });
+    }
+    return updated;
+  }
+
+  if (due.step === 'escalate') {
+    // Handed to the backup mentor, if the roster has another active one
+    const backup = await pickBackupMentor(storage, mentor);
+    const recipients = await recipientsFor(storage, due.step, backup);
+    const updated = await recordStep(
+      storage,
+      intervention,
+      due,
+      { recipients: emailsOf(recipients), backup_mentor_id: backup ? backup.mentor_id : null },
+      { status: 'Pending' },
+      backup ? { mentor_id: backup.mentor_id } : {}
+    );
+    if (updated) {
+      await announceStep(storage, { step: due.step, intervention, student, mentor, backup, recipients, now, webhookUrl });
+    }
+    return updated;
+  }
+
+  const recipients = await recipientsFor(storage, due.step, mentor);
+  const updated = await recordStep(storage, intervention, due, { recipients: emailsOf(recipients) });
+  if (updated) {
+    await announceStep(storage, { step: due.step, intervention, student, mentor, recipients, now, webhookUrl });
+  }
+  return updated;
+};
+
+// Takes every overdue step. Returns how many steps were taken.
+const runSlaChecks = async (storage, {
+  now = new Date(),
+  webhookUrl = process.env.SLA_WEBHOOK_URL
+} = {}) => {
+  const pending = await storage.interventions.find({ status: 'Pending' }, { orderBy: 'created_at' });
+  let taken = 0;
+
+  for (let intervention of pending) {
+    const steps = dueSteps(intervention, now);
+    if (!steps.length) continue;
+
+    const student = await storage.students.findOne({ student_id: intervention.student_id });
+    for (const due of steps) {
+      const updated = await takeStep(storage, { intervention, student, due, now, webhookUrl });
+      if (!updated) break;
+      intervention = updated;
+      taken++;
+      if (intervention.status !== 'Pending') break;
+    }
+  }
+  return taken;
+};
+
+// Polls for overdue interventions in the background. Returns { stop }.
+const startSlaScheduler = (storage, { intervalMs = POLL_INTERVAL_MS, ...options } = {}) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runSlaChecks(storage, options);
+    } catch (error) {
+      console.error('Error running SLA checks:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  console.log(
+    `SLA: remind after ${SLA_HOURS.remind}h, escalate after ${SLA_HOURS.escalate}h, ` +
+    (SLA_HOURS.auto_assign > 0 ? `auto-assign ${AUTO_ASSIGN_TEMPLATE} after ${SLA_HOURS.auto_assign}h` : 'no auto-assign')
+  );
+
+  return { stop: () => clearInterval(timer) };
+};
+
+module.exports = { SLA_USER, runSlaChecks, startSlaScheduler };
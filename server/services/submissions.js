@@ -0,0 +1,173 @@
+// submissions.js - Handing in remedial work and the mentor's review
+//
+// Completing a task is a two-step flow: the student submits evidence
+// (Assigned -> Submitted for Review) and a mentor either approves it
+// (-> Completed, student back to Normal) or rejects it with feedback
+// (-> Assigned, the student revises and submits again). Each step runs in
+// one transaction, so the statuses, the submission and its notification
+// land together.
+
+const { HttpError } = require('../lib/errors');
+const { assertTransition } = require('../lib/states');
+const { attachmentRow } = require('../lib/evidence');
+const { publishStudentEvent } = require('../lib/events');
+const { actorFor, transitionStudent, transitionIntervention } = require('./transitions');
+const { findCurrentTask } = require('./tasks');
+const { notify } = require('./notifications');
+
+// Tells the student how the review went
+const notifyReview = (storage, { student, intervention, submission, approved }) =>
+  notify(storage, {
+    event: approved ? 'task.approved' : 'task.rejected',
+    recipients: [{ type: 'student', id: student.student_id }],
+    data: {
+      student_id: student.student_id,
+      student_name: student.name,
+      intervention_id: intervention.id,
+      task: intervention.assigned_task,
+      feedback: submission.feedback
+    }
+  });
+
+// Submission as the API returns it: attachment metadata only, no file data
+const presentSubmission = async (storage, submission) => {
+  if (!submission) return null;
+  const attachments = await storage.attachments.find(
+    { submission_id: submission.id },
+    { orderBy: 'created_at' }
+  );
+  return {
+    ...submission,
+    attachments: attachments.map(({ data, ...meta }) => meta)
+  };
+};
+
+const latestSubmission = (storage, interventionId) =>
+  storage.submissions.findOne(
+    { intervention_id: interventionId },
+    { orderBy: 'created_at', ascending: false }
+  );
+
+const submitTask = (storage, { student, user, evidenceText, attachments = [] }) => storage.transaction(async (tx) => {
+  const intervention = await findCurrentTask(tx, student.student_id);
+  if (!intervention) {
+    throw new HttpError(409, 'There is no assigned task to submit');
+  }
+  if (intervention.status === 'Submitted for Review') {
+    throw new HttpError(409, 'Your work is already waiting for your mentor\'s review');
+  }
+
+  const steps = intervention.task_steps || [];
+  const done = steps.filter((step) => step.done).length;
+  if (done < steps.length) {
+    throw new HttpError(409, `Finish every step first (${done} of ${steps.length} done)`);
+  }
+
+  const submitted = await transitionIntervention(tx, intervention, 'Submitted for Review', {
+    actor: actorFor(user),
+    reason: 'Student submitted the task for review',
+    fields: { submitted_at: new Date().toISOString() }
+  });
+  if (!submitted) {
+    throw new HttpError(409, 'This task has already been submitted');
+  }
+
+  const submission = await tx.submissions.insert({
+    intervention_id: intervention.id,
+    student_id: student.student_id,
+    evidence_text: evidenceText ? String(evidenceText).trim() : null,
+    status: 'Submitted'
+  });
+  for (const file of attachments) {
+    await tx.attachments.insert(attachmentRow(submission.id, file));
+  }
+
+  const mentorId = intervention.mentor_id || student.mentor_id;
+  await notify(tx, {
+    event: 'task.submitted',
+    recipients: mentorId ? [{ type: 'mentor', id: mentorId }] : [],
+    data: {
+      student_id: student.student_id,
+      student_name: student.name,
+      intervention_id: intervention.id,
+      task: intervention.assigned_task
+    }
+  });
+
+  tx.afterCommit(() => publishStudentEvent(student.student_id, { type: 'task', student }));
+  console.log(`Task submitted for review by ${student.student_id}`);
+
+  return { intervention: submitted, submission: await presentSubmission(tx, submission) };
+});
+
+// Approve: intervention Completed, student Remedial -> Normal.
+// Reject: intervention back to Assigned with the mentor's feedback.
+const reviewSubmission = (storage, { submission, approve, feedback, user }) => storage.transaction(async (tx) => {
+  if (!approve && !(feedback && String(feedback).trim())) {
+    throw new HttpError(400, 'Feedback is required when rejecting work');
+  }
+  if (submission.status !== 'Submitted') {
+    throw new HttpError(409, 'This submission has already been reviewed');
+  }
+
+  const actor = actorFor(user);
+  const intervention = await tx.interventions.findOne({ id: submission.intervention_id });
+  const student = await tx.students.findOne({ student_id: submission.student_id });
+  if (approve) assertTransition('student', student.status, 'Normal');
+
+  const [reviewed] = await tx.submissions.update(
+    { id: submission.id, status: 'Submitted' },
+    {
+      status: approve ? 'Approved' : 'Rejected',
+      feedback: feedback ? String(feedback).trim() : null,
+      reviewed_by: user.name,
+      reviewed_at: new Date().toISOString()
+    }
+  );
+  if (!reviewed) {
+    throw new HttpError(409, 'This submission has already been reviewed');
+  }
+
+  if (!approve) {
+    const returned = await transitionIntervention(tx, intervention, 'Assigned', {
+      actor,
+      reason: `Returned to the student: ${reviewed.feedback}`
+    });
+    if (!returned) {
+      throw new HttpError(409, 'This task changed during review, please refresh');
+    }
+
+    await notifyReview(tx, { student, intervention, submission: reviewed, approved: false });
+
+    tx.afterCommit(() => publishStudentEvent(student.student_id, { type: 'task', student }));
+    console.log(`Submission for ${student.student_id} returned with feedback`);
+    return { submission: reviewed, intervention: returned, student };
+  }
+
+  const reason = 'Mentor approved the submitted work';
+  const completed = await transitionIntervention(tx, intervention, 'Completed', {
+    actor,
+    reason,
+    fields: { completed_at: reviewed.reviewed_at }
+  });
+  if (!completed) {
+    throw new HttpError(409, 'This task changed during review, please refresh');
+  }
+
+  const updatedStudent = await transitionStudent(tx, student, 'Normal', {
+    actor,
+    reason,
+    fields: { current_task: null }
+  });
+  if (!updatedStudent) {
+    throw new HttpError(409, `Student ${student.student_id} is no longer in Remedial`);
+  }
+
+  await notifyReview(tx, { student, intervention, submission: reviewed, approved: true });
+
+  console.log(`Submission for ${student.student_id} approved, student unlocked`);
+
+  return { submission: reviewed, intervention: completed, student: updatedStudent };
+});
+
+module.exports = { presentSubmission, latestSubmission, submitTask, reviewSubmission };
@@ -0,0 +1,66 @@
+// tasks.js - Task catalog lookups and step-by-step progress
+
+const { HttpError } = require('../lib/errors');
+const { buildTask } = require('../lib/tasks');
+
+// Turns an assign request ({ task } or { template_id } plus overrides) into
+// intervention fields. previousSteps carries progress over on re-assignment.
+const resolveTask = async (storage, { task, template_id, ...overrides }, previousSteps = []) => {
+  if (!task && !template_id) {
+    throw new HttpError(400, 'Provide a task or a template_id');
+  }
+
+  let template = null;
+  if (template_id) {
+    template = await storage.taskTemplates.findOne({ template_id, active: true });
+    if (!template) throw new HttpError(404, `Unknown task template: ${template_id}`);
+  }
+
+  const fields = buildTask(template, task ? { ...overrides, title: task } : overrides, previousSteps);
+  if (!fields.assigned_task) {
+    throw new HttpError(400, 'The task needs a title');
+  }
+  return fields;
+};
+
+// The student's task in progress: Assigned, or handed in and awaiting review
+const findCurrentTask = (storage, studentId) =>
+  storage.interventions.findOne(
+    { student_id: studentId, status: { in: ['Assigned', 'Submitted for Review'] } },
+    { orderBy: 'assigned_at', ascending: false }
+  );
+
+// Marks one step (by index) of the student's assigned task done or not done
+const updateStepProgress = async (storage, { student, step, done }) => {
+  const intervention = await findCurrentTask(storage, student.student_id);
+  if (!intervention) {
+    throw new HttpError(409, 'There is no assigned task');
+  }
+  if (intervention.status !== 'Assigned') {
+    throw new HttpError(409, 'This task is waiting for review and cannot be changed');
+  }
+
+  const steps = intervention.task_steps || [];
+  if (steps.length === 0) {
+    throw new HttpError(409, 'This task has no steps');
+  }
+  if (!Number.isInteger(step) || step < 0 || step >= steps.length) {
+    throw new HttpError(400, `step must be a step number from 0 to ${steps.length - 1}`);
+  }
+
+  const now = new Date().toISOString();
+  const [updated] = await storage.interventions.update(
+    { id: intervention.id, status: 'Assigned' },
+    {
+      task_steps: steps.map((s, i) =>
+        i === step ? { ...s, done: Boolean(done), completed_at: done ? now : null } : s
+      )
+    }
+  );
+  if (!updated) {
+    throw new HttpError(409, 'This task is no longer assigned');
+  }
+  return updated;
+};
+
+module.exports = { resolveTask, findCurrentTask, updateStepProgress };
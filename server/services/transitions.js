@@ -0,0 +1,104 @@
+// transitions.js - Applies status transitions and records them in
+// `state_transitions`
+//
+// Every update is conditional on the status the caller read, so two racing
+// requests cannot both move the same row. A transition that loses the race
+// returns null and writes no history. Inside a transaction the live event
+// waits for the commit.
+
+const { assertTransition } = require('../lib/states');
+const { publishStudentEvent } = require('../lib/events');
+const { slaDeadlines } = require('../lib/sla');
+
+const SYSTEM_ACTOR = { id: null, label: 'system' };
+
+// History actor for a signed-in user (or the system when there is none)
+const actorFor = (user) =>
+  user ? { id: user.id, label: `${user.name} (${user.role})` } : SYSTEM_ACTOR;
+
+const recordTransition = (storage, { entity, entityId, studentId, from, to, actor, reason }) =>
+  storage.transitions.insert({
+    entity_type: entity,
+    entity_id: String(entityId),
+    student_id: studentId,
+    from_state: from,
+    to_state: to,
+    actor_id: actor.id,
+    actor: actor.label,
+    reason: reason || null
+  });
+
+const transitionStudent = async (storage, student, to, { actor, reason, fields = {} }) => {
+  assertTransition('student', student.status, to);
+
+  const [updated] = await storage.students.update(
+    { student_id: student.student_id, status: student.status },
+    { ...fields, status: to, updated_at: new Date().toISOString() }
+  );
+  if (!updated) return null;
+
+  await recordTransition(storage, {
+    entity: 'student',
+    entityId: student.student_id,
+    studentId: student.student_id,
+    from: student.status,
+    to,
+    actor,
+    reason
+  });
+
+  storage.afterCommit(() => publishStudentEvent(student.student_id, { type: 'status', student: updated }));
+  return updated;
+};
+
+const transitionIntervention = async (storage, intervention, to, { actor, reason, fields = {} }) => {
+  assertTransition('intervention', intervention.status, to);
+
+  const [updated] = await storage.interventions.update(
+    { id: intervention.id, status: intervention.status },
+    { ...fields, status: to }
+  );
+  if (!updated) return null;
+
+  await recordTransition(storage, {
+    entity: 'intervention',
+    entityId: intervention.id,
+    studentId: intervention.student_id,
+    from: intervention.status,
+    to,
+    actor,
+    reason
+  });
+  return updated;
+};
+
+// Inserts a new intervention in its initial Pending state, with its SLA
+// deadlines
+const openIntervention = async (storage, fields, { actor, reason }) => {
+  assertTransition('intervention', null, 'Pending');
+
+  const intervention = await storage.interventions.insert({
+    ...slaDeadlines(fields.priority),
+    ...fields,
+    status: 'Pending'
+  });
+
+  await recordTransition(storage, {
+    entity: 'intervention',
+    entityId: intervention.id,
+    studentId: intervention.student_id,
+    from: null,
+    to: 'Pending',
+    actor,
+    reason
+  });
+  return intervention;
+};
+
+module.exports = {
+  SYSTEM_ACTOR,
+  actorFor,
+  transitionStudent,
+  transitionIntervention,
+  openIntervention
+};
@@ -0,0 +1,56 @@
+// index.js - Storage adapter selection
+//
+// Every adapter exposes the same repositories, each with
+//   find(filter, { orderBy, ascending, limit }) -> rows
+//   findOne(filter, options)                    -> row | null
+//   insert(row)                                 -> row
+//   update(filter, fields)                      -> rows
+// where `filter` maps columns to a value, null, or an operator object
+// such as { gte: '2024-01-01' }. Adapters throw on any storage error.
+// Work that must land together runs in storage.transaction(async (tx) => ...)
+// (see transactions.js).
+
+const { createSupabaseStorage } = require('./supabase');
+const { createMemoryStorage } = require('./memory');
+
+// Repository name -> table in the database (see database/migrations)
+const REPOSITORIES = {
+  students: 'students',
+  dailyLogs: 'daily_logs',
+  interventions: 'interventions',
+  rules: 'intervention_rules',
+  users: 'users',
+  outbox: 'webhook_outbox',
+  transitions: 'state_transitions',
+  focusSessions: 'focus_sessions',
+  idempotencyKeys: 'idempotency_keys',
+  corrections: 'checkin_corrections',
+  taskTemplates: 'task_templates',
+  submissions: 'task_submissions',
+  attachments: 'submission_attachments',
+  digests: 'report_digests',
+  mentors: 'mentors',
+  notificationPreferences: 'notification_preferences',
+  questions: 'quiz_questions',
+  quizzes: 'daily_quizzes',
+  quizAnswers: 'quiz_answers',
+  flags: 'checkin_flags',
+  jobRuns: 'job_runs',
+};
+
+const DRIVERS = {
+  supabase: createSupabaseStorage,
+  memory: createMemoryStorage,
+};
+
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'supabase', options) => {
+  const factory = DRIVERS[driver];
+  if (!factory) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${driver}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`
+    );
+  }
+  return factory(REPOSITORIES, options);
+};
+
+module.exports = { createStorage, REPOSITORIES };
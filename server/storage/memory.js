@@ -0,0 +1,190 @@
+// memory.js - In-process storage adapter for local runs and offline tests
+//
+// Rows live in plain arrays and are copied on the way in and out, so callers
+// can never mutate stored state by accident. Constraints follow schema.js.
+// A transaction keeps a journal of its writes and undoes them on rollback;
+// other requests see those writes before it commits (atomic, not isolated).
+
+const crypto = require('crypto');
+const { TABLES, SEED } = require('./schema');
+const { runNow, runTransaction } = require('./transactions');
+
+const OPERATORS = {
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+  neq: (a, b) => a !== b,
+  in: (a, b) => b.includes(a),
+};
+
+const matches = (row, filter = {}) =>
+  Object.entries(filter).every(([column, value]) => {
+    if (value === null) return row[column] === null || row[column] === undefined;
+    if (typeof value === 'object' && !Array.isArray(value)) {
+      return Object.entries(value).every(([op, operand]) =>
+        OPERATORS[op](row[column], operand)
+      );
+    }
+    return row[column] === value;
+  });
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+};
+
+const copy = (row) => JSON.parse(JSON.stringify(row));
+
+const createMemoryStorage = (tables, { seed = true } = {}) => {
+  const data = {};
+  for (const table of Object.keys(TABLES)) data[table] = [];
+
+  const checkConstraints = (table, row, ignoreId) => {
+    const definition = TABLES[table];
+
+    for (const key of definition.unique || []) {
+      // [columns] or { columns, where } for a partial unique index
+      const { columns, where } = Array.isArray(key) ? { columns: key } : key;
+      if (where && !matches(row, where)) continue;
+
+      const clash = data[table].some(
+        (other) =>
+          other.id !== ignoreId &&
+          (!where || matches(other, where)) &&
+          columns.every((column) => other[column] === row[column])
+      );
+      if (clash) {
+        throw new Error(
+          `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`
+        );
+      }
+    }
+
+    for (const [column, check] of Object.entries(definition.checks || {})) {
+      const value = row[column];
+      if (value === null || value === undefined) continue;
+      const valid = Array.isArray(check)
+        ? check.includes(value)
+        : (check.min === undefined || value >= check.min) && (check.max === undefined || value <= check.max);
+      if (!valid) {
+        throw new Error(
+          `new row for relation "${table}" violates check constraint "${table}_${column}_check"`
+        );
+      }
+    }
+
+    for (const [column, target] of Object.entries(definition.references || {})) {
+      if (row[column] === null || row[column] === undefined) continue;
+      const [refTable, refColumn] = target.split('.');
+      if (!data[refTable].some((other) => other[refColumn] === row[column])) {
+        throw new Error(
+          `insert or update on table "${table}" violates foreign key constraint on "${column}"`
+        );
+      }
+    }
+  };
+
+  // `journal` collects undo steps when the write is part of a transaction
+  const insertRow = (table, row, journal) => {
+    const definition = TABLES[table];
+    const now = new Date().toISOString();
+    const stored = {
+      id: crypto.randomUUID(),
+      ...copy(definition.defaults || {}),
+      ...Object.fromEntries((definition.timestamps || []).map((column) => [column, now])),
+      ...copy(row),
+    };
+
+    checkConstraints(table, stored);
+    data[table].push(stored);
+    if (journal) {
+      journal.push(() => {
+        data[table] = data[table].filter((other) => other.id !== stored.id);
+      });
+    }
+    return copy(stored);
+  };
+
+  const createRepository = (table, journal = null) => ({
+    async find(filter, { orderBy, ascending = true, limit } = {}) {
+      let rows = data[table].filter((row) => matches(row, filter));
+      if (orderBy) {
+        rows = [...rows].sort((a, b) =>
+          ascending ? compare(a[orderBy], b[orderBy]) : compare(b[orderBy], a[orderBy])
+        );
+      }
+      if (limit) rows = rows.slice(0, limit);
+      return rows.map(copy);
+    },
+
+    async findOne(filter, options = {}) {
+      const rows = await this.find(filter, { ...options, limit: 1 });
+      return rows[0] || null;
+    },
+
+    async insert(row) {
+      return insertRow(table, row, journal);
+    },
+
+    async update(filter, fields) {
+      const targets = data[table].filter((row) => matches(row, filter));
+
+      // Check every row first so a constraint error leaves nothing half-applied
+      for (const row of targets) {
+        checkConstraints(table, { ...row, ...fields }, row.id);
+      }
+      if (journal) {
+        const previous = targets.map(copy);
+        journal.push(() => {
+          for (const row of previous) {
+            const index = data[table].findIndex((other) => other.id === row.id);
+            if (index !== -1) data[table][index] = row;
+          }
+        });
+      }
+      for (const row of targets) Object.assign(row, copy(fields));
+
+      return targets.map(copy);
+    },
+  });
+
+  if (seed) {
+    for (const [table, rows] of Object.entries(SEED)) {
+      rows.forEach((row) => insertRow(table, row));
+    }
+  }
+
+  const createRepositories = (journal) => {
+    const repositories = {};
+    for (const [name, table] of Object.entries(tables)) {
+      repositories[name] = createRepository(table, journal);
+    }
+    return repositories;
+  };
+
+  const transaction = (run) => {
+    const journal = [];
+    return runTransaction({
+      driver: 'memory',
+      repositories: createRepositories(journal),
+      begin: async () => {},
+      commit: async () => {},
+      // Undo in reverse order
+      rollback: async () => {
+        while (journal.length) journal.pop()();
+      }
+    }, run);
+  };
+
+  return {
+    driver: 'memory',
+    ...createRepositories(null),
+    transaction,
+    afterCommit: runNow
+  };
+};
+
+module.exports = { createMemoryStorage };
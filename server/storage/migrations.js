@@ -0,0 +1,184 @@
+// migrations.js - Versioned schema migrations for the Postgres database
+//
+// Migrations live in database/migrations as numbered SQL pairs:
+//   001_initial_schema.up.sql    applied by `up`
+//   001_initial_schema.down.sql  run by `down` to roll it back
+// Applied versions are recorded in schema_migrations with a checksum of the
+// up file, so an edited migration shows up in `status`. Each migration runs
+// in its own transaction, and an advisory lock keeps two runners (say, two
+// deploys) from migrating at once.
+//
+// `client` is anything with pg's query(text, values) -> { rows }.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Client } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'database', 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary key for pg_advisory_lock, shared by every runner
+const LOCK_KEY = 4815162342;
+
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+// Migrations on disk, in version order: [{ version, name, up, down, checksum }]
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const [, digits, name, direction] = match;
+    const version = parseInt(digits, 10);
+    const migration = byVersion.get(version) || { version, name, up: null, down: null };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has two names: ${migration.name} and ${name}`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  return [...byVersion.values()]
+    .map((migration) => {
+      if (!migration.up) {
+        throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+      }
+      return { ...migration, checksum: checksum(migration.up) };
+    })
+    .sort((a, b) => a.version - b.version);
+};
+
+const label = (migration) => `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+const createMigrator = (client, { migrations = loadMigrations(), log = console.log } = {}) => {
+  const ensureTable = () =>
+    client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(200) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        applied_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+  const appliedRows = async () =>
+    (await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version')).rows;
+
+  const withLock = async (run) => {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await ensureTable();
+      return await run();
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  };
+
+  const inTransaction = async (run) => {
+    await client.query('BEGIN');
+    try {
+      await run();
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  };
+
+  // Every known version with its state: applied, pending, changed (applied,
+  // but the file differs) or missing (applied, but no file)
+  const status = async () => {
+    await ensureTable();
+    const applied = new Map((await appliedRows()).map((row) => [row.version, row]));
+
+    const rows = migrations.map((migration) => {
+      const row = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        state: !row ? 'pending' : row.checksum === migration.checksum ? 'applied' : 'changed',
+        applied_at: row ? row.applied_at : null
+      };
+    });
+    for (const row of applied.values()) {
+      if (!migrations.some((migration) => migration.version === row.version)) {
+        rows.push({ version: row.version, name: row.name, state: 'missing', applied_at: row.applied_at });
+      }
+    }
+    return rows.sort((a, b) => a.version - b.version);
+  };
+
+  // Applies pending migrations up to `target` (default: all). Returns the
+  // versions applied.
+  const up = (target = Infinity) => withLock(async () => {
+    const applied = new Set((await appliedRows()).map((row) => row.version));
+    const pending = migrations.filter((m) => !applied.has(m.version) && m.version <= target);
+
+    for (const migration of pending) {
+      log(`▶ Applying ${label(migration)}`);
+      await inTransaction(async () => {
+        await client.query(migration.up);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+      });
+    }
+    return pending.map((migration) => migration.version);
+  });
+
+  // Rolls back the latest `steps` applied migrations. Returns the versions
+  // rolled back.
+  const down = (steps = 1) => withLock(async () => {
+    const latest = (await appliedRows()).reverse().slice(0, steps);
+    const rolledBack = [];
+
+    for (const row of latest) {
+      const migration = migrations.find((m) => m.version === row.version);
+      if (!migration || !migration.down) {
+        throw new Error(`Cannot roll back ${label(row)}: it has no .down.sql file`);
+      }
+
+      log(`◀ Rolling back ${label(migration)}`);
+      await inTransaction(async () => {
+        await client.query(migration.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      });
+      rolledBack.push(migration.version);
+    }
+    return rolledBack;
+  });
+
+  // Records migrations up to `target` as applied without running them, for
+  // a database created before migrations existed
+  const baseline = (target) => withLock(async () => {
+    const applied = new Set((await appliedRows()).map((row) => row.version));
+    const marked = migrations.filter((m) => !applied.has(m.version) && m.version <= target);
+
+    for (const migration of marked) {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      );
+    }
+    return marked.map((migration) => migration.version);
+  });
+
+  return { status, up, down, baseline };
+};
+
+// A connected pg client for DATABASE_URL (the Supabase project's Postgres
+// connection string, not its REST URL)
+const connect = async (connectionString = process.env.DATABASE_URL) => {
+  if (!connectionString) {
+    throw new Error('DATABASE_URL is not set');
+  }
+  const client = new Client({ connectionString });
+  await client.connect();
+  return client;
+};
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, createMigrator, connect };
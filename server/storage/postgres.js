@@ -0,0 +1,129 @@
+// postgres.js - Repositories over a direct Postgres connection
+//
+// Supabase's REST API has no transactions, so the Supabase adapter runs
+// storage.transaction() here instead: one pooled pg connection (DATABASE_URL)
+// per transaction, with repositories that take the same filters as the
+// other adapters and return rows in the shape the REST API does.
+
+const { Pool, types } = require('pg');
+const { runTransaction } = require('./transactions');
+
+const OPERATORS = { gt: '>', gte: '>=', lt: '<', lte: '<=', neq: '<>' };
+
+// DATE and TIMESTAMP columns come back as strings, as they do over REST,
+// rather than Date objects in the server's time zone
+const DATE_OID = 1082;
+const TIMESTAMP_OID = 1114;
+
+const typeParsers = {
+  getTypeParser: (oid, format) => {
+    if (oid === DATE_OID) return (value) => value;
+    if (oid === TIMESTAMP_OID) return (value) => value.replace(' ', 'T');
+    return types.getTypeParser(oid, format);
+  }
+};
+
+const quote = (identifier) => `"${identifier.replace(/"/g, '""')}"`;
+
+// Arrays and objects are stored in JSONB columns
+const toParam = (value) =>
+  value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+
+// Appends the filter's values to `values` and returns the WHERE clause
+const whereClause = (filter = {}, values) => {
+  const conditions = [];
+  const param = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  for (const [column, value] of Object.entries(filter)) {
+    if (value === null) {
+      conditions.push(`${quote(column)} IS NULL`);
+    } else if (typeof value === 'object' && !Array.isArray(value)) {
+      for (const [op, operand] of Object.entries(value)) {
+        if (op === 'in') {
+          conditions.push(`${quote(column)} = ANY(${param(operand)})`);
+        } else if (OPERATORS[op]) {
+          conditions.push(`${quote(column)} ${OPERATORS[op]} ${param(toParam(operand))}`);
+        } else {
+          throw new Error(`Unknown filter operator: ${op}`);
+        }
+      }
+    } else {
+      conditions.push(`${quote(column)} = ${param(toParam(value))}`);
+    }
+  }
+  return conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+};
+
+// Columns with a value (undefined is left out, as JSON would)
+const columnsOf = (row) => Object.keys(row).filter((column) => row[column] !== undefined);
+
+const createRepository = (client, table) => ({
+  async find(filter, { orderBy, ascending = true, limit } = {}) {
+    const values = [];
+    let sql = `SELECT * FROM ${quote(table)}${whereClause(filter, values)}`;
+    if (orderBy) sql += ` ORDER BY ${quote(orderBy)} ${ascending ? 'ASC' : 'DESC'}`;
+    if (limit) {
+      values.push(limit);
+      sql += ` LIMIT $${values.length}`;
+    }
+    return (await client.query(sql, values)).rows;
+  },
+
+  async findOne(filter, options = {}) {
+    const rows = await this.find(filter, { ...options, limit: 1 });
+    return rows[0] || null;
+  },
+
+  async insert(row) {
+    const columns = columnsOf(row);
+    const sql = columns.length
+      ? `INSERT INTO ${quote(table)} (${columns.map(quote).join(', ')}) ` +
+        `VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')}) RETURNING *`
+      : `INSERT INTO ${quote(table)} DEFAULT VALUES RETURNING *`;
+
+    const { rows } = await client.query(sql, columns.map((column) => toParam(row[column])));
+    return rows[0];
+  },
+
+  async update(filter, fields) {
+    const columns = columnsOf(fields);
+    const values = columns.map((column) => toParam(fields[column]));
+    const assignments = columns.map((column, i) => `${quote(column)} = $${i + 1}`).join(', ');
+
+    const sql = `UPDATE ${quote(table)} SET ${assignments}${whereClause(filter, values)} RETURNING *`;
+    return (await client.query(sql, values)).rows;
+  },
+});
+
+// transaction(run) for the Supabase adapter. The pool is opened on first
+// use.
+const createPostgresTransactions = (tables, { connectionString }) => {
+  let pool = null;
+
+  return async (run) => {
+    pool = pool || new Pool({ connectionString, types: typeParsers });
+
+    const client = await pool.connect();
+    try {
+      const repositories = {};
+      for (const [name, table] of Object.entries(tables)) {
+        repositories[name] = createRepository(client, table);
+      }
+
+      return await runTransaction({
+        driver: 'supabase',
+        repositories,
+        begin: () => client.query('BEGIN'),
+        commit: () => client.query('COMMIT'),
+        rollback: () => client.query('ROLLBACK')
+      }, run);
+    } finally {
+      client.release();
+    }
+  };
+};
+
+module.exports = { createPostgresTransactions };
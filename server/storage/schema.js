@@ -0,0 +1,510 @@
+// schema.js - Table definitions for the local storage adapter
+//
+// Mirrors the schema built by database/migrations so the in-memory adapter
+// behaves like Postgres: column defaults, unique keys (optionally only
+// among rows matching `where`), foreign key references, CHECK constraints
+// (allowed values or a min/max range) and timestamp columns filled in on
+// insert.
+
+const TABLES = {
+  mentors: {
+    defaults: {
+      phone: null,
+      active: true,
+      last_routed_at: null,
+    },
+    unique: [['mentor_id']],
+    timestamps: ['created_at', 'updated_at'],
+  },
+  students: {
+    defaults: {
+      status: 'Normal',
+      cohort: null,
+      mentor_id: null,
+      timezone: 'UTC',
+      current_task: null,
+      risk_score: 0,
+      risk_action: 'none',
+    },
+    unique: [['student_id']],
+    references: { mentor_id: 'mentors.mentor_id' },
+    checks: {
+      status: ['Normal', 'Needs Intervention', 'Remedial'],
+      risk_action: ['none', 'warn', 'lock', 'escalate'],
+      risk_score: { min: 0, max: 100 },
+    },
+    timestamps: ['created_at', 'updated_at'],
+  },
+  daily_logs: {
+    defaults: {
+      rule_id: null,
+      rule_version: null,
+      risk_score: null,
+      corrected_at: null,
+      quiz_id: null,
+      flagged: false,
+    },
+    unique: [['student_id', 'checkin_date']],
+    references: {
+      student_id: 'students.student_id',
+      quiz_id: 'daily_quizzes.id',
+    },
+    checks: {
+      status: ['On Track', 'Needs Intervention', 'Missed'],
+      quiz_score: { min: 0, max: 10 },
+      focus_minutes: { min: 0, max: 1440 },
+      risk_score: { min: 0, max: 100 },
+    },
+    timestamps: ['logged_at'],
+  },
+  interventions: {
+    defaults: {
+      assigned_task: null,
+      assigned_by: null,
+      assigned_by_mentor_id: null,
+      assigned_at: null,
+      submitted_at: null,
+      completed_at: null,
+      task_template_id: null,
+      task_instructions: null,
+      task_subject: null,
+      task_estimated_minutes: null,
+      task_steps: [],
+      priority: 'normal',
+      status: 'Pending',
+      sla_remind_at: null,
+      sla_escalate_at: null,
+      sla_auto_assign_at: null,
+      sla_stage: 'on_time',
+      sla_events: [],
+      mentor_id: null,
+      routing: null,
+    },
+    // At most one open intervention per student
+    unique: [{ columns: ['student_id'], where: { status: { neq: 'Completed' } } }],
+    references: {
+      student_id: 'students.student_id',
+      mentor_id: 'mentors.mentor_id',
+    },
+    checks: {
+      status: ['Pending', 'Assigned', 'Submitted for Review', 'Completed'],
+      priority: ['normal', 'urgent'],
+      sla_stage: ['on_time', 'reminded', 'escalated', 'auto_assigned', 'auto_assign_failed'],
+      routing: ['student_mentor', 'least_loaded', 'round_robin'],
+    },
+    timestamps: ['created_at'],
+  },
+  intervention_rules: {
+    defaults: {
+      version: 1,
+      cohort: null,
+      student_id: null,
+      priority: 0,
+      otherwise_outcome: null,
+      active: true,
+    },
+    unique: [['rule_id', 'version']],
+    references: { student_id: 'students.student_id' },
+    checks: {
+      outcome: ['On Track', 'Needs Intervention'],
+      otherwise_outcome: ['On Track', 'Needs Intervention'],
+    },
+    timestamps: ['created_at'],
+  },
+  users: {
+    defaults: {
+      student_id: null,
+      mentor_id: null,
+    },
+    unique: [['email']],
+    references: {
+      student_id: 'students.student_id',
+      mentor_id: 'mentors.mentor_id',
+    },
+    checks: { role: ['student', 'mentor', 'admin'] },
+    timestamps: ['created_at'],
+  },
+  webhook_outbox: {
+    defaults: {
+      channel: 'webhook',
+      recipient_type: null,
+      recipient_id: null,
+      status: 'pending',
+      attempts: 0,
+      last_error: null,
+      delivered_at: null,
+    },
+    checks: {
+      status: ['pending', 'sending', 'delivered', 'dead'],
+      channel: ['n8n', 'webhook', 'chat', 'email', 'push', 'console'],
+      attempts: { min: 0 },
+    },
+    timestamps: ['created_at', 'updated_at', 'next_attempt_at'],
+  },
+  state_transitions: {
+    defaults: {
+      from_state: null,
+      actor_id: null,
+      reason: null,
+    },
+    references: { student_id: 'students.student_id' },
+    checks: { entity_type: ['student', 'intervention'] },
+    timestamps: ['created_at'],
+  },
+  focus_sessions: {
+    defaults: {
+      status: 'active',
+      accumulated_seconds: 0,
+      resumed_at: null,
+      last_heartbeat_at: null,
+      paused_at: null,
+      pause_reason: null,
+      paused_seconds: 0,
+      background_pauses: 0,
+      ended_at: null,
+    },
+    references: { student_id: 'students.student_id' },
+    checks: {
+      status: ['active', 'paused', 'ended'],
+      pause_reason: ['manual', 'background'],
+      accumulated_seconds: { min: 0 },
+      paused_seconds: { min: 0 },
+    },
+    timestamps: ['started_at', 'created_at', 'updated_at'],
+  },
+  idempotency_keys: {
+    defaults: {
+      status: 'processing',
+      request_hash: null,
+      response_status: null,
+      response_body: null,
+    },
+    unique: [['scope', 'student_id', 'key']],
+    references: { student_id: 'students.student_id' },
+    checks: { status: ['processing', 'completed', 'failed'] },
+    timestamps: ['created_at', 'updated_at'],
+  },
+  checkin_corrections: {
+    defaults: {
+      quiz_score: null,
+      focus_minutes: null,
+      status: 'Pending',
+      requested_by: null,
+      reviewed_by: null,
+      review_note: null,
+      reviewed_at: null,
+    },
+    references: {
+      student_id: 'students.student_id',
+      daily_log_id: 'daily_logs.id',
+    },
+    checks: {
+      status: ['Pending', 'Approved', 'Rejected'],
+      quiz_score: { min: 0, max: 10 },
+      focus_minutes: { min: 0, max: 1440 },
+    },
+    timestamps: ['created_at'],
+  },
+  task_templates: {
+    defaults: {
+      instructions: null,
+      subject: null,
+      estimated_minutes: null,
+      steps: [],
+      active: true,
+      created_by: null,
+    },
+    unique: [['template_id']],
+    timestamps: ['created_at', 'updated_at'],
+  },
+  task_submissions: {
+    defaults: {
+      evidence_text: null,
+      status: 'Submitted',
+      feedback: null,
+      reviewed_by: null,
+      reviewed_at: null,
+    },
+    references: {
+      intervention_id: 'interventions.id',
+      student_id: 'students.student_id',
+    },
+    checks: { status: ['Submitted', 'Approved', 'Rejected'] },
+    timestamps: ['created_at'],
+  },
+  submission_attachments: {
+    references: { submission_id: 'task_submissions.id' },
+    timestamps: ['created_at'],
+  },
+  report_digests: {
+    defaults: {
+      status: 'sending',
+      delivered_to: [],
+      last_error: null,
+    },
+    unique: [['period_from']],
+    checks: { status: ['sending', 'sent', 'failed'] },
+    timestamps: ['created_at', 'updated_at'],
+  },
+  notification_preferences: {
+    defaults: {
+      channels: [],
+      muted_events: [],
+      email: null,
+      push_token: null,
+      chat_url: null,
+      webhook_url: null,
+      webhook_secret: null,
+    },
+    unique: [['recipient_type', 'recipient_id']],
+    checks: { recipient_type: ['mentor', 'student', 'user'] },
+    timestamps: ['created_at', 'updated_at'],
+  },
+  quiz_questions: {
+    defaults: {
+      difficulty: 'medium',
+      explanation: null,
+      active: true,
+      created_by: null,
+    },
+    checks: {
+      difficulty: ['easy', 'medium', 'hard'],
+      answer_index: { min: 0 },
+    },
+    timestamps: ['created_at', 'updated_at'],
+  },
+  daily_quizzes: {
+    defaults: {
+      status: 'issued',
+      score: null,
+      correct: null,
+      graded_at: null,
+    },
+    unique: [['student_id', 'quiz_date']],
+    references: { student_id: 'students.student_id' },
+    checks: {
+      status: ['issued', 'graded'],
+      score: { min: 0, max: 10 },
+    },
+    timestamps: ['created_at'],
+  },
+  quiz_answers: {
+    defaults: {
+      choice_index: null,
+    },
+    references: {
+      quiz_id: 'daily_quizzes.id',
+      student_id: 'students.student_id',
+    },
+    checks: { choice_index: { min: 0 } },
+    timestamps: ['created_at'],
+  },
+  checkin_flags: {
+    defaults: {
+      anomalies: [],
+      status: 'Pending',
+      reviewed_by: null,
+      review_note: null,
+      reviewed_at: null,
+    },
+    references: {
+      student_id: 'students.student_id',
+      daily_log_id: 'daily_logs.id',
+    },
+    checks: { status: ['Pending', 'Confirmed', 'Dismissed'] },
+    timestamps: ['created_at'],
+  },
+  job_runs: {
+    unique: [['job']],
+    timestamps: ['created_at', 'updated_at'],
+  },
+};
+
+// Password for every sample account: alcovia123
+const SAMPLE_PASSWORD_HASH =
+  'scrypt$a1c0v1a5eed5a1t0$860e41bda87d75305c6e805cd3c6473fdf233f878f3a19966c350c1df324888e047fce8573bf38cfc55b9af724f8c2106542334acc42c0a70478f3ede824ccab';
+
+// Sample data, matching database/seed.sql
+const SEED = {
+  mentors: [
+    { mentor_id: 'M001', name: 'Maya Mentor', email: 'mentor@alcovia.dev' },
+  ],
+  students: [
+    { student_id: 'S001', name: 'Alice Johnson', status: 'Normal', mentor_id: 'M001' },
+    { student_id: 'S002', name: 'Bob Smith', status: 'Normal', mentor_id: 'M001' },
+    { student_id: 'S003', name: 'Charlie Davis', status: 'Normal', mentor_id: 'M001' },
+  ],
+  users: [
+    { email: 'admin@alcovia.dev', name: 'Program Admin', role: 'admin' },
+    { email: 'mentor@alcovia.dev', name: 'Maya Mentor', role: 'mentor', mentor_id: 'M001' },
+    { email: 'alice@alcovia.dev', name: 'Alice Johnson', role: 'student', student_id: 'S001' },
+    { email: 'bob@alcovia.dev', name: 'Bob Smith', role: 'student', student_id: 'S002' },
+    { email: 'charlie@alcovia.dev', name: 'Charlie Davis', role: 'student', student_id: 'S003' },
+  ].map((user) => ({ ...user, password_hash: SAMPLE_PASSWORD_HASH })),
+  intervention_rules: [
+    {
+      rule_id: 'default-gate',
+      version: 1,
+      name: 'Default logic gate',
+      conditions: {
+        all: [
+          { field: 'quiz_score', op: '>', value: 7 },
+          { field: 'focus_minutes', op: '>', value: 60 },
+        ],
+      },
+      outcome: 'On Track',
+      otherwise_outcome: 'Needs Intervention',
+    },
+  ],
+  task_templates: [
+    {
+      template_id: 'chapter-review',
+      title: 'Read Chapter 4 and complete exercises',
+      instructions: "Re-read the chapter behind this week's quiz and work through its exercises.",
+      subject: 'General',
+      estimated_minutes: 45,
+      steps: [
+        'Re-read the chapter',
+        'Summarise the key ideas in your own words',
+        'Complete the end-of-chapter exercises',
+        'Check your answers and note anything still unclear',
+      ],
+    },
+    {
+      template_id: 'quiz-retake',
+      title: 'Practice quiz retake',
+      instructions: 'Go over the questions you missed, then take the practice quiz again.',
+      subject: 'General',
+      estimated_minutes: 30,
+      steps: [
+        'Review every question you got wrong',
+        'Retake the practice quiz',
+        'Write down one thing you will do differently',
+      ],
+    },
+    {
+      template_id: 'focus-reset',
+      title: 'Focus reset',
+      instructions: 'Rebuild the study habit with one distraction-free session.',
+      subject: 'Study skills',
+      estimated_minutes: 25,
+      steps: [
+        'Put your phone in another room',
+        'Complete one 25-minute focus session',
+        "Plan tomorrow's study block",
+      ],
+    },
+  ],
+  quiz_questions: [
+    {
+      subject: 'Math',
+      topic: 'Fractions',
+      difficulty: 'easy',
+      prompt: 'What is 1/2 + 1/4?',
+      choices: ['2/6', '3/4', '1/8', '2/4'],
+      answer_index: 1,
+      explanation: '1/2 is 2/4, and 2/4 + 1/4 = 3/4.',
+    },
+    {
+      subject: 'Math',
+      topic: 'Fractions',
+      difficulty: 'medium',
+      prompt: 'What is 2/3 of 18?',
+      choices: ['6', '9', '12', '27'],
+      answer_index: 2,
+      explanation: '18 / 3 = 6, and 6 x 2 = 12.',
+    },
+    {
+      subject: 'Math',
+      topic: 'Algebra',
+      difficulty: 'easy',
+      prompt: 'Solve for x: x + 7 = 12',
+      choices: ['5', '7', '12', '19'],
+      answer_index: 0,
+      explanation: 'Subtract 7 from both sides.',
+    },
+    {
+      subject: 'Math',
+      topic: 'Algebra',
+      difficulty: 'hard',
+      prompt: 'Solve for x: 3x - 4 = 2x + 5',
+      choices: ['1', '4.5', '9', '-9'],
+      answer_index: 2,
+      explanation: 'Subtract 2x from both sides, then add 4.',
+    },
+    {
+      subject: 'Math',
+      topic: 'Percentages',
+      difficulty: 'medium',
+      prompt: 'What is 15% of 80?',
+      choices: ['8', '12', '15', '20'],
+      answer_index: 1,
+      explanation: '10% of 80 is 8 and 5% is 4, so 15% is 12.',
+    },
+    {
+      subject: 'Science',
+      topic: 'Cells',
+      difficulty: 'easy',
+      prompt: 'Which part of a cell contains its genetic material?',
+      choices: ['Cell membrane', 'Cytoplasm', 'Nucleus', 'Ribosome'],
+      answer_index: 2,
+      explanation: 'DNA is kept in the nucleus.',
+    },
+    {
+      subject: 'Science',
+      topic: 'Cells',
+      difficulty: 'medium',
+      prompt: 'Where does photosynthesis take place in a plant cell?',
+      choices: ['Mitochondria', 'Chloroplasts', 'Vacuole', 'Cell wall'],
+      answer_index: 1,
+      explanation: 'Chloroplasts hold the chlorophyll that captures light.',
+    },
+    {
+      subject: 'Science',
+      topic: 'Forces',
+      difficulty: 'medium',
+      prompt: 'A 2 kg object accelerates at 3 m/s². What force acts on it?',
+      choices: ['1.5 N', '5 N', '6 N', '9 N'],
+      answer_index: 2,
+      explanation: 'F = m x a = 2 x 3 = 6 N.',
+    },
+    {
+      subject: 'Science',
+      topic: 'Forces',
+      difficulty: 'hard',
+      prompt: 'Which of these does NOT change when an object is taken to the Moon?',
+      choices: ['Its weight', 'Its mass', 'The force of gravity on it', 'How high it can jump'],
+      answer_index: 1,
+      explanation: 'Mass is the amount of matter; weight depends on gravity.',
+    },
+    {
+      subject: 'English',
+      topic: 'Grammar',
+      difficulty: 'easy',
+      prompt: 'Which sentence is correct?',
+      choices: ["Their going to the park.", "They're going to the park.", 'There going to the park.', 'Theyre going to the park.'],
+      answer_index: 1,
+      explanation: "They're is short for they are.",
+    },
+    {
+      subject: 'English',
+      topic: 'Grammar',
+      difficulty: 'medium',
+      prompt: 'Which word is an adverb in "She quickly finished her homework"?',
+      choices: ['She', 'quickly', 'finished', 'homework'],
+      answer_index: 1,
+      explanation: 'Quickly describes how she finished.',
+    },
+    {
+      subject: 'English',
+      topic: 'Vocabulary',
+      difficulty: 'hard',
+      prompt: 'What does "ephemeral" mean?',
+      choices: ['Lasting a very short time', 'Extremely large', 'Easily angered', 'Full of light'],
+      answer_index: 0,
+      explanation: 'Ephemeral things last only briefly.',
+    },
+  ],
+};
+
+module.exports = { TABLES, SEED };
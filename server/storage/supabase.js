@@ -0,0 +1,85 @@
+// supabase.js - Storage adapter backed by a Supabase (Postgres) project
+//
+// Repositories go through the REST API; transactions go straight to the
+// project's Postgres (see postgres.js). Check-ins, task assignments,
+// submissions and rule changes all run in a transaction, so DATABASE_URL is
+// required and the adapter refuses to start without it.
+
+const { createClient } = require('@supabase/supabase-js');
+const { createPostgresTransactions } = require('./postgres');
+const { runNow } = require('./transactions');
+
+// Translates a filter object into Supabase query modifiers.
+// Plain values match with eq (or IS NULL); objects may use
+// gt, gte, lt, lte, neq and in.
+const applyFilter = (query, filter = {}) => {
+  for (const [column, value] of Object.entries(filter)) {
+    if (value === null) {
+      query = query.is(column, null);
+    } else if (typeof value === 'object' && !Array.isArray(value)) {
+      for (const [op, operand] of Object.entries(value)) {
+        query = query[op](column, operand);
+      }
+    } else {
+      query = query.eq(column, value);
+    }
+  }
+  return query;
+};
+
+const createRepository = (client, table) => ({
+  async find(filter, { orderBy, ascending = true, limit } = {}) {
+    let query = applyFilter(client.from(table).select('*'), filter);
+    if (orderBy) query = query.order(orderBy, { ascending });
+    if (limit) query = query.limit(limit);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  },
+
+  async findOne(filter, options = {}) {
+    const rows = await this.find(filter, { ...options, limit: 1 });
+    return rows[0] || null;
+  },
+
+  async insert(row) {
+    const { data, error } = await client.from(table).insert(row).select().single();
+    if (error) throw error;
+    return data;
+  },
+
+  async update(filter, fields) {
+    const { data, error } = await applyFilter(client.from(table).update(fields), filter).select();
+    if (error) throw error;
+    return data;
+  },
+});
+
+const createSupabaseStorage = (tables, {
+  url = process.env.SUPABASE_URL,
+  key = process.env.SUPABASE_ANON_KEY,
+  databaseUrl = process.env.DATABASE_URL,
+} = {}) => {
+  if (!databaseUrl) {
+    throw new Error(
+      'DATABASE_URL is not set. STORAGE_DRIVER=supabase needs the project\'s Postgres connection string ' +
+      'for transactions (Project Settings > Database > Connection string), or use STORAGE_DRIVER=memory.'
+    );
+  }
+  const client = createClient(url, key);
+
+  const repositories = {};
+  for (const [name, table] of Object.entries(tables)) {
+    repositories[name] = createRepository(client, table);
+  }
+
+  return {
+    driver: 'supabase',
+    ...repositories,
+    transaction: createPostgresTransactions(tables, { connectionString: databaseUrl }),
+    afterCommit: runNow
+  };
+};
+
+module.exports = { createSupabaseStorage };
@@ -0,0 +1,57 @@
+// transactions.js - Shared plumbing for storage.transaction()
+//
+// Every adapter exposes
+//   transaction(run)      -> whatever run(tx) resolves to
+//   afterCommit(callback) -> runs callback once the writes are committed
+// `tx` has the same repositories, bound to the transaction: it commits when
+// run() resolves and rolls back when it throws. Side effects that must not
+// happen for rolled back work (live events to the app) go through
+// tx.afterCommit(). Calling tx.transaction() joins the open transaction, so
+// services can be atomic on their own and still compose.
+
+// afterCommit() outside a transaction: the write already happened
+const runNow = (callback) => {
+  callback();
+};
+
+const runCallbacks = (callbacks) => {
+  for (const callback of callbacks) {
+    try {
+      callback();
+    } catch (error) {
+      console.error('Error after commit:', error);
+    }
+  }
+};
+
+// Runs `run(tx)` between begin() and commit(), or rollback() when it throws
+const runTransaction = async ({ driver, repositories, begin, commit, rollback }, run) => {
+  const callbacks = [];
+  const tx = {
+    driver,
+    ...repositories,
+    afterCommit: (callback) => {
+      callbacks.push(callback);
+    },
+    transaction: (inner) => inner(tx)
+  };
+
+  await begin();
+  let result;
+  try {
+    result = await run(tx);
+  } catch (error) {
+    try {
+      await rollback();
+    } catch (rollbackError) {
+      console.error('Error rolling back transaction:', rollbackError);
+    }
+    throw error;
+  }
+  await commit();
+
+  runCallbacks(callbacks);
+  return result;
+};
+
+module.exports = { runNow, runTransaction };
@@ -0,0 +1,138 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../storage');
+const { runMissedCheckins } = require('../services/missed');
+const { startApp, checkinBody, seedFailingDays } = require('./helpers');
+
+let app;
+let alice;
+
+before(async () => {
+  app = await startApp();
+  alice = await app.login('alice@alcovia.dev');
+});
+
+after(() => app.close());
+
+// Runs every storage.transaction() with `repository.method` throwing
+const breakInTransaction = (storage, repository, method) => {
+  const original = storage.transaction;
+  storage.transaction = (run) => original((tx) => {
+    const broken = { ...tx, [repository]: { ...tx[repository], [method]: async () => { throw new Error('boom'); } } };
+    broken.transaction = (inner) => inner(broken);
+    return run(broken);
+  });
+  return () => {
+    storage.transaction = original;
+  };
+};
+
+test('a check-in that fails part-way leaves nothing behind, and its retry lands', async () => {
+  const { storage, request } = app;
+  await seedFailingDays(storage, 'S001');
+  const body = await checkinBody(app, alice, 'S001');
+  const outboxBefore = (await storage.outbox.find({})).length;
+
+  // The lock path fails on the intervention, after the quiz is graded and
+  // the log is written
+  const restore = breakInTransaction(storage, 'interventions', 'insert');
+  const failed = await request('POST', '/api/daily-checkin', { body, token: alice });
+  restore();
+
+  assert.equal(failed.status, 500);
+  const student = await storage.students.findOne({ student_id: 'S001' });
+  assert.equal(student.status, 'Normal');
+  assert.equal((await storage.dailyLogs.find({ student_id: 'S001', quiz_id: body.quiz_id })).length, 0);
+  assert.equal((await storage.quizzes.findOne({ id: body.quiz_id })).status, 'issued');
+  assert.equal((await storage.quizAnswers.find({ quiz_id: body.quiz_id })).length, 0);
+  assert.equal((await storage.transitions.find({ student_id: 'S001' })).length, 0);
+  assert.equal((await storage.outbox.find({})).length, outboxBefore);
+
+  const retried = await request('POST', '/api/daily-checkin', { body, token: alice });
+  assert.equal(retried.status, 200);
+  assert.equal(retried.body.status, 'Pending Mentor Review');
+  assert.equal((await storage.students.findOne({ student_id: 'S001' })).status, 'Needs Intervention');
+  assert.equal((await storage.interventions.find({ student_id: 'S001', status: 'Pending' })).length, 1);
+  assert.equal((await storage.dailyLogs.find({ student_id: 'S001', quiz_id: body.quiz_id })).length, 1);
+});
+
+test('a student checks in once a day', async () => {
+  const { request } = app;
+  const bob = await app.login('bob@alcovia.dev');
+  const body = await checkinBody(app, bob, 'S002');
+
+  const first = await request('POST', '/api/daily-checkin', { body, token: bob });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.success, true);
+
+  const second = await request('POST', '/api/daily-checkin', { body, token: bob });
+  assert.equal(second.status, 409);
+  assert.match(second.body.error, /Already checked in/);
+});
+
+// S003 on a fresh store, enrolled at `createdAt`
+const enrolledStorage = async (createdAt) => {
+  const storage = createStorage('memory');
+  await storage.students.update({ student_id: 'S003' }, { created_at: createdAt });
+  return storage;
+};
+
+const missedDates = async (storage) =>
+  (await storage.dailyLogs.find({ student_id: 'S003', status: 'Missed' }))
+    .map((log) => log.checkin_date)
+    .sort();
+
+test('missed days since enrolment are backfilled, and a run of them flags the student', async () => {
+  const storage = await enrolledStorage('2026-03-05T08:00:00Z');
+  const now = new Date('2026-03-10T12:00:00Z');
+
+  await runMissedCheckins(storage, { now, webhookUrl: null });
+  assert.deepEqual(await missedDates(storage), ['2026-03-06', '2026-03-07', '2026-03-08', '2026-03-09']);
+  const first = await storage.dailyLogs.findOne({ student_id: 'S003', checkin_date: '2026-03-06' });
+  assert.equal(first.logged_at, '2026-03-06T00:00:00.000Z');
+  assert.equal((await storage.students.findOne({ student_id: 'S003' })).status, 'Needs Intervention');
+  assert.equal((await storage.interventions.find({ student_id: 'S003', status: 'Pending' })).length, 1);
+
+  // A repeat run changes nothing
+  await runMissedCheckins(storage, { now, webhookUrl: null });
+  assert.equal((await missedDates(storage)).length, 4);
+});
+
+test('a pass only checks the days since the last full one', async () => {
+  const storage = await enrolledStorage('2026-03-01T08:00:00Z');
+
+  // Locked during the first pass, so none of its days are logged then
+  await storage.students.update({ student_id: 'S003' }, { status: 'Remedial' });
+  await runMissedCheckins(storage, { now: new Date('2026-03-03T12:00:00Z'), webhookUrl: null });
+  assert.deepEqual(await missedDates(storage), []);
+
+  await storage.students.update({ student_id: 'S003' }, { status: 'Normal' });
+  await runMissedCheckins(storage, { now: new Date('2026-03-05T12:00:00Z'), webhookUrl: null });
+  assert.deepEqual(await missedDates(storage), ['2026-03-03', '2026-03-04']);
+});
+
+test('a check-in breaks a run of missed days', async () => {
+  const storage = await enrolledStorage('2026-03-05T08:00:00Z');
+  await storage.dailyLogs.insert({
+    student_id: 'S003',
+    quiz_score: 9,
+    focus_minutes: 70,
+    status: 'On Track',
+    checkin_date: '2026-03-08',
+    logged_at: '2026-03-08T18:00:00Z'
+  });
+
+  await runMissedCheckins(storage, { now: new Date('2026-03-10T12:00:00Z'), webhookUrl: null });
+  assert.deepEqual(await missedDates(storage), ['2026-03-06', '2026-03-07', '2026-03-09']);
+  assert.equal((await storage.students.findOne({ student_id: 'S003' })).status, 'Normal');
+});
+
+test('focus_minutes cannot be self-reported', async () => {
+  const body = await checkinBody(app, alice, 'S001');
+  const response = await app.request('POST', '/api/daily-checkin', {
+    body: { ...body, focus_minutes: 90 },
+    token: alice
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.field, 'focus_minutes');
+});
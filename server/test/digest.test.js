@@ -0,0 +1,35 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { duePeriod, sendWeeklyDigest } = require('../services/digest');
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'alcovia-digest-'));
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+test('a week left sending by a crashed sender is taken over once its lease runs out', async () => {
+  const storage = createStorage('memory');
+  const config = { dir, smtpUrl: null, to: null };
+  const now = new Date('2026-03-09T09:00:00Z');
+  const period = duePeriod(now);
+  await storage.digests.insert({
+    period_from: period.from,
+    period_to: period.to,
+    status: 'sending',
+    updated_at: '2026-03-09T08:50:00Z'
+  });
+
+  // Still held by the other sender
+  assert.equal(await sendWeeklyDigest(storage, { now, config }), null);
+
+  const sent = await sendWeeklyDigest(storage, { now: new Date('2026-03-09T09:30:00Z'), config });
+  assert.equal(sent.status, 'sent');
+  assert.deepEqual(sent.delivered_to, [`file:${path.join(dir, `report-${period.from}-to-${period.to}`)}.txt`]);
+});
@@ -0,0 +1,34 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let app;
+let alice;
+
+before(async () => {
+  app = await startApp();
+  alice = await app.login('alice@alcovia.dev');
+});
+
+after(() => app.close());
+
+// A base64 attachment well past the default 100kb body limit
+const attachment = { file_name: 'work.jpg', content_type: 'image/jpeg', data: 'A'.repeat(400 * 1024) };
+
+test('task evidence may carry attachments past the default body limit', async () => {
+  const response = await app.request('POST', '/api/complete-task', {
+    body: { student_id: 'S001', evidence_text: null, attachments: [attachment] },
+    token: alice
+  });
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'There is no assigned task to submit');
+});
+
+test('other routes keep the default body limit', async () => {
+  const response = await app.request('POST', '/api/daily-checkin', {
+    body: { student_id: 'S001', quiz_id: 'q', answers: [], padding: attachment.data },
+    token: alice
+  });
+  assert.equal(response.status, 413);
+  assert.equal(response.body.code, 'payload_too_large');
+});
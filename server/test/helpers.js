@@ -0,0 +1,76 @@
+// helpers.js - Shared setup for the tests: the app over a freshly seeded
+// memory store, on a free local port
+
+const { once } = require('events');
+const { createApp } = require('../app');
+const { createStorage } = require('../storage');
+
+const PASSWORD = 'alcovia123';
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+// Starts the app. Returns { storage, request, login, close }; request()
+// resolves with { status, headers, body }.
+const startApp = async (options = {}) => {
+  const storage = createStorage('memory');
+  const server = createApp(storage, {
+    authSecret: 'test-auth-secret',
+    webhookSecret: WEBHOOK_SECRET,
+    n8nWebhookUrl: null,
+    ...options
+  }).listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { body, token, headers = {}, raw } = {}) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: raw !== undefined ? raw : body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+
+  const login = async (email) =>
+    (await request('POST', '/api/auth/login', { body: { email, password: PASSWORD } })).body.token;
+
+  const close = () => new Promise((resolve) => {
+    server.close(resolve);
+    server.closeAllConnections();
+  });
+
+  return { storage, request, login, close };
+};
+
+// Today's quiz for a student, and a check-in body answering it (every
+// answer left blank unless `choice` is given)
+const checkinBody = async ({ request }, token, studentId, choice = null) => {
+  const { body } = await request('GET', `/api/quiz/${studentId}/today`, { token });
+  return {
+    student_id: studentId,
+    quiz_id: body.quiz.id,
+    answers: body.quiz.questions.map((question) => ({ question_id: question.id, choice_index: choice }))
+  };
+};
+
+// Daily logs for the `count` days before today, all failing, so the next
+// check-in locks the student
+const seedFailingDays = async (storage, studentId, count = 4) => {
+  for (let days = 1; days <= count; days++) {
+    const day = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    await storage.dailyLogs.insert({
+      student_id: studentId,
+      quiz_score: 1,
+      focus_minutes: 0,
+      status: 'Needs Intervention',
+      checkin_date: day.toISOString().slice(0, 10),
+      logged_at: day.toISOString()
+    });
+  }
+};
+
+module.exports = { WEBHOOK_SECRET, startApp, checkinBody, seedFailingDays };
@@ -0,0 +1,117 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { IN_PROGRESS_CODE } = require('../middleware/idempotency');
+const { startApp, checkinBody } = require('./helpers');
+
+let app;
+let alice;
+
+before(async () => {
+  app = await startApp();
+  alice = await app.login('alice@alcovia.dev');
+});
+
+after(() => app.close());
+
+const checkin = (body, key) =>
+  app.request('POST', '/api/daily-checkin', { body, token: alice, headers: { 'Idempotency-Key': key } });
+
+test('a retry is answered from the stored response without checking in again', async () => {
+  const body = await checkinBody(app, alice, 'S001');
+
+  const first = await checkin(body, 'replay-1');
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('Idempotent-Replayed'), null);
+
+  const retry = await checkin(body, 'replay-1');
+  assert.equal(retry.status, 200);
+  assert.equal(retry.headers.get('Idempotent-Replayed'), 'true');
+  assert.deepEqual(retry.body, first.body);
+  assert.equal((await app.storage.dailyLogs.find({ student_id: 'S001', quiz_id: body.quiz_id })).length, 1);
+});
+
+test('a key reused for a different request is refused', async () => {
+  const body = await checkinBody(app, alice, 'S001');
+  const response = await checkin({ ...body, answers: [] }, 'replay-1');
+  assert.equal(response.status, 422);
+});
+
+test('a server error releases the key for the retry', async () => {
+  const { storage } = app;
+  const charlie = await app.login('charlie@alcovia.dev');
+  const body = await checkinBody(app, charlie, 'S003');
+  const send = () => app.request('POST', '/api/daily-checkin', {
+    body,
+    token: charlie,
+    headers: { 'Idempotency-Key': 'error-1' }
+  });
+
+  const transaction = storage.transaction;
+  storage.transaction = async () => { throw new Error('boom'); };
+  const failed = await send();
+  storage.transaction = transaction;
+  assert.equal(failed.status, 500);
+  assert.equal((await storage.idempotencyKeys.findOne({ key: 'error-1' })).status, 'failed');
+
+  const retried = await send();
+  assert.equal(retried.status, 200);
+  assert.equal(retried.headers.get('Idempotent-Replayed'), null);
+  assert.equal((await storage.idempotencyKeys.findOne({ key: 'error-1' })).status, 'completed');
+});
+
+test('a conflict is final and replayed', async () => {
+  const { storage } = app;
+  const bob = await app.login('bob@alcovia.dev');
+  const body = await checkinBody(app, bob, 'S002');
+  const send = () => app.request('POST', '/api/daily-checkin', {
+    body,
+    token: bob,
+    headers: { 'Idempotency-Key': 'paused-1' }
+  });
+
+  // Paused while an intervention is open
+  await storage.students.update({ student_id: 'S002' }, { status: 'Needs Intervention' });
+  const paused = await send();
+  assert.equal(paused.status, 409);
+  assert.equal(paused.body.code, 'conflict');
+  assert.equal((await storage.idempotencyKeys.findOne({ key: 'paused-1' })).status, 'completed');
+
+  await storage.students.update({ student_id: 'S002' }, { status: 'Normal' });
+  const retried = await send();
+  assert.equal(retried.status, 409);
+  assert.equal(retried.headers.get('Idempotent-Replayed'), 'true');
+});
+
+test('a request still being processed gets the in-progress code', async () => {
+  const { storage } = app;
+  const bob = await app.login('bob@alcovia.dev');
+  const body = await checkinBody(app, bob, 'S002');
+  await storage.idempotencyKeys.insert({
+    scope: 'daily-checkin',
+    student_id: 'S002',
+    key: 'busy-1',
+    request_hash: crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex'),
+    status: 'processing'
+  });
+
+  const response = await app.request('POST', '/api/daily-checkin', {
+    body,
+    token: bob,
+    headers: { 'Idempotency-Key': 'busy-1' }
+  });
+  assert.equal(response.status, 409);
+  assert.equal(response.body.code, IN_PROGRESS_CODE);
+  assert.equal((await storage.idempotencyKeys.findOne({ key: 'busy-1' })).status, 'processing');
+});
+
+test('a final client error is replayed', async () => {
+  const body = await checkinBody(app, alice, 'S001');
+  const invalid = { ...body, focus_minutes: 30 };
+
+  const first = await checkin(invalid, 'invalid-1');
+  assert.equal(first.status, 400);
+  const retry = await checkin(invalid, 'invalid-1');
+  assert.equal(retry.status, 400);
+  assert.equal(retry.headers.get('Idempotent-Replayed'), 'true');
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RULE, validateRule, evaluateCheckin } = require('../lib/rules');
+
+const rule = (fields) => ({
+  rule_id: 'test-rule',
+  version: 1,
+  name: 'Test rule',
+  cohort: null,
+  student_id: null,
+  priority: 0,
+  conditions: { all: [{ field: 'quiz_score', op: '>=', value: 5 }] },
+  outcome: 'On Track',
+  otherwise_outcome: null,
+  ...fields
+});
+
+const student = { student_id: 'S001', cohort: 'spring' };
+
+test('the default gate passes only a high score with enough focus', () => {
+  assert.equal(evaluateCheckin([], student, { quiz_score: 8, focus_minutes: 61 }).outcome, 'On Track');
+  assert.equal(evaluateCheckin([], student, { quiz_score: 8, focus_minutes: 60 }).outcome, 'Needs Intervention');
+  assert.equal(evaluateCheckin([], student, { quiz_score: 7, focus_minutes: 90 }).outcome, 'Needs Intervention');
+
+  const decision = evaluateCheckin([], student, { quiz_score: 9, focus_minutes: 90 });
+  assert.deepEqual(decision, { outcome: 'On Track', locks: false, rule_id: DEFAULT_RULE.rule_id, rule_version: 1 });
+});
+
+test('student rules beat cohort rules, which beat global ones', () => {
+  const rules = [
+    rule({ rule_id: 'global', priority: 100, outcome: 'Needs Intervention', conditions: { all: [{ field: 'quiz_score', op: '>=', value: 0 }] } }),
+    rule({ rule_id: 'cohort', cohort: 'spring', outcome: 'Needs Intervention' }),
+    rule({ rule_id: 'student', student_id: 'S001' })
+  ];
+  assert.equal(evaluateCheckin(rules, student, { quiz_score: 6, focus_minutes: 0 }).rule_id, 'student');
+  assert.equal(evaluateCheckin(rules, { student_id: 'S002', cohort: 'spring' }, { quiz_score: 6 }).rule_id, 'cohort');
+  assert.equal(evaluateCheckin(rules, { student_id: 'S003', cohort: 'fall' }, { quiz_score: 6 }).rule_id, 'global');
+});
+
+test('higher priority goes first, and a rule without otherwise_outcome falls through', () => {
+  const rules = [
+    rule({ rule_id: 'low', priority: 1, outcome: 'Needs Intervention', conditions: { any: [{ field: 'focus_minutes', op: '<', value: 30 }] } }),
+    rule({ rule_id: 'high', priority: 5, conditions: { all: [{ field: 'quiz_score', op: '==', value: 10 }] } })
+  ];
+  assert.equal(evaluateCheckin(rules, student, { quiz_score: 10, focus_minutes: 0 }).rule_id, 'high');
+
+  const decision = evaluateCheckin(rules, student, { quiz_score: 6, focus_minutes: 10 });
+  assert.equal(decision.rule_id, 'low');
+  assert.equal(decision.locks, true);
+
+  // Neither decides, so the default gate does
+  assert.equal(evaluateCheckin(rules, student, { quiz_score: 6, focus_minutes: 45 }).rule_id, DEFAULT_RULE.rule_id);
+});
+
+test('nested groups combine all and any', () => {
+  const conditions = {
+    any: [
+      { field: 'quiz_score', op: '>', value: 8 },
+      { all: [{ field: 'quiz_score', op: '>=', value: 5 }, { field: 'focus_minutes', op: '>=', value: 45 }] }
+    ]
+  };
+  const rules = [rule({ conditions, otherwise_outcome: 'Needs Intervention' })];
+  assert.equal(evaluateCheckin(rules, student, { quiz_score: 9, focus_minutes: 0 }).outcome, 'On Track');
+  assert.equal(evaluateCheckin(rules, student, { quiz_score: 5, focus_minutes: 45 }).outcome, 'On Track');
+  assert.equal(evaluateCheckin(rules, student, { quiz_score: 5, focus_minutes: 44 }).outcome, 'Needs Intervention');
+});
+
+test('invalid rules are rejected, and skipped when evaluating', () => {
+  assert.equal(validateRule(rule({})), null);
+  assert.equal(validateRule(rule({ priority: '1' })), 'priority must be a number');
+  assert.equal(validateRule(rule({ cohort: 'spring', student_id: 'S001' })), 'A rule can target a cohort or a student, not both');
+  assert.match(validateRule(rule({ outcome: 'Expelled' })), /^outcome must be one of/);
+  assert.equal(validateRule(rule({ conditions: { all: [] } })), 'conditions.all must not be empty');
+  assert.equal(validateRule(rule({ conditions: { all: [], any: [] } })), 'conditions must have either all or any, not both');
+  assert.match(validateRule(rule({ conditions: { all: [{ field: 'mood', op: '>', value: 1 }] } })), /^conditions\[0\]\.field/);
+  assert.match(validateRule(rule({ conditions: { all: [{ field: 'quiz_score', op: '~', value: 1 }] } })), /^conditions\[0\]\.op/);
+  assert.equal(validateRule(rule({ conditions: { all: [{ field: 'quiz_score', op: '>', value: '1' }] } })), 'conditions[0].value must be a number');
+
+  const broken = rule({ rule_id: 'broken', priority: 9, conditions: { all: [] } });
+  assert.equal(evaluateCheckin([broken], student, { quiz_score: 9, focus_minutes: 90 }).rule_id, DEFAULT_RULE.rule_id);
+});
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { signPayload, verifySignature } = require('../lib/signature');
+const { flagStudent } = require('../services/interventions');
+const { SYSTEM_ACTOR } = require('../services/transitions');
+const { WEBHOOK_SECRET, startApp } = require('./helpers');
+
+const SECRET = 'shared-secret';
+const now = Date.parse('2026-01-05T10:00:00Z');
+const timestamp = String(Math.floor(now / 1000));
+
+test('a signature verifies against the same body, timestamp and secret', () => {
+  const body = '{"student_id":"S001"}';
+  const signature = signPayload(body, timestamp, SECRET);
+  assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+  assert.equal(verifySignature(body, timestamp, signature, SECRET, now), null);
+
+  assert.equal(verifySignature('{"student_id":"S002"}', timestamp, signature, SECRET, now), 'Invalid signature');
+  assert.equal(verifySignature(body, timestamp, signature, 'other-secret', now), 'Invalid signature');
+  assert.equal(verifySignature(body, timestamp, 'sha256=00', SECRET, now), 'Invalid signature');
+});
+
+test('stale, future and missing timestamps are rejected', () => {
+  const body = '{}';
+  const signature = signPayload(body, timestamp, SECRET);
+  const window = 'Signature timestamp is outside the allowed window';
+
+  assert.equal(verifySignature(body, timestamp, signature, SECRET, now + 6 * 60 * 1000), window);
+  assert.equal(verifySignature(body, timestamp, signature, SECRET, now - 6 * 60 * 1000), window);
+  assert.equal(verifySignature(body, 'yesterday', signature, SECRET, now), window);
+  assert.equal(verifySignature(body, undefined, signature, SECRET, now), 'Missing signature headers');
+  assert.equal(verifySignature(body, timestamp, undefined, SECRET, now), 'Missing signature headers');
+});
+
+describe('signed n8n callbacks', () => {
+  let app;
+  let intervention;
+
+  before(async () => {
+    app = await startApp();
+    const student = await app.storage.students.findOne({ student_id: 'S001' });
+    const flagged = await flagStudent(app.storage, { student, reason: 'test', actor: SYSTEM_ACTOR, webhookUrl: null });
+    intervention = flagged.intervention;
+  });
+
+  after(() => app.close());
+
+  const callback = (raw, { secret = WEBHOOK_SECRET, signature } = {}) => {
+    const sent = String(Math.floor(Date.now() / 1000));
+    return app.request('POST', '/api/assign-intervention', {
+      raw,
+      headers: {
+        'X-Alcovia-Timestamp': sent,
+        'X-Alcovia-Signature': signature || signPayload(raw, sent, secret)
+      }
+    });
+  };
+
+  const body = () => JSON.stringify({
+    student_id: 'S001',
+    template_id: 'focus-reset',
+    intervention_id: intervention.id
+  });
+
+  test('are refused with the wrong secret', async () => {
+    const response = await callback(body(), { secret: 'guess' });
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error, 'Invalid signature');
+  });
+
+  test('are refused when the body was changed after signing', async () => {
+    const raw = body();
+    const sent = String(Math.floor(Date.now() / 1000));
+    const response = await app.request('POST', '/api/assign-intervention', {
+      raw: raw.replace('focus-reset', 'other'),
+      headers: { 'X-Alcovia-Timestamp': sent, 'X-Alcovia-Signature': signPayload(raw, sent, WEBHOOK_SECRET) }
+    });
+    assert.equal(response.status, 401);
+  });
+
+  test('assign the task in the mentor\'s name when valid', async () => {
+    const response = await callback(body());
+    assert.equal(response.status, 200);
+    assert.equal(response.body.duplicate, false);
+
+    const assigned = await app.storage.interventions.findOne({ id: intervention.id });
+    assert.equal(assigned.status, 'Assigned');
+    assert.equal(assigned.assigned_by, 'Maya Mentor (via n8n)');
+  });
+
+  test('change nothing when repeated', async () => {
+    const response = await callback(body());
+    assert.equal(response.status, 200);
+    assert.equal(response.body.duplicate, true);
+  });
+});
+
+test('callbacks are refused when no signing secret is configured', async () => {
+  const app = await startApp({ webhookSecret: '' });
+  try {
+    const raw = JSON.stringify({ student_id: 'S001', template_id: 'focus-reset', intervention_id: crypto.randomUUID() });
+    const sent = String(Math.floor(Date.now() / 1000));
+    const response = await app.request('POST', '/api/assign-intervention', {
+      raw,
+      headers: { 'X-Alcovia-Timestamp': sent, 'X-Alcovia-Signature': signPayload(raw, sent, 'anything') }
+    });
+    assert.equal(response.status, 503);
+  } finally {
+    await app.close();
+  }
+});
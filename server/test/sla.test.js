@@ -0,0 +1,104 @@
+// SLA hours are read when lib/sla.js loads
+process.env.SLA_REMIND_HOURS = '12';
+process.env.SLA_ESCALATE_HOURS = '24';
+process.env.SLA_AUTO_ASSIGN_HOURS = '48';
+process.env.SLA_AUTO_ASSIGN_MAX_FAILURES = '3';
+delete process.env.SLA_ESCALATION_EMAILS;
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../storage');
+const { runSlaChecks } = require('../services/sla');
+const { flagStudent } = require('../services/interventions');
+const { SYSTEM_ACTOR } = require('../services/transitions');
+
+const HOUR = 60 * 60 * 1000;
+const SLA_URL = 'https://n8n.example.com/webhook/sla';
+
+let storage;
+let openedAt;
+
+const openFor = async (studentId) => {
+  const student = await storage.students.findOne({ student_id: studentId });
+  await flagStudent(storage, { student, reason: 'test', actor: SYSTEM_ACTOR, webhookUrl: null });
+  return storage.interventions.findOne({ student_id: studentId, status: 'Pending' });
+};
+
+const at = (hours) => new Date(openedAt + hours * HOUR);
+const check = (hours) => runSlaChecks(storage, { now: at(hours), webhookUrl: SLA_URL });
+const steps = (intervention) => intervention.sla_events.map((event) => event.step);
+const outboxEvents = async () => (await storage.outbox.find({})).map((delivery) => delivery.event);
+
+beforeEach(async () => {
+  storage = createStorage('memory');
+  await storage.mentors.insert({ mentor_id: 'M002', name: 'Bo Backup', email: 'bo@alcovia.dev', active: true });
+  const intervention = await openFor('S001');
+  openedAt = Date.parse(intervention.created_at);
+});
+
+test('nothing happens before the first deadline', async () => {
+  assert.equal(await check(11), 0);
+  const intervention = await storage.interventions.findOne({ student_id: 'S001' });
+  assert.equal(intervention.sla_stage, 'on_time');
+});
+
+test('the routed mentor is reminded once', async () => {
+  assert.equal(await check(13), 1);
+  assert.equal(await check(14), 0);
+
+  const intervention = await storage.interventions.findOne({ student_id: 'S001' });
+  assert.equal(intervention.sla_stage, 'reminded');
+  assert.deepEqual(steps(intervention), ['remind']);
+  assert.deepEqual(intervention.sla_events[0].recipients, ['mentor@alcovia.dev']);
+  assert.ok((await outboxEvents()).includes('intervention.sla_reminder'));
+});
+
+test('escalation hands the intervention to a backup mentor and tells the leads', async () => {
+  assert.equal(await check(25), 2);
+
+  const intervention = await storage.interventions.findOne({ student_id: 'S001' });
+  assert.equal(intervention.sla_stage, 'escalated');
+  assert.equal(intervention.mentor_id, 'M002');
+  const escalation = intervention.sla_events.find((event) => event.step === 'escalate');
+  assert.equal(escalation.backup_mentor_id, 'M002');
+  assert.deepEqual(escalation.recipients, ['bo@alcovia.dev', 'admin@alcovia.dev']);
+  assert.ok((await outboxEvents()).includes('intervention.sla_escalated'));
+});
+
+test('the fallback task is assigned at the auto-assign deadline', async () => {
+  assert.equal(await check(49), 3);
+
+  const intervention = await storage.interventions.findOne({ student_id: 'S001' });
+  assert.equal(intervention.status, 'Assigned');
+  assert.equal(intervention.sla_stage, 'auto_assigned');
+  assert.deepEqual(steps(intervention), ['remind', 'escalate', 'auto_assign']);
+  assert.equal((await storage.students.findOne({ student_id: 'S001' })).status, 'Remedial');
+});
+
+test('a failing auto-assign is retried, then given up on and reported once', async () => {
+  await storage.taskTemplates.update({}, { active: false });
+  await check(30);
+
+  for (let run = 0; run < 5; run++) {
+    assert.equal(await check(49), 0);
+  }
+  const intervention = await storage.interventions.findOne({ student_id: 'S001' });
+  assert.equal(intervention.status, 'Pending');
+  assert.equal(intervention.sla_stage, 'auto_assign_failed');
+  const failures = intervention.sla_events.filter((event) => event.step === 'auto_assign_failed');
+  assert.deepEqual(failures.map((event) => event.attempt), [1, 2, 3]);
+  assert.equal((await outboxEvents()).filter((event) => event === 'intervention.sla_auto_assign_failed').length, 1);
+
+  // Left to the mentors from here
+  await storage.taskTemplates.update({}, { active: true });
+  assert.equal(await check(50), 0);
+  assert.equal((await storage.interventions.findOne({ student_id: 'S001' })).status, 'Pending');
+});
+
+test('urgent interventions run on half the hours', async () => {
+  const student = await storage.students.findOne({ student_id: 'S002' });
+  await flagStudent(storage, { student, reason: 'test', priority: 'urgent', actor: SYSTEM_ACTOR, webhookUrl: null });
+  const urgent = await storage.interventions.findOne({ student_id: 'S002' });
+  assert.equal(Date.parse(urgent.sla_remind_at) - Date.parse(urgent.created_at), 6 * HOUR);
+  assert.equal(Date.parse(urgent.sla_auto_assign_at) - Date.parse(urgent.created_at), 24 * HOUR);
+});